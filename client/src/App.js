@@ -1,24 +1,134 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
 import './App.css';
 import TabBar from './components/TabBar';
+import LoginScreen from './screens/LoginScreen';
 import CashierScreen from './screens/CashierScreen';
+import ShiftScreen from './screens/ShiftScreen';
 import ReportsScreen from './screens/ReportsScreen';
 import ItemsScreen from './screens/ItemsScreen';
+import PromotionsScreen from './screens/PromotionsScreen';
+import EmployeesScreen from './screens/EmployeesScreen';
+import AuditScreen from './screens/AuditScreen';
+import StoresScreen from './screens/StoresScreen';
+import {
+  hasPermission,
+  onSessionExpired,
+  savedSession,
+  savedSessionToken,
+  saveSession,
+  setSessionToken
+} from './utils/auth';
+import { isOfflineError } from './utils/offline';
+
+const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+// Tabs and the permission each needs (see server/services/employees.js)
+const TABS = [
+  { id: 'cashier', label: 'Cashier', permission: 'sales' },
+  { id: 'shift', label: 'Shift', permission: 'sales' },
+  { id: 'items', label: 'Items', permission: 'items.manage' },
+  { id: 'promotions', label: 'Promotions', permission: 'promotions.manage' },
+  { id: 'reports', label: 'Reports', permission: 'reports.view' },
+  { id: 'employees', label: 'Employees', permission: 'employees.manage' },
+  { id: 'stores', label: 'Stores', permission: 'settings.manage' },
+  { id: 'audit', label: 'Audit', permission: 'audit.view' }
+];
 
 function App() {
   const [activeTab, setActiveTab] = useState('cashier');
+  // { employee, permissions, register, store }; null when signed out, undefined while checking
+  const [session, setSession] = useState(undefined);
+
+  const signOutLocally = useCallback(() => {
+    setSessionToken(null);
+    setSession(null);
+    setActiveTab('cashier');
+  }, []);
+
+  // Resume the session from an earlier page load, if it is still live.
+  // While the server cannot be reached the saved session is used, so the
+  // register can keep selling offline.
+  useEffect(() => {
+    const token = savedSessionToken();
+    if (!token) {
+      setSession(null);
+      return;
+    }
+
+    setSessionToken(token);
+    axios.get(`${API_BASE}/auth/session`)
+      .then(response => {
+        saveSession(response.data);
+        setSession(response.data);
+      })
+      .catch(err => {
+        console.error('Failed to resume session:', err);
+        const saved = savedSession();
+        if (isOfflineError(err) && saved) {
+          setSession(saved);
+        } else {
+          signOutLocally();
+        }
+      });
+  }, [signOutLocally]);
+
+  useEffect(() => onSessionExpired(signOutLocally), [signOutLocally]);
+
+  const handleSignedIn = ({ token, employee, permissions, register, store }) => {
+    setSessionToken(token);
+    saveSession({ employee, permissions, register, store });
+    setSession({ employee, permissions, register, store });
+    setActiveTab('cashier');
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await axios.post(`${API_BASE}/auth/logout`);
+    } catch (err) {
+      console.error('Failed to sign out:', err);
+    }
+    signOutLocally();
+  };
+
+  if (session === undefined) {
+    return <div className="screen-placeholder">Loading...</div>;
+  }
+
+  if (!session) {
+    return <LoginScreen onSignedIn={handleSignedIn} />;
+  }
+
+  const tabs = TABS.filter(tab => hasPermission(session, tab.permission));
+  const can = (permission) => hasPermission(session, permission);
 
   return (
     <div className="App">
-      <TabBar activeTab={activeTab} setActiveTab={setActiveTab} />
+      <TabBar
+        tabs={tabs}
+        activeTab={activeTab}
+        setActiveTab={setActiveTab}
+        employee={session.employee}
+        register={session.register}
+        store={session.store}
+        onSignOut={handleSignOut}
+      />
       <main className="main-content">
-        {activeTab === 'cashier' && <CashierScreen />}
-        {activeTab === 'items' && <ItemsScreen />}
-        {activeTab === 'reports' && <ReportsScreen />}
+        {activeTab === 'cashier' && can('sales') && (
+          <CashierScreen employee={session.employee} canEditQuickKeys={can('items.manage')} />
+        )}
+        {activeTab === 'shift' && can('sales') && <ShiftScreen />}
+        {activeTab === 'items' && can('items.manage') && <ItemsScreen />}
+        {activeTab === 'promotions' && can('promotions.manage') && <PromotionsScreen />}
+        {activeTab === 'reports' && can('reports.view') && <ReportsScreen />}
+        {activeTab === 'employees' && can('employees.manage') && <EmployeesScreen currentEmployee={session.employee} />}
+        {activeTab === 'stores' && can('settings.manage') && (
+          <StoresScreen currentRegister={session.register} currentStore={session.store} />
+        )}
+        {activeTab === 'audit' && can('audit.view') && <AuditScreen />}
       </main>
     </div>
   );
 }
 
 export default App;
-
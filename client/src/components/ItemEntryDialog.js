@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react';
+import './ItemEntryDialog.css';
+import { formatCurrency, multiplyQuantity, toCents, toDollars } from '../utils/money';
+
+// Modal that asks the cashier what the server needs to sell `item`: the
+// price of an open-price item ('price_required'), or the weight of a
+// weighed one ('weight_required'). With a scale (`scaleEnabled`) the
+// weight is not keyed in: the cashier places the item and weighs again.
+// `message` is the server's reason. onSubmit gets { unit_price },
+// { quantity } or {} (read the scale).
+const ItemEntryDialog = ({ item, code, message, scaleEnabled, onSubmit, onCancel }) => {
+  const asksPrice = code === 'price_required';
+  const weighsOnScale = !asksPrice && scaleEnabled;
+  const [value, setValue] = useState(asksPrice && item.price > 0 ? String(item.price) : '');
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onCancel();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onCancel]);
+
+  const number = parseFloat(value);
+  const valid = Number.isFinite(number) && number > 0;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (weighsOnScale) {
+      onSubmit({});
+    } else if (valid) {
+      onSubmit(asksPrice ? { unit_price: number } : { quantity: number });
+    }
+  };
+
+  const limits = [
+    item.min_price !== null && item.min_price !== undefined && `from ${formatCurrency(item.min_price)}`,
+    item.max_price !== null && item.max_price !== undefined && `up to ${formatCurrency(item.max_price)}`
+  ].filter(Boolean).join(' ');
+
+  return (
+    <div className="item-entry-overlay" role="dialog" aria-modal="true" aria-labelledby="item-entry-title">
+      <form className="item-entry-dialog" onSubmit={handleSubmit}>
+        <h2 id="item-entry-title">{item.name}</h2>
+        <p className="item-entry-action">
+          {asksPrice
+            ? `Enter the price${limits ? ` (${limits})` : ''}`
+            : `${formatCurrency(item.price)}/${item.weight_unit}`}
+        </p>
+        {message && <p className="item-entry-message">{message}</p>}
+        {!weighsOnScale ? (
+          <div className="item-entry-input">
+            {asksPrice && <span>$</span>}
+            <input
+              type="number"
+              inputMode="decimal"
+              step={asksPrice ? '0.01' : '0.001'}
+              min="0"
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              placeholder={asksPrice ? '0.00' : '0.000'}
+              aria-label={asksPrice ? 'Price' : `Weight in ${item.weight_unit}`}
+              autoFocus
+            />
+            {!asksPrice && <span>{item.weight_unit}</span>}
+          </div>
+        ) : (
+          <p className="item-entry-action">Place the item on the scale, then weigh it.</p>
+        )}
+        {!asksPrice && !weighsOnScale && valid && (
+          <p className="item-entry-total">
+            {formatCurrency(toDollars(multiplyQuantity(toCents(item.price), number)))}
+          </p>
+        )}
+        <div className="item-entry-actions">
+          <button type="submit" className="item-entry-submit-btn" disabled={!weighsOnScale && !valid}>
+            {weighsOnScale ? 'Weigh' : 'Add'}
+          </button>
+          <button type="button" className="item-entry-cancel-btn" onClick={onCancel}>
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ItemEntryDialog;
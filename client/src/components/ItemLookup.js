@@ -0,0 +1,116 @@
+import React, { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import './ItemLookup.css';
+import { formatItemPrice, formatQuantity } from '../utils/items';
+
+const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_RESULTS = 8;
+// Wait this long after the last keystroke before searching
+const SEARCH_DELAY_MS = 250;
+
+// Type-ahead item search, for items without a barcode to scan: matching
+// items (GET /items/search) are listed as you type, and picking one with
+// a click or Enter calls onSelect(item).
+const ItemLookup = ({ onSelect, disabled, placeholder = 'Search items by name...' }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [highlighted, setHighlighted] = useState(0);
+  const [searching, setSearching] = useState(false);
+  // Only the latest search may fill the list
+  const latestSearchRef = useRef(0);
+
+  useEffect(() => {
+    const q = query.trim();
+    const searchId = latestSearchRef.current + 1;
+    latestSearchRef.current = searchId;
+
+    if (q.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setSearching(false);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        setSearching(true);
+        const response = await axios.get(`${API_BASE}/items/search`, {
+          params: { q, page_size: MAX_RESULTS }
+        });
+        if (searchId === latestSearchRef.current) {
+          setResults(response.data.items);
+          setHighlighted(0);
+        }
+      } catch (err) {
+        console.error('Item search failed:', err);
+      } finally {
+        if (searchId === latestSearchRef.current) setSearching(false);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const pick = (item) => {
+    setQuery('');
+    setResults([]);
+    onSelect(item);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && results.length > 0) {
+      e.preventDefault();
+      setHighlighted(prev => (prev + 1) % results.length);
+    } else if (e.key === 'ArrowUp' && results.length > 0) {
+      e.preventDefault();
+      setHighlighted(prev => (prev - 1 + results.length) % results.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (results[highlighted]) pick(results[highlighted]);
+    } else if (e.key === 'Escape') {
+      setQuery('');
+    }
+  };
+
+  const showResults = query.trim().length >= MIN_QUERY_LENGTH;
+
+  return (
+    <div className="item-lookup">
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        aria-label="Search items"
+        disabled={disabled}
+      />
+      {showResults && (
+        <ul className="item-lookup-results" role="listbox">
+          {results.length === 0 ? (
+            <li className="item-lookup-empty">{searching ? 'Searching...' : 'No matching items'}</li>
+          ) : (
+            results.map((item, index) => (
+              <li key={item.id} role="option" aria-selected={index === highlighted}>
+                <button
+                  type="button"
+                  className={index === highlighted ? 'highlighted' : ''}
+                  onClick={() => pick(item)}
+                  onMouseEnter={() => setHighlighted(index)}
+                  disabled={disabled}
+                >
+                  <span className="item-lookup-name">{item.name}</span>
+                  <span className="item-lookup-price">{formatItemPrice(item)}</span>
+                  <span className="item-lookup-stock">{formatQuantity(item.quantity, item.weight_unit)} in stock</span>
+                </button>
+              </li>
+            ))
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ItemLookup;
@@ -0,0 +1,252 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import './ItemPacks.css';
+import { formatCurrency } from '../utils/money';
+import { formatQuantity } from '../utils/items';
+
+const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+const EMPTY_PACK = { name: '', pack_size: '', price: '', barcodes: '' };
+
+// Barcodes typed into one box, separated by commas or spaces
+const barcodesOf = (text) => text.split(/[\s,]+/).map(code => code.trim()).filter(Boolean);
+
+// The packs `item` is also sold in (6-pack, case of 24), each with its own
+// price and barcodes, and receiving stock here in units, cases of the
+// item's pack_size or packs (see server/services/packs.js). onChange is
+// called after anything is saved, so the item list can reload.
+const ItemPacks = ({ item, onChange }) => {
+  const [details, setDetails] = useState(null);
+  // The pack being added ({ id: null, ... }) or edited, or null
+  const [draft, setDraft] = useState(null);
+  const [receiving, setReceiving] = useState({ quantity: '', pack: '' });
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchDetails = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/items/${item.id}`);
+      setDetails(response.data);
+    } catch (err) {
+      setError('Failed to load packs');
+      console.error(err);
+    }
+  }, [item.id]);
+
+  useEffect(() => {
+    setDraft(null);
+    setMessage(null);
+    setError(null);
+    fetchDetails();
+  }, [fetchDetails]);
+
+  // Run a change, then reload the packs and the item list
+  const save = async (request, failure) => {
+    try {
+      setSaving(true);
+      setError(null);
+      setMessage(null);
+      const response = await request();
+      await fetchDetails();
+      onChange();
+      return response;
+    } catch (err) {
+      setError(err.response?.data?.error || failure);
+      console.error(err);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSavePack = async (e) => {
+    e.preventDefault();
+    const payload = {
+      name: draft.name.trim(),
+      pack_size: parseInt(draft.pack_size),
+      price: parseFloat(draft.price),
+      barcodes: barcodesOf(draft.barcodes)
+    };
+
+    const saved = await save(
+      () => (draft.id
+        ? axios.put(`${API_BASE}/items/${item.id}/packs/${draft.id}`, payload)
+        : axios.post(`${API_BASE}/items/${item.id}/packs`, payload)),
+      'Failed to save pack'
+    );
+    if (saved) setDraft(null);
+  };
+
+  const handleRemovePack = async (pack) => {
+    if (!window.confirm(`Remove the ${pack.name} of ${item.name}? Its barcodes will stop working.`)) {
+      return;
+    }
+    await save(() => axios.delete(`${API_BASE}/items/${item.id}/packs/${pack.id}`), 'Failed to remove pack');
+  };
+
+  const handleReceive = async (e) => {
+    e.preventDefault();
+    const response = await save(
+      () => axios.post(`${API_BASE}/items/${item.id}/receive`, {
+        quantity: parseFloat(receiving.quantity),
+        pack: receiving.pack || undefined
+      }),
+      'Failed to receive stock'
+    );
+    if (response) {
+      const { received, item: updated } = response.data;
+      setMessage(`Received ${formatQuantity(received, updated.weight_unit)}; ${formatQuantity(updated.quantity, updated.weight_unit)} in stock here`);
+      setReceiving(prev => ({ ...prev, quantity: '' }));
+    }
+  };
+
+  if (!details) {
+    return error ? <div className="item-packs-error">{error}</div> : null;
+  }
+
+  const packs = details.packs || [];
+  const caseSize = parseInt(details.pack_size) || 1;
+  const canHavePacks = details.price_type === 'fixed';
+
+  return (
+    <div className="item-form-section item-packs">
+      <h2>Packs and Receiving: {details.name}</h2>
+
+      {error && <div className="item-packs-error" onClick={() => setError(null)}>{error}</div>}
+      {message && <div className="item-packs-message">{message}</div>}
+
+      {canHavePacks ? (
+        <>
+          {packs.length > 0 ? (
+            <table className="item-packs-table">
+              <thead>
+                <tr>
+                  <th>Pack</th>
+                  <th>Units</th>
+                  <th>Price</th>
+                  <th>Barcodes</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {packs.map(pack => (
+                  <tr key={pack.id}>
+                    <td>{pack.name}</td>
+                    <td>{pack.pack_size}</td>
+                    <td>{formatCurrency(pack.price)}</td>
+                    <td>{pack.barcodes.join(', ')}</td>
+                    <td className="item-packs-actions">
+                      <button
+                        type="button"
+                        className="edit-btn"
+                        onClick={() => setDraft({
+                          id: pack.id,
+                          name: pack.name,
+                          pack_size: String(pack.pack_size),
+                          price: String(pack.price),
+                          barcodes: pack.barcodes.join(', ')
+                        })}
+                        disabled={saving}
+                      >
+                        Edit
+                      </button>
+                      <button type="button" className="delete-btn" onClick={() => handleRemovePack(pack)} disabled={saving}>
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="item-packs-empty">Sold by the unit only. Add a pack to sell a 6-pack or a case with its own barcode.</p>
+          )}
+
+          {draft ? (
+            <form className="item-packs-form" onSubmit={handleSavePack}>
+              <input
+                type="text"
+                aria-label="Pack name"
+                placeholder="Name (6-pack)"
+                value={draft.name}
+                maxLength={40}
+                onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+                required
+              />
+              <input
+                type="number"
+                aria-label="Units in the pack"
+                placeholder="Units"
+                min="2"
+                step="1"
+                value={draft.pack_size}
+                onChange={(e) => setDraft(prev => ({ ...prev, pack_size: e.target.value }))}
+                required
+              />
+              <input
+                type="number"
+                aria-label="Pack price"
+                placeholder="Price"
+                min="0.01"
+                step="0.01"
+                value={draft.price}
+                onChange={(e) => setDraft(prev => ({ ...prev, price: e.target.value }))}
+                required
+              />
+              <input
+                type="text"
+                aria-label="Pack barcodes"
+                placeholder="Barcodes"
+                value={draft.barcodes}
+                onChange={(e) => setDraft(prev => ({ ...prev, barcodes: e.target.value }))}
+                required
+              />
+              <button type="submit" className="submit-btn" disabled={saving}>
+                {draft.id ? 'Save Pack' : 'Add Pack'}
+              </button>
+              <button type="button" className="cancel-btn" onClick={() => setDraft(null)} disabled={saving}>
+                Cancel
+              </button>
+            </form>
+          ) : (
+            <button type="button" className="add-barcode-btn" onClick={() => setDraft({ id: null, ...EMPTY_PACK })} disabled={saving}>
+              + Add Pack
+            </button>
+          )}
+        </>
+      ) : (
+        <p className="item-packs-empty">Only fixed-price items are sold in packs.</p>
+      )}
+
+      <form className="item-packs-form" onSubmit={handleReceive}>
+        <label htmlFor="receive-quantity">Receive</label>
+        <input
+          id="receive-quantity"
+          type="number"
+          min="0"
+          step={!receiving.pack && details.price_type === 'weighed' ? '0.001' : '1'}
+          value={receiving.quantity}
+          onChange={(e) => setReceiving(prev => ({ ...prev, quantity: e.target.value }))}
+          required
+        />
+        <select
+          aria-label="Received as"
+          value={receiving.pack}
+          onChange={(e) => setReceiving(prev => ({ ...prev, pack: e.target.value }))}
+        >
+          <option value="">{details.weight_unit || 'units'}</option>
+          {caseSize > 1 && <option value="case">cases of {caseSize}</option>}
+          {packs.map(pack => (
+            <option key={pack.id} value={pack.id}>{pack.name} ({pack.pack_size})</option>
+          ))}
+        </select>
+        <button type="submit" className="submit-btn" disabled={saving || !(parseFloat(receiving.quantity) > 0)}>
+          Receive
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ItemPacks;
@@ -0,0 +1,72 @@
+import React, { useState, useEffect } from 'react';
+import './ManagerOverrideDialog.css';
+
+const MAX_PIN_LENGTH = 8;
+const KEYPAD = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'clear', '0', 'back'];
+
+// Modal PIN pad for a manager to approve a cashier's action. `message` is
+// the server's reason (e.g. "Wrong manager PIN" after a failed attempt).
+const ManagerOverrideDialog = ({ action, message, onApprove, onCancel }) => {
+  const [pin, setPin] = useState('');
+
+  const handleKey = (key) => {
+    if (key === 'clear') {
+      setPin('');
+    } else if (key === 'back') {
+      setPin(prev => prev.slice(0, -1));
+    } else {
+      setPin(prev => (prev.length < MAX_PIN_LENGTH ? prev + key : prev));
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (pin.length >= 4) onApprove(pin);
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onCancel();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onCancel]);
+
+  return (
+    <div className="override-overlay" role="dialog" aria-modal="true" aria-labelledby="override-title">
+      <form className="override-dialog" onSubmit={handleSubmit}>
+        <h2 id="override-title">Manager Approval</h2>
+        {action && <p className="override-action">{action}</p>}
+        {message && <p className="override-message">{message}</p>}
+        <input
+          className="override-pin-input"
+          type="password"
+          inputMode="numeric"
+          autoComplete="off"
+          value={pin}
+          onChange={(e) => setPin(e.target.value.replace(/\D/g, '').slice(0, MAX_PIN_LENGTH))}
+          placeholder="Manager PIN"
+          aria-label="Manager PIN"
+          autoFocus
+        />
+        <div className="override-keypad">
+          {KEYPAD.map(key => (
+            <button key={key} type="button" className="override-key" onClick={() => handleKey(key)}>
+              {key === 'clear' ? 'Clear' : key === 'back' ? '⌫' : key}
+            </button>
+          ))}
+        </div>
+        <div className="override-actions">
+          <button type="submit" className="override-approve-btn" disabled={pin.length < 4}>
+            Approve
+          </button>
+          <button type="button" className="override-cancel-btn" onClick={onCancel}>
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ManagerOverrideDialog;
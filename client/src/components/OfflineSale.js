@@ -0,0 +1,419 @@
+import React, { useState, useEffect, useRef } from 'react';
+import './OfflineSale.css';
+import { formatCents, formatCurrency, sumCents, toCents, toDollars } from '../utils/money';
+import { findItemByBarcode, queueSale, randomUuid } from '../utils/offline';
+import { priceSale } from '../utils/pricing';
+
+// Where the sale being rung up offline is kept, so a reload picks it up
+const SAVED_SALE_KEY = 'offlineSale';
+
+// Offline, only tenders that need nothing from the server: cash, and
+// cards keyed in on a standalone terminal
+const OFFLINE_TENDERS = [
+  { id: 'cash', label: 'Cash' },
+  { id: 'card', label: 'Card (standalone terminal)' }
+];
+
+export const hasSavedOfflineSale = () => localStorage.getItem(SAVED_SALE_KEY) !== null;
+
+const newSale = (carriedOver) => ({
+  id: randomUuid(),
+  created_at: new Date().toISOString(),
+  replaces: carriedOver?.replaces || null,
+  lines: carriedOver?.lines || [],
+  payments: []
+});
+
+const savedSale = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SAVED_SALE_KEY));
+  } catch (err) {
+    return null;
+  }
+};
+
+// A sale rung up while the server cannot be reached, priced from the
+// saved catalog (see utils/offline.js and utils/pricing.js). Once paid it
+// is queued to be sent when the server is back. `carriedOver` ({ replaces,
+// lines }) continues an online sale the connection dropped on.
+const OfflineSale = ({ catalog, employee, carriedOver, onQueued, onLeave }) => {
+  const [sale, setSale] = useState(() => savedSale() || newSale(carriedOver));
+  const [barcodeInput, setBarcodeInput] = useState('');
+  const [tenderMethod, setTenderMethod] = useState('cash');
+  const [tenderAmount, setTenderAmount] = useState('');
+  const [error, setError] = useState(null);
+  // { total, change } once the sale is paid and queued
+  const [completed, setCompleted] = useState(null);
+  const barcodeInputRef = useRef(null);
+
+  useEffect(() => {
+    if (!completed) {
+      localStorage.setItem(SAVED_SALE_KEY, JSON.stringify(sale));
+    }
+  }, [sale, completed]);
+
+  // Promotions are those running when the sale was started, as the server
+  // checks them against its created_at
+  const pricing = priceSale(sale.lines, catalog.promotions, new Date(sale.created_at));
+  const paid = sumCents(sale.payments.map(payment => toCents(payment.amount)));
+  const balanceDue = toDollars(Math.max(0, toCents(pricing.total) - paid));
+
+  const updateLines = (update) => {
+    setSale(prev => ({ ...prev, lines: update(prev.lines) }));
+  };
+
+  const handleBarcodeSubmit = (e) => {
+    e.preventDefault();
+    const barcode = barcodeInput.trim();
+    if (!barcode) return;
+
+    const item = findItemByBarcode(catalog, barcode);
+    if (!item) {
+      setError('Barcode not found in the saved catalog');
+      return;
+    }
+
+    setError(null);
+    // Repeated scans add to the item's line; promotions price units, so
+    // the total is the same as with a line per scan
+    updateLines(lines => {
+      const existing = lines.find(line =>
+        line.item_id === item.id && line.unit_price === item.price && line.tax_rate === item.tax_rate
+      );
+      if (existing) {
+        return lines.map(line => (line === existing ? { ...line, quantity: line.quantity + 1 } : line));
+      }
+      return [...lines, {
+        id: randomUuid(),
+        item_id: item.id,
+        name: item.name,
+        quantity: 1,
+        unit_price: item.price,
+        tax_rate: item.tax_rate
+      }];
+    });
+    setBarcodeInput('');
+    barcodeInputRef.current?.focus();
+  };
+
+  const handleQuantityChange = (line, quantity) => {
+    if (quantity < 1) return;
+    updateLines(lines => lines.map(candidate => (candidate.id === line.id ? { ...candidate, quantity } : candidate)));
+  };
+
+  const handleRemoveLine = (line) => {
+    updateLines(lines => lines.filter(candidate => candidate.id !== line.id));
+  };
+
+  const handleRemovePayment = (index) => {
+    setSale(prev => ({ ...prev, payments: prev.payments.filter((_, position) => position !== index) }));
+  };
+
+  // Queue the sale once its tenders cover the total
+  const completeSale = async (payments) => {
+    const queued = {
+      id: sale.id,
+      created_at: sale.created_at,
+      employee_id: employee?.id,
+      replaces: sale.replaces || undefined,
+      lines: sale.lines.map(({ item_id, name, quantity, unit_price, tax_rate }) => ({
+        item_id, name, quantity, unit_price, tax_rate
+      })),
+      payments,
+      total: pricing.total
+    };
+
+    try {
+      await queueSale(queued);
+    } catch (err) {
+      setError('Could not save the sale on this register');
+      console.error(err);
+      return;
+    }
+
+    const change = toDollars(sumCents(payments.map(payment => toCents(payment.amount))) - toCents(pricing.total));
+    localStorage.removeItem(SAVED_SALE_KEY);
+    setCompleted({ total: pricing.total, change });
+    onQueued();
+  };
+
+  const handleTenderSubmit = (e) => {
+    e.preventDefault();
+    const amount = parseFloat(tenderAmount);
+    if (!amount || amount <= 0) return;
+
+    if (tenderMethod !== 'cash' && toCents(amount) > toCents(balanceDue)) {
+      setError('Only cash can be more than the balance due');
+      return;
+    }
+
+    setError(null);
+    setTenderAmount('');
+    const payments = [...sale.payments, { method: tenderMethod, amount: toDollars(toCents(amount)) }];
+    setSale(prev => ({ ...prev, payments }));
+
+    if (sumCents(payments.map(payment => toCents(payment.amount))) >= toCents(pricing.total)) {
+      completeSale(payments);
+    }
+  };
+
+  const handleCancel = () => {
+    if (!window.confirm('Cancel this offline sale? All items will be removed.')) return;
+    localStorage.removeItem(SAVED_SALE_KEY);
+    onLeave();
+  };
+
+  const handleNewSale = () => {
+    setSale(newSale(null));
+    setCompleted(null);
+    setError(null);
+  };
+
+  const banner = (
+    <div className="offline-banner">
+      Offline: the server cannot be reached. Sales are saved on this register and sent when the
+      connection is back; receipts can be printed after that.
+    </div>
+  );
+
+  if (completed) {
+    return (
+      <div className="offline-sale">
+        {banner}
+        <div className="success-screen">
+          <div className="alert alert-success">
+            <div className="success-title">Sale saved on this register</div>
+          </div>
+          <div className="success-transaction-details">
+            <div className="success-totals">
+              <div className="total-row total">
+                <span>Total:</span>
+                <span>{formatCurrency(completed.total)}</span>
+              </div>
+            </div>
+            {completed.change > 0 && (
+              <div className="change-display">
+                Change: <strong>{formatCurrency(completed.change)}</strong>
+              </div>
+            )}
+          </div>
+          <div className="success-actions">
+            <button className="new-transaction-btn" onClick={handleNewSale}>
+              New Offline Sale
+            </button>
+            <button className="print-receipt-btn" onClick={onLeave}>
+              Done
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="offline-sale">
+      {banner}
+
+      {error && (
+        <div className="alert alert-error" onClick={() => setError(null)}>
+          {error}
+        </div>
+      )}
+
+      <div className="barcode-section">
+        <form onSubmit={handleBarcodeSubmit}>
+          <div className="input-group">
+            <label htmlFor="offline-barcode">Scan or Enter Barcode</label>
+            <input
+              id="offline-barcode"
+              ref={barcodeInputRef}
+              type="text"
+              value={barcodeInput}
+              onChange={(e) => setBarcodeInput(e.target.value)}
+              placeholder="Enter barcode..."
+              autoFocus
+            />
+            <button type="submit" disabled={!barcodeInput.trim()}>
+              Add Item
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="transaction-section">
+        <div className="transaction-section-header">
+          <h2>Offline Sale</h2>
+          <button
+            className="cancel-transaction-btn"
+            onClick={handleCancel}
+            disabled={sale.payments.length > 0}
+            title={sale.payments.length > 0 ? 'Remove the payments first' : undefined}
+          >
+            Cancel Sale
+          </button>
+        </div>
+
+        {pricing.lines.length > 0 ? (
+          <div className="items-list">
+            <table>
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>Qty</th>
+                  <th>Price</th>
+                  <th>Total</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {pricing.lines.map((line) => (
+                  <tr key={line.id}>
+                    <td>{line.name}</td>
+                    <td>
+                      <div className="quantity-controls">
+                        <button
+                          type="button"
+                          className="quantity-btn"
+                          onClick={() => handleQuantityChange(line, line.quantity - 1)}
+                          disabled={line.quantity <= 1 || sale.payments.length > 0}
+                          aria-label="Decrease quantity"
+                        >
+                          −
+                        </button>
+                        <span className="quantity-value">{line.quantity}</span>
+                        <button
+                          type="button"
+                          className="quantity-btn"
+                          onClick={() => handleQuantityChange(line, line.quantity + 1)}
+                          disabled={sale.payments.length > 0}
+                          aria-label="Increase quantity"
+                        >
+                          +
+                        </button>
+                      </div>
+                    </td>
+                    <td>{formatCurrency(line.unit_price)}</td>
+                    <td>{formatCurrency(line.line_total)}</td>
+                    <td>
+                      <button
+                        type="button"
+                        className="remove-line-btn"
+                        onClick={() => handleRemoveLine(line)}
+                        disabled={sale.payments.length > 0}
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+                {pricing.adjustments.map((adjustment) => (
+                  <tr key={adjustment.rule.id} className="promotion-row">
+                    <td colSpan="5">
+                      Promotion: {adjustment.rule.name}
+                      {adjustment.applications > 1 && ` ×${adjustment.applications}`} (saved {formatCurrency(adjustment.amount)})
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="empty-state">
+            <p>No items added yet. Scan a barcode to get started.</p>
+          </div>
+        )}
+
+        <div className="transaction-totals">
+          <div className="total-row">
+            <span>Subtotal:</span>
+            <span>{formatCurrency(pricing.subtotal)}</span>
+          </div>
+          {pricing.discount_total > 0 && (
+            <div className="total-row discount-row">
+              <span>Discounts:</span>
+              <span>−{formatCurrency(pricing.discount_total)}</span>
+            </div>
+          )}
+          <div className="total-row">
+            <span>Tax:</span>
+            <span>{formatCurrency(pricing.tax)}</span>
+          </div>
+          <div className="total-row total">
+            <span>Total:</span>
+            <span>{formatCurrency(pricing.total)}</span>
+          </div>
+        </div>
+
+        {pricing.total > 0 && (
+          <div className="tender-panel">
+            <div className="balance-due">
+              <span>Balance Due:</span>
+              <span className="balance-due-value">{formatCurrency(balanceDue)}</span>
+            </div>
+
+            {sale.payments.length > 0 && (
+              <ul className="applied-tenders">
+                {sale.payments.map((payment, index) => (
+                  <li key={index}>
+                    <span>{OFFLINE_TENDERS.find(tender => tender.id === payment.method)?.label}</span>
+                    <span>{formatCurrency(payment.amount)}</span>
+                    <button
+                      type="button"
+                      className="remove-tender-btn"
+                      onClick={() => handleRemovePayment(index)}
+                      aria-label="Remove payment"
+                    >
+                      ×
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className="tender-methods">
+              {OFFLINE_TENDERS.map((tender) => (
+                <button
+                  key={tender.id}
+                  type="button"
+                  className={`tender-method-btn ${tenderMethod === tender.id ? 'active' : ''}`}
+                  onClick={() => setTenderMethod(tender.id)}
+                >
+                  {tender.label}
+                </button>
+              ))}
+            </div>
+
+            <form onSubmit={handleTenderSubmit}>
+              <div className="input-group">
+                <label htmlFor="offline-tender-amount">Amount</label>
+                <div className="tender-amount-row">
+                  <input
+                    id="offline-tender-amount"
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={tenderAmount}
+                    onChange={(e) => setTenderAmount(e.target.value)}
+                    placeholder={formatCents(toCents(balanceDue))}
+                  />
+                  <button
+                    type="button"
+                    className="exact-amount-btn"
+                    onClick={() => setTenderAmount(formatCents(toCents(balanceDue)))}
+                  >
+                    Exact
+                  </button>
+                </div>
+                <button type="submit" disabled={!tenderAmount || parseFloat(tenderAmount) <= 0}>
+                  Apply Payment
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OfflineSale;
@@ -0,0 +1,263 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import './QuickKeys.css';
+import ItemLookup from './ItemLookup';
+import { formatItemPrice } from '../utils/items';
+
+const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+// Limits and colors as in server/services/quickKeys.js
+const MAX_PAGES = 10;
+const KEYS_PER_PAGE = 24;
+const COLORS = ['blue', 'green', 'orange', 'red', 'purple', 'grey'];
+
+// The layout as PUT /quick-keys takes it
+const layoutOf = (pages) =>
+  pages.map(page => ({
+    name: page.name,
+    keys: page.keys.map(({ item_id, label, color }) => ({ item_id, label: label || null, color: color || null }))
+  }));
+
+// Pages of buttons that add an item with one tap (GET /quick-keys);
+// tapping one calls onSelect(item). With `canEdit` (managers) the layout
+// can be edited here: add keys from the item search, relabel, recolor,
+// move and remove them, and add, rename and remove pages. Edits are saved
+// as a whole.
+const QuickKeys = ({ onSelect, disabled, canEdit }) => {
+  const [pages, setPages] = useState([]);
+  const [pageIndex, setPageIndex] = useState(0);
+  // The pages being edited, or null
+  const [draft, setDraft] = useState(null);
+  // Index of the key being edited on the current draft page
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchPages = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/quick-keys`);
+      setPages(response.data);
+    } catch (err) {
+      setError('Failed to load quick keys');
+      console.error(err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPages();
+  }, [fetchPages]);
+
+  const shownPages = draft || pages;
+  const page = shownPages[Math.min(pageIndex, shownPages.length - 1)];
+  const currentIndex = page ? shownPages.indexOf(page) : 0;
+
+  const showPage = (index) => {
+    setPageIndex(index);
+    setSelectedKey(null);
+  };
+
+  // Apply `change(page)` to the current draft page
+  const changePage = (change) => {
+    setDraft(prev => prev.map((candidate, index) => (index === currentIndex ? change(candidate) : candidate)));
+  };
+
+  const changeKey = (keyIndex, fields) => {
+    changePage(candidate => ({
+      ...candidate,
+      keys: candidate.keys.map((key, index) => (index === keyIndex ? { ...key, ...fields } : key))
+    }));
+  };
+
+  const startEditing = () => {
+    setDraft(pages.length > 0 ? pages : [{ name: 'Favorites', keys: [] }]);
+    setSelectedKey(null);
+    setError(null);
+  };
+
+  const stopEditing = () => {
+    setDraft(null);
+    setSelectedKey(null);
+    setError(null);
+  };
+
+  const handleAddPage = () => {
+    setDraft(prev => [...prev, { name: `Page ${prev.length + 1}`, keys: [] }]);
+    showPage(draft.length);
+  };
+
+  const handleRemovePage = () => {
+    if (page.keys.length > 0 && !window.confirm(`Remove the ${page.name} page and its ${page.keys.length} keys?`)) {
+      return;
+    }
+    setDraft(prev => prev.filter((_, index) => index !== currentIndex));
+    showPage(Math.max(0, currentIndex - 1));
+  };
+
+  const handleAddKey = (item) => {
+    changePage(candidate => ({
+      ...candidate,
+      keys: [...candidate.keys, { item_id: item.id, label: null, color: null, item }]
+    }));
+    setSelectedKey(page.keys.length);
+  };
+
+  const handleMoveKey = (keyIndex, offset) => {
+    const target = keyIndex + offset;
+    changePage(candidate => {
+      const keys = [...candidate.keys];
+      [keys[keyIndex], keys[target]] = [keys[target], keys[keyIndex]];
+      return { ...candidate, keys };
+    });
+    setSelectedKey(target);
+  };
+
+  const handleRemoveKey = (keyIndex) => {
+    changePage(candidate => ({ ...candidate, keys: candidate.keys.filter((_, index) => index !== keyIndex) }));
+    setSelectedKey(null);
+  };
+
+  const handleSave = async () => {
+    if (draft.some(candidate => !candidate.name.trim())) {
+      setError('Every page needs a name');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await axios.put(`${API_BASE}/quick-keys`, { pages: layoutOf(draft) });
+      setPages(response.data);
+      stopEditing();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save quick keys');
+      console.error(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleKeyClick = (key, index) => {
+    if (draft) {
+      setSelectedKey(index);
+    } else {
+      onSelect(key.item);
+    }
+  };
+
+  if (!draft && pages.length === 0 && !canEdit) {
+    return null;
+  }
+
+  const editingKey = draft && selectedKey !== null ? page?.keys[selectedKey] : null;
+
+  return (
+    <div className={`quick-keys ${draft ? 'editing' : ''}`}>
+      <div className="quick-keys-header">
+        <div className="quick-keys-tabs">
+          {shownPages.map((candidate, index) => (
+            <button
+              key={index}
+              className={`quick-keys-tab ${index === currentIndex ? 'active' : ''}`}
+              onClick={() => showPage(index)}
+            >
+              {candidate.name || 'Untitled'}
+            </button>
+          ))}
+          {draft && draft.length < MAX_PAGES && (
+            <button className="quick-keys-tab add" onClick={handleAddPage}>+ Page</button>
+          )}
+        </div>
+        {canEdit && !draft && (
+          <button className="quick-keys-edit-btn" onClick={startEditing} disabled={disabled}>
+            Edit Keys
+          </button>
+        )}
+        {draft && (
+          <div className="quick-keys-edit-actions">
+            <button className="quick-keys-save-btn" onClick={handleSave} disabled={saving}>
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+            <button className="quick-keys-edit-btn" onClick={stopEditing} disabled={saving}>
+              Cancel
+            </button>
+          </div>
+        )}
+      </div>
+
+      {error && <div className="quick-keys-error" onClick={() => setError(null)}>{error}</div>}
+
+      {draft && page && (
+        <div className="quick-keys-page-settings">
+          <input
+            type="text"
+            aria-label="Page name"
+            value={page.name}
+            maxLength={30}
+            onChange={(e) => changePage(candidate => ({ ...candidate, name: e.target.value }))}
+          />
+          <button className="quick-keys-remove-btn" onClick={handleRemovePage}>Remove Page</button>
+        </div>
+      )}
+
+      {!page ? (
+        <div className="quick-keys-empty">
+          {draft ? 'Add a page to start.' : 'No quick keys yet. Managers can add them with Edit Keys.'}
+        </div>
+      ) : (
+        <div className="quick-keys-grid">
+          {page.keys.map((key, index) => (
+            <button
+              key={`${key.item_id}-${index}`}
+              className={`quick-key quick-key-${key.color || 'default'} ${draft && index === selectedKey ? 'selected' : ''}`}
+              onClick={() => handleKeyClick(key, index)}
+              disabled={!draft && disabled}
+            >
+              <span className="quick-key-label">{key.label || key.item.name}</span>
+              <span className="quick-key-price">{formatItemPrice(key.item)}</span>
+            </button>
+          ))}
+          {!draft && page.keys.length === 0 && (
+            <div className="quick-keys-empty">No keys on this page.</div>
+          )}
+        </div>
+      )}
+
+      {editingKey && (
+        <div className="quick-key-editor">
+          <strong>{editingKey.item.name}</strong>
+          <input
+            type="text"
+            aria-label="Key label"
+            placeholder="Label (item name if blank)"
+            value={editingKey.label || ''}
+            maxLength={20}
+            onChange={(e) => changeKey(selectedKey, { label: e.target.value })}
+          />
+          <select
+            aria-label="Key color"
+            value={editingKey.color || ''}
+            onChange={(e) => changeKey(selectedKey, { color: e.target.value || null })}
+          >
+            <option value="">Default color</option>
+            {COLORS.map(color => (
+              <option key={color} value={color}>{color}</option>
+            ))}
+          </select>
+          <button onClick={() => handleMoveKey(selectedKey, -1)} disabled={selectedKey === 0}>◀</button>
+          <button onClick={() => handleMoveKey(selectedKey, 1)} disabled={selectedKey === page.keys.length - 1}>▶</button>
+          <button className="quick-keys-remove-btn" onClick={() => handleRemoveKey(selectedKey)}>Remove Key</button>
+        </div>
+      )}
+
+      {draft && page && (
+        page.keys.length < KEYS_PER_PAGE ? (
+          <ItemLookup onSelect={handleAddKey} placeholder="Add a key: search items by name..." />
+        ) : (
+          <div className="quick-keys-empty">This page is full ({KEYS_PER_PAGE} keys).</div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default QuickKeys;
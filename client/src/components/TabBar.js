@@ -1,13 +1,7 @@
 import React from 'react';
 import './TabBar.css';
 
-const TabBar = ({ activeTab, setActiveTab }) => {
-  const tabs = [
-    { id: 'cashier', label: 'Cashier' },
-    { id: 'items', label: 'Items' },
-    { id: 'reports', label: 'Reports' }
-  ];
-
+const TabBar = ({ tabs, activeTab, setActiveTab, employee, register, store, onSignOut }) => {
   return (
     <nav className="tab-bar">
       {tabs.map(tab => (
@@ -19,9 +13,20 @@ const TabBar = ({ activeTab, setActiveTab }) => {
           {tab.label}
         </button>
       ))}
+      {employee && (
+        <div className="tab-bar-employee">
+          {store && register && (
+            <span className="tab-bar-location">{store.name} · {register.name}</span>
+          )}
+          <span className="tab-bar-employee-name">{employee.name}</span>
+          <span className="tab-bar-employee-role">{employee.role}</span>
+          <button className="sign-out-btn" onClick={onSignOut}>
+            Sign Out
+          </button>
+        </div>
+      )}
     </nav>
   );
 };
 
 export default TabBar;
-
@@ -0,0 +1,269 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import './AuditScreen.css';
+
+const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+const ENTITY_TYPES = [
+  { id: 'item', label: 'Items' },
+  { id: 'category', label: 'Categories' },
+  { id: 'quick_keys', label: 'Quick keys' },
+  { id: 'promotion', label: 'Promotions' },
+  { id: 'transaction', label: 'Sales and refunds' },
+  { id: 'transaction_line', label: 'Sale lines' },
+  { id: 'payment', label: 'Payments' },
+  { id: 'shift', label: 'Shifts' },
+  { id: 'cash_movement', label: 'Paid in / out' },
+  { id: 'employee', label: 'Employees and sign-ins' },
+  { id: 'store', label: 'Stores' },
+  { id: 'register', label: 'Registers' },
+  { id: 'settings', label: 'Settings' }
+];
+
+const EMPTY_FILTERS = { employeeId: '', entityType: '', entityId: '', from: '', to: '' };
+
+const PAGE_SIZE = 100;
+
+// Only the filters that are set, as query parameters
+const queryFor = (values) =>
+  Object.fromEntries(Object.entries(values).filter(([, value]) => value !== ''));
+
+const formatValue = (value) =>
+  value === null || value === undefined ? '—' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+// Fields whose value differs between `before` and `after` (all of `after`
+// for a new record, all of `before` for a removed one)
+const changedFields = (before, after) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys]
+    .filter(key => key !== 'updated_at' && key !== 'created_at')
+    .filter(key => JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key]))
+    .map(key => ({ key, before: before?.[key], after: after?.[key] }));
+};
+
+// The append-only audit log: who changed what, when and through which
+// endpoint, with before/after values
+const AuditScreen = () => {
+  const [entries, setEntries] = useState([]);
+  const [employees, setEmployees] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [offset, setOffset] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    axios.get(`${API_BASE}/employees`)
+      .then(response => setEmployees(response.data))
+      .catch(err => console.error('Failed to load employees:', err));
+  }, []);
+
+  const fetchEntries = useCallback(async (values, pageOffset) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await axios.get(`${API_BASE}/audit`, {
+        params: { ...queryFor(values), limit: PAGE_SIZE, offset: pageOffset }
+      });
+      setEntries(response.data);
+      setOffset(pageOffset);
+      setExpanded(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load the audit log');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchEntries(EMPTY_FILTERS, 0);
+  }, [fetchEntries]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    fetchEntries(filters, 0);
+  };
+
+  const handleReset = () => {
+    setFilters(EMPTY_FILTERS);
+    fetchEntries(EMPTY_FILTERS, 0);
+  };
+
+  // Download through axios so the session token is sent
+  const handleExport = async (format) => {
+    try {
+      const response = await axios.get(`${API_BASE}/audit/export`, {
+        params: { ...queryFor(filters), format },
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      window.alert('Failed to export the audit log');
+      console.error(err);
+    }
+  };
+
+  return (
+    <div className="audit-screen">
+      <div className="audit-header">
+        <h1>Audit Log</h1>
+        <div className="audit-export">
+          <button type="button" className="edit-btn" onClick={() => handleExport('csv')}>
+            Export CSV
+          </button>
+          <button type="button" className="edit-btn" onClick={() => handleExport('json')}>
+            Export JSON
+          </button>
+        </div>
+      </div>
+
+      <form className="audit-filters" onSubmit={handleSearch}>
+        <div className="form-group">
+          <label htmlFor="audit-employee">Employee</label>
+          <select id="audit-employee" name="employeeId" value={filters.employeeId} onChange={handleFilterChange}>
+            <option value="">Anyone</option>
+            {employees.map(employee => (
+              <option key={employee.id} value={employee.id}>{employee.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="audit-entity-type">Record</label>
+          <select id="audit-entity-type" name="entityType" value={filters.entityType} onChange={handleFilterChange}>
+            <option value="">Anything</option>
+            {ENTITY_TYPES.map(type => (
+              <option key={type.id} value={type.id}>{type.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="audit-entity-id">Record ID</label>
+          <input id="audit-entity-id" name="entityId" value={filters.entityId} onChange={handleFilterChange} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="audit-from">From</label>
+          <input id="audit-from" name="from" type="date" value={filters.from} onChange={handleFilterChange} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="audit-to">To</label>
+          <input id="audit-to" name="to" type="date" value={filters.to} onChange={handleFilterChange} />
+        </div>
+        <div className="audit-filter-actions">
+          <button type="submit" className="submit-btn" disabled={loading}>Search</button>
+          <button type="button" className="cancel-btn" onClick={handleReset} disabled={loading}>Reset</button>
+        </div>
+      </form>
+
+      {error && (
+        <div className="alert alert-error" onClick={() => setError(null)}>
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading-state">Loading audit log...</div>
+      ) : entries.length === 0 ? (
+        <div className="empty-state">
+          <p>No changes match these filters.</p>
+        </div>
+      ) : (
+        <div className="audit-table-container">
+          <table className="audit-table">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Who</th>
+                <th>Action</th>
+                <th>Record</th>
+                <th>Changes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => {
+                const changes = changedFields(entry.before, entry.after);
+                const isExpanded = expanded === entry.id;
+                return (
+                  <tr key={entry.id}>
+                    <td className="audit-when">{new Date(entry.created_at).toLocaleString()}</td>
+                    <td>
+                      {entry.employee_name || entry.employee_id}
+                      {entry.approved_by_name && (
+                        <div className="audit-approver">approved by {entry.approved_by_name}</div>
+                      )}
+                    </td>
+                    <td className="audit-route" title={entry.path}>{entry.route}</td>
+                    <td>
+                      {entry.entity_type || '—'}
+                      {entry.entity_id && <div className="audit-entity-id">{entry.entity_id}</div>}
+                    </td>
+                    <td>
+                      {changes.length === 0 ? (
+                        <span className="audit-no-changes">—</span>
+                      ) : (
+                        <>
+                          <ul className="audit-changes">
+                            {(isExpanded ? changes : changes.slice(0, 3)).map(change => (
+                              <li key={change.key}>
+                                <span className="audit-field">{change.key}</span>{' '}
+                                {entry.before && <span className="audit-before">{formatValue(change.before)}</span>}
+                                {entry.before && entry.after && ' → '}
+                                {entry.after && <span className="audit-after">{formatValue(change.after)}</span>}
+                              </li>
+                            ))}
+                          </ul>
+                          {changes.length > 3 && (
+                            <button
+                              type="button"
+                              className="audit-more"
+                              onClick={() => setExpanded(isExpanded ? null : entry.id)}
+                            >
+                              {isExpanded ? 'Show less' : `${changes.length - 3} more`}
+                            </button>
+                          )}
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="audit-pagination">
+        <button
+          type="button"
+          className="cancel-btn"
+          onClick={() => fetchEntries(filters, Math.max(0, offset - PAGE_SIZE))}
+          disabled={loading || offset === 0}
+        >
+          Newer
+        </button>
+        <button
+          type="button"
+          className="cancel-btn"
+          onClick={() => fetchEntries(filters, offset + PAGE_SIZE)}
+          disabled={loading || entries.length < PAGE_SIZE}
+        >
+          Older
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AuditScreen;
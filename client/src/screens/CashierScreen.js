@@ -1,15 +1,106 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import axios from 'axios';
 import './CashierScreen.css';
+import { formatCents, formatCurrency, prorate, sumCents, toCents, toDollars } from '../utils/money';
+import { printReceipt } from '../utils/receipts';
+import { withManagerOverride } from '../utils/managerOverride';
+import ManagerOverrideDialog from '../components/ManagerOverrideDialog';
+import ItemEntryDialog from '../components/ItemEntryDialog';
+import ItemLookup from '../components/ItemLookup';
+import QuickKeys from '../components/QuickKeys';
+import OfflineSale, { hasSavedOfflineSale } from '../components/OfflineSale';
+import { formatLineName, formatQuantity } from '../utils/items';
+import { TENDER_METHODS, tenderLabel } from '../utils/tenders';
+import {
+  FORCEABLE_CONFLICTS,
+  isOfflineError,
+  listQueuedSales,
+  loadCatalog,
+  refreshCatalog,
+  removeQueuedSale,
+  replaySale,
+  syncQueuedSales
+} from '../utils/offline';
 
 const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
 
-const CashierScreen = () => {
+// Card brand and last digits for terminal card payments, otherwise the
+// reference typed in with the tender
+const tenderDetail = (payment) =>
+  payment.card_last4 ? `${payment.card_brand} ****${payment.card_last4}` : payment.reference;
+
+// How often to poll the terminal while the customer presents their card
+const CARD_POLL_INTERVAL_MS = 1000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// How often to retry sending sales rung up offline, and to refresh the
+// catalog kept for selling offline
+const OFFLINE_SYNC_INTERVAL_MS = 30 * 1000;
+const CATALOG_REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Codes of add-line errors that the item entry dialog answers: the price
+// of an open-price item, or the weight of a weighed one (see
+// server/services/items.js and the scale errors in server/index.js)
+const ENTRY_CODES = ['price_required', 'weight_required', 'scale_unstable', 'scale_invalid'];
+
+// Amount still owed on a transaction after the tenders applied so far
+const calculateBalanceDue = (transaction) => {
+  if (!transaction) return 0;
+  const paid = sumCents((transaction.payments || []).map(payment => toCents(payment.amount)));
+  return toDollars(Math.max(0, toCents(transaction.total) - paid));
+};
+
+// Quantity of a line that can still be returned (lines refunded before
+// partial refunds existed only have refunded_by set)
+const refundableQuantity = (line) =>
+  line.refunded_by ? 0 : parseFloat(line.quantity) - parseFloat(line.refunded_quantity || 0);
+
+// Estimate of what the server refunds: each unit's share of what its line
+// charged after discounts (the server settles the last cent)
+const calculateRefundAmount = (lines, quantities) =>
+  toDollars(sumCents(
+    lines
+      .filter(line => quantities[line.id] > 0)
+      .map(line => prorate(toCents(line.line_total), quantities[line.id], parseFloat(line.quantity)))
+  ));
+
+// "Promotion: 2 for $5 ×2" for an applied promotion adjustment
+const promotionLabel = (adjustment) =>
+  `Promotion: ${adjustment.description}${adjustment.applications > 1 ? ` ×${adjustment.applications}` : ''}`;
+
+const DISCOUNT_TYPES = [
+  { id: 'percent', label: '%' },
+  { id: 'fixed', label: '$' }
+];
+
+// "10% off" / "$2.00 off" for a discount as entered
+const discountLabel = (type, value) =>
+  type === 'percent'
+    ? `${parseFloat(value)}% off`
+    : `${formatCurrency(value)} off`;
+
+// Select everything still refundable on the transaction
+const allRefundableQuantities = (lines) =>
+  Object.fromEntries(
+    lines
+      .filter(line => refundableQuantity(line) > 0)
+      .map(line => [line.id, refundableQuantity(line)])
+  );
+
+const CashierScreen = ({ employee, canEditQuickKeys }) => {
   const [transactionId, setTransactionId] = useState(null);
   const [transaction, setTransaction] = useState(null);
   const [barcodeInput, setBarcodeInput] = useState('');
-  const [cashAmount, setCashAmount] = useState('');
+  const [tenderMethod, setTenderMethod] = useState('cash');
+  const [tenderAmount, setTenderAmount] = useState('');
+  const [tenderReference, setTenderReference] = useState('');
   const [change, setChange] = useState(null);
+  const [terminalEnabled, setTerminalEnabled] = useState(false);
+  const [scaleEnabled, setScaleEnabled] = useState(false);
+  const [printerEnabled, setPrinterEnabled] = useState(false);
+  // Card authorization waiting on the terminal, if any
+  const [cardAuthorization, setCardAuthorization] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
@@ -17,8 +108,53 @@ const CashierScreen = () => {
   const [refundTransactionId, setRefundTransactionId] = useState('');
   const [refundTransaction, setRefundTransaction] = useState(null);
   const [refundAmount, setRefundAmount] = useState(null);
-  const [selectedRefundLines, setSelectedRefundLines] = useState(new Set());
+  const [refundTenders, setRefundTenders] = useState([]);
+  const [refundReceiptId, setRefundReceiptId] = useState(null);
+  // Receipts printed from the success screen; later prints are reprints
+  const [printedReceipts, setPrintedReceipts] = useState(new Set());
+  // What the discount form applies to: 'transaction', a line id, or null
+  const [discountTarget, setDiscountTarget] = useState(null);
+  const [discountType, setDiscountType] = useState('percent');
+  const [discountValue, setDiscountValue] = useState('');
+  // lineId -> quantity to return; lines not in the map are not being refunded
+  const [refundQuantities, setRefundQuantities] = useState({});
+  // Line whose price is being overridden, and the price typed in
+  const [priceTarget, setPriceTarget] = useState(null);
+  const [priceValue, setPriceValue] = useState('');
+  // Open manager PIN prompt: { action, message, resolve }
+  const [overridePrompt, setOverridePrompt] = useState(null);
+  // Item waiting for its price or weight: { path, body, item, code,
+  // message }, posted again with what the cashier enters
+  const [itemEntry, setItemEntry] = useState(null);
+  // The line the last item added went into and the quantity it added
+  // ({ lineId, quantity }), which Void Last Item takes back off
+  const [lastAdded, setLastAdded] = useState(null);
+  // Parked sales any register can resume
+  const [suspendedSales, setSuspendedSales] = useState([]);
+  // Selling offline (see utils/offline.js): the saved catalog (undefined
+  // while loading, null if there is none), whether an offline sale is
+  // being rung up, the online sale it carries on from, and the sales
+  // waiting to be sent
+  const [catalog, setCatalog] = useState(undefined);
+  const [offlineMode, setOfflineMode] = useState(hasSavedOfflineSale);
+  const [carriedOver, setCarriedOver] = useState(null);
+  const [connectionLost, setConnectionLost] = useState(false);
+  const [queuedSales, setQueuedSales] = useState([]);
   const barcodeInputRef = useRef(null);
+  const cardAuthorizationRef = useRef(null);
+  const syncingRef = useRef(false);
+
+  // Run a request that a manager may have to approve (see
+  // utils/managerOverride.js), describing it as `action` in the PIN prompt
+  const withApproval = (action, request) =>
+    withManagerOverride(request, message => new Promise(resolve => {
+      setOverridePrompt({ action, message, resolve });
+    }));
+
+  const closeOverridePrompt = (pin) => {
+    overridePrompt?.resolve(pin);
+    setOverridePrompt(null);
+  };
 
   // Load saved transaction and refund state on mount
   useEffect(() => {
@@ -37,8 +173,11 @@ const CashierScreen = () => {
             localStorage.removeItem('currentTransactionId');
           }
         } catch (err) {
-          // Transaction doesn't exist or error, clear it
-          localStorage.removeItem('currentTransactionId');
+          // Transaction doesn't exist or error, clear it (but keep it while
+          // the server cannot be reached)
+          if (!isOfflineError(err)) {
+            localStorage.removeItem('currentTransactionId');
+          }
         }
       }
 
@@ -53,17 +192,10 @@ const CashierScreen = () => {
           const response = await axios.get(`${API_BASE}/transactions/${savedRefundTransactionId}`);
           setRefundTransaction(response.data);
           
-          // Initialize selected lines with non-refunded items
-          const nonRefundedLines = response.data.lines
-            .filter(line => !line.refunded_by)
-            .map(line => line.id);
-          setSelectedRefundLines(new Set(nonRefundedLines));
-          
-          // Calculate refund amount
-          const amount = response.data.lines
-            .filter(line => nonRefundedLines.includes(line.id))
-            .reduce((sum, line) => sum + parseFloat(line.line_total || 0), 0);
-          setRefundAmount(amount);
+          // Initialize selection with everything not yet refunded
+          const quantities = allRefundableQuantities(response.data.lines);
+          setRefundQuantities(quantities);
+          setRefundAmount(calculateRefundAmount(response.data.lines, quantities));
         } catch (err) {
           console.error('Failed to load refund transaction:', err);
         }
@@ -72,6 +204,92 @@ const CashierScreen = () => {
     loadSavedState();
   }, []);
 
+  // Card tenders go through the payment terminal when the server has one
+  useEffect(() => {
+    axios.get(`${API_BASE}/terminal`)
+      .then(response => setTerminalEnabled(response.data.enabled))
+      .catch(err => console.error('Failed to load terminal status:', err));
+  }, []);
+
+  // Weighed items are weighed on the server's scale when it has one,
+  // otherwise the cashier keys the weight in
+  useEffect(() => {
+    axios.get(`${API_BASE}/scale`)
+      .then(response => setScaleEnabled(response.data.enabled))
+      .catch(err => console.error('Failed to load scale status:', err));
+  }, []);
+
+  // With a receipt printer on the server, receipts print there on finalize
+  // and refund; otherwise they print from the browser
+  useEffect(() => {
+    axios.get(`${API_BASE}/printer`)
+      .then(response => setPrinterEnabled(response.data.enabled))
+      .catch(err => console.error('Failed to load printer status:', err));
+  }, []);
+
+  const fetchSuspendedSales = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/transactions/suspended`);
+      setSuspendedSales(response.data);
+    } catch (err) {
+      console.error('Failed to load suspended sales:', err);
+    }
+  }, []);
+
+  // Keep the catalog fresh for when the server cannot be reached, falling
+  // back to the one saved earlier
+  const updateCatalog = useCallback(async () => {
+    try {
+      setCatalog(await refreshCatalog());
+    } catch (err) {
+      const saved = await loadCatalog().catch(loadError => console.error('Failed to load saved catalog:', loadError));
+      setCatalog(previous => previous || saved || null);
+    }
+  }, []);
+
+  // Send the sales rung up offline; one sync at a time
+  const syncOfflineSales = useCallback(async () => {
+    if (syncingRef.current) return;
+    syncingRef.current = true;
+    try {
+      const { error: syncError } = await syncQueuedSales();
+      if (syncError && !isOfflineError(syncError)) {
+        console.error('Failed to send offline sales:', syncError);
+      }
+      setQueuedSales(await listQueuedSales());
+    } catch (err) {
+      console.error('Failed to read offline sales:', err);
+    } finally {
+      syncingRef.current = false;
+    }
+  }, []);
+
+  useEffect(() => {
+    updateCatalog();
+    syncOfflineSales();
+
+    const handleOnline = () => {
+      updateCatalog();
+      syncOfflineSales();
+    };
+    window.addEventListener('online', handleOnline);
+    const syncTimer = setInterval(syncOfflineSales, OFFLINE_SYNC_INTERVAL_MS);
+    const catalogTimer = setInterval(updateCatalog, CATALOG_REFRESH_INTERVAL_MS);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      clearInterval(syncTimer);
+      clearInterval(catalogTimer);
+    };
+  }, [updateCatalog, syncOfflineSales]);
+
+  // Refresh the parked sales whenever the register is free to resume one
+  useEffect(() => {
+    if (!transactionId) {
+      fetchSuspendedSales();
+    }
+  }, [transactionId, fetchSuspendedSales]);
+
   // Focus barcode input when transaction is ready
   useEffect(() => {
     if (transactionId && !success) {
@@ -89,11 +307,18 @@ const CashierScreen = () => {
       setTransaction(response.data);
       setSuccess(false);
       setChange(null);
-      setCashAmount('');
+      setTenderAmount('');
+      setTenderReference('');
+      setTenderMethod('cash');
+      setDiscountTarget(null);
       // Save transaction ID to localStorage
       localStorage.setItem('currentTransactionId', newTransactionId);
     } catch (err) {
-      setError('Failed to create transaction');
+      if (isOfflineError(err)) {
+        startOfflineSale(null);
+      } else {
+        setError('Failed to create transaction');
+      }
       console.error(err);
     } finally {
       setLoading(false);
@@ -118,19 +343,18 @@ const CashierScreen = () => {
       setError(null);
 
       // Send barcode to backend - it will look up item and add to transaction
-      await axios.post(`${API_BASE}/transactions/${transactionId}/lines`, {
-        barcode: barcodeInput.trim(),
-        quantity: 1
-      });
-
-      // Refresh transaction
-      await fetchTransaction(transactionId);
+      await postLine('lines', { barcode: barcodeInput.trim() });
 
       setBarcodeInput('');
       barcodeInputRef.current?.focus();
     } catch (err) {
-      if (err.response?.status === 404) {
+      if (err.itemEntry) {
+        setBarcodeInput('');
+      } else if (err.response?.status === 404) {
         setError('Barcode not found');
+      } else if (isOfflineError(err)) {
+        setConnectionLost(true);
+        setError('Cannot reach the server');
       } else {
         setError('Failed to add item');
       }
@@ -140,35 +364,338 @@ const CashierScreen = () => {
     }
   };
 
-  const handleCashSubmit = async (e) => {
+  // Add a line to the sale: POST `body` to `path` ('lines' for a barcode,
+  // 'lines/by-item'). An open-price or weighed item opens the item entry
+  // dialog instead, and the error thrown is marked `itemEntry`.
+  const postLine = async (path, body) => {
+    try {
+      const response = await axios.post(`${API_BASE}/transactions/${transactionId}/${path}`, body);
+      setLastAdded({ lineId: response.data.line.id, quantity: response.data.added });
+    } catch (err) {
+      const { code, item, error: message } = err.response?.data || {};
+      if (ENTRY_CODES.includes(code)) {
+        // A first prompt for a price or a keyed-in weight explains itself;
+        // the scale's messages and retries say what was wrong
+        const explains = Boolean(itemEntry) || code.startsWith('scale_') || (code === 'weight_required' && scaleEnabled);
+        setItemEntry(prev => ({
+          path,
+          body,
+          item: item || prev?.item,
+          code: code.startsWith('scale_') ? 'weight_required' : code,
+          message: explains ? message : null
+        }));
+        err.itemEntry = true;
+      }
+      throw err;
+    }
+    setItemEntry(null);
+    await fetchTransaction(transactionId);
+  };
+
+  // Add an item picked from the item search or a quick key
+  const handleAddItem = async (item) => {
+    if (loading || !transactionId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      await postLine('lines/by-item', { item_id: item.id });
+      barcodeInputRef.current?.focus();
+    } catch (err) {
+      if (err.itemEntry) {
+        // Waiting on the item entry dialog
+      } else if (isOfflineError(err)) {
+        setConnectionLost(true);
+        setError('Cannot reach the server');
+      } else {
+        setError(err.response?.data?.error || 'Failed to add item');
+      }
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const closeItemEntry = useCallback(() => {
+    setItemEntry(null);
+    barcodeInputRef.current?.focus();
+  }, []);
+
+  // Post the waiting item again with the price or weight entered
+  // (`values`, from ItemEntryDialog)
+  const handleItemEntrySubmit = async (values) => {
+    if (loading || !itemEntry) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      await postLine(itemEntry.path, { ...itemEntry.body, ...values });
+      barcodeInputRef.current?.focus();
+    } catch (err) {
+      if (err.itemEntry) {
+        // The dialog shows what was wrong
+      } else if (err.response?.status === 400) {
+        setItemEntry(prev => ({ ...prev, message: err.response.data.error }));
+      } else {
+        setItemEntry(null);
+        setError(isOfflineError(err) ? 'Cannot reach the server' : err.response?.data?.error || 'Failed to add item');
+      }
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleLineQuantityChange = async (line, quantity) => {
+    if (quantity <= 0 || loading || !transactionId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      await axios.patch(`${API_BASE}/transactions/${transactionId}/lines/${line.id}`, {
+        quantity
+      });
+
+      await fetchTransaction(transactionId);
+      barcodeInputRef.current?.focus();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to change quantity');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRemoveLine = async (line) => {
+    if (loading || !transactionId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      await axios.delete(`${API_BASE}/transactions/${transactionId}/lines/${line.id}`);
+
+      await fetchTransaction(transactionId);
+      barcodeInputRef.current?.focus();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to remove item');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Take back the last item added. A merged line only loses what that
+  // scan added; without one to go by (e.g. a resumed sale) the newest line,
+  // lines coming back oldest first, loses one unit, or goes when it is the
+  // last one, a weight or a label's.
+  const handleVoidLastItem = async () => {
+    const lines = transaction?.lines || [];
+    if (lines.length === 0 || loading) return;
+
+    const scanned = lines.find(line => line.id === lastAdded?.lineId);
+    const line = scanned || lines[lines.length - 1];
+    const quantity = parseFloat(line.quantity);
+    const voided = scanned ? lastAdded.quantity : 1;
+
+    setLastAdded(null);
+    if (!line.weight_unit && !line.from_label && quantity > voided) {
+      await handleLineQuantityChange(line, quantity - voided);
+    } else {
+      await handleRemoveLine(line);
+    }
+  };
+
+  const openDiscountForm = (target) => {
+    setPriceTarget(null);
+    setDiscountTarget(target);
+    setDiscountType('percent');
+    setDiscountValue('');
+    setError(null);
+  };
+
+  // Apply the discount form to the selected line or the whole transaction
+  const handleDiscountSubmit = async (e) => {
     e.preventDefault();
-    if (!cashAmount || parseFloat(cashAmount) <= 0 || loading) return;
+    if (!discountTarget || !discountValue || parseFloat(discountValue) <= 0 || loading) return;
 
-    const cash = parseFloat(cashAmount);
+    const url = discountTarget === 'transaction'
+      ? `${API_BASE}/transactions/${transactionId}/discount`
+      : `${API_BASE}/transactions/${transactionId}/lines/${discountTarget}/discount`;
 
     try {
       setLoading(true);
       setError(null);
 
-      const response = await axios.post(
-        `${API_BASE}/transactions/${transactionId}/finalize`,
-        { cashAmount: cash }
+      await withApproval(`Discount of ${discountLabel(discountType, discountValue)}`, headers =>
+        axios.put(url, { type: discountType, value: parseFloat(discountValue) }, { headers })
       );
+      await fetchTransaction(transactionId);
 
-      setChange(parseFloat(response.data.change));
-      
-      // Refresh transaction to get final data with lines
+      setDiscountTarget(null);
+      setDiscountValue('');
+    } catch (err) {
+      if (err.overrideCancelled) return;
+      if (err.response?.data?.error) {
+        setError(err.response.data.error);
+      } else {
+        setError('Failed to apply discount');
+      }
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openPriceForm = (line) => {
+    setDiscountTarget(null);
+    setPriceTarget(line.id);
+    setPriceValue(String(line.unit_price));
+    setError(null);
+  };
+
+  // Override the unit price of the selected line
+  const handlePriceSubmit = async (e) => {
+    e.preventDefault();
+    if (!priceTarget || priceValue === '' || parseFloat(priceValue) < 0 || loading) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      await withApproval(`Price override to ${formatCurrency(priceValue)}`, headers =>
+        axios.put(
+          `${API_BASE}/transactions/${transactionId}/lines/${priceTarget}/price`,
+          { unitPrice: parseFloat(priceValue) },
+          { headers }
+        )
+      );
       await fetchTransaction(transactionId);
-      
+
+      setPriceTarget(null);
+      setPriceValue('');
+    } catch (err) {
+      if (err.overrideCancelled) return;
+      setError(err.response?.data?.error || 'Failed to change price');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Remove the discount from a line, or from the transaction when no line
+  // is given
+  const handleRemoveDiscount = async (line = null) => {
+    if (loading || !transactionId) return;
+
+    const url = line
+      ? `${API_BASE}/transactions/${transactionId}/lines/${line.id}/discount`
+      : `${API_BASE}/transactions/${transactionId}/discount`;
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      await axios.delete(url);
+      await fetchTransaction(transactionId);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to remove discount');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Record a tender and finish the sale when it covers the total
+  const applyTender = async (tender) => {
+    const response = await axios.post(
+      `${API_BASE}/transactions/${transactionId}/payments`,
+      tender
+    );
+
+    setTenderAmount('');
+    setTenderReference('');
+
+    // Refresh transaction to get lines and applied tenders
+    await fetchTransaction(transactionId);
+
+    if (response.data.finalized) {
+      setChange(parseFloat(response.data.change));
+      recordServerPrint(transactionId, response.data.print);
+
       // Clear saved transaction since it's now finalized
       localStorage.removeItem('currentTransactionId');
-      
+
       setSuccess(true);
+    }
+  };
+
+  // Ask the terminal for a card authorization and wait for the customer.
+  // Returns the authorization id once approved, or null if it was declined,
+  // timed out or cancelled (the error is set for the cashier).
+  const authorizeCard = async (amount) => {
+    const started = await axios.post(
+      `${API_BASE}/transactions/${transactionId}/card-authorizations`,
+      { amount }
+    );
+
+    let authorization = started.data.authorization;
+    cardAuthorizationRef.current = authorization.id;
+    setCardAuthorization(authorization);
+
+    while (authorization.status === 'pending' && cardAuthorizationRef.current === authorization.id) {
+      await wait(CARD_POLL_INTERVAL_MS);
+      const polled = await axios.get(`${API_BASE}/terminal/authorizations/${authorization.id}`);
+      authorization = polled.data.authorization;
+    }
+
+    const cancelled = cardAuthorizationRef.current !== authorization.id;
+    cardAuthorizationRef.current = null;
+    setCardAuthorization(null);
+
+    if (cancelled) return null;
+    if (authorization.status === 'approved') return authorization.id;
+
+    setError(authorization.status === 'declined'
+      ? `Card declined${authorization.decline_reason ? `: ${authorization.decline_reason}` : ''}`
+      : 'Card terminal timed out, try again');
+    return null;
+  };
+
+  // Apply one tender; the sale completes once the tenders cover the total
+  const handleTenderSubmit = async (e) => {
+    e.preventDefault();
+    if (!tenderAmount || parseFloat(tenderAmount) <= 0 || loading) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      if (tenderMethod === 'card' && terminalEnabled) {
+        const authorizationId = await authorizeCard(parseFloat(tenderAmount));
+        if (authorizationId) {
+          await applyTender({ method: 'card', authorizationId });
+        }
+      } else {
+        await applyTender({
+          method: tenderMethod,
+          amount: parseFloat(tenderAmount),
+          reference: tenderReference.trim() || undefined
+        });
+      }
     } catch (err) {
-      if (err.response?.status === 400) {
-        setError(err.response.data.error || 'Invalid cash amount');
+      cardAuthorizationRef.current = null;
+      setCardAuthorization(null);
+      if (err.response?.data?.error) {
+        setError(err.response.data.error);
+      } else if (isOfflineError(err)) {
+        setConnectionLost(true);
+        setError('Cannot reach the server');
       } else {
-        setError('Failed to finalize transaction');
+        setError('Failed to apply payment');
       }
       console.error(err);
     } finally {
@@ -176,10 +703,180 @@ const CashierScreen = () => {
     }
   };
 
+  // Stop waiting for the card and void the authorization on the terminal
+  const handleCancelCardAuthorization = async () => {
+    const authorizationId = cardAuthorizationRef.current;
+    if (!authorizationId) return;
+
+    cardAuthorizationRef.current = null;
+    try {
+      await axios.post(`${API_BASE}/terminal/authorizations/${authorizationId}/cancel`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to cancel card authorization');
+      console.error(err);
+    }
+  };
+
+  const handleRemovePayment = async (payment) => {
+    if (loading || !transactionId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      await axios.delete(`${API_BASE}/transactions/${transactionId}/payments/${payment.id}`);
+      await fetchTransaction(transactionId);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to remove payment');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleNewTransaction = () => {
     createNewTransaction();
   };
 
+  // Ring up sales from the saved catalog until the server is back.
+  // `carried` ({ replaces, lines }) continues an online sale.
+  const startOfflineSale = (carried) => {
+    if (!catalog) {
+      setError('Cannot reach the server, and this register has no saved catalog to sell from');
+      return;
+    }
+    setError(null);
+    setCarriedOver(carried);
+    setOfflineMode(true);
+  };
+
+  // Carry the current sale on offline after the connection dropped. It
+  // is cancelled on the server when the offline sale is sent; discounts
+  // and anything else that needs the server are left behind.
+  const handleContinueOffline = () => {
+    const lines = transaction?.lines || [];
+    if (lines.some(line => line.weight_unit || line.pack_id || line.item?.price_type === 'open')) {
+      setError('Open-price and weighed items and packs cannot be sold offline: remove them to continue offline');
+      return;
+    }
+    const hasDiscounts = transaction?.discount_type || lines.some(line => line.discount_type);
+    if (hasDiscounts && !window.confirm('Discounts cannot be given offline and will be dropped. Continue offline?')) {
+      return;
+    }
+
+    const carried = {
+      replaces: transactionId,
+      lines: lines.map(line => ({
+        id: line.id,
+        item_id: line.item_id,
+        name: line.item?.name || 'Unknown Item',
+        quantity: parseInt(line.quantity),
+        unit_price: parseFloat(line.unit_price),
+        tax_rate: parseFloat(line.tax_rate)
+      }))
+    };
+    clearTransaction();
+    setConnectionLost(false);
+    startOfflineSale(carried);
+  };
+
+  // Back to the start screen from offline selling; try the server again
+  const handleLeaveOffline = () => {
+    setOfflineMode(false);
+    setCarriedOver(null);
+    syncOfflineSales();
+    fetchSuspendedSales();
+  };
+
+  // Record an offline sale despite its conflicts, with a manager's approval
+  const handleRecordOfflineSale = async (sale) => {
+    try {
+      setLoading(true);
+      setError(null);
+      await withApproval(`Record offline sale of ${formatCurrency(sale.total)}`, headers =>
+        replaySale(sale, { force: true, headers })
+      );
+    } catch (err) {
+      if (err.overrideCancelled) return;
+      setError(err.response?.data?.error || 'Failed to record offline sale');
+      console.error(err);
+    } finally {
+      setLoading(false);
+      setQueuedSales(await listQueuedSales());
+    }
+  };
+
+  const handleDiscardOfflineSale = async (sale) => {
+    if (!window.confirm(`Discard the offline sale of ${formatCurrency(sale.total)}? It will not be recorded.`)) {
+      return;
+    }
+    await removeQueuedSale(sale.id);
+    setQueuedSales(await listQueuedSales());
+  };
+
+  // Leave the current sale (cancelled or parked) and go back to the start
+  const clearTransaction = () => {
+    setTransactionId(null);
+    setTransaction(null);
+    setBarcodeInput('');
+    setTenderAmount('');
+    setTenderReference('');
+    setTenderMethod('cash');
+    setDiscountTarget(null);
+    setPriceTarget(null);
+    setChange(null);
+    setSuccess(false);
+    setConnectionLost(false);
+
+    // Clear saved transaction from localStorage
+    localStorage.removeItem('currentTransactionId');
+  };
+
+  // Park the current sale to serve the next customer
+  const handleSuspendTransaction = async () => {
+    if (!transactionId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      await axios.post(`${API_BASE}/transactions/${transactionId}/suspend`);
+      clearTransaction();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to suspend transaction');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Pick a parked sale back up. An empty sale already started on this
+  // register is cancelled first, so only one sale stays open here.
+  const handleResumeSale = async (saleId) => {
+    try {
+      setLoading(true);
+      setError(null);
+      if (transactionId) {
+        await withApproval('Cancel the empty sale', headers =>
+          axios.delete(`${API_BASE}/transactions/${transactionId}`, { headers })
+        );
+      }
+      await axios.post(`${API_BASE}/transactions/${saleId}/resume`);
+      const response = await axios.get(`${API_BASE}/transactions/${saleId}`);
+
+      clearTransaction();
+      setTransactionId(saleId);
+      setTransaction(response.data);
+      localStorage.setItem('currentTransactionId', saleId);
+    } catch (err) {
+      if (err.overrideCancelled) return;
+      setError(err.response?.data?.error || 'Failed to resume sale');
+      console.error(err);
+      fetchSuspendedSales();
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleCancelTransaction = async () => {
     if (!transactionId) return;
     
@@ -191,21 +888,15 @@ const CashierScreen = () => {
       setLoading(true);
       setError(null);
       
-      await axios.delete(`${API_BASE}/transactions/${transactionId}`);
-      
-      // Clear transaction state
-      setTransactionId(null);
-      setTransaction(null);
-      setBarcodeInput('');
-      setCashAmount('');
-      setChange(null);
-      setSuccess(false);
+      await withApproval(`Cancel sale of ${formatCurrency(transaction?.total)}`, headers =>
+        axios.delete(`${API_BASE}/transactions/${transactionId}`, { headers })
+      );
       
-      // Clear saved transaction from localStorage
-      localStorage.removeItem('currentTransactionId');
+      clearTransaction();
     } catch (err) {
-      if (err.response?.status === 400) {
-        setError(err.response.data.error || 'Cannot cancel this transaction');
+      if (err.overrideCancelled) return;
+      if (err.response?.data?.error) {
+        setError(err.response.data.error);
       } else {
         setError('Failed to cancel transaction');
       }
@@ -232,21 +923,14 @@ const CashierScreen = () => {
 
       setRefundTransaction(response.data);
       
-      // Initialize selected lines with non-refunded items
-      const nonRefundedLines = response.data.lines
-        .filter(line => !line.refunded_by)
-        .map(line => line.id);
-      setSelectedRefundLines(new Set(nonRefundedLines));
-      
-      // Calculate refund amount for all non-refunded items
-      const amount = response.data.lines
-        .filter(line => nonRefundedLines.includes(line.id))
-        .reduce((sum, line) => sum + parseFloat(line.line_total || 0), 0);
-      setRefundAmount(amount);
+      // Initialize selection with everything not yet refunded
+      const quantities = allRefundableQuantities(response.data.lines);
+      setRefundQuantities(quantities);
+      setRefundAmount(calculateRefundAmount(response.data.lines, quantities));
 
       // Save refund state to localStorage
       localStorage.setItem('refundMode', 'true');
-      localStorage.setItem('refundTransactionId', refundTransactionId.trim());
+      localStorage.setItem('refundTransactionId', response.data.id);
     } catch (err) {
       if (err.response?.status === 404) {
         setError('Transaction not found');
@@ -259,41 +943,46 @@ const CashierScreen = () => {
     }
   };
 
-  const handleToggleRefundLine = (lineId) => {
-    const newSelected = new Set(selectedRefundLines);
-    if (newSelected.has(lineId)) {
-      newSelected.delete(lineId);
+  const updateRefundQuantities = (quantities) => {
+    setRefundQuantities(quantities);
+    setRefundAmount(calculateRefundAmount(refundTransaction.lines, quantities));
+  };
+
+  const handleToggleRefundLine = (line) => {
+    const newQuantities = { ...refundQuantities };
+    if (newQuantities[line.id]) {
+      delete newQuantities[line.id];
     } else {
-      newSelected.add(lineId);
+      newQuantities[line.id] = refundableQuantity(line);
     }
-    setSelectedRefundLines(newSelected);
+    updateRefundQuantities(newQuantities);
+  };
 
-    // Recalculate refund amount
-    const amount = refundTransaction.lines
-      .filter(line => newSelected.has(line.id))
-      .reduce((sum, line) => sum + parseFloat(line.line_total || 0), 0);
-    setRefundAmount(amount);
+  const handleRefundQuantityChange = (line, value) => {
+    const quantity = Math.min(Math.max(parseInt(value) || 0, 0), refundableQuantity(line));
+    const newQuantities = { ...refundQuantities };
+    if (quantity > 0) {
+      newQuantities[line.id] = quantity;
+    } else {
+      delete newQuantities[line.id];
+    }
+    updateRefundQuantities(newQuantities);
   };
 
   const handleSelectAllRefundLines = () => {
-    const nonRefundedLines = refundTransaction.lines
-      .filter(line => !line.refunded_by)
-      .map(line => line.id);
-    setSelectedRefundLines(new Set(nonRefundedLines));
-
-    const amount = refundTransaction.lines
-      .filter(line => nonRefundedLines.includes(line.id))
-      .reduce((sum, line) => sum + parseFloat(line.line_total || 0), 0);
-    setRefundAmount(amount);
+    updateRefundQuantities(allRefundableQuantities(refundTransaction.lines));
   };
 
   const handleDeselectAllRefundLines = () => {
-    setSelectedRefundLines(new Set());
+    setRefundQuantities({});
     setRefundAmount(0);
   };
 
   const handleProcessRefund = async () => {
-    if (!refundTransaction || selectedRefundLines.size === 0) return;
+    const selectedLines = Object.entries(refundQuantities)
+      .map(([lineId, quantity]) => ({ lineId, quantity }));
+
+    if (!refundTransaction || selectedLines.length === 0) return;
 
     if (!window.confirm(`Process refund of ${formatCurrency(refundAmount)}?`)) {
       return;
@@ -303,25 +992,31 @@ const CashierScreen = () => {
       setLoading(true);
       setError(null);
 
-      const lineIds = Array.from(selectedRefundLines);
-      const response = await axios.post(
-        `${API_BASE}/transactions/${refundTransactionId}/refund`,
-        { lineIds }
+      const response = await withApproval(`Refund of ${formatCurrency(refundAmount)}`, headers =>
+        axios.post(
+          `${API_BASE}/transactions/${refundTransaction.id}/refund`,
+          { lines: selectedLines },
+          { headers }
+        )
       );
 
       // Refresh refund transaction to see updated state
-      const updatedResponse = await axios.get(`${API_BASE}/transactions/${refundTransactionId}`);
+      const updatedResponse = await axios.get(`${API_BASE}/transactions/${refundTransaction.id}`);
       setRefundTransaction(updatedResponse.data);
 
       setSuccess(true);
       setRefundAmount(response.data.refundAmount);
+      setRefundTenders(response.data.payments || []);
+      setRefundReceiptId(response.data.refundTransaction?.id || null);
+      recordServerPrint(response.data.refundTransaction?.id, response.data.print);
       
       // Clear refund state from localStorage
       localStorage.removeItem('refundMode');
       localStorage.removeItem('refundTransactionId');
     } catch (err) {
-      if (err.response?.status === 400) {
-        setError(err.response.data.error || 'Cannot process refund');
+      if (err.overrideCancelled) return;
+      if (err.response?.data?.error) {
+        setError(err.response.data.error);
       } else {
         setError('Failed to process refund');
       }
@@ -331,12 +1026,38 @@ const CashierScreen = () => {
     }
   };
 
+  // The server prints on finalize and refund when it has a printer; `print`
+  // is its result (null without a printer)
+  const recordServerPrint = (receiptTransactionId, print) => {
+    if (!print) return;
+    if (print.printed) {
+      setPrintedReceipts(previous => new Set(previous).add(receiptTransactionId));
+    } else {
+      setError(`Receipt was not printed: ${print.error}`);
+    }
+  };
+
+  const handlePrintReceipt = async (receiptTransactionId) => {
+    try {
+      setError(null);
+      if (printerEnabled) {
+        await axios.post(`${API_BASE}/transactions/${receiptTransactionId}/print`);
+      } else {
+        await printReceipt(receiptTransactionId, { reprint: printedReceipts.has(receiptTransactionId) });
+      }
+      setPrintedReceipts(previous => new Set(previous).add(receiptTransactionId));
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to print receipt');
+      console.error(err);
+    }
+  };
+
   const handleCancelRefund = () => {
     setRefundMode(false);
     setRefundTransactionId('');
     setRefundTransaction(null);
     setRefundAmount(null);
-    setSelectedRefundLines(new Set());
+    setRefundQuantities({});
     setError(null);
     
     // Clear refund state from localStorage
@@ -344,9 +1065,120 @@ const CashierScreen = () => {
     localStorage.removeItem('refundTransactionId');
   };
 
-  const formatCurrency = (amount) => {
-    return `$${parseFloat(amount || 0).toFixed(2)}`;
-  };
+
+  const balanceDue = calculateBalanceDue(transaction);
+
+  const hasLines = transaction?.lines?.length > 0;
+
+  const suspendedSalesSection = suspendedSales.length > 0 && (
+    <div className="suspended-sales-section">
+      <h2>Suspended Sales</h2>
+      <table className="suspended-sales-table">
+        <thead>
+          <tr>
+            <th>Suspended</th>
+            <th>Cashier</th>
+            <th>Items</th>
+            <th>Total</th>
+            <th>Expires</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {suspendedSales.map((sale) => (
+            <tr key={sale.id}>
+              <td>{new Date(sale.suspended_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</td>
+              <td>{sale.suspended_by_name || sale.employee_name || '—'}</td>
+              <td>{sale.item_count}</td>
+              <td>{formatCurrency(sale.total)}</td>
+              <td>{new Date(sale.expires_at).toLocaleString()}</td>
+              <td>
+                <button
+                  className="resume-sale-btn"
+                  onClick={() => handleResumeSale(sale.id)}
+                  disabled={loading}
+                >
+                  Resume
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  const salesToReview = queuedSales.filter(sale => sale.conflicts);
+
+  const offlineQueueSection = queuedSales.length > 0 && (
+    <div className="offline-queue-section">
+      <div className="offline-queue-header">
+        <h2>Offline Sales</h2>
+        <span>{queuedSales.length} waiting to be sent</span>
+        <button className="sync-now-btn" onClick={syncOfflineSales} disabled={loading}>
+          Send Now
+        </button>
+      </div>
+      {salesToReview.length > 0 && (
+        <ul className="offline-review-list">
+          {salesToReview.map(sale => (
+            <li key={sale.id}>
+              <div className="offline-review-sale">
+                <strong>{new Date(sale.created_at).toLocaleString()}</strong> · {formatCurrency(sale.total)}
+                <ul>
+                  {sale.conflicts.map((conflict, index) => (
+                    <li key={index}>{conflict.message}</li>
+                  ))}
+                </ul>
+              </div>
+              <div className="offline-review-actions">
+                <button
+                  className="resume-sale-btn"
+                  onClick={() => handleRecordOfflineSale(sale)}
+                  disabled={loading || !sale.conflicts.every(conflict => FORCEABLE_CONFLICTS.includes(conflict.type))}
+                >
+                  Record Anyway
+                </button>
+                <button
+                  className="cancel-transaction-btn"
+                  onClick={() => handleDiscardOfflineSale(sale)}
+                  disabled={loading}
+                >
+                  Discard
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+
+  if (offlineMode) {
+    return (
+      <div className="cashier-screen">
+        <div className="cashier-header">
+          <h1>Cashier</h1>
+        </div>
+        {catalog === undefined ? (
+          <div className="loading-state">Loading saved catalog...</div>
+        ) : catalog ? (
+          <OfflineSale
+            catalog={catalog}
+            employee={employee}
+            carriedOver={carriedOver}
+            onQueued={syncOfflineSales}
+            onLeave={handleLeaveOffline}
+          />
+        ) : (
+          <div className="alert alert-error">
+            This register has no saved catalog to sell from.
+            <button className="new-transaction-btn" onClick={handleLeaveOffline}>Back</button>
+          </div>
+        )}
+      </div>
+    );
+  }
 
   return (
     <div className="cashier-screen">
@@ -357,6 +1189,14 @@ const CashierScreen = () => {
             <div className="transaction-id">
               Transaction: {transactionId.substring(0, 8)}...
             </div>
+            <button
+              className="suspend-transaction-btn"
+              onClick={handleSuspendTransaction}
+              disabled={loading || !hasLines || (transaction?.payments || []).length > 0}
+              title="Park this sale and serve the next customer"
+            >
+              Suspend Sale
+            </button>
             <button
               className="cancel-transaction-btn"
               onClick={handleCancelTransaction}
@@ -374,6 +1214,21 @@ const CashierScreen = () => {
         </div>
       )}
 
+      {connectionLost && transactionId && !success && !refundMode && (
+        <div className="connection-lost">
+          {(transaction?.payments || []).length > 0 ? (
+            <span>The connection to the server dropped. Payments were taken, so this sale has to be finished once the server is back.</span>
+          ) : (
+            <>
+              <span>The connection to the server dropped. Finish this sale offline?</span>
+              <button className="continue-offline-btn" onClick={handleContinueOffline} disabled={!catalog}>
+                Continue Offline
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
       {success && transaction && !refundMode && (
         <div className="success-screen">
           <div className="alert alert-success">
@@ -384,7 +1239,7 @@ const CashierScreen = () => {
             <h2>Transaction Summary</h2>
             <div className="receipt-id">
               <span className="receipt-label">Receipt #:</span>
-              <span className="receipt-number">{transaction.id}</span>
+              <span className="receipt-number">{transaction.receipt_number || transaction.id}</span>
             </div>
             
             {transaction.lines && transaction.lines.length > 0 && (
@@ -401,12 +1256,24 @@ const CashierScreen = () => {
                   <tbody>
                     {transaction.lines.map((line) => (
                       <tr key={line.id}>
-                        <td>{line.item?.name || 'Unknown Item'}</td>
-                        <td>{line.quantity}</td>
-                        <td>{formatCurrency(line.unit_price)}</td>
+                        <td>
+                          {formatLineName(line)}
+                          {line.discount_type && (
+                            <div className="line-discount">
+                              {discountLabel(line.discount_type, line.discount_value)} (−{formatCurrency(line.discount_amount)})
+                            </div>
+                          )}
+                        </td>
+                        <td>{formatQuantity(line.quantity, line.weight_unit)}</td>
+                        <td>{formatCurrency(line.unit_price)}{line.weight_unit && `/${line.weight_unit}`}</td>
                         <td>{formatCurrency(line.line_total)}</td>
                       </tr>
                     ))}
+                    {(transaction.adjustments || []).map((adjustment) => (
+                      <tr key={adjustment.id} className="promotion-row">
+                        <td colSpan="4">{promotionLabel(adjustment)} (saved {formatCurrency(adjustment.amount)})</td>
+                      </tr>
+                    ))}
                   </tbody>
                 </table>
               </div>
@@ -417,6 +1284,15 @@ const CashierScreen = () => {
                 <span>Subtotal:</span>
                 <span>{formatCurrency(transaction.subtotal)}</span>
               </div>
+              {parseFloat(transaction.discount_total) > 0 && (
+                <div className="total-row discount-row">
+                  <span>
+                    Discounts
+                    {transaction.discount_type && ` (sale ${discountLabel(transaction.discount_type, transaction.discount_value)})`}:
+                  </span>
+                  <span>−{formatCurrency(transaction.discount_total)}</span>
+                </div>
+              )}
               <div className="total-row">
                 <span>Tax:</span>
                 <span>{formatCurrency(transaction.tax)}</span>
@@ -427,6 +1303,20 @@ const CashierScreen = () => {
               </div>
             </div>
 
+            {transaction.payments && transaction.payments.length > 0 && (
+              <div className="success-tenders">
+                {transaction.payments.map((payment) => (
+                  <div key={payment.id} className="total-row">
+                    <span>
+                      {tenderLabel(payment.method)}
+                      {tenderDetail(payment) && ` (${tenderDetail(payment)})`}:
+                    </span>
+                    <span>{formatCurrency(payment.amount)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
             {change !== null && (
               <div className="change-display">
                 Change: <strong>{formatCurrency(change)}</strong>
@@ -434,9 +1324,14 @@ const CashierScreen = () => {
             )}
           </div>
 
-          <button className="new-transaction-btn" onClick={handleNewTransaction}>
-            New Transaction
-          </button>
+          <div className="success-actions">
+            <button className="print-receipt-btn" onClick={() => handlePrintReceipt(transaction.id)}>
+              {printedReceipts.has(transaction.id) ? 'Reprint Receipt' : 'Print Receipt'}
+            </button>
+            <button className="new-transaction-btn" onClick={handleNewTransaction}>
+              New Transaction
+            </button>
+          </div>
         </div>
       )}
 
@@ -451,25 +1346,51 @@ const CashierScreen = () => {
             <div className="refund-amount-display">
               Refund Amount: <strong>{formatCurrency(refundAmount)}</strong>
             </div>
-            <p>Give this amount back to the customer.</p>
+            {refundTenders.length > 0 && (
+              <div className="success-tenders">
+                {refundTenders.map((payment) => (
+                  <div key={payment.id} className="total-row">
+                    <span>
+                      {tenderLabel(payment.method)}
+                      {tenderDetail(payment) && ` (${tenderDetail(payment)})`}:
+                    </span>
+                    <span>{formatCurrency(-payment.amount)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+            {refundTenders.some(payment => payment.method === 'cash') && (
+              <p>
+                Give {formatCurrency(-refundTenders.find(payment => payment.method === 'cash').amount)} in cash back to the customer.
+              </p>
+            )}
           </div>
 
-          <button className="new-transaction-btn" onClick={() => {
-            setRefundMode(false);
-            setRefundTransactionId('');
-            setRefundTransaction(null);
-            setRefundAmount(null);
-            setSelectedRefundLines(new Set());
-            setSuccess(false);
-            setTransaction(null);
-            setChange(null);
+          <div className="success-actions">
+            {refundReceiptId && (
+              <button className="print-receipt-btn" onClick={() => handlePrintReceipt(refundReceiptId)}>
+                {printedReceipts.has(refundReceiptId) ? 'Reprint Refund Receipt' : 'Print Refund Receipt'}
+              </button>
+            )}
+            <button className="new-transaction-btn" onClick={() => {
+              setRefundMode(false);
+              setRefundTransactionId('');
+              setRefundTransaction(null);
+              setRefundAmount(null);
+              setRefundTenders([]);
+              setRefundReceiptId(null);
+              setRefundQuantities({});
+              setSuccess(false);
+              setTransaction(null);
+              setChange(null);
             
-            // Clear refund state from localStorage
-            localStorage.removeItem('refundMode');
-            localStorage.removeItem('refundTransactionId');
-          }}>
-            Home
-          </button>
+              // Clear refund state from localStorage
+              localStorage.removeItem('refundMode');
+              localStorage.removeItem('refundTransactionId');
+            }}>
+              Home
+            </button>
+          </div>
         </div>
       )}
 
@@ -489,6 +1410,10 @@ const CashierScreen = () => {
             </div>
           </div>
 
+          {suspendedSalesSection}
+
+          {offlineQueueSection}
+
           <div className="refund-section-start">
             <div className="refund-section-label">
               Press button to start a refund
@@ -508,16 +1433,16 @@ const CashierScreen = () => {
         <div className="refund-lookup-section">
           <div className="refund-lookup-content">
             <h2>Process Refund</h2>
-            <p>Enter the transaction ID to process a refund.</p>
+            <p>Scan the receipt barcode or enter the receipt number to process a refund.</p>
             <form onSubmit={handleRefundLookup}>
               <div className="input-group">
-                <label htmlFor="refund-transaction-id">Transaction ID</label>
+                <label htmlFor="refund-transaction-id">Receipt Number</label>
                 <input
                   id="refund-transaction-id"
                   type="text"
                   value={refundTransactionId}
                   onChange={(e) => setRefundTransactionId(e.target.value)}
-                  placeholder="Enter transaction ID..."
+                  placeholder="Scan or enter receipt number (or transaction ID)..."
                   disabled={loading}
                   autoFocus
                 />
@@ -548,7 +1473,7 @@ const CashierScreen = () => {
           <div className="refund-details-header">
             <h2>Refund Transaction</h2>
             <div className="refund-transaction-id">
-              Transaction ID: {refundTransaction.id}
+              Receipt #: {refundTransaction.receipt_number || refundTransaction.id}
             </div>
             <button 
               className="cancel-refund-btn"
@@ -590,6 +1515,8 @@ const CashierScreen = () => {
                       <th></th>
                       <th>Item</th>
                       <th>Qty</th>
+                      <th>Remaining</th>
+                      <th>Return</th>
                       <th>Price</th>
                       <th>Total</th>
                       <th>Status</th>
@@ -597,8 +1524,10 @@ const CashierScreen = () => {
                   </thead>
                   <tbody>
                     {refundTransaction.lines.map((line) => {
-                      const isRefunded = line.refunded_by !== null && line.refunded_by !== undefined;
-                      const isSelected = selectedRefundLines.has(line.id);
+                      const remaining = refundableQuantity(line);
+                      const isRefunded = remaining <= 0;
+                      const isPartiallyRefunded = !isRefunded && remaining < line.quantity;
+                      const isSelected = Boolean(refundQuantities[line.id]);
                       return (
                         <tr 
                           key={line.id} 
@@ -609,19 +1538,42 @@ const CashierScreen = () => {
                               <input
                                 type="checkbox"
                                 checked={isSelected}
-                                onChange={() => handleToggleRefundLine(line.id)}
+                                onChange={() => handleToggleRefundLine(line)}
+                                disabled={loading}
+                              />
+                            )}
+                          </td>
+                          <td>
+                            {formatLineName(line)}
+                            {(parseFloat(line.discount_amount) > 0 || parseFloat(line.transaction_discount_amount) > 0) && (
+                              <div className="line-discount">
+                                −{formatCurrency(toDollars(toCents(line.discount_amount) + toCents(line.transaction_discount_amount)))} discount
+                              </div>
+                            )}
+                          </td>
+                          <td>{formatQuantity(line.quantity, line.weight_unit)}</td>
+                          <td>{formatQuantity(remaining, line.weight_unit)}</td>
+                          <td>
+                            {/* Weighed lines are returned whole: select them with the checkbox */}
+                            {!isRefunded && !line.weight_unit && (
+                              <input
+                                type="number"
+                                className="refund-quantity-input"
+                                min="0"
+                                max={remaining}
+                                value={refundQuantities[line.id] || 0}
+                                onChange={(e) => handleRefundQuantityChange(line, e.target.value)}
                                 disabled={loading}
                               />
                             )}
                           </td>
-                          <td>{line.item?.name || 'Unknown Item'}</td>
-                          <td>{line.quantity}</td>
                           <td>{formatCurrency(line.unit_price)}</td>
-                          <td>{formatCurrency(line.tax_rate * line.unit_price)}</td>
                           <td>{formatCurrency(line.line_total)}</td>
                           <td>
                             {isRefunded ? (
                               <span className="refunded-badge">Refunded</span>
+                            ) : isPartiallyRefunded ? (
+                              <span className="partially-refunded-badge">Partially Refunded</span>
                             ) : (
                               <span className="available-badge">Available</span>
                             )}
@@ -644,10 +1596,15 @@ const CashierScreen = () => {
                   <span>Refund Amount:</span>
                   <span className="refund-amount-value">{formatCurrency(refundAmount)}</span>
                 </div>
+                {refundTransaction.adjustments && refundTransaction.adjustments.length > 0 && (
+                  <p className="refund-promotion-note">
+                    This sale had promotions. If the items kept no longer qualify, the refund is reduced by the lost savings.
+                  </p>
+                )}
                 <button 
                   className="process-refund-btn"
                   onClick={handleProcessRefund}
-                  disabled={loading || selectedRefundLines.size === 0}
+                  disabled={loading || Object.keys(refundQuantities).length === 0}
                 >
                   {loading ? 'Processing...' : 'Process Refund'}
                 </button>
@@ -680,8 +1637,24 @@ const CashierScreen = () => {
             </form>
           </div>
 
+          <div className="item-picker-section">
+            <ItemLookup onSelect={handleAddItem} disabled={loading} />
+            <QuickKeys onSelect={handleAddItem} disabled={loading} canEdit={canEditQuickKeys} />
+          </div>
+
           <div className="transaction-section">
-            <h2>Transaction Items</h2>
+            <div className="transaction-section-header">
+              <h2>Transaction Items</h2>
+              {transaction?.lines && transaction.lines.length > 0 && (
+                <button
+                  className="void-last-btn"
+                  onClick={handleVoidLastItem}
+                  disabled={loading}
+                >
+                  Void Last Item
+                </button>
+              )}
+            </div>
             {transaction?.lines && transaction.lines.length > 0 ? (
               <div className="items-list">
                 <table>
@@ -691,15 +1664,98 @@ const CashierScreen = () => {
                       <th>Qty</th>
                       <th>Price</th>
                       <th>Total</th>
+                      <th></th>
                     </tr>
                   </thead>
                   <tbody>
                     {transaction.lines.map((line) => (
                       <tr key={line.id}>
-                        <td>{line.item?.name || 'Unknown Item'}</td>
-                        <td>{line.quantity}</td>
-                        <td>{formatCurrency(line.unit_price)}</td>
+                        <td>
+                          {formatLineName(line)}
+                          {line.discount_type && (
+                            <div className="line-discount">
+                              {discountLabel(line.discount_type, line.discount_value)} (−{formatCurrency(line.discount_amount)})
+                              <button
+                                type="button"
+                                className="remove-discount-btn"
+                                onClick={() => handleRemoveDiscount(line)}
+                                disabled={loading}
+                                aria-label="Remove discount"
+                              >
+                                ×
+                              </button>
+                            </div>
+                          )}
+                        </td>
+                        <td>
+                          {line.weight_unit || line.from_label ? (
+                            // Weighed and labelled lines are weighed or scanned
+                            // again rather than changed
+                            <span className="quantity-value">{formatQuantity(line.quantity, line.weight_unit)}</span>
+                          ) : (
+                            <div className="quantity-controls">
+                              <button
+                                type="button"
+                                className="quantity-btn"
+                                onClick={() => handleLineQuantityChange(line, line.quantity - 1)}
+                                disabled={loading || line.quantity <= 1}
+                                aria-label="Decrease quantity"
+                              >
+                                −
+                              </button>
+                              <span className="quantity-value">{line.quantity}</span>
+                              <button
+                                type="button"
+                                className="quantity-btn"
+                                onClick={() => handleLineQuantityChange(line, line.quantity + 1)}
+                                disabled={loading}
+                                aria-label="Increase quantity"
+                              >
+                                +
+                              </button>
+                            </div>
+                          )}
+                        </td>
+                        <td>
+                          {formatCurrency(line.unit_price)}{line.weight_unit && `/${line.weight_unit}`}
+                          {line.original_unit_price !== null && line.original_unit_price !== undefined && (
+                            <div className="original-price">was {formatCurrency(line.original_unit_price)}</div>
+                          )}
+                        </td>
                         <td>{formatCurrency(line.line_total)}</td>
+                        <td>
+                          <div className="line-actions">
+                            <button
+                              type="button"
+                              className="discount-line-btn"
+                              onClick={() => openDiscountForm(line.id)}
+                              disabled={loading}
+                            >
+                              Discount
+                            </button>
+                            <button
+                              type="button"
+                              className="discount-line-btn"
+                              onClick={() => openPriceForm(line)}
+                              disabled={loading}
+                            >
+                              Price
+                            </button>
+                            <button
+                              type="button"
+                              className="remove-line-btn"
+                              onClick={() => handleRemoveLine(line)}
+                              disabled={loading}
+                            >
+                              Remove
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                    {(transaction.adjustments || []).map((adjustment) => (
+                      <tr key={adjustment.id} className="promotion-row">
+                        <td colSpan="5">{promotionLabel(adjustment)} (saved {formatCurrency(adjustment.amount)})</td>
                       </tr>
                     ))}
                   </tbody>
@@ -711,12 +1767,129 @@ const CashierScreen = () => {
               </div>
             )}
 
+            {discountTarget && transaction?.lines && (
+              <form className="discount-form" onSubmit={handleDiscountSubmit}>
+                <div className="discount-form-title">
+                  {discountTarget === 'transaction'
+                    ? 'Discount whole sale'
+                    : `Discount ${transaction.lines.find(line => line.id === discountTarget)?.item?.name || 'line'}`}
+                </div>
+                <div className="discount-form-row">
+                  <div className="discount-types">
+                    {DISCOUNT_TYPES.map((type) => (
+                      <button
+                        key={type.id}
+                        type="button"
+                        className={`discount-type-btn ${discountType === type.id ? 'active' : ''}`}
+                        onClick={() => setDiscountType(type.id)}
+                        disabled={loading}
+                      >
+                        {type.label}
+                      </button>
+                    ))}
+                  </div>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    max={discountType === 'percent' ? 100 : undefined}
+                    value={discountValue}
+                    onChange={(e) => setDiscountValue(e.target.value)}
+                    placeholder={discountType === 'percent' ? 'Percent' : 'Amount'}
+                    disabled={loading}
+                    autoFocus
+                  />
+                  <button
+                    type="submit"
+                    disabled={loading || !discountValue || parseFloat(discountValue) <= 0}
+                  >
+                    Apply
+                  </button>
+                  <button
+                    type="button"
+                    className="cancel-discount-btn"
+                    onClick={() => setDiscountTarget(null)}
+                    disabled={loading}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {priceTarget && transaction?.lines && (
+              <form className="discount-form" onSubmit={handlePriceSubmit}>
+                <div className="discount-form-title">
+                  {`Change price of ${transaction.lines.find(line => line.id === priceTarget)?.item?.name || 'line'}`}
+                </div>
+                <div className="discount-form-row">
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={priceValue}
+                    onChange={(e) => setPriceValue(e.target.value)}
+                    placeholder="Unit price"
+                    disabled={loading}
+                    autoFocus
+                  />
+                  <button
+                    type="submit"
+                    disabled={loading || priceValue === '' || parseFloat(priceValue) < 0}
+                  >
+                    Apply
+                  </button>
+                  <button
+                    type="button"
+                    className="cancel-discount-btn"
+                    onClick={() => setPriceTarget(null)}
+                    disabled={loading}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            )}
+
             {transaction && (
               <div className="transaction-totals">
                 <div className="total-row">
                   <span>Subtotal:</span>
                   <span>{formatCurrency(transaction.subtotal)}</span>
                 </div>
+                {parseFloat(transaction.discount_total) > 0 && (
+                  <div className="total-row discount-row">
+                    <span>Discounts:</span>
+                    <span>−{formatCurrency(transaction.discount_total)}</span>
+                  </div>
+                )}
+                {transaction.lines && transaction.lines.length > 0 && (
+                  <div className="sale-discount">
+                    {transaction.discount_type ? (
+                      <>
+                        <span>Sale discount: {discountLabel(transaction.discount_type, transaction.discount_value)}</span>
+                        <button
+                          type="button"
+                          className="remove-discount-btn"
+                          onClick={() => handleRemoveDiscount()}
+                          disabled={loading}
+                          aria-label="Remove sale discount"
+                        >
+                          ×
+                        </button>
+                      </>
+                    ) : (
+                      <button
+                        type="button"
+                        className="discount-line-btn"
+                        onClick={() => openDiscountForm('transaction')}
+                        disabled={loading}
+                      >
+                        Discount Sale
+                      </button>
+                    )}
+                  </div>
+                )}
                 <div className="total-row">
                   <span>Tax:</span>
                   <span>{formatCurrency(transaction.tax)}</span>
@@ -729,33 +1902,132 @@ const CashierScreen = () => {
             )}
 
             {transaction && transaction.total > 0 && (
-              <div className="cash-section">
-                <form onSubmit={handleCashSubmit}>
-                  <div className="input-group">
-                    <label htmlFor="cash">Cash Amount</label>
-                    <input
-                      id="cash"
-                      type="number"
-                      step="0.01"
-                      min="0"
-                      value={cashAmount}
-                      onChange={(e) => setCashAmount(e.target.value)}
-                      placeholder="0.00"
-                      disabled={loading}
-                    />
+              <div className="tender-panel">
+                <div className="balance-due">
+                  <span>Balance Due:</span>
+                  <span className="balance-due-value">{formatCurrency(balanceDue)}</span>
+                </div>
+
+                {transaction.payments && transaction.payments.length > 0 && (
+                  <ul className="applied-tenders">
+                    {transaction.payments.map((payment) => (
+                      <li key={payment.id}>
+                        <span>
+                          {tenderLabel(payment.method)}
+                          {tenderDetail(payment) && (
+                            <span className="tender-reference"> ({tenderDetail(payment)})</span>
+                          )}
+                        </span>
+                        <span>{formatCurrency(payment.amount)}</span>
+                        <button
+                          type="button"
+                          className="remove-tender-btn"
+                          onClick={() => handleRemovePayment(payment)}
+                          disabled={loading}
+                          aria-label="Remove payment"
+                        >
+                          ×
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                <div className="tender-methods">
+                  {TENDER_METHODS.map((tender) => (
                     <button
-                      type="submit"
-                      disabled={loading || !cashAmount || parseFloat(cashAmount) <= 0}
+                      key={tender.id}
+                      type="button"
+                      className={`tender-method-btn ${tenderMethod === tender.id ? 'active' : ''}`}
+                      onClick={() => setTenderMethod(tender.id)}
+                      disabled={loading}
                     >
-                      {loading ? 'Processing...' : 'Complete Sale'}
+                      {tender.label}
                     </button>
+                  ))}
+                </div>
+
+                <form onSubmit={handleTenderSubmit}>
+                  <div className="input-group">
+                    <label htmlFor="tender-amount">{tenderLabel(tenderMethod)} Amount</label>
+                    <div className="tender-amount-row">
+                      <input
+                        id="tender-amount"
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        value={tenderAmount}
+                        onChange={(e) => setTenderAmount(e.target.value)}
+                        placeholder={formatCents(toCents(balanceDue))}
+                        disabled={loading}
+                      />
+                      <button
+                        type="button"
+                        className="exact-amount-btn"
+                        onClick={() => setTenderAmount(formatCents(toCents(balanceDue)))}
+                        disabled={loading}
+                      >
+                        Exact
+                      </button>
+                    </div>
+                    {(tenderMethod === 'gift_card' || tenderMethod === 'store_credit') && (
+                      <input
+                        type="text"
+                        value={tenderReference}
+                        onChange={(e) => setTenderReference(e.target.value)}
+                        placeholder={tenderMethod === 'gift_card' ? 'Gift card number' : 'Credit reference'}
+                        disabled={loading}
+                      />
+                    )}
+                    {cardAuthorization ? (
+                      <div className="card-authorization">
+                        <span>Waiting for card on terminal ({formatCurrency(cardAuthorization.amount)})...</span>
+                        <button
+                          type="button"
+                          className="cancel-card-btn"
+                          onClick={handleCancelCardAuthorization}
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    ) : (
+                      <button
+                        type="submit"
+                        disabled={loading || !tenderAmount || parseFloat(tenderAmount) <= 0}
+                      >
+                        {loading ? 'Processing...' : 'Apply Payment'}
+                      </button>
+                    )}
                   </div>
                 </form>
               </div>
             )}
           </div>
+
+          {!hasLines && suspendedSalesSection}
         </>
       )}
+
+      {itemEntry && (
+        <ItemEntryDialog
+          key={`${itemEntry.item.id}-${itemEntry.code}`}
+          item={itemEntry.item}
+          code={itemEntry.code}
+          message={itemEntry.message}
+          scaleEnabled={scaleEnabled}
+          onSubmit={handleItemEntrySubmit}
+          onCancel={closeItemEntry}
+        />
+      )}
+
+      {overridePrompt && (
+        <ManagerOverrideDialog
+          action={overridePrompt.action}
+          message={overridePrompt.message}
+          onApprove={closeOverridePrompt}
+          onCancel={() => closeOverridePrompt(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,283 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './EmployeesScreen.css';
+
+const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+const ROLES = [
+  { id: 'cashier', label: 'Cashier', description: 'Sales, discounts, payments and receipts' },
+  { id: 'manager', label: 'Manager', description: 'Also refunds, items, promotions and reports' },
+  { id: 'admin', label: 'Admin', description: 'Also store settings and employees' }
+];
+
+const EMPTY_FORM = {
+  name: '',
+  role: 'cashier',
+  pin: ''
+};
+
+const EmployeesScreen = ({ currentEmployee }) => {
+  const [employees, setEmployees] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [editingEmployee, setEditingEmployee] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    fetchEmployees();
+  }, []);
+
+  const fetchEmployees = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await axios.get(`${API_BASE}/employees`);
+      setEmployees(response.data);
+    } catch (err) {
+      setError('Failed to load employees');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetForm = () => {
+    setFormData(EMPTY_FORM);
+    setEditingEmployee(null);
+    setError(null);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleEdit = (employee) => {
+    setEditingEmployee(employee);
+    setFormData({ name: employee.name, role: employee.role, pin: '' });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const payload = {
+        name: formData.name.trim(),
+        role: formData.role
+      };
+      // On edit, a blank PIN keeps the current one
+      if (!editingEmployee || formData.pin) {
+        payload.pin = formData.pin;
+      }
+
+      if (editingEmployee) {
+        await axios.put(`${API_BASE}/employees/${editingEmployee.id}`, payload);
+      } else {
+        await axios.post(`${API_BASE}/employees`, payload);
+      }
+
+      resetForm();
+      await fetchEmployees();
+    } catch (err) {
+      if (err.response?.data?.error) {
+        setError(err.response.data.error);
+      } else {
+        setError('Failed to save employee');
+      }
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDeactivate = async (employee) => {
+    if (!window.confirm(`Deactivate ${employee.name}? They are signed out and can no longer sign in.`)) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      await axios.delete(`${API_BASE}/employees/${employee.id}`);
+      await fetchEmployees();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to deactivate employee');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReactivate = async (employee) => {
+    try {
+      setLoading(true);
+      await axios.put(`${API_BASE}/employees/${employee.id}`, { is_active: true });
+      await fetchEmployees();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to reactivate employee');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const roleLabel = (role) => ROLES.find(entry => entry.id === role)?.label || role;
+
+  return (
+    <div className="employees-screen">
+      <div className="employees-header">
+        <h1>Employees</h1>
+      </div>
+
+      {error && (
+        <div className="alert alert-error" onClick={() => setError(null)}>
+          {error}
+        </div>
+      )}
+
+      {/* Employee Form */}
+      <div className="employee-form-section">
+        <h2>{editingEmployee ? 'Edit Employee' : 'Add Employee'}</h2>
+        <form onSubmit={handleSubmit} className="employee-form">
+          <div className="form-row form-row-3">
+            <div className="form-group">
+              <label htmlFor="employee-name">Name *</label>
+              <input
+                id="employee-name"
+                name="name"
+                type="text"
+                value={formData.name}
+                onChange={handleInputChange}
+                required
+                disabled={loading}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="employee-role">Role *</label>
+              <select
+                id="employee-role"
+                name="role"
+                value={formData.role}
+                onChange={handleInputChange}
+                disabled={loading || editingEmployee?.id === currentEmployee?.id}
+              >
+                {ROLES.map(role => (
+                  <option key={role.id} value={role.id}>{role.label}</option>
+                ))}
+              </select>
+              <small>{ROLES.find(role => role.id === formData.role)?.description}</small>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="employee-pin">{editingEmployee ? 'New PIN' : 'PIN *'}</label>
+              <input
+                id="employee-pin"
+                name="pin"
+                type="password"
+                inputMode="numeric"
+                pattern="\d{4,8}"
+                autoComplete="new-password"
+                value={formData.pin}
+                onChange={handleInputChange}
+                required={!editingEmployee}
+                disabled={loading}
+              />
+              <small>
+                {editingEmployee ? 'Leave blank to keep the current PIN. ' : ''}4 to 8 digits
+              </small>
+            </div>
+          </div>
+
+          <div className="form-actions">
+            <button type="submit" disabled={loading} className="submit-btn">
+              {loading ? 'Saving...' : editingEmployee ? 'Update Employee' : 'Add Employee'}
+            </button>
+            {editingEmployee && (
+              <button
+                type="button"
+                onClick={resetForm}
+                className="cancel-btn"
+                disabled={loading}
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+
+      {/* Employee List */}
+      <div className="employees-list-section">
+        <h2>All Employees</h2>
+        {loading && employees.length === 0 ? (
+          <div className="loading-state">Loading employees...</div>
+        ) : (
+          <div className="employees-table-container">
+            <table className="employees-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Role</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {employees.map(employee => (
+                  <tr key={employee.id} className={!employee.is_active ? 'inactive' : ''}>
+                    <td>
+                      {employee.name}
+                      {employee.id === currentEmployee?.id && <span className="employee-you"> (you)</span>}
+                    </td>
+                    <td>{roleLabel(employee.role)}</td>
+                    <td>
+                      <span className={`status-badge ${employee.is_active ? 'active' : 'inactive'}`}>
+                        {employee.is_active ? 'Active' : 'Inactive'}
+                      </span>
+                    </td>
+                    <td>
+                      <div className="action-buttons">
+                        <button
+                          onClick={() => handleEdit(employee)}
+                          className="edit-btn"
+                          disabled={loading}
+                        >
+                          Edit
+                        </button>
+                        {employee.is_active ? (
+                          employee.id !== currentEmployee?.id && (
+                            <button
+                              onClick={() => handleDeactivate(employee)}
+                              className="delete-btn"
+                              disabled={loading}
+                            >
+                              Deactivate
+                            </button>
+                          )
+                        ) : (
+                          <button
+                            onClick={() => handleReactivate(employee)}
+                            className="edit-btn"
+                            disabled={loading}
+                          >
+                            Reactivate
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EmployeesScreen;
@@ -1,52 +1,142 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
 import './ItemsScreen.css';
+import { formatCurrency } from '../utils/money';
+import { formatItemPrice, formatQuantity, PRICE_TYPES, WEIGHT_UNITS } from '../utils/items';
+import ItemPacks from '../components/ItemPacks';
 
 const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
 
+const PAGE_SIZE = 25;
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DELAY_MS = 300;
+
+// Sort choices, as "column:order" for GET /items/search
+const SORTS = [
+  { id: 'name:asc', label: 'Name (A–Z)' },
+  { id: 'name:desc', label: 'Name (Z–A)' },
+  { id: 'price:asc', label: 'Price (low to high)' },
+  { id: 'price:desc', label: 'Price (high to low)' },
+  { id: 'created_at:desc', label: 'Newest first' },
+  { id: 'created_at:asc', label: 'Oldest first' }
+];
+
 const ItemsScreen = () => {
   const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [editingItem, setEditingItem] = useState(null);
+  // What the inventory list shows: the search text (applied once typing
+  // pauses), where it must appear in the name, a category id ('none' for
+  // uncategorized), the sort and the page
+  const [searchText, setSearchText] = useState('');
+  const [filters, setFilters] = useState({ q: '', match: 'contains', categoryId: '', sort: 'name:asc', page: 1 });
+  const [newCategoryName, setNewCategoryName] = useState('');
+  const [editingCategory, setEditingCategory] = useState(null);
+  // Only the latest search may fill the list
+  const latestSearchRef = useRef(0);
 
   // Form state
   const [formData, setFormData] = useState({
     name: '',
+    price_type: 'fixed',
     price: '',
+    min_price: '',
+    max_price: '',
+    weight_unit: 'kg',
     tax_rate: '',
     quantity: '',
     cost: '',
     pack_size: '1',
+    category_id: '',
+    plu: '',
     barcodes: ['']
   });
 
-  useEffect(() => {
-    fetchItems();
-  }, []);
+  const fetchItems = useCallback(async () => {
+    const searchId = latestSearchRef.current + 1;
+    latestSearchRef.current = searchId;
+
+    const [sort, order] = filters.sort.split(':');
+    const params = { sort, order, match: filters.match, page: filters.page, page_size: PAGE_SIZE };
+    if (filters.q) params.q = filters.q;
+    if (filters.categoryId) params.category_id = filters.categoryId;
 
-  const fetchItems = async () => {
     try {
       setLoading(true);
       setError(null);
-      const response = await axios.get(`${API_BASE}/items`);
-      setItems(response.data);
+      const response = await axios.get(`${API_BASE}/items/search`, { params });
+      if (searchId !== latestSearchRef.current) return;
+
+      const { items: pageItems, total: matching } = response.data;
+      // Step back when the page emptied (its last item was deleted)
+      if (pageItems.length === 0 && matching > 0 && filters.page > 1) {
+        setFilters(prev => ({ ...prev, page: Math.ceil(matching / PAGE_SIZE) }));
+        return;
+      }
+      setItems(pageItems);
+      setTotal(matching);
     } catch (err) {
       setError('Failed to load items');
       console.error(err);
     } finally {
       setLoading(false);
     }
+  }, [filters]);
+
+  const fetchCategories = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/categories`);
+      setCategories(response.data);
+    } catch (err) {
+      setError('Failed to load categories');
+      console.error(err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchItems();
+  }, [fetchItems]);
+
+  useEffect(() => {
+    fetchCategories();
+  }, [fetchCategories]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const q = searchText.trim();
+      setFilters(prev => (prev.q === q ? prev : { ...prev, q, page: 1 }));
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchText]);
+
+  // Change a filter and go back to the first page
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value, page: 1 }));
+  };
+
+  const goToPage = (page) => {
+    setFilters(prev => ({ ...prev, page }));
   };
 
   const resetForm = () => {
     setFormData({
       name: '',
+      price_type: 'fixed',
       price: '',
+      min_price: '',
+      max_price: '',
+      weight_unit: 'kg',
       tax_rate: '0',
       quantity: '0',
       cost: '0',
       pack_size: '1',
+      category_id: '',
+      plu: '',
       barcodes: ['']
     });
     setEditingItem(null);
@@ -91,11 +181,17 @@ const ItemsScreen = () => {
     setEditingItem(item);
     setFormData({
       name: item.name || '',
+      price_type: item.price_type || 'fixed',
       price: item.price || '',
+      min_price: item.min_price ?? '',
+      max_price: item.max_price ?? '',
+      weight_unit: item.weight_unit || 'kg',
       tax_rate: item.tax_rate || '0',
       quantity: item.quantity || '0',
       cost: item.cost || '0',
       pack_size: item.pack_size || '1',
+      category_id: item.category_id || '',
+      plu: item.plu || '',
       barcodes: item.barcodes && item.barcodes.length > 0 ? item.barcodes : ['']
     });
     window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -114,17 +210,26 @@ const ItemsScreen = () => {
       return;
     }
 
+    // Blank price inputs (an open item's suggested price and limits) are null
+    const optionalPrice = (value) => (value === '' || value === null ? null : parseFloat(value));
+
     try {
       setLoading(true);
       setError(null);
 
       const payload = {
         name: formData.name.trim(),
-        price: parseFloat(formData.price),
+        price_type: formData.price_type,
+        price: optionalPrice(formData.price),
+        min_price: formData.price_type === 'open' ? optionalPrice(formData.min_price) : null,
+        max_price: formData.price_type === 'open' ? optionalPrice(formData.max_price) : null,
+        weight_unit: formData.price_type === 'weighed' ? formData.weight_unit : null,
         tax_rate: parseFloat(formData.tax_rate || 0),
-        quantity: parseInt(formData.quantity || 0),
+        quantity: parseFloat(formData.quantity || 0),
         cost: parseFloat(formData.cost || 0),
         pack_size: parseInt(formData.pack_size || 1),
+        category_id: formData.category_id || null,
+        plu: formData.plu.trim() || null,
         barcodes: validBarcodes
       };
 
@@ -135,7 +240,7 @@ const ItemsScreen = () => {
       }
 
       resetForm();
-      await fetchItems();
+      await Promise.all([fetchItems(), fetchCategories()]);
     } catch (err) {
       if (err.response?.data?.error) {
         setError(err.response.data.error);
@@ -156,7 +261,7 @@ const ItemsScreen = () => {
     try {
       setLoading(true);
       await axios.delete(`${API_BASE}/items/${itemId}`);
-      await fetchItems();
+      await Promise.all([fetchItems(), fetchCategories()]);
     } catch (err) {
       setError('Failed to deactivate item');
       console.error(err);
@@ -165,10 +270,66 @@ const ItemsScreen = () => {
     }
   };
 
-  const formatCurrency = (amount) => {
-    return `$${parseFloat(amount || 0).toFixed(2)}`;
+  // Run a category change and reload, showing the server's error if any
+  const saveCategory = async (request, failure) => {
+    try {
+      setLoading(true);
+      setError(null);
+      await request();
+      await fetchCategories();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.error || failure);
+      console.error(err);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAddCategory = async (e) => {
+    e.preventDefault();
+    const name = newCategoryName.trim();
+    if (!name) return;
+
+    const saved = await saveCategory(() => axios.post(`${API_BASE}/categories`, { name }), 'Failed to add category');
+    if (saved) setNewCategoryName('');
   };
 
+  const handleRenameCategory = async (e) => {
+    e.preventDefault();
+    const name = editingCategory.name.trim();
+    if (!name) return;
+
+    const saved = await saveCategory(
+      () => axios.put(`${API_BASE}/categories/${editingCategory.id}`, { name }),
+      'Failed to rename category'
+    );
+    if (saved) setEditingCategory(null);
+  };
+
+  const handleDeleteCategory = async (category) => {
+    if (!window.confirm(`Delete the ${category.name} category? Its ${category.item_count} items will have no category.`)) {
+      return;
+    }
+
+    const deleted = await saveCategory(
+      () => axios.delete(`${API_BASE}/categories/${category.id}`),
+      'Failed to delete category'
+    );
+    if (deleted) {
+      if (filters.categoryId === category.id) {
+        setFilters(prev => ({ ...prev, categoryId: '', page: 1 }));
+      } else {
+        await fetchItems();
+      }
+    }
+  };
+
+  const categoryNames = new Map(categories.map(category => [category.id, category.name]));
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const isFiltered = Boolean(filters.q || filters.categoryId);
+
   return (
     <div className="items-screen">
       <div className="items-header">
@@ -200,7 +361,28 @@ const ItemsScreen = () => {
             </div>
 
             <div className="form-group">
-              <label htmlFor="price">Price *</label>
+              <label htmlFor="price_type">Sold</label>
+              <select
+                id="price_type"
+                name="price_type"
+                value={formData.price_type}
+                onChange={handleInputChange}
+                disabled={loading}
+              >
+                {PRICE_TYPES.map(type => (
+                  <option key={type.id} value={type.id}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="price">
+                {formData.price_type === 'open'
+                  ? 'Suggested Price'
+                  : formData.price_type === 'weighed' ? `Price per ${formData.weight_unit} *` : 'Price *'}
+              </label>
               <input
                 id="price"
                 name="price"
@@ -209,12 +391,63 @@ const ItemsScreen = () => {
                 min="0"
                 value={formData.price}
                 onChange={handleInputChange}
-                required
+                required={formData.price_type !== 'open'}
                 disabled={loading}
               />
             </div>
+
+            {formData.price_type === 'weighed' && (
+              <div className="form-group">
+                <label htmlFor="weight_unit">Weight Unit</label>
+                <select
+                  id="weight_unit"
+                  name="weight_unit"
+                  value={formData.weight_unit}
+                  onChange={handleInputChange}
+                  disabled={loading}
+                >
+                  {WEIGHT_UNITS.map(unit => (
+                    <option key={unit} value={unit}>{unit}</option>
+                  ))}
+                </select>
+              </div>
+            )}
           </div>
 
+          {formData.price_type === 'open' && (
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="min_price">Lowest Price</label>
+                <input
+                  id="min_price"
+                  name="min_price"
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={formData.min_price}
+                  onChange={handleInputChange}
+                  placeholder="No limit"
+                  disabled={loading}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="max_price">Highest Price</label>
+                <input
+                  id="max_price"
+                  name="max_price"
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={formData.max_price}
+                  onChange={handleInputChange}
+                  placeholder="No limit"
+                  disabled={loading}
+                />
+              </div>
+            </div>
+          )}
+
           <div className="form-row">
             <div className="form-group">
               <label htmlFor="tax_rate">Tax Rate</label>
@@ -234,11 +467,14 @@ const ItemsScreen = () => {
             </div>
 
             <div className="form-group">
-              <label htmlFor="quantity">Quantity</label>
+              <label htmlFor="quantity">
+                Stock at this store{formData.price_type === 'weighed' ? ` (${formData.weight_unit})` : ''}
+              </label>
               <input
                 id="quantity"
                 name="quantity"
                 type="number"
+                step={formData.price_type === 'weighed' ? '0.001' : '1'}
                 min="0"
                 value={formData.quantity}
                 onChange={handleInputChange}
@@ -263,7 +499,7 @@ const ItemsScreen = () => {
             </div>
 
             <div className="form-group">
-              <label htmlFor="pack_size">Pack Size</label>
+              <label htmlFor="pack_size">Case Size</label>
               <input
                 id="pack_size"
                 name="pack_size"
@@ -273,6 +509,42 @@ const ItemsScreen = () => {
                 onChange={handleInputChange}
                 disabled={loading}
               />
+              <small>Units per case delivered, for receiving stock by the case</small>
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="category_id">Category</label>
+              <select
+                id="category_id"
+                name="category_id"
+                value={formData.category_id}
+                onChange={handleInputChange}
+                disabled={loading}
+              >
+                <option value="">No category</option>
+                {categories.map(category => (
+                  <option key={category.id} value={category.id}>{category.name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="plu">PLU</label>
+              <input
+                id="plu"
+                name="plu"
+                type="text"
+                inputMode="numeric"
+                pattern="[0-9]{1,6}"
+                maxLength={6}
+                value={formData.plu}
+                onChange={handleInputChange}
+                placeholder="Optional"
+                disabled={loading}
+              />
+              <small>Deli and scale labels (barcodes starting with 2) name the item by this number</small>
             </div>
           </div>
 
@@ -329,24 +601,115 @@ const ItemsScreen = () => {
         </form>
       </div>
 
+      {editingItem && <ItemPacks item={editingItem} onChange={fetchItems} />}
+
+      {/* Categories */}
+      <div className="category-section">
+        <h2>Categories</h2>
+        {categories.length > 0 && (
+          <ul className="category-list">
+            {categories.map(category => (
+              <li key={category.id}>
+                {editingCategory?.id === category.id ? (
+                  <form className="category-form" onSubmit={handleRenameCategory}>
+                    <input
+                      type="text"
+                      aria-label={`New name for ${category.name}`}
+                      value={editingCategory.name}
+                      onChange={(e) => setEditingCategory(prev => ({ ...prev, name: e.target.value }))}
+                      disabled={loading}
+                      autoFocus
+                    />
+                    <button type="submit" className="edit-btn" disabled={loading || !editingCategory.name.trim()}>
+                      Save
+                    </button>
+                    <button type="button" className="cancel-btn" onClick={() => setEditingCategory(null)} disabled={loading}>
+                      Cancel
+                    </button>
+                  </form>
+                ) : (
+                  <>
+                    <span className="category-name">{category.name}</span>
+                    <span className="category-count">{category.item_count} items</span>
+                    <div className="action-buttons">
+                      <button
+                        onClick={() => setEditingCategory({ id: category.id, name: category.name })}
+                        className="edit-btn"
+                        disabled={loading}
+                      >
+                        Rename
+                      </button>
+                      <button onClick={() => handleDeleteCategory(category)} className="delete-btn" disabled={loading}>
+                        Delete
+                      </button>
+                    </div>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        <form className="category-form" onSubmit={handleAddCategory}>
+          <input
+            type="text"
+            placeholder="New category name"
+            aria-label="New category name"
+            value={newCategoryName}
+            onChange={(e) => setNewCategoryName(e.target.value)}
+            disabled={loading}
+          />
+          <button type="submit" className="submit-btn" disabled={loading || !newCategoryName.trim()}>
+            Add Category
+          </button>
+        </form>
+      </div>
+
       {/* Inventory Snapshot */}
       <div className="inventory-section">
         <h2>Current Inventory</h2>
+        <div className="inventory-filters">
+          <input
+            type="search"
+            placeholder="Search by name or barcode"
+            aria-label="Search items"
+            value={searchText}
+            onChange={(e) => setSearchText(e.target.value)}
+          />
+          <select name="match" aria-label="Where the name matches" value={filters.match} onChange={handleFilterChange}>
+            <option value="contains">Name contains</option>
+            <option value="prefix">Name starts with</option>
+          </select>
+          <select name="categoryId" aria-label="Category" value={filters.categoryId} onChange={handleFilterChange}>
+            <option value="">All categories</option>
+            {categories.map(category => (
+              <option key={category.id} value={category.id}>{category.name}</option>
+            ))}
+            <option value="none">No category</option>
+          </select>
+          <select name="sort" aria-label="Sort by" value={filters.sort} onChange={handleFilterChange}>
+            {SORTS.map(sort => (
+              <option key={sort.id} value={sort.id}>{sort.label}</option>
+            ))}
+          </select>
+        </div>
         {loading && items.length === 0 ? (
           <div className="loading-state">Loading items...</div>
         ) : items.length === 0 ? (
-          <div className="empty-state">No items found. Create your first item above.</div>
+          <div className="empty-state">
+            {isFiltered ? 'No items match your search.' : 'No items found. Create your first item above.'}
+          </div>
         ) : (
           <div className="inventory-table-container">
             <table className="inventory-table">
               <thead>
                 <tr>
                   <th>Name</th>
+                  <th>Category</th>
                   <th>Price</th>
                   <th>Tax Rate</th>
-                  <th>Quantity</th>
+                  <th>Stock here</th>
                   <th>Cost</th>
-                  <th>Pack Size</th>
+                  <th>Case Size</th>
                   <th>Barcodes</th>
                   <th>Status</th>
                   <th>Actions</th>
@@ -356,9 +719,10 @@ const ItemsScreen = () => {
                 {items.map((item) => (
                   <tr key={item.id} className={!item.is_active ? 'inactive' : ''}>
                     <td>{item.name}</td>
-                    <td>{formatCurrency(item.price)}</td>
+                    <td>{categoryNames.get(item.category_id) || '—'}</td>
+                    <td>{formatItemPrice(item)}</td>
                     <td>{(parseFloat(item.tax_rate || 0) * 100).toFixed(2)}%</td>
-                    <td>{item.quantity}</td>
+                    <td>{formatQuantity(item.quantity, item.weight_unit)}</td>
                     <td>{formatCurrency(item.cost)}</td>
                     <td>{item.pack_size}</td>
                     <td>
@@ -403,6 +767,24 @@ const ItemsScreen = () => {
             </table>
           </div>
         )}
+        {total > 0 && (
+          <div className="inventory-pager">
+            <button onClick={() => goToPage(filters.page - 1)} className="cancel-btn" disabled={loading || filters.page <= 1}>
+              Previous
+            </button>
+            <span>
+              {(filters.page - 1) * PAGE_SIZE + 1}–{Math.min(filters.page * PAGE_SIZE, total)} of {total} items
+              {' '}(page {filters.page} of {pageCount})
+            </span>
+            <button
+              onClick={() => goToPage(filters.page + 1)}
+              className="cancel-btn"
+              disabled={loading || filters.page >= pageCount}
+            >
+              Next
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
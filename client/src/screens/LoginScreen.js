@@ -0,0 +1,189 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import './LoginScreen.css';
+import { savedRegisterId, saveRegisterId } from '../utils/auth';
+
+const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+const MAX_PIN_LENGTH = 8;
+const KEYPAD = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'clear', '0', 'enter'];
+
+// Pick your name, then enter your PIN on the keypad (or the keyboard).
+// With more than one register, the device says which one it is first.
+const LoginScreen = ({ onSignedIn }) => {
+  const [employees, setEmployees] = useState([]);
+  // [{ register, store }] to sign in to, and the one this device is
+  const [registers, setRegisters] = useState([]);
+  const [registerId, setRegisterId] = useState(savedRegisterId() || '');
+  const [selectedEmployee, setSelectedEmployee] = useState(null);
+  const [pin, setPin] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    axios.get(`${API_BASE}/auth/employees`)
+      .then(response => setEmployees(response.data))
+      .catch(err => {
+        setError('Failed to load employees');
+        console.error(err);
+      });
+
+    axios.get(`${API_BASE}/auth/registers`)
+      .then(response => {
+        setRegisters(response.data);
+        // A register that is gone or inactive falls back to the first
+        setRegisterId(current =>
+          response.data.some(location => location.register.id === current)
+            ? current
+            : response.data[0]?.register.id || '');
+      })
+      .catch(err => {
+        setError('Failed to load registers');
+        console.error(err);
+      });
+  }, []);
+
+  const handleSelectEmployee = (employee) => {
+    setSelectedEmployee(employee);
+    setPin('');
+    setError(null);
+  };
+
+  const handleBack = () => {
+    setSelectedEmployee(null);
+    setPin('');
+    setError(null);
+  };
+
+  const handleSubmit = useCallback(async () => {
+    if (!selectedEmployee || pin.length < 4 || loading) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await axios.post(`${API_BASE}/auth/login`, {
+        employeeId: selectedEmployee.id,
+        pin,
+        registerId: registerId || undefined
+      });
+      saveRegisterId(response.data.register.id);
+      onSignedIn(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to sign in');
+      setPin('');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedEmployee, pin, loading, registerId, onSignedIn]);
+
+  const handleKey = useCallback((key) => {
+    if (key === 'clear') {
+      setPin('');
+    } else if (key === 'enter') {
+      handleSubmit();
+    } else {
+      setPin(prev => (prev.length < MAX_PIN_LENGTH ? prev + key : prev));
+    }
+  }, [handleSubmit]);
+
+  // Typing the PIN works too
+  useEffect(() => {
+    if (!selectedEmployee) return undefined;
+
+    const handleKeyDown = (e) => {
+      if (/^\d$/.test(e.key)) {
+        handleKey(e.key);
+      } else if (e.key === 'Backspace') {
+        setPin(prev => prev.slice(0, -1));
+      } else if (e.key === 'Enter') {
+        handleKey('enter');
+      } else if (e.key === 'Escape') {
+        handleBack();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [selectedEmployee, handleKey]);
+
+  return (
+    <div className="login-screen">
+      <div className="login-panel">
+        <h1>POS Real</h1>
+
+        {error && (
+          <div className="alert alert-error" onClick={() => setError(null)}>
+            {error}
+          </div>
+        )}
+
+        {!selectedEmployee ? (
+          <>
+            {registers.length > 1 && (
+              <div className="login-register">
+                <label htmlFor="login-register">Register</label>
+                <select
+                  id="login-register"
+                  value={registerId}
+                  onChange={(e) => setRegisterId(e.target.value)}
+                >
+                  {registers.map(({ register, store }) => (
+                    <option key={register.id} value={register.id}>
+                      {store.name} ({store.code}) · {register.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <p className="login-prompt">Who is signing in?</p>
+            {employees.length === 0 && !error ? (
+              <div className="empty-state">
+                No employees yet. Add one with <code>npm run add-employee</code> in the server folder.
+              </div>
+            ) : (
+              <div className="login-employees">
+                {employees.map(employee => (
+                  <button
+                    key={employee.id}
+                    className="login-employee-btn"
+                    onClick={() => handleSelectEmployee(employee)}
+                  >
+                    <span className="login-employee-name">{employee.name}</span>
+                    <span className="login-employee-role">{employee.role}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </>
+        ) : (
+          <>
+            <p className="login-prompt">
+              PIN for <strong>{selectedEmployee.name}</strong>
+            </p>
+            <div className="login-pin-display" aria-label="PIN">
+              {pin.length > 0 ? '•'.repeat(pin.length) : <span className="login-pin-placeholder">Enter PIN</span>}
+            </div>
+            <div className="login-keypad">
+              {KEYPAD.map(key => (
+                <button
+                  key={key}
+                  className={`login-key ${key === 'enter' ? 'login-key-enter' : ''} ${key === 'clear' ? 'login-key-clear' : ''}`}
+                  onClick={() => handleKey(key)}
+                  disabled={loading || (key === 'enter' && pin.length < 4)}
+                >
+                  {key === 'enter' ? (loading ? '...' : 'Enter') : key === 'clear' ? 'Clear' : key}
+                </button>
+              ))}
+            </div>
+            <button className="login-back-btn" onClick={handleBack} disabled={loading}>
+              Not you?
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LoginScreen;
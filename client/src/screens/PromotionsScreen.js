@@ -0,0 +1,476 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './PromotionsScreen.css';
+import { formatCurrency } from '../utils/money';
+
+const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+const PROMOTION_TYPES = [
+  { id: 'multi_buy', label: 'Multi-buy (e.g. 2 for $5)' },
+  { id: 'mix_and_match', label: 'Mix and match (any N for $X)' },
+  { id: 'bogo', label: 'Buy X get Y' }
+];
+
+const EMPTY_FORM = {
+  name: '',
+  type: 'multi_buy',
+  item_ids: [],
+  quantity: '2',
+  get_quantity: '1',
+  get_percent: '100',
+  price: '',
+  starts_at: '',
+  ends_at: '',
+  is_active: true
+};
+
+// ISO timestamp <-> value of a datetime-local input (local time)
+const toInputDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const fromInputDate = (value) => (value ? new Date(value).toISOString() : null);
+
+const PromotionsScreen = () => {
+  const [promotions, setPromotions] = useState([]);
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [editingPromotion, setEditingPromotion] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    fetchPromotions();
+  }, []);
+
+  const fetchPromotions = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [promotionsResponse, itemsResponse] = await Promise.all([
+        axios.get(`${API_BASE}/promotions`),
+        axios.get(`${API_BASE}/items`)
+      ]);
+      setPromotions(promotionsResponse.data);
+      setItems(itemsResponse.data);
+    } catch (err) {
+      setError('Failed to load promotions');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetForm = () => {
+    setFormData(EMPTY_FORM);
+    setEditingPromotion(null);
+    setError(null);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  const handleToggleItem = (itemId) => {
+    setFormData(prev => ({
+      ...prev,
+      item_ids: prev.item_ids.includes(itemId)
+        ? prev.item_ids.filter(id => id !== itemId)
+        : [...prev.item_ids, itemId]
+    }));
+  };
+
+  const handleEdit = (promotion) => {
+    setEditingPromotion(promotion);
+    setFormData({
+      name: promotion.name || '',
+      type: promotion.type,
+      item_ids: promotion.item_ids || [],
+      quantity: String(promotion.quantity ?? ''),
+      get_quantity: String(promotion.get_quantity ?? '1'),
+      get_percent: String(promotion.get_percent ?? '100'),
+      price: String(promotion.price ?? ''),
+      starts_at: toInputDate(promotion.starts_at),
+      ends_at: toInputDate(promotion.ends_at),
+      is_active: promotion.is_active
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.item_ids.length === 0) {
+      setError('Select at least one item');
+      return;
+    }
+
+    const isBogo = formData.type === 'bogo';
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const payload = {
+        name: formData.name.trim(),
+        type: formData.type,
+        item_ids: formData.item_ids,
+        quantity: parseInt(formData.quantity),
+        get_quantity: isBogo ? parseInt(formData.get_quantity) : null,
+        get_percent: isBogo ? parseFloat(formData.get_percent) : null,
+        price: isBogo ? null : parseFloat(formData.price),
+        starts_at: fromInputDate(formData.starts_at),
+        ends_at: fromInputDate(formData.ends_at),
+        is_active: formData.is_active
+      };
+
+      if (editingPromotion) {
+        await axios.put(`${API_BASE}/promotions/${editingPromotion.id}`, payload);
+      } else {
+        await axios.post(`${API_BASE}/promotions`, payload);
+      }
+
+      resetForm();
+      await fetchPromotions();
+    } catch (err) {
+      if (err.response?.data?.error) {
+        setError(err.response.data.error);
+      } else {
+        setError('Failed to save promotion');
+      }
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (promotionId) => {
+    if (!window.confirm('Are you sure you want to deactivate this promotion? Open sales lose it the next time their items change.')) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      await axios.delete(`${API_BASE}/promotions/${promotionId}`);
+      await fetchPromotions();
+    } catch (err) {
+      setError('Failed to deactivate promotion');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+
+  // "2 for $5.00", "Buy 1 get 1 free", ...
+  const describeRule = (promotion) => {
+    if (promotion.type === 'bogo') {
+      const percent = parseFloat(promotion.get_percent);
+      return `Buy ${promotion.quantity} get ${promotion.get_quantity} ${percent === 100 ? 'free' : `${percent}% off`}`;
+    }
+    const prefix = promotion.type === 'mix_and_match' ? 'Any ' : '';
+    return `${prefix}${promotion.quantity} for ${formatCurrency(promotion.price)}`;
+  };
+
+  const itemNames = (promotion) =>
+    (promotion.item_ids || [])
+      .map(itemId => items.find(item => item.id === itemId)?.name || 'Unknown item');
+
+  const statusOf = (promotion) => {
+    if (promotion.running) return { label: 'Running', className: 'running' };
+    if (!promotion.is_active) return { label: 'Inactive', className: 'inactive' };
+    if (promotion.starts_at && new Date(promotion.starts_at) > new Date()) {
+      return { label: 'Scheduled', className: 'scheduled' };
+    }
+    return { label: 'Ended', className: 'inactive' };
+  };
+
+  return (
+    <div className="promotions-screen">
+      <div className="promotions-header">
+        <h1>Promotions</h1>
+      </div>
+
+      {error && (
+        <div className="alert alert-error" onClick={() => setError(null)}>
+          {error}
+        </div>
+      )}
+
+      {/* Promotion Form */}
+      <div className="promotion-form-section">
+        <h2>{editingPromotion ? 'Edit Promotion' : 'Create New Promotion'}</h2>
+        <form onSubmit={handleSubmit} className="promotion-form">
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="promotion-name">Name *</label>
+              <input
+                id="promotion-name"
+                name="name"
+                type="text"
+                value={formData.name}
+                onChange={handleInputChange}
+                placeholder="2 Cokes for $5"
+                required
+                disabled={loading}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="promotion-type">Type *</label>
+              <select
+                id="promotion-type"
+                name="type"
+                value={formData.type}
+                onChange={handleInputChange}
+                disabled={loading}
+              >
+                {PROMOTION_TYPES.map(type => (
+                  <option key={type.id} value={type.id}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {formData.type === 'bogo' ? (
+            <div className="form-row form-row-3">
+              <div className="form-group">
+                <label htmlFor="promotion-quantity">Buy *</label>
+                <input
+                  id="promotion-quantity"
+                  name="quantity"
+                  type="number"
+                  min="1"
+                  value={formData.quantity}
+                  onChange={handleInputChange}
+                  required
+                  disabled={loading}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="promotion-get-quantity">Get *</label>
+                <input
+                  id="promotion-get-quantity"
+                  name="get_quantity"
+                  type="number"
+                  min="1"
+                  value={formData.get_quantity}
+                  onChange={handleInputChange}
+                  required
+                  disabled={loading}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="promotion-get-percent">Percent Off *</label>
+                <input
+                  id="promotion-get-percent"
+                  name="get_percent"
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={formData.get_percent}
+                  onChange={handleInputChange}
+                  required
+                  disabled={loading}
+                />
+                <small>100 makes them free</small>
+              </div>
+            </div>
+          ) : (
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="promotion-quantity">Quantity *</label>
+                <input
+                  id="promotion-quantity"
+                  name="quantity"
+                  type="number"
+                  min="2"
+                  value={formData.quantity}
+                  onChange={handleInputChange}
+                  required
+                  disabled={loading}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="promotion-price">Deal Price *</label>
+                <input
+                  id="promotion-price"
+                  name="price"
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={formData.price}
+                  onChange={handleInputChange}
+                  required
+                  disabled={loading}
+                />
+                <small>Price for the whole group</small>
+              </div>
+            </div>
+          )}
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="promotion-starts-at">Starts</label>
+              <input
+                id="promotion-starts-at"
+                name="starts_at"
+                type="datetime-local"
+                value={formData.starts_at}
+                onChange={handleInputChange}
+                disabled={loading}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="promotion-ends-at">Ends</label>
+              <input
+                id="promotion-ends-at"
+                name="ends_at"
+                type="datetime-local"
+                value={formData.ends_at}
+                onChange={handleInputChange}
+                disabled={loading}
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>Items *</label>
+            <div className="promotion-items">
+              {items.map(item => (
+                <label key={item.id} className="promotion-item-option">
+                  <input
+                    type="checkbox"
+                    checked={formData.item_ids.includes(item.id)}
+                    onChange={() => handleToggleItem(item.id)}
+                    disabled={loading}
+                  />
+                  {item.name} ({formatCurrency(item.price)})
+                </label>
+              ))}
+            </div>
+            <small>
+              {formData.type === 'multi_buy'
+                ? 'Each selected item gets the deal on its own'
+                : 'Any mix of the selected items counts towards the deal'}
+            </small>
+          </div>
+
+          {editingPromotion && (
+            <label className="promotion-active-toggle">
+              <input
+                type="checkbox"
+                name="is_active"
+                checked={formData.is_active}
+                onChange={handleInputChange}
+                disabled={loading}
+              />
+              Active
+            </label>
+          )}
+
+          <div className="form-actions">
+            <button type="submit" disabled={loading} className="submit-btn">
+              {loading ? 'Saving...' : editingPromotion ? 'Update Promotion' : 'Create Promotion'}
+            </button>
+            {editingPromotion && (
+              <button
+                type="button"
+                onClick={resetForm}
+                className="cancel-btn"
+                disabled={loading}
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+
+      {/* Promotion List */}
+      <div className="promotions-list-section">
+        <h2>All Promotions</h2>
+        {loading && promotions.length === 0 ? (
+          <div className="loading-state">Loading promotions...</div>
+        ) : promotions.length === 0 ? (
+          <div className="empty-state">No promotions yet. Create your first one above.</div>
+        ) : (
+          <div className="promotions-table-container">
+            <table className="promotions-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Deal</th>
+                  <th>Items</th>
+                  <th>Dates</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {promotions.map((promotion) => {
+                  const status = statusOf(promotion);
+                  return (
+                    <tr key={promotion.id} className={!promotion.is_active ? 'inactive' : ''}>
+                      <td>{promotion.name}</td>
+                      <td>{describeRule(promotion)}</td>
+                      <td>
+                        <div className="promotion-item-tags">
+                          {itemNames(promotion).map((name, idx) => (
+                            <span key={idx} className="promotion-item-tag">{name}</span>
+                          ))}
+                        </div>
+                      </td>
+                      <td className="promotion-dates">
+                        {promotion.starts_at || promotion.ends_at ? (
+                          <>
+                            {promotion.starts_at ? new Date(promotion.starts_at).toLocaleDateString() : '…'}
+                            {' – '}
+                            {promotion.ends_at ? new Date(promotion.ends_at).toLocaleDateString() : '…'}
+                          </>
+                        ) : (
+                          'Always'
+                        )}
+                      </td>
+                      <td>
+                        <span className={`status-badge ${status.className}`}>{status.label}</span>
+                      </td>
+                      <td>
+                        <div className="action-buttons">
+                          <button
+                            onClick={() => handleEdit(promotion)}
+                            className="edit-btn"
+                            disabled={loading}
+                          >
+                            Edit
+                          </button>
+                          {promotion.is_active && (
+                            <button
+                              onClick={() => handleDelete(promotion.id)}
+                              className="delete-btn"
+                              disabled={loading}
+                            >
+                              Delete
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PromotionsScreen;
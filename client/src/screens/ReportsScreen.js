@@ -1,36 +1,80 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import './ReportsScreen.css';
+import { formatCurrency } from '../utils/money';
+import { formatLineName, formatQuantity } from '../utils/items';
+import { openReceiptPdf, printReceipt, printShiftReport } from '../utils/receipts';
 
 const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
 
 const ReportsScreen = () => {
   const [transactions, setTransactions] = useState([]);
   const [dailyTotal, setDailyTotal] = useState(0);
+  const [dailyRefunds, setDailyRefunds] = useState(0);
+  const [dailyDiscounts, setDailyDiscounts] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [expandedTransactions, setExpandedTransactions] = useState(new Set());
+  const [printerEnabled, setPrinterEnabled] = useState(false);
+  const [shifts, setShifts] = useState([]);
+  const [stores, setStores] = useState([]);
+  // Empty ids report on every store / register
+  const [location, setLocation] = useState({ storeId: '', registerId: '' });
 
+  // Reprints go to the server's receipt printer when it has one
   useEffect(() => {
-    fetchTransactions();
+    axios.get(`${API_BASE}/printer`)
+      .then(response => setPrinterEnabled(response.data.enabled))
+      .catch(err => console.error('Failed to load printer status:', err));
   }, []);
 
-  const fetchTransactions = async () => {
+  useEffect(() => {
+    axios.get(`${API_BASE}/stores`)
+      .then(response => setStores(response.data))
+      .catch(err => console.error('Failed to load stores:', err));
+  }, []);
+
+  const fetchTransactions = useCallback(async () => {
+    // A register is narrower than its store, so send only the one
+    const params = location.registerId
+      ? { registerId: location.registerId }
+      : location.storeId ? { storeId: location.storeId } : {};
     try {
       setLoading(true);
       setError(null);
-      const response = await axios.get(`${API_BASE}/transactions?status=finalized&limit=1000`);
+      const response = await axios.get(`${API_BASE}/transactions`, {
+        params: { ...params, status: 'finalized', limit: 1000 }
+      });
       setTransactions(response.data);
-      const dailyTotalResponse = await axios.get(`${API_BASE}/transactions/daily-total`);
+      const dailyTotalResponse = await axios.get(`${API_BASE}/transactions/daily-total`, { params });
       setDailyTotal(dailyTotalResponse.data.dailyTotal);
+      setDailyRefunds(dailyTotalResponse.data.dailyRefunds);
+      setDailyDiscounts(dailyTotalResponse.data.dailyDiscounts);
+      const shiftsResponse = await axios.get(`${API_BASE}/shifts`, { params: { ...params, limit: 10 } });
+      setShifts(shiftsResponse.data);
     } catch (err) {
       setError('Failed to load transactions');
       console.error(err);
     } finally {
       setLoading(false);
     }
+  }, [location]);
+
+  useEffect(() => {
+    fetchTransactions();
+  }, [fetchTransactions]);
+
+  const handleStoreChange = (e) => {
+    setLocation({ storeId: e.target.value, registerId: '' });
+  };
+
+  const handleRegisterChange = (e) => {
+    setLocation(prev => ({ ...prev, registerId: e.target.value }));
   };
 
+  const selectedStore = stores.find(store => store.id === location.storeId);
+  const storeNames = new Map(stores.map(store => [store.id, store.name]));
+
   const toggleTransaction = (transactionId, e) => {
     // Don't toggle if user is selecting text
     const selection = window.getSelection();
@@ -47,8 +91,41 @@ const ReportsScreen = () => {
     setExpandedTransactions(newExpanded);
   };
 
-  const formatCurrency = (amount) => {
-    return `$${parseFloat(amount || 0).toFixed(2)}`;
+
+  const handleReprint = async (transactionId) => {
+    try {
+      if (printerEnabled) {
+        await axios.post(`${API_BASE}/transactions/${transactionId}/print`);
+      } else {
+        await printReceipt(transactionId, { reprint: true });
+      }
+    } catch (err) {
+      window.alert(err.response?.data?.error || err.message || 'Failed to print receipt');
+      console.error(err);
+    }
+  };
+
+  const handleOpenPdf = async (transactionId) => {
+    try {
+      await openReceiptPdf(transactionId, { reprint: true });
+    } catch (err) {
+      window.alert(err.response?.data?.error || err.message || 'Failed to open receipt');
+      console.error(err);
+    }
+  };
+
+  // X-report for the open shift, Z-report for closed ones
+  const handlePrintShiftReport = async (shiftId) => {
+    try {
+      if (printerEnabled) {
+        await axios.post(`${API_BASE}/shifts/${shiftId}/print`);
+      } else {
+        await printShiftReport(shiftId);
+      }
+    } catch (err) {
+      window.alert(err.response?.data?.error || err.message || 'Failed to print report');
+      console.error(err);
+    }
   };
 
   const formatDate = (dateString) => {
@@ -85,13 +162,64 @@ const ReportsScreen = () => {
     <div className="reports-screen">
       <div className="reports-header">
         <h1>Transaction Reports</h1>
+        {stores.length > 0 && (
+          <div className="reports-location">
+            <select value={location.storeId} onChange={handleStoreChange} aria-label="Store">
+              <option value="">All stores</option>
+              {stores.map(store => (
+                <option key={store.id} value={store.id}>{store.name} ({store.code})</option>
+              ))}
+            </select>
+            {selectedStore && (
+              <select value={location.registerId} onChange={handleRegisterChange} aria-label="Register">
+                <option value="">All registers</option>
+                {selectedStore.registers.map(register => (
+                  <option key={register.id} value={register.id}>{register.name}</option>
+                ))}
+              </select>
+            )}
+          </div>
+        )}
       </div>
       <div className="reports-summary">
         <div className="summary-item">
           <span className="summary-label">Daily Total:</span>
           <span className="summary-value">{formatCurrency(dailyTotal)}</span>
         </div>
+        {parseFloat(dailyRefunds) > 0 && (
+          <div className="summary-item">
+            <span className="summary-label">Refunds:</span>
+            <span className="summary-value">−{formatCurrency(dailyRefunds)}</span>
+          </div>
+        )}
+        {parseFloat(dailyDiscounts) > 0 && (
+          <div className="summary-item">
+            <span className="summary-label">Discounts:</span>
+            <span className="summary-value">{formatCurrency(dailyDiscounts)}</span>
+          </div>
+        )}
       </div>
+      {shifts.length > 0 && (
+        <div className="shifts-list">
+          <h2>Shifts</h2>
+          {shifts.map(shift => (
+            <div key={shift.id} className="shift-row">
+              <span className="shift-opened">
+                {formatDate(shift.created_at)} · {shift.opened_by_name || 'unknown'}
+                {shift.register_name && ` · ${shift.register_name}`}
+              </span>
+              <span className={`shift-status ${shift.status}`}>
+                {shift.status === 'open'
+                  ? 'Open'
+                  : `Closed ${formatDate(shift.closed_at)} · ${shift.closed_by_name || 'unknown'}`}
+              </span>
+              <button className="reprint-btn" onClick={() => handlePrintShiftReport(shift.id)}>
+                {shift.status === 'open' ? 'X-Report' : 'Z-Report'}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
       {transactions.length === 0 ? (
         <div className="empty-state">
           <p>No transactions found.</p>
@@ -125,7 +253,12 @@ const ReportsScreen = () => {
                       onMouseUp={(e) => e.stopPropagation()}
                       onDoubleClick={(e) => e.stopPropagation()}
                     >
+                      {transaction.receipt_number && <>Receipt #: {transaction.receipt_number} &middot; </>}
                       ID: {isExpanded ? transaction.id : `${transaction.id.substring(0, 8)}...`}
+                      {transaction.employee_name && <> &middot; {transaction.employee_name}</>}
+                      {stores.length > 1 && storeNames.has(transaction.store_id) && (
+                        <> &middot; {storeNames.get(transaction.store_id)}</>
+                      )}
                     </div>
                   </div>
                   <div className="transaction-header-right">
@@ -158,24 +291,45 @@ const ReportsScreen = () => {
                             <>
                               {transaction.lines.map((line) => {
                                 const isRefunded = line.refunded_by !== null && line.refunded_by !== undefined;
+                                const partiallyRefunded = !isRefunded && line.refunded_quantity > 0;
                                 const isInactive = line.item?.is_active === false;
                                 return (
                                   <tr key={line.id} className={isRefunded ? 'refunded-item-row' : ''}>
                                     <td>
-                                      {line.item?.name || 'Unknown Item'}
+                                      {formatLineName(line)}
                                       {isRefunded && (
                                         <span className="refunded-indicator"> (Refunded)</span>
                                       )}
+                                      {partiallyRefunded && (
+                                        <span className="refunded-indicator"> ({formatQuantity(line.refunded_quantity, line.weight_unit)} refunded)</span>
+                                      )}
                                       {isInactive && (
                                         <span className="inactive-indicator"> (Inactive)</span>
                                       )}
+                                      {line.discount_type && (
+                                        <div className="line-discount">
+                                          {line.discount_type === 'percent'
+                                            ? `${parseFloat(line.discount_value)}% off`
+                                            : `${formatCurrency(line.discount_value)} off`}
+                                          {' '}(−{formatCurrency(line.discount_amount)})
+                                        </div>
+                                      )}
                                     </td>
-                                    <td>{line.quantity}</td>
-                                    <td>{formatCurrency(line.unit_price)}</td>
+                                    <td>{formatQuantity(line.quantity, line.weight_unit)}</td>
+                                    <td>{formatCurrency(line.unit_price)}{line.weight_unit && `/${line.weight_unit}`}</td>
                                     <td>{formatCurrency(line.line_total)}</td>
                                   </tr>
                                 );
                               })}
+                              {(transaction.adjustments || []).map((adjustment) => (
+                                <tr key={adjustment.id} className="promotion-row">
+                                  <td colSpan="4">
+                                    Promotion: {adjustment.description}
+                                    {adjustment.applications > 1 && ` ×${adjustment.applications}`}
+                                    {' '}(saved {formatCurrency(adjustment.amount)})
+                                  </td>
+                                </tr>
+                              ))}
                             </>
                           ) : (
                             <tr>
@@ -193,6 +347,19 @@ const ReportsScreen = () => {
                         <span>Subtotal:</span>
                         <span>{formatCurrency(transaction.subtotal)}</span>
                       </div>
+                      {parseFloat(transaction.discount_total) > 0 && (
+                        <div className="breakdown-row breakdown-discount">
+                          <span>
+                            Discounts
+                            {transaction.discount_type && (
+                              transaction.discount_type === 'percent'
+                                ? ` (sale ${parseFloat(transaction.discount_value)}% off)`
+                                : ` (sale ${formatCurrency(transaction.discount_value)} off)`
+                            )}:
+                          </span>
+                          <span>−{formatCurrency(transaction.discount_total)}</span>
+                        </div>
+                      )}
                       <div className="breakdown-row">
                         <span>Tax:</span>
                         <span>{formatCurrency(transaction.tax)}</span>
@@ -202,6 +369,15 @@ const ReportsScreen = () => {
                         <span>{formatCurrency(transaction.total)}</span>
                       </div>
                     </div>
+
+                    <div className="receipt-actions">
+                      <button className="reprint-btn" onClick={() => handleReprint(transaction.id)}>
+                        Reprint Receipt
+                      </button>
+                      <button className="receipt-pdf-link" onClick={() => handleOpenPdf(transaction.id)}>
+                        PDF
+                      </button>
+                    </div>
                   </div>
                 )}
               </div>
@@ -0,0 +1,363 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './ShiftScreen.css';
+import { formatCurrency } from '../utils/money';
+import { printShiftReport } from '../utils/receipts';
+import { withManagerOverride } from '../utils/managerOverride';
+import { TENDER_METHODS, tenderLabel } from '../utils/tenders';
+import ManagerOverrideDialog from '../components/ManagerOverrideDialog';
+
+const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+const EMPTY_MOVEMENT = { type: 'paid_out', amount: '', reason: '' };
+const EMPTY_COUNTS = { cash: '', card: '', gift_card: '', store_credit: '' };
+
+// Open and close the register's shift. The close is a blind count: the
+// cashier enters what is in the drawer without seeing what is expected;
+// the variances only show once the shift is closed.
+const ShiftScreen = () => {
+  const [shift, setShift] = useState(null);
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [openingFloat, setOpeningFloat] = useState('');
+  const [movement, setMovement] = useState(EMPTY_MOVEMENT);
+  const [counts, setCounts] = useState(EMPTY_COUNTS);
+  // Result of the last close: { shift, tenders: [{ method, expected, counted, variance }] }
+  const [closed, setClosed] = useState(null);
+  const [printerEnabled, setPrinterEnabled] = useState(false);
+  const [overridePrompt, setOverridePrompt] = useState(null);
+
+  useEffect(() => {
+    fetchShift();
+  }, []);
+
+  // Reports go to the server's receipt printer when it has one
+  useEffect(() => {
+    axios.get(`${API_BASE}/printer`)
+      .then(response => setPrinterEnabled(response.data.enabled))
+      .catch(err => console.error('Failed to load printer status:', err));
+  }, []);
+
+  const fetchShift = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE}/shifts/current`);
+      setShift(response.data.shift);
+      setMovements(response.data.movements);
+    } catch (err) {
+      setError('Failed to load the shift');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpen = async (e) => {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      setError(null);
+      await axios.post(`${API_BASE}/shifts`, { openingFloat: parseFloat(openingFloat) || 0 });
+      setOpeningFloat('');
+      setClosed(null);
+      await fetchShift();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to open the shift');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleMovement = async (e) => {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      setError(null);
+      await axios.post(`${API_BASE}/shifts/current/movements`, {
+        type: movement.type,
+        amount: parseFloat(movement.amount),
+        reason: movement.reason
+      });
+      setMovement(EMPTY_MOVEMENT);
+      await fetchShift();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to record the cash movement');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleClose = async (e) => {
+    e.preventDefault();
+
+    if (!window.confirm('Close the shift with these counts? They cannot be changed afterwards.')) {
+      return;
+    }
+
+    // Tenders left blank were not counted; cash is always counted
+    const entered = Object.fromEntries(
+      Object.entries(counts)
+        .filter(([method, value]) => method === 'cash' || value !== '')
+        .map(([method, value]) => [method, parseFloat(value) || 0])
+    );
+
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await axios.post(`${API_BASE}/shifts/current/close`, { counts: entered });
+      setClosed(response.data);
+      setCounts(EMPTY_COUNTS);
+      if (response.data.print && !response.data.print.printed) {
+        setError(`Shift closed, but the Z-report did not print: ${response.data.print.error}`);
+      }
+      await fetchShift();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to close the shift');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // X-reports show the expected cash, so cashiers need a manager's PIN
+  const handlePrintReport = async (shiftId, action) => {
+    try {
+      await withManagerOverride(
+        headers => (printerEnabled
+          ? axios.post(`${API_BASE}/shifts/${shiftId}/print`, null, { headers })
+          : printShiftReport(shiftId, { headers })),
+        message => new Promise(resolve => setOverridePrompt({ action, message, resolve }))
+      );
+    } catch (err) {
+      if (err.overrideCancelled) return;
+      window.alert(err.response?.data?.error || err.message || 'Failed to print the report');
+      console.error(err);
+    }
+  };
+
+  const closeOverridePrompt = (pin) => {
+    overridePrompt?.resolve(pin);
+    setOverridePrompt(null);
+  };
+
+  if (loading && !shift && !closed) {
+    return (
+      <div className="shift-screen">
+        <div className="loading-state">Loading shift...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="shift-screen">
+      <div className="shift-header">
+        <h1>Shift</h1>
+      </div>
+
+      {error && (
+        <div className="alert alert-error" onClick={() => setError(null)}>
+          {error}
+        </div>
+      )}
+
+      {closed && (
+        <div className="shift-section">
+          <h2>Shift Closed</h2>
+          <table className="shift-table">
+            <thead>
+              <tr>
+                <th>Tender</th>
+                <th className="amount">Expected</th>
+                <th className="amount">Counted</th>
+                <th className="amount">Variance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {closed.tenders.map(tender => (
+                <tr key={tender.method}>
+                  <td>{tenderLabel(tender.method)}</td>
+                  <td className="amount">{formatCurrency(tender.expected)}</td>
+                  <td className="amount">{tender.counted === null ? '—' : formatCurrency(tender.counted)}</td>
+                  <td className={`amount ${parseFloat(tender.variance) < 0 ? 'variance-short' : ''}`}>
+                    {tender.variance === null ? '—' : formatCurrency(tender.variance)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="form-actions">
+            <button
+              type="button"
+              className="submit-btn"
+              onClick={() => handlePrintReport(closed.shift.id, 'Z-report')}
+            >
+              {printerEnabled ? 'Print Z-Report' : 'Print Z-Report (browser)'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {!shift ? (
+        <div className="shift-section">
+          <h2>Open Shift</h2>
+          <p className="shift-note">Payments and refunds can only be taken while a shift is open.</p>
+          <form onSubmit={handleOpen} className="shift-form">
+            <div className="form-group">
+              <label htmlFor="opening-float">Opening float (cash in the drawer)</label>
+              <input
+                id="opening-float"
+                type="number"
+                min="0"
+                step="0.01"
+                value={openingFloat}
+                onChange={(e) => setOpeningFloat(e.target.value)}
+                placeholder="0.00"
+                disabled={loading}
+              />
+            </div>
+            <div className="form-actions">
+              <button type="submit" className="submit-btn" disabled={loading}>
+                Open Shift
+              </button>
+            </div>
+          </form>
+        </div>
+      ) : (
+        <>
+          <div className="shift-section">
+            <h2>Current Shift</h2>
+            <div className="shift-details">
+              <span>Opened by {shift.opened_by_name || 'unknown'}</span>
+              <span>{new Date(shift.created_at).toLocaleString()}</span>
+              <span>Float {formatCurrency(shift.opening_float)}</span>
+            </div>
+            <div className="form-actions">
+              <button
+                type="button"
+                className="cancel-btn"
+                onClick={() => handlePrintReport(shift.id, 'X-report (mid-shift reading)')}
+              >
+                Print X-Report
+              </button>
+            </div>
+          </div>
+
+          <div className="shift-section">
+            <h2>Paid In / Paid Out</h2>
+            <form onSubmit={handleMovement} className="shift-form">
+              <div className="form-row form-row-3">
+                <div className="form-group">
+                  <label htmlFor="movement-type">Type</label>
+                  <select
+                    id="movement-type"
+                    value={movement.type}
+                    onChange={(e) => setMovement(prev => ({ ...prev, type: e.target.value }))}
+                    disabled={loading}
+                  >
+                    <option value="paid_out">Paid out</option>
+                    <option value="paid_in">Paid in</option>
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="movement-amount">Amount *</label>
+                  <input
+                    id="movement-amount"
+                    type="number"
+                    min="0.01"
+                    step="0.01"
+                    value={movement.amount}
+                    onChange={(e) => setMovement(prev => ({ ...prev, amount: e.target.value }))}
+                    required
+                    disabled={loading}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="movement-reason">Reason *</label>
+                  <input
+                    id="movement-reason"
+                    type="text"
+                    value={movement.reason}
+                    onChange={(e) => setMovement(prev => ({ ...prev, reason: e.target.value }))}
+                    placeholder="e.g. Milk for the staff room"
+                    required
+                    disabled={loading}
+                  />
+                </div>
+              </div>
+              <div className="form-actions">
+                <button type="submit" className="submit-btn" disabled={loading}>
+                  Record
+                </button>
+              </div>
+            </form>
+            {movements.length > 0 && (
+              <table className="shift-table">
+                <tbody>
+                  {movements.map(entry => (
+                    <tr key={entry.id}>
+                      <td>{new Date(entry.created_at).toLocaleTimeString()}</td>
+                      <td>{entry.type === 'paid_in' ? 'Paid in' : 'Paid out'}</td>
+                      <td>{entry.reason}</td>
+                      <td className="amount">
+                        {formatCurrency(entry.type === 'paid_in' ? entry.amount : -entry.amount)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div className="shift-section">
+            <h2>Close Shift</h2>
+            <p className="shift-note">
+              Count the drawer and enter what is there. Leave tenders you do not count blank.
+            </p>
+            <form onSubmit={handleClose} className="shift-form">
+              <div className="form-row shift-counts">
+                {TENDER_METHODS.map(tender => (
+                  <div className="form-group" key={tender.id}>
+                    <label htmlFor={`count-${tender.id}`}>
+                      {tender.label}{tender.id === 'cash' ? ' *' : ''}
+                    </label>
+                    <input
+                      id={`count-${tender.id}`}
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={counts[tender.id]}
+                      onChange={(e) => setCounts(prev => ({ ...prev, [tender.id]: e.target.value }))}
+                      required={tender.id === 'cash'}
+                      disabled={loading}
+                    />
+                  </div>
+                ))}
+              </div>
+              <div className="form-actions">
+                <button type="submit" className="delete-btn shift-close-btn" disabled={loading}>
+                  Close Shift
+                </button>
+              </div>
+            </form>
+          </div>
+        </>
+      )}
+
+      {overridePrompt && (
+        <ManagerOverrideDialog
+          action={overridePrompt.action}
+          message={overridePrompt.message}
+          onApprove={closeOverridePrompt}
+          onCancel={() => closeOverridePrompt(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ShiftScreen;
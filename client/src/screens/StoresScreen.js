@@ -0,0 +1,271 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import './StoresScreen.css';
+
+const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+const EMPTY_FORM = { code: '', name: '' };
+
+// Stores and their registers. Each device picks its register on the
+// sign-in screen; stock and receipt numbers are per store.
+const StoresScreen = ({ currentRegister, currentStore }) => {
+  const [stores, setStores] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [editingStore, setEditingStore] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  // storeId -> name typed for a new register
+  const [registerNames, setRegisterNames] = useState({});
+
+  const fetchStores = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await axios.get(`${API_BASE}/stores`);
+      setStores(response.data);
+    } catch (err) {
+      setError('Failed to load stores');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStores();
+  }, [fetchStores]);
+
+  const resetForm = () => {
+    setFormData(EMPTY_FORM);
+    setEditingStore(null);
+    setError(null);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: name === 'code' ? value.toUpperCase() : value }));
+  };
+
+  const handleEdit = (store) => {
+    setEditingStore(store);
+    setFormData({ code: store.code, name: store.name });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  // Run a change and reload the stores, showing the server's error if any
+  const save = async (request, failure) => {
+    try {
+      setLoading(true);
+      setError(null);
+      await request();
+      await fetchStores();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.error || failure);
+      console.error(err);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = { code: formData.code.trim(), name: formData.name.trim() };
+
+    const saved = await save(
+      () => (editingStore
+        ? axios.put(`${API_BASE}/stores/${editingStore.id}`, payload)
+        : axios.post(`${API_BASE}/stores`, payload)),
+      'Failed to save store'
+    );
+    if (saved) resetForm();
+  };
+
+  const handleStoreActive = (store, isActive) => {
+    if (!isActive && !window.confirm(`Deactivate ${store.name}? Its registers can no longer sign in.`)) {
+      return;
+    }
+    save(() => axios.put(`${API_BASE}/stores/${store.id}`, { is_active: isActive }), 'Failed to update store');
+  };
+
+  const handleAddRegister = async (e, store) => {
+    e.preventDefault();
+    const name = (registerNames[store.id] || '').trim();
+    if (!name) return;
+
+    const saved = await save(
+      () => axios.post(`${API_BASE}/stores/${store.id}/registers`, { name }),
+      'Failed to add register'
+    );
+    if (saved) setRegisterNames(prev => ({ ...prev, [store.id]: '' }));
+  };
+
+  const handleRegisterActive = (register, isActive) => {
+    if (!isActive && !window.confirm(`Deactivate ${register.name}? Anyone signed in there is signed out.`)) {
+      return;
+    }
+    save(() => axios.put(`${API_BASE}/registers/${register.id}`, { is_active: isActive }), 'Failed to update register');
+  };
+
+  return (
+    <div className="stores-screen">
+      <div className="stores-header">
+        <h1>Stores</h1>
+        {currentStore && currentRegister && (
+          <div className="stores-current">
+            Signed in at {currentStore.name} · {currentRegister.name}
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="alert alert-error" onClick={() => setError(null)}>
+          {error}
+        </div>
+      )}
+
+      <div className="store-form-section">
+        <h2>{editingStore ? 'Edit Store' : 'Add Store'}</h2>
+        <form onSubmit={handleSubmit} className="store-form">
+          <div className="store-form-row">
+            <div className="form-group">
+              <label htmlFor="store-code">Code *</label>
+              <input
+                id="store-code"
+                name="code"
+                type="text"
+                value={formData.code}
+                onChange={handleInputChange}
+                pattern="[A-Z0-9]{1,8}"
+                required
+                disabled={loading}
+              />
+              <small>Starts the store's receipt numbers, e.g. S02-000123</small>
+            </div>
+            <div className="form-group">
+              <label htmlFor="store-name">Name *</label>
+              <input
+                id="store-name"
+                name="name"
+                type="text"
+                value={formData.name}
+                onChange={handleInputChange}
+                required
+                disabled={loading}
+              />
+            </div>
+          </div>
+
+          <div className="form-actions">
+            <button type="submit" disabled={loading} className="submit-btn">
+              {loading ? 'Saving...' : editingStore ? 'Update Store' : 'Add Store'}
+            </button>
+            {editingStore && (
+              <button type="button" onClick={resetForm} className="cancel-btn" disabled={loading}>
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+
+      {loading && stores.length === 0 ? (
+        <div className="loading-state">Loading stores...</div>
+      ) : (
+        stores.map(store => (
+          <div key={store.id} className={`store-section ${store.is_active ? '' : 'inactive'}`}>
+            <div className="store-section-header">
+              <h2>
+                {store.name} <span className="store-code">{store.code}</span>
+                {!store.is_active && <span className="status-badge inactive">Inactive</span>}
+              </h2>
+              <div className="action-buttons">
+                <button onClick={() => handleEdit(store)} className="edit-btn" disabled={loading}>
+                  Edit
+                </button>
+                {store.is_active ? (
+                  store.id !== currentStore?.id && (
+                    <button onClick={() => handleStoreActive(store, false)} className="delete-btn" disabled={loading}>
+                      Deactivate
+                    </button>
+                  )
+                ) : (
+                  <button onClick={() => handleStoreActive(store, true)} className="edit-btn" disabled={loading}>
+                    Reactivate
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {store.registers.length === 0 ? (
+              <p className="stores-note">No registers yet. Add one to sign in at this store.</p>
+            ) : (
+              <table className="registers-table">
+                <thead>
+                  <tr>
+                    <th>Register</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {store.registers.map(register => (
+                    <tr key={register.id} className={register.is_active ? '' : 'inactive'}>
+                      <td>
+                        {register.name}
+                        {register.id === currentRegister?.id && <span className="register-you"> (this register)</span>}
+                      </td>
+                      <td>
+                        <span className={`status-badge ${register.is_active ? 'active' : 'inactive'}`}>
+                          {register.is_active ? 'Active' : 'Inactive'}
+                        </span>
+                      </td>
+                      <td>
+                        {register.is_active ? (
+                          register.id !== currentRegister?.id && (
+                            <button
+                              onClick={() => handleRegisterActive(register, false)}
+                              className="delete-btn"
+                              disabled={loading}
+                            >
+                              Deactivate
+                            </button>
+                          )
+                        ) : (
+                          <button
+                            onClick={() => handleRegisterActive(register, true)}
+                            className="edit-btn"
+                            disabled={loading}
+                          >
+                            Reactivate
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            <form className="register-add-form" onSubmit={(e) => handleAddRegister(e, store)}>
+              <input
+                type="text"
+                placeholder="New register name"
+                aria-label={`New register at ${store.name}`}
+                value={registerNames[store.id] || ''}
+                onChange={(e) => setRegisterNames(prev => ({ ...prev, [store.id]: e.target.value }))}
+                disabled={loading}
+              />
+              <button type="submit" className="submit-btn" disabled={loading || !(registerNames[store.id] || '').trim()}>
+                Add Register
+              </button>
+            </form>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default StoresScreen;
@@ -0,0 +1,58 @@
+import axios from 'axios';
+
+// Register sign-in: the session token from POST /auth/login is kept in
+// localStorage (so a reload stays signed in) and sent on every request.
+
+const TOKEN_KEY = 'sessionToken';
+// The signed-in session, so a reload while the server cannot be reached
+// can still sell offline
+const SESSION_KEY = 'session';
+// The register this device is, chosen on the sign-in screen
+const REGISTER_KEY = 'registerId';
+
+export const savedSessionToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const savedRegisterId = () => localStorage.getItem(REGISTER_KEY);
+
+export const saveRegisterId = (registerId) => localStorage.setItem(REGISTER_KEY, registerId);
+
+export function savedSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch (err) {
+    return null;
+  }
+}
+
+export const saveSession = (session) => localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+
+// Send `token` with every request from now on; null signs the register out
+export function setSessionToken(token) {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+    axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(SESSION_KEY);
+    delete axios.defaults.headers.common.Authorization;
+  }
+}
+
+// Call `callback` when the server says the session is gone (expired,
+// signed out elsewhere, employee deactivated). Returns an unsubscribe
+// function.
+export function onSessionExpired(callback) {
+  const interceptor = axios.interceptors.response.use(
+    response => response,
+    error => {
+      if (error.response?.status === 401 && !error.config?.url?.endsWith('/auth/login')) {
+        callback();
+      }
+      return Promise.reject(error);
+    }
+  );
+  return () => axios.interceptors.response.eject(interceptor);
+}
+
+export const hasPermission = (session, permission) =>
+  Boolean(session?.permissions?.includes(permission));
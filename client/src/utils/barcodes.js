@@ -0,0 +1,23 @@
+// Barcodes as in server/services/barcodes.js: a GTIN (EAN-8, UPC-A, EAN-13,
+// GTIN-14) with a valid check digit is the same code however many leading
+// zeros it is scanned with, and items keep it in its shortest form
+
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+const isValidGtin = (code) => {
+  if (!/^\d+$/.test(code) || !GTIN_LENGTHS.includes(code.length)) return false;
+  let sum = 0;
+  for (let index = 1; index < code.length; index += 1) {
+    const digit = Number(code[code.length - 1 - index]);
+    sum += index % 2 === 1 ? digit * 3 : digit;
+  }
+  return (10 - (sum % 10)) % 10 === Number(code[code.length - 1]);
+};
+
+// `code` trimmed, and in its shortest form when it is a GTIN
+export const canonicalBarcode = (code) => {
+  const trimmed = String(code).trim();
+  if (!isValidGtin(trimmed)) return trimmed;
+  const core = trimmed.replace(/^0+/, '');
+  return core.padStart(GTIN_LENGTHS.find(length => length >= core.length), '0');
+};
@@ -0,0 +1,28 @@
+import { formatCurrency } from './money';
+
+// How items are priced, as in server/services/items.js: at their price,
+// at a price the cashier enters (open), or by weight (price per kg or lb)
+export const PRICE_TYPES = [
+  { id: 'fixed', label: 'Fixed price' },
+  { id: 'open', label: 'Open price (entered at the register)' },
+  { id: 'weighed', label: 'By weight' }
+];
+
+export const WEIGHT_UNITS = ['kg', 'lb'];
+
+// A quantity for display: a count, or '0.350 kg' with a weight unit
+export const formatQuantity = (quantity, weightUnit) =>
+  weightUnit ? `${parseFloat(quantity || 0).toFixed(3)} ${weightUnit}` : String(parseFloat(quantity || 0));
+
+// An item's price for display: '$2.99', '$1.29/kg', or 'Open price'
+export const formatItemPrice = (item) => {
+  if (item.price_type === 'open') return 'Open price';
+  if (item.price_type === 'weighed') return `${formatCurrency(item.price)}/${item.weight_unit}`;
+  return formatCurrency(item.price);
+};
+
+// A sale line's name: the item's, and the pack's when one was sold
+export const formatLineName = (line) => {
+  const name = line.item?.name || 'Unknown Item';
+  return line.pack_name ? `${name} (${line.pack_name})` : name;
+};
@@ -0,0 +1,33 @@
+// Manager override: the server answers a cashier's restricted action
+// (refund, large discount, price override, cancelling a large sale) with
+// a 403 and code 'override_required'; the request is then repeated with a
+// manager's PIN in the X-Override-Pin header.
+
+export const OVERRIDE_REQUIRED = 'override_required';
+
+const needsOverride = (err) =>
+  err.response?.status === 403 && err.response.data?.code === OVERRIDE_REQUIRED;
+
+// Run `request(headers)`. When it needs a manager's approval, ask
+// `promptPin(message)` for a PIN and retry with it until the request goes
+// through or the prompt is cancelled (resolves null), which rejects with
+// an error marked `overrideCancelled`.
+export async function withManagerOverride(request, promptPin) {
+  let headers = {};
+
+  for (;;) {
+    try {
+      return await request(headers);
+    } catch (err) {
+      if (!needsOverride(err)) throw err;
+
+      const pin = await promptPin(err.response.data.error);
+      if (!pin) {
+        const cancelled = new Error('Manager approval cancelled');
+        cancelled.overrideCancelled = true;
+        throw cancelled;
+      }
+      headers = { 'X-Override-Pin': pin };
+    }
+  }
+}
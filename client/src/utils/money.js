@@ -0,0 +1,81 @@
+// Money helpers for the screens, following the server's money module
+// (server/services/money.js): amounts from the API are dollars, sums are
+// done in integer cents and rounding is half up, away from zero. The
+// server works out every total; the client only adds up and displays,
+// except for sales rung up offline (see pricing.js).
+
+export const toCents = (amount) => {
+  if (amount === null || amount === undefined || amount === '') return 0;
+  return Math.round(Number(amount) * 100);
+};
+
+export const toDollars = (cents) => cents / 100;
+
+export const sumCents = (values) => values.reduce((sum, value) => sum + value, 0);
+
+// Quantities count to the thousandth (grams of a kg)
+const QUANTITY_SCALE = 1000;
+
+// Integer division rounded half up, away from zero
+const divideRounded = (numerator, denominator) => {
+  const sign = Math.sign(numerator) * Math.sign(denominator);
+  const n = Math.abs(numerator);
+  const d = Math.abs(denominator);
+  return sign * Math.floor((2 * n + d) / (2 * d));
+};
+
+// `cents` * part / whole for quantities `part` and `whole`, rounded. The
+// quantities are scaled to whole thousandths first, as on the server, so
+// weights like 0.275 kg prorate without float error.
+export const prorate = (cents, part, whole) => {
+  if (!whole) return 0;
+  return divideRounded(
+    cents * Math.round(Number(part) * QUANTITY_SCALE),
+    Math.round(Number(whole) * QUANTITY_SCALE)
+  );
+};
+
+// Unit price (cents) times a quantity (whole or fractional), rounded
+export const multiplyQuantity = (unitCents, quantity) =>
+  divideRounded(unitCents * Math.round(Number(quantity) * QUANTITY_SCALE), QUANTITY_SCALE);
+
+// Tax at `rate` (0.0875 = 8.75%) on `cents`, rounded
+export const taxOn = (cents, rate) =>
+  divideRounded(cents * Math.round(Number(rate || 0) * 1000000), 1000000);
+
+// `percent` (10 = 10%) of `cents`, rounded
+export const percentOf = (cents, percent) =>
+  divideRounded(cents * Math.round(Number(percent || 0) * 100), 10000);
+
+// Split `cents` over `weights` in proportion; the shares add up to `cents`
+// (leftover cents go to the largest remainders, ties to the earlier weight)
+export function allocate(cents, weights) {
+  const total = sumCents(weights);
+  if (cents === 0 || total <= 0) return weights.map(() => 0);
+
+  const shares = weights.map(weight => Math.floor(cents * weight / total));
+  const remainders = weights
+    .map((weight, index) => ({ index, remainder: (cents * weight) % total }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+
+  let leftover = cents - sumCents(shares);
+  for (let position = 0; leftover > 0; position = (position + 1) % remainders.length) {
+    shares[remainders[position].index] += 1;
+    leftover -= 1;
+  }
+
+  return shares;
+}
+
+// Integer cents -> '12.34'
+export const formatCents = (cents) => {
+  const sign = cents < 0 ? '-' : '';
+  const absolute = Math.abs(cents);
+  return `${sign}${Math.floor(absolute / 100)}.${String(absolute % 100).padStart(2, '0')}`;
+};
+
+// Dollars -> '$12.34' (negative amounts as '-$12.34')
+export const formatCurrency = (amount) => {
+  const cents = toCents(amount);
+  return `${cents < 0 ? '-' : ''}$${formatCents(Math.abs(cents))}`;
+};
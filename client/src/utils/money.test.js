@@ -0,0 +1,20 @@
+import { formatCurrency, multiplyQuantity, prorate, toCents } from './money';
+// The cases the server's prorate is tested with (server/services/money.test.js)
+import prorateCases from '../../../server/services/prorateCases.json';
+
+test('prorate rounds like the server', () => {
+  for (const { cents, part, whole, prorated } of prorateCases) {
+    expect([cents, part, whole, prorate(cents, part, whole)]).toEqual([cents, part, whole, prorated]);
+  }
+});
+
+test('weights multiply to the exact cent', () => {
+  expect(multiplyQuantity(299, 0.35)).toBe(105);
+  expect(multiplyQuantity(-150, 3)).toBe(-450);
+});
+
+test('dollar amounts read and print as whole cents', () => {
+  expect(toCents('12.34')).toBe(1234);
+  expect(toCents(0.1 + 0.2)).toBe(30);
+  expect(formatCurrency(-5.5)).toBe('-$5.50');
+});
@@ -0,0 +1,156 @@
+import axios from 'axios';
+import { canonicalBarcode } from './barcodes';
+
+// Selling while the server cannot be reached. The register keeps the last
+// catalog it downloaded (GET /catalog) and the sales rung up offline in
+// IndexedDB, so both survive a reload. Queued sales are replayed oldest
+// first with POST /transactions/offline; the register picks each sale's
+// id, so sending one twice (a reply lost on the way back) records it once.
+// A sale the server finds conflicts with (an item deactivated, a price
+// changed) stays queued with its `conflicts` until a manager records it
+// anyway or discards it.
+
+const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+const DB_NAME = 'pos-offline';
+const DB_VERSION = 1;
+const CATALOG_STORE = 'catalog';
+const SALES_STORE = 'sales';
+const CATALOG_KEY = 'current';
+
+// Conflicts a manager can accept when recording an offline sale (see
+// server/services/offlineSales.js)
+export const FORCEABLE_CONFLICTS = ['item_inactive', 'price_changed', 'total_changed'];
+
+// A random (version 4) UUID for a sale or line rung up offline.
+// crypto.randomUUID only exists in secure contexts (https or localhost),
+// and a register may load the client over plain http on the store network.
+export const randomUuid = () => {
+  if (typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+// A request that got no answer at all: the server (or the network) is
+// down, as opposed to the server refusing it
+export const isOfflineError = (err) => Boolean(err?.isAxiosError && !err.response);
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(CATALOG_STORE);
+        request.result.createObjectStore(SALES_STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Run `action(store)` in a transaction on `storeName` and resolve with
+// the result of the request it returns (if any) once the transaction
+// completes
+const withStore = async (storeName, mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Download the catalog and keep it for offline use. Resolves with it.
+export async function refreshCatalog() {
+  const response = await axios.get(`${API_BASE}/catalog`);
+  await withStore(CATALOG_STORE, 'readwrite', store => store.put(response.data, CATALOG_KEY));
+  return response.data;
+}
+
+// The catalog saved by the last refreshCatalog, or undefined
+export const loadCatalog = () =>
+  withStore(CATALOG_STORE, 'readonly', store => store.get(CATALOG_KEY));
+
+// The active item with `barcode` in `catalog` (in any of its GTIN forms),
+// or undefined. Embedded price and weight labels need the server.
+export const findItemByBarcode = (catalog, barcode) => {
+  const wanted = canonicalBarcode(barcode);
+  return catalog.items.find(item => item.barcodes.some(code => canonicalBarcode(code) === wanted));
+};
+
+// Save (or replace) a sale rung up offline: { id, created_at, employee_id,
+// lines, payments, total, ... } as sent to POST /transactions/offline,
+// plus `conflicts` once the server has found some
+export const queueSale = (sale) =>
+  withStore(SALES_STORE, 'readwrite', store => store.put(sale));
+
+export const removeQueuedSale = (saleId) =>
+  withStore(SALES_STORE, 'readwrite', store => store.delete(saleId));
+
+// Queued sales, oldest first
+export async function listQueuedSales() {
+  const sales = await withStore(SALES_STORE, 'readonly', store => store.getAll());
+  return sales.sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+// The fields of a queued sale the server takes
+const payloadFor = ({ conflicts, ...sale }) => sale;
+
+// Send one queued sale (with `force`, recording it despite its conflicts;
+// `headers` carry a manager's override PIN). Removes it from the queue
+// once the server has it, also when an earlier attempt already got
+// through. Other errors are thrown.
+export async function replaySale(sale, { force = false, headers = {} } = {}) {
+  const response = await axios.post(
+    `${API_BASE}/transactions/offline`,
+    { ...payloadFor(sale), force: force || undefined },
+    { headers }
+  );
+  await removeQueuedSale(sale.id);
+  return response.data;
+}
+
+// Replay every queued sale that is not waiting for a manager. Stops at
+// the first sale the server cannot take right now (unreachable, no open
+// shift), which stays queued with the rest. Resolves with { synced,
+// review, error }: how many got through, how many now need review, and
+// the error that stopped the sync, if any.
+export async function syncQueuedSales() {
+  let synced = 0;
+  let review = 0;
+
+  for (const sale of await listQueuedSales()) {
+    if (sale.conflicts) {
+      review += 1;
+      continue;
+    }
+
+    try {
+      await replaySale(sale);
+      synced += 1;
+    } catch (err) {
+      const conflicts = err.response?.status === 409 && err.response.data?.conflicts;
+      if (conflicts) {
+        await queueSale({ ...sale, conflicts });
+        review += 1;
+        continue;
+      }
+      return { synced, review, error: err };
+    }
+  }
+
+  return { synced, review, error: null };
+}
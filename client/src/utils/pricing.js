@@ -0,0 +1,123 @@
+import { allocate, multiplyQuantity, percentOf, sumCents, taxOn, toCents, toDollars } from './money';
+
+// Pricing for sales rung up while the server cannot be reached, following
+// the server's rules so the total charged is the one it records when the
+// sale is replayed: promotions as in server/services/promotions.js, tax
+// per line on the discounted amount as in services/transactionTotals.js.
+// Offline sales have no manual discounts, so only promotions come off.
+// Keep the two in step.
+
+// Active and inside its start/end window at `now`
+const isPromotionRunning = (promotion, now) =>
+  promotion.is_active &&
+  (!promotion.starts_at || new Date(promotion.starts_at) <= now) &&
+  (!promotion.ends_at || new Date(promotion.ends_at) > now);
+
+// Discount (cents) and the units it comes off for one group of units
+const applyToGroup = (rule, group) => {
+  if (rule.type === 'bogo') {
+    const discounted = group.slice(rule.quantity);
+    const discount = sumCents(discounted.map(unit => percentOf(unit.price, rule.get_percent)));
+    return { discount, units: discounted };
+  }
+
+  const full = sumCents(group.map(unit => unit.price));
+  return { discount: Math.max(0, full - toCents(rule.price)), units: group };
+};
+
+// Split eligible units (most expensive first) into the groups a rule prices
+const groupsFor = (rule, units) => {
+  const eligible = new Set(rule.item_ids);
+  const size = rule.type === 'bogo' ? rule.quantity + rule.get_quantity : rule.quantity;
+
+  const pools = rule.type === 'multi_buy'
+    ? rule.item_ids.map(itemId => units.filter(unit => unit.itemId === itemId))
+    : [units.filter(unit => eligible.has(unit.itemId))];
+
+  const groups = [];
+  for (const pool of pools) {
+    const sorted = [...pool].sort((a, b) => b.price - a.price);
+    for (let start = 0; start + size <= sorted.length; start += size) {
+      groups.push(sorted.slice(start, start + size));
+    }
+  }
+  return groups;
+};
+
+// Promotion discount in cents on each line (line id -> cents) and the
+// promotions that applied ({ rule, applications, amount } in dollars)
+const evaluatePromotions = (lines, rules) => {
+  let units = [];
+  for (const line of lines) {
+    for (let count = 0; count < line.quantity; count += 1) {
+      units.push({ lineId: line.id, itemId: line.item_id, price: toCents(line.unit_price) });
+    }
+  }
+
+  const lineCents = new Map();
+  const adjustments = [];
+
+  for (const rule of rules) {
+    let applications = 0;
+    let amount = 0;
+    const used = new Set();
+
+    for (const group of groupsFor(rule, units)) {
+      const { discount, units: discountedUnits } = applyToGroup(rule, group);
+      if (discount <= 0) continue;
+
+      allocate(discount, discountedUnits.map(unit => unit.price)).forEach((share, index) => {
+        const { lineId } = discountedUnits[index];
+        lineCents.set(lineId, (lineCents.get(lineId) || 0) + share);
+      });
+      group.forEach(unit => used.add(unit));
+      applications += 1;
+      amount += discount;
+    }
+
+    if (applications > 0) {
+      adjustments.push({ rule, applications, amount: toDollars(amount) });
+      units = units.filter(unit => !used.has(unit));
+    }
+  }
+
+  return { adjustments, lineCents };
+};
+
+// Price an offline sale's lines ({ id, item_id, quantity, unit_price,
+// tax_rate }) with the catalog's promotions running at `now`. Returns the
+// lines with promotion_discount_amount and line_total, the promotions that
+// applied and the totals, all in dollars; subtotal is before promotions.
+export function priceSale(lines, promotions, now = new Date()) {
+  const running = promotions.filter(promotion => isPromotionRunning(promotion, now));
+  const { adjustments, lineCents } = evaluatePromotions(lines, running);
+
+  let subtotal = 0;
+  let discountTotal = 0;
+  let tax = 0;
+
+  const pricedLines = lines.map(line => {
+    const gross = multiplyQuantity(toCents(line.unit_price), line.quantity);
+    const promotionAmount = Math.min(gross, lineCents.get(line.id) || 0);
+    const lineTax = taxOn(gross - promotionAmount, line.tax_rate);
+
+    subtotal += gross;
+    discountTotal += promotionAmount;
+    tax += lineTax;
+
+    return {
+      ...line,
+      promotion_discount_amount: toDollars(promotionAmount),
+      line_total: toDollars(gross - promotionAmount + lineTax)
+    };
+  });
+
+  return {
+    lines: pricedLines,
+    adjustments,
+    subtotal: toDollars(subtotal),
+    discount_total: toDollars(discountTotal),
+    tax: toDollars(tax),
+    total: toDollars(subtotal - discountTotal + tax)
+  };
+}
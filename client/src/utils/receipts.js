@@ -0,0 +1,57 @@
+import axios from 'axios';
+
+const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+// Link to a receipt in any format the server renders (html, text, pdf)
+export const receiptUrl = (transactionId, { format = 'html', reprint = false } = {}) =>
+  `${API_BASE}/transactions/${transactionId}/receipt?format=${format}${reprint ? '&reprint=true' : ''}`;
+
+// X-report (open shift) or Z-report (closed shift), html or text
+export const shiftReportUrl = (shiftId, { format = 'html' } = {}) =>
+  `${API_BASE}/shifts/${shiftId}/report?format=${format}`;
+
+// Fetch an HTML document and print it from a blank window, so the print
+// dialog only shows it. Rejects if it cannot be loaded or the window is
+// blocked.
+async function printHtml(url, { headers } = {}) {
+  const printWindow = window.open('', '_blank', 'width=420,height=640');
+  if (!printWindow) {
+    throw new Error('Allow pop-ups to print receipts');
+  }
+
+  try {
+    const response = await axios.get(url, { responseType: 'text', headers });
+    printWindow.document.open();
+    printWindow.document.write(response.data);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  } catch (err) {
+    printWindow.close();
+    throw err;
+  }
+}
+
+export const printReceipt = (transactionId, { reprint = false } = {}) =>
+  printHtml(receiptUrl(transactionId, { reprint }));
+
+// `headers` carries a manager's override PIN for X-reports
+export const printShiftReport = (shiftId, { headers } = {}) =>
+  printHtml(shiftReportUrl(shiftId), { headers });
+
+// Fetch the PDF receipt and open it in a new window (a plain link would not
+// send the session token)
+export async function openReceiptPdf(transactionId, { reprint = false } = {}) {
+  const pdfWindow = window.open('', '_blank');
+  if (!pdfWindow) {
+    throw new Error('Allow pop-ups to open receipts');
+  }
+
+  try {
+    const response = await axios.get(receiptUrl(transactionId, { format: 'pdf', reprint }), { responseType: 'blob' });
+    pdfWindow.location.href = URL.createObjectURL(response.data);
+  } catch (err) {
+    pdfWindow.close();
+    throw err;
+  }
+}
@@ -0,0 +1,11 @@
+// Tender methods the register takes, as the server knows them (see
+// server/services/payments.js)
+export const TENDER_METHODS = [
+  { id: 'cash', label: 'Cash' },
+  { id: 'card', label: 'Card' },
+  { id: 'gift_card', label: 'Gift Card' },
+  { id: 'store_credit', label: 'Store Credit' }
+];
+
+export const tenderLabel = (method) =>
+  TENDER_METHODS.find(tender => tender.id === method)?.label || method;
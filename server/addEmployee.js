@@ -0,0 +1,43 @@
+import dotenv from 'dotenv';
+import { createDatabase } from './db/index.js';
+import { createRepositories } from './repositories/index.js';
+import { hashPin, ROLES, validateEmployee } from './services/employees.js';
+
+dotenv.config();
+
+// Create an employee from the command line, e.g. the first admin of a new
+// store (everyone else can then be added from the Employees screen):
+//   npm run add-employee -- "Alex Smith" admin 4821
+
+const [name, role, pin] = process.argv.slice(2);
+
+const validationError = validateEmployee({ name, role, pin });
+if (validationError) {
+  console.error(validationError);
+  console.error(`Usage: npm run add-employee -- "<name>" <${ROLES.join('|')}> <pin>`);
+  process.exit(1);
+}
+
+let db;
+try {
+  db = createDatabase();
+} catch (error) {
+  console.error(error.message);
+  console.error('Set DB_DRIVER=local, or SUPABASE_URL and SUPABASE_ANON_KEY, in server/.env');
+  process.exit(1);
+}
+
+const repos = createRepositories(db);
+
+try {
+  const employee = await repos.employees.create({
+    name: name.trim(),
+    role,
+    pin_hash: await hashPin(pin),
+    is_active: true
+  });
+  console.log(`✓ Added ${employee.role} ${employee.name} (${employee.id})`);
+} catch (error) {
+  console.error('Error adding employee:', error);
+  process.exit(1);
+}
@@ -0,0 +1,46 @@
+import { randomUUID } from 'crypto';
+
+// Drop keys whose value is undefined so both drivers see the same payload
+// (JSON serialization drops them for Supabase anyway)
+const defined = (values) =>
+  Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+
+// Collect writes and apply them all-or-nothing with `commit()`.
+//
+// `where` objects in a batch only support equality (a null value matches
+// NULL). Inserts get their id up front so later operations in the same
+// batch can reference the new row. `expect` makes the whole batch fail with
+// a CONFLICT error unless the operation touches exactly that many rows,
+// which is how callers guard against concurrent changes.
+//
+// `commit()` resolves to one result per operation: the inserted row for
+// inserts, the array of affected rows for everything else.
+export function createBatch(db) {
+  const operations = [];
+
+  return {
+    insert(table, values) {
+      const row = { id: randomUUID(), ...defined(values) };
+      operations.push({ op: 'insert', table, values: row });
+      return row.id;
+    },
+
+    update(table, where, values, { expect } = {}) {
+      operations.push(defined({ op: 'update', table, where, values: defined(values), expect }));
+    },
+
+    // Add `by` (may be negative) to a numeric column, never going below `min`
+    increment(table, where, column, by, { min, expect } = {}) {
+      operations.push(defined({ op: 'increment', table, where, column, by, min, expect }));
+    },
+
+    remove(table, where, { expect } = {}) {
+      operations.push(defined({ op: 'remove', table, where, expect }));
+    },
+
+    async commit() {
+      if (operations.length === 0) return [];
+      return db.applyBatch(operations);
+    }
+  };
+}
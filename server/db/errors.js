@@ -0,0 +1,11 @@
+// Error thrown by every driver when a query fails. `code` carries the
+// Postgres error code when there is one (e.g. '23505' for unique violations)
+// so callers can react to constraint errors without knowing the backend.
+export class DatabaseError extends Error {
+  constructor(message, code = null, details = null) {
+    super(message);
+    this.name = 'DatabaseError';
+    this.code = code;
+    this.details = details;
+  }
+}
@@ -0,0 +1,34 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createSupabaseDriver } from './supabaseDriver.js';
+import { createLocalDriver } from './localDriver.js';
+
+export { DatabaseError } from './errors.js';
+export { UNIQUE_VIOLATION, CONFLICT } from './schema.js';
+export { createBatch } from './batch.js';
+
+const serverDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Pick the storage backend from the environment:
+//   DB_DRIVER=supabase (default)  uses SUPABASE_URL / SUPABASE_ANON_KEY
+//   DB_DRIVER=local               uses LOCAL_DB_FILE (default server/data/pos-db.json,
+//                                 or ':memory:' to keep nothing on disk)
+export function createDatabase(env = process.env) {
+  const driver = (env.DB_DRIVER || 'supabase').toLowerCase();
+
+  switch (driver) {
+    case 'supabase':
+      return createSupabaseDriver({
+        url: env.SUPABASE_URL,
+        key: env.SUPABASE_ANON_KEY
+      });
+    case 'local': {
+      const file = env.LOCAL_DB_FILE || path.join(serverDir, 'data', 'pos-db.json');
+      return createLocalDriver({
+        file: file === ':memory:' ? file : path.resolve(serverDir, file)
+      });
+    }
+    default:
+      throw new Error(`Unknown DB_DRIVER '${env.DB_DRIVER}' (expected 'supabase' or 'local')`);
+  }
+}
@@ -0,0 +1,425 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { TABLES, UNIQUE_VIOLATION, CONFLICT } from './schema.js';
+import { DatabaseError } from './errors.js';
+
+// In-process database used for offline lanes and CI. Tables live in memory
+// and, unless the file is ':memory:', are kept in a JSON file so the server
+// and the seed script can share data, one process at a time (see lock).
+// Each write appends the rows it changed to a journal next to the file
+// (`<file>.log`, one line per write) instead of rewriting the whole file;
+// the journal is folded into the file when the driver starts and once it
+// grows past `journalLimit` lines.
+
+const MEMORY = ':memory:';
+const JOURNAL_LIMIT = 5000;
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// SQL ILIKE pattern -> case-insensitive RegExp: % is any run of
+// characters, _ any one, and a backslash makes the next character literal
+const ilikePattern = (pattern) => {
+  let source = '';
+  for (let index = 0; index < pattern.length; index += 1) {
+    const char = pattern[index];
+    if (char === '\\' && index + 1 < pattern.length) {
+      index += 1;
+      source += escapeRegExp(pattern[index]);
+    } else {
+      source += char === '%' ? '.*' : char === '_' ? '.' : escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`, 'is');
+};
+
+const OPERATORS = {
+  gt: (value, operand) => value !== null && value !== undefined && compare(value, operand) > 0,
+  gte: (value, operand) => value !== null && value !== undefined && compare(value, operand) >= 0,
+  lt: (value, operand) => value !== null && value !== undefined && compare(value, operand) < 0,
+  lte: (value, operand) => value !== null && value !== undefined && compare(value, operand) <= 0,
+  neq: (value, operand) => (operand === null ? value !== null && value !== undefined : value !== operand),
+  ilike: (value, operand) => typeof value === 'string' && ilikePattern(operand).test(value)
+};
+
+// Same `where` semantics as the Supabase driver (see applyWhere there)
+const matches = (row, where = {}) =>
+  Object.entries(where).every(([column, condition]) => {
+    const value = row[column];
+    if (Array.isArray(condition)) {
+      return condition.includes(value);
+    }
+    if (condition === null) {
+      return value === null || value === undefined;
+    }
+    if (typeof condition === 'object') {
+      return Object.entries(condition).every(([operator, operand]) => {
+        const test = OPERATORS[operator];
+        if (!test) {
+          throw new DatabaseError(`Unsupported operator '${operator}'`);
+        }
+        return test(value, operand);
+      });
+    }
+    return value === condition;
+  });
+
+const clone = (row) => (row ? structuredClone(row) : row);
+
+const coerce = (table, row) => {
+  for (const column of TABLES[table]?.numeric || []) {
+    if (row[column] !== null && row[column] !== undefined && row[column] !== '') {
+      row[column] = Number(row[column]);
+    }
+  }
+  return row;
+};
+
+// Replay journal `entries` ([['put', table, row] | ['remove', table, id]])
+// onto `tables`: a put replaces the row with its id or adds it at the end
+const replay = (tables, entries) => {
+  for (const [op, table, value] of entries) {
+    const rows = tables[table] || (tables[table] = []);
+    if (op === 'put') {
+      const index = rows.findIndex(row => row.id === value.id);
+      if (index === -1) rows.push(value);
+      else rows[index] = value;
+    } else {
+      tables[table] = rows.filter(row => row.id !== value);
+    }
+  }
+};
+
+// The tables saved in `file` and its journal. A line cut short by a crash
+// mid-write is the last one, and is dropped: its write never finished.
+const load = (file, journal) => {
+  const tables = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).tables || {} : {};
+  if (fs.existsSync(journal)) {
+    for (const line of fs.readFileSync(journal, 'utf8').split('\n')) {
+      if (!line) continue;
+      try {
+        replay(tables, JSON.parse(line));
+      } catch {
+        break;
+      }
+    }
+  }
+  return tables;
+};
+
+const isRunning = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+};
+
+// Take `<file>.lock` for this process, or throw if a running process holds
+// it. Each process works on its own copy of the tables in memory, so a
+// second one (the seed script while the server runs) would have its writes
+// overwritten by the first one's next compaction. A lock left by a process
+// that is gone is taken over. Returns a function that releases the lock.
+const lock = (file) => {
+  const lockFile = `${file}.lock`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  try {
+    fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+    const owner = parseInt(fs.readFileSync(lockFile, 'utf8'));
+    if (isRunning(owner)) {
+      throw new DatabaseError(`${file} is in use by process ${owner}; stop it first (or delete ${lockFile} if that is not a POS process)`);
+    }
+    fs.writeFileSync(lockFile, String(process.pid));
+  }
+
+  const release = () => {
+    process.removeListener('exit', release);
+    try {
+      if (fs.readFileSync(lockFile, 'utf8') === String(process.pid)) fs.unlinkSync(lockFile);
+    } catch {
+      // Already gone
+    }
+  };
+  process.on('exit', release);
+  return release;
+};
+
+export function createLocalDriver({ file = MEMORY, journalLimit = JOURNAL_LIMIT } = {}) {
+  const journal = `${file}.log`;
+  const unlock = file === MEMORY ? () => {} : lock(file);
+  const tables = file === MEMORY ? {} : load(file, journal);
+  let journalLines = 0;
+  // Journal entries of the write in progress
+  let changes = [];
+  // How to take back each change of the batch in progress (null outside
+  // one), run in reverse if the batch fails
+  let undo = null;
+  const onUndo = (step) => {
+    if (undo) undo.push(step);
+  };
+
+  // Like `alter table ... add column ... default`, fill in columns added
+  // since the file was written
+  for (const [table, rows] of Object.entries(tables)) {
+    const defaults = TABLES[table]?.defaults || {};
+    for (const row of rows) {
+      for (const [column, value] of Object.entries(defaults)) {
+        if (!(column in row)) row[column] = value;
+      }
+    }
+  }
+
+  const rowsOf = (table) => {
+    if (!tables[table]) {
+      tables[table] = [];
+    }
+    return tables[table];
+  };
+
+  // Write every table to `file` and start an empty journal
+  const compact = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ tables }));
+    fs.renameSync(tmp, file);
+    fs.writeFileSync(journal, '');
+    journalLines = 0;
+  };
+
+  // Append the write in progress to the journal as one line, so it is
+  // replayed whole or not at all
+  const persist = () => {
+    const entries = changes;
+    changes = [];
+    if (file === MEMORY || entries.length === 0) return;
+
+    fs.appendFileSync(journal, `${JSON.stringify(entries)}\n`);
+    journalLines += 1;
+    if (journalLines >= journalLimit) compact();
+  };
+
+  const recordPut = (table, row) => changes.push(['put', table, clone(row)]);
+
+  // Fold what the last run journaled into the file
+  if (file !== MEMORY && fs.existsSync(journal) && fs.statSync(journal).size > 0) {
+    compact();
+  }
+
+  // Like Postgres, rows with a NULL in a unique column never clash, and a
+  // partial unique index ({ columns, where, name }) only covers the rows
+  // matching its `where`. `pending` maps the ids of rows being updated
+  // along with `row` to their new values.
+  const checkUnique = (table, row, ignoreId = null, pending = new Map()) => {
+    for (const constraint of TABLES[table]?.unique || []) {
+      const { columns, where = {}, name = `${table}_${columns.join('_')}_key` } =
+        Array.isArray(constraint) ? { columns: constraint } : constraint;
+      if (!matches(row, where)) continue;
+      if (columns.some(column => row[column] === null || row[column] === undefined)) continue;
+      const clash = rowsOf(table).map(existing => pending.get(existing.id) || existing).find(existing =>
+        existing.id !== ignoreId &&
+        matches(existing, where) &&
+        columns.every(column => existing[column] === row[column])
+      );
+      if (clash) {
+        throw new DatabaseError(`duplicate key value violates unique constraint "${name}"`, UNIQUE_VIOLATION);
+      }
+    }
+  };
+
+  const insertRow = (table, values) => {
+    const row = coerce(table, {
+      id: randomUUID(),
+      created_at: new Date().toISOString(),
+      ...(TABLES[table]?.defaults || {}),
+      ...values
+    });
+    checkUnique(table, row);
+    const rows = rowsOf(table);
+    rows.push(row);
+    recordPut(table, row);
+    onUndo(() => rows.splice(rows.lastIndexOf(row), 1));
+    return row;
+  };
+
+  const removeRows = (table, where) => {
+    const removed = [];
+    const rows = rowsOf(table);
+    tables[table] = rows.filter(row => {
+      if (matches(row, where)) {
+        removed.push(row);
+        changes.push(['remove', table, row.id]);
+        return false;
+      }
+      return true;
+    });
+    if (removed.length > 0) {
+      onUndo(() => {
+        tables[table] = rows;
+      });
+    }
+
+    for (const { table: child, column } of TABLES[table]?.cascade || []) {
+      const ids = removed.map(row => row.id);
+      if (ids.length > 0) {
+        removeRows(child, { [column]: ids });
+      }
+    }
+    return removed;
+  };
+
+  // Every matching row is checked before any is changed, so an update
+  // that breaks a unique constraint changes nothing
+  const updateRows = (table, where, apply) => {
+    const updated = rowsOf(table).filter(row => matches(row, where));
+    const pending = new Map(updated.map(row => [row.id, coerce(table, { ...row, ...apply(row) })]));
+
+    for (const [id, next] of pending) {
+      checkUnique(table, next, id, pending);
+    }
+    for (const row of updated) {
+      const before = { ...row };
+      Object.assign(row, pending.get(row.id));
+      recordPut(table, row);
+      onUndo(() => {
+        for (const column of Object.keys(row)) delete row[column];
+        Object.assign(row, before);
+      });
+    }
+    return updated;
+  };
+
+  const applyOperation = (operation) => {
+    const { op, table, where } = operation;
+    let affected;
+
+    switch (op) {
+      case 'insert':
+        return insertRow(table, operation.values);
+      case 'update':
+        affected = updateRows(table, where, () => operation.values);
+        break;
+      case 'increment':
+        affected = updateRows(table, where, row => {
+          // Postgres numerics add exactly; keep fractional stock (weighed
+          // items) from drifting by float rounding
+          const next = Number((Number(row[operation.column] || 0) + operation.by).toFixed(6));
+          return {
+            [operation.column]: operation.min === undefined ? next : Math.max(operation.min, next)
+          };
+        });
+        break;
+      case 'remove':
+        affected = removeRows(table, where);
+        break;
+      default:
+        throw new DatabaseError(`Unsupported batch operation '${op}'`);
+    }
+
+    if (operation.expect !== undefined && affected.length !== operation.expect) {
+      throw new DatabaseError(
+        `Batch operation on ${table} affected ${affected.length} rows, expected ${operation.expect}`,
+        CONFLICT
+      );
+    }
+    return affected;
+  };
+
+  return {
+    name: 'local',
+
+    async select(table, { where, order, range } = {}) {
+      let rows = rowsOf(table).filter(row => matches(row, where));
+      if (order) {
+        const keys = [].concat(order);
+        rows = [...rows].sort((a, b) => {
+          for (const { column, ascending } of keys) {
+            const result = compare(a[column], b[column]);
+            if (result !== 0) return ascending === false ? -result : result;
+          }
+          return 0;
+        });
+      }
+      if (range) {
+        rows = rows.slice(range[0], range[1] + 1);
+      }
+      return rows.map(clone);
+    },
+
+    async count(table, where) {
+      return rowsOf(table).filter(row => matches(row, where)).length;
+    },
+
+    async selectOne(table, where) {
+      const found = rowsOf(table).filter(row => matches(row, where));
+      if (found.length > 1) {
+        throw new DatabaseError('Multiple rows returned where one was expected');
+      }
+      return clone(found[0] || null);
+    },
+
+    async insert(table, values) {
+      const row = insertRow(table, values);
+      persist();
+      return clone(row);
+    },
+
+    async insertMany(table, values) {
+      // Validate the whole batch before keeping any of it, like a single INSERT
+      const before = rowsOf(table).length;
+      try {
+        const rows = values.map(row => insertRow(table, row));
+        persist();
+        return rows.map(clone);
+      } catch (error) {
+        tables[table] = rowsOf(table).slice(0, before);
+        changes = [];
+        throw error;
+      }
+    },
+
+    async update(table, where, patch) {
+      const updated = updateRows(table, where, () => patch);
+      if (updated.length > 0) persist();
+      return updated.map(clone);
+    },
+
+    async remove(table, where) {
+      const removed = removeRows(table, where);
+      if (removed.length > 0) persist();
+      return removed.map(clone);
+    },
+
+    // Let another process (or driver) open the file
+    async close() {
+      unlock();
+    },
+
+    // Operations run synchronously, so nothing else can interleave with a
+    // batch; on failure the rows it touched are put back the way they were.
+    async applyBatch(operations) {
+      undo = [];
+      try {
+        const results = operations.map(applyOperation);
+        persist();
+        return structuredClone(results);
+      } catch (error) {
+        for (const step of undo.reverse()) step();
+        changes = [];
+        throw error;
+      } finally {
+        undo = null;
+      }
+    }
+  };
+}
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLocalDriver } from './localDriver.js';
+import { createBatch } from './batch.js';
+
+// A database file in a directory of its own, removed after the test
+const tempFile = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pos-db-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'pos-db.json');
+};
+
+const journalLines = (file) => fs.readFileSync(`${file}.log`, 'utf8').split('\n').filter(Boolean);
+
+test('writes are journaled and replayed after a restart', async (t) => {
+  const file = tempFile(t);
+  const db = createLocalDriver({ file });
+  const cola = await db.insert('item', { name: 'Coca Cola', price: 1.5 });
+  const chips = await db.insert('item', { name: 'Chips', price: 2 });
+  await db.update('item', { id: cola.id }, { price: 1.75 });
+  await db.remove('item', { id: chips.id });
+  await db.close();
+
+  assert.equal(fs.existsSync(file), false);
+  assert.equal(journalLines(file).length, 4);
+
+  const restarted = createLocalDriver({ file });
+  t.after(() => restarted.close());
+  assert.deepEqual(
+    (await restarted.select('item')).map(item => [item.name, item.price]),
+    [['Coca Cola', 1.75]]
+  );
+  // Starting up folded the journal into the file
+  assert.deepEqual(journalLines(file), []);
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).tables.item.length, 1);
+});
+
+test('a journal line cut short by a crash is dropped', async (t) => {
+  const file = tempFile(t);
+  const db = createLocalDriver({ file });
+  await db.insert('item', { name: 'Coca Cola', price: 1.5 });
+  await db.close();
+  fs.appendFileSync(`${file}.log`, '[["put","item",{"id":"x","na');
+
+  const restarted = createLocalDriver({ file });
+  t.after(() => restarted.close());
+  assert.deepEqual((await restarted.select('item')).map(item => item.name), ['Coca Cola']);
+});
+
+test('the journal is compacted into the file once it reaches its limit', async (t) => {
+  const file = tempFile(t);
+  const db = createLocalDriver({ file, journalLimit: 3 });
+  t.after(() => db.close());
+
+  await db.insert('item', { name: 'A', price: 1 });
+  await db.insert('item', { name: 'B', price: 1 });
+  assert.equal(journalLines(file).length, 2);
+  assert.equal(fs.existsSync(file), false);
+
+  await db.insert('item', { name: 'C', price: 1 });
+  assert.deepEqual(journalLines(file), []);
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')).tables.item.map(item => item.name), ['A', 'B', 'C']);
+
+  await db.insert('item', { name: 'D', price: 1 });
+  assert.equal(journalLines(file).length, 1);
+});
+
+test('a failed batch is not journaled', async (t) => {
+  const file = tempFile(t);
+  const db = createLocalDriver({ file });
+  const item = await db.insert('item', { name: 'Coca Cola', price: 1.5 });
+
+  const batch = createBatch(db);
+  batch.update('item', { id: item.id }, { price: 2 });
+  batch.remove('item', { id: 'missing' }, { expect: 1 });
+  await assert.rejects(batch.commit());
+  await db.close();
+
+  assert.equal(journalLines(file).length, 1);
+  const restarted = createLocalDriver({ file });
+  t.after(() => restarted.close());
+  assert.equal((await restarted.selectOne('item', { id: item.id })).price, 1.5);
+});
+
+test('a file can only be open in one process or driver at a time', async (t) => {
+  const file = tempFile(t);
+  const db = createLocalDriver({ file });
+
+  assert.throws(() => createLocalDriver({ file }), /in use by process/);
+  await db.close();
+
+  // A lock left by a process that is gone is taken over
+  fs.writeFileSync(`${file}.lock`, '999999999');
+  const next = createLocalDriver({ file });
+  t.after(() => next.close());
+  assert.equal(fs.readFileSync(`${file}.lock`, 'utf8'), String(process.pid));
+});
+
+test('rows that tie on the first sort key are ordered by the next one', async (t) => {
+  const db = createLocalDriver();
+  t.after(() => db.close());
+  for (const [id, price] of [['c', 2], ['a', 2], ['b', 1], ['d', 2]]) {
+    await db.insert('item', { id, name: id, price });
+  }
+
+  const ids = async (order) => (await db.select('item', { order })).map(item => item.id);
+  assert.deepEqual(await ids([{ column: 'price' }, { column: 'id' }]), ['b', 'a', 'c', 'd']);
+  assert.deepEqual(await ids([{ column: 'price', ascending: false }, { column: 'id', ascending: false }]), ['d', 'c', 'a', 'b']);
+  assert.deepEqual(await ids({ column: 'price', ascending: false }), ['c', 'a', 'd', 'b']);
+});
@@ -0,0 +1,8 @@
+-- Track how much of each line has been refunded, for partial-quantity refunds
+alter table transaction_line
+  add column if not exists refunded_quantity integer not null default 0;
+
+-- Lines refunded before this migration were always refunded in full
+update transaction_line
+  set refunded_quantity = quantity
+  where refunded_by is not null;
@@ -0,0 +1,7 @@
+-- Multi-tender payments: a reference per tender (gift card number, etc.)
+-- and the cash change handed back when the sale was finalized
+alter table payment
+  add column if not exists reference text;
+
+alter table pos_transaction
+  add column if not exists change_given numeric(10, 2) not null default 0;
@@ -0,0 +1,8 @@
+-- Card terminal integration: the terminal authorization behind a card
+-- tender, the card it was charged to, and for refund tenders the original
+-- payment the money went back to
+alter table payment
+  add column if not exists authorization_id text,
+  add column if not exists card_brand text,
+  add column if not exists card_last4 text,
+  add column if not exists refund_of uuid references payment (id);
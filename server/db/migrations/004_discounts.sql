@@ -0,0 +1,12 @@
+-- Line and transaction discounts: the discount as entered (type and value),
+-- the dollars it took off each line, and the sale's discount total
+alter table pos_transaction
+  add column if not exists discount_type text check (discount_type in ('percent', 'fixed')),
+  add column if not exists discount_value numeric(10, 2),
+  add column if not exists discount_total numeric(10, 2) not null default 0;
+
+alter table transaction_line
+  add column if not exists discount_type text check (discount_type in ('percent', 'fixed')),
+  add column if not exists discount_value numeric(10, 2),
+  add column if not exists discount_amount numeric(10, 2) not null default 0,
+  add column if not exists transaction_discount_amount numeric(10, 2) not null default 0;
@@ -0,0 +1,4 @@
+-- Promotions: re-running schema.sql creates the promotion and
+-- promotion_adjustment tables; existing lines need the promotion share
+alter table transaction_line
+  add column if not exists promotion_discount_amount numeric(10, 2) not null default 0;
@@ -0,0 +1,4 @@
+-- Receipt numbers: re-running schema.sql creates receipt_sequence; existing
+-- transactions keep no number and are still found by id
+alter table pos_transaction
+  add column if not exists receipt_number text unique;
@@ -0,0 +1,6 @@
+-- Employees: re-running schema.sql creates employee and employee_session;
+-- existing transactions and payments keep no employee
+alter table pos_transaction
+  add column if not exists employee_id uuid references employee (id);
+alter table payment
+  add column if not exists employee_id uuid references employee (id);
@@ -0,0 +1,9 @@
+-- Manager override: who approved restricted cashier actions, and the item
+-- price before a line's price was overridden
+alter table pos_transaction
+  add column if not exists approved_by uuid references employee (id),
+  add column if not exists discount_approved_by uuid references employee (id);
+alter table transaction_line
+  add column if not exists original_unit_price numeric(10, 2),
+  add column if not exists price_approved_by uuid references employee (id),
+  add column if not exists discount_approved_by uuid references employee (id);
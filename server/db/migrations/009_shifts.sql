@@ -0,0 +1,7 @@
+-- Shifts: re-running schema.sql creates shift (with its one-open-shift
+-- index) and cash_movement; existing transactions and payments belong to no
+-- shift
+alter table pos_transaction
+  add column if not exists shift_id uuid references shift (id);
+alter table payment
+  add column if not exists shift_id uuid references shift (id);
@@ -0,0 +1,4 @@
+-- Suspended (parked) sales: when and by whom an open sale was parked
+alter table pos_transaction
+  add column if not exists suspended_at timestamptz,
+  add column if not exists suspended_by uuid references employee (id);
@@ -0,0 +1,37 @@
+-- Stores and registers: re-running schema.sql creates store, register and
+-- store_stock. Everything so far happened at one store and register, named
+-- after the store_code setting (which stores replace), and its stock is
+-- what item.quantity held.
+alter table employee_session
+  add column if not exists register_id uuid references register (id);
+alter table pos_transaction
+  add column if not exists store_id uuid references store (id),
+  add column if not exists register_id uuid references register (id);
+
+insert into store (code, name)
+select coalesce((select value #>> '{}' from store_setting where key = 'store_code'), 'S01'), 'Main store'
+where not exists (select 1 from store);
+
+insert into register (store_id, name)
+select id, 'Register 1' from store
+where not exists (select 1 from register)
+order by created_at
+limit 1;
+
+insert into store_stock (store_id, item_id, quantity)
+select register.store_id, item.id, item.quantity
+from item, (select store_id from register order by created_at limit 1) as register
+on conflict (store_id, item_id) do nothing;
+
+update shift
+set register_id = (select id from register order by created_at limit 1)
+where register_id is null;
+
+update pos_transaction
+set register_id = (select id from register order by created_at limit 1),
+    store_id = (select store_id from register order by created_at limit 1)
+where register_id is null;
+
+drop index if exists shift_one_open;
+alter table item drop column if exists quantity;
+delete from store_setting where key = 'store_code';
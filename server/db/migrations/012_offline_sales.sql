@@ -0,0 +1,3 @@
+-- Sales rung up while a register was offline: when each reached the server
+alter table pos_transaction
+  add column if not exists synced_at timestamptz;
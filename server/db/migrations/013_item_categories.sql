@@ -0,0 +1,3 @@
+-- Item categories: re-running schema.sql creates the category table
+alter table item
+  add column if not exists category_id uuid references category (id) on delete set null;
@@ -0,0 +1,19 @@
+-- Items sold at a price entered at the register (open) or by weight
+-- (weighed, `price` per `weight_unit`), and the fractional quantities
+-- weighed items are sold and stocked in
+alter table item
+  add column if not exists price_type text not null default 'fixed' check (price_type in ('fixed', 'open', 'weighed')),
+  add column if not exists min_price numeric(10, 2),
+  add column if not exists max_price numeric(10, 2),
+  add column if not exists weight_unit text check (weight_unit in ('kg', 'lb'));
+
+alter table transaction_line
+  add column if not exists weight_unit text check (weight_unit in ('kg', 'lb')),
+  alter column quantity type numeric(10, 3),
+  alter column refunded_quantity type numeric(10, 3);
+
+alter table refund_line
+  alter column quantity type numeric(10, 3);
+
+alter table store_stock
+  alter column quantity type numeric(12, 3);
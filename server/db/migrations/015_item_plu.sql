@@ -0,0 +1,3 @@
+-- PLUs, which embedded (price or weight) barcodes name items by
+alter table item
+  add column if not exists plu text unique;
@@ -0,0 +1,9 @@
+-- Packs items are also sold in (re-run schema.sql first for the item_pack
+-- table): their barcodes, and the pack each sale line sold
+alter table item_barcode
+  add column if not exists pack_id uuid references item_pack (id) on delete cascade;
+
+alter table transaction_line
+  add column if not exists pack_id uuid references item_pack (id) on delete set null,
+  add column if not exists pack_name text,
+  add column if not exists pack_size integer not null default 1;
@@ -0,0 +1,12 @@
+-- Settings a store saves for itself (merge_repeated_scans), next to the
+-- rows without a store_id that apply to every store
+alter table store_setting
+  add column if not exists store_id uuid references store (id) on delete cascade;
+
+alter table store_setting drop constraint if exists store_setting_key_key;
+
+alter table store_setting
+  drop constraint if exists store_setting_store_id_key_key,
+  add constraint store_setting_store_id_key_key unique (store_id, key);
+
+create unique index if not exists store_setting_shared_key on store_setting (key) where store_id is null;
@@ -0,0 +1,5 @@
+-- When a refund in progress claimed the sale it returns (null when none is):
+-- its card refunds are sent before the refund is recorded, and a second
+-- refund has to wait for them
+alter table pos_transaction
+  add column if not exists refund_claimed_at timestamptz;
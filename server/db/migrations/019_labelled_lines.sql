@@ -0,0 +1,4 @@
+-- Lines sold from an embedded price or weight label, whose quantity is the
+-- label's and cannot be changed by hand
+alter table transaction_line
+  add column if not exists from_label boolean not null default false;
@@ -0,0 +1,4 @@
+-- Audit entries for changes the server makes on its own, such as expiring
+-- parked sales, have no employee
+alter table audit_log
+  alter column employee_id drop not null;
@@ -0,0 +1,227 @@
+// Table metadata used by the local driver to mimic the Postgres schema in
+// schema.sql (column defaults, numeric columns, unique constraints and
+// partial unique indexes, and ON DELETE CASCADE foreign keys). Keep the
+// two files in sync. Defaults are also backfilled into rows saved before a
+// column existed.
+
+export const TABLES = {
+  item: {
+    defaults: {
+      tax_rate: 0,
+      cost: 0,
+      pack_size: 1,
+      price_type: 'fixed',
+      min_price: null,
+      max_price: null,
+      weight_unit: null,
+      plu: null,
+      category_id: null,
+      is_active: true
+    },
+    numeric: ['price', 'tax_rate', 'cost', 'pack_size', 'min_price', 'max_price'],
+    unique: [['plu']],
+    cascade: [
+      { table: 'item_pack', column: 'item_id' },
+      { table: 'item_barcode', column: 'item_id' },
+      { table: 'store_stock', column: 'item_id' }
+    ]
+  },
+  item_pack: {
+    numeric: ['price'],
+    unique: [['item_id', 'name']],
+    cascade: [
+      { table: 'item_barcode', column: 'pack_id' }
+    ]
+  },
+  item_barcode: {
+    defaults: {
+      pack_id: null
+    },
+    unique: [['barcode']]
+  },
+  category: {
+    unique: [['name']]
+  },
+  store: {
+    defaults: {
+      is_active: true
+    },
+    unique: [['code']],
+    cascade: [
+      { table: 'store_setting', column: 'store_id' }
+    ]
+  },
+  register: {
+    defaults: {
+      is_active: true
+    }
+  },
+  store_stock: {
+    defaults: {
+      quantity: 0
+    },
+    numeric: ['quantity'],
+    unique: [['store_id', 'item_id']]
+  },
+  pos_transaction: {
+    defaults: {
+      status: 'open',
+      subtotal: 0,
+      tax: 0,
+      total: 0,
+      change_given: 0,
+      discount_type: null,
+      discount_value: null,
+      discount_total: 0,
+      receipt_number: null,
+      employee_id: null,
+      approved_by: null,
+      discount_approved_by: null,
+      shift_id: null,
+      store_id: null,
+      register_id: null,
+      suspended_at: null,
+      suspended_by: null,
+      synced_at: null,
+      refund_claimed_at: null
+    },
+    numeric: ['subtotal', 'tax', 'total', 'change_given', 'discount_value', 'discount_total'],
+    // Offline sales bring their own id (see services/offlineSales.js)
+    unique: [['id'], ['receipt_number']],
+    cascade: [
+      { table: 'transaction_line', column: 'transaction_id' },
+      { table: 'promotion_adjustment', column: 'transaction_id' }
+    ]
+  },
+  transaction_line: {
+    defaults: {
+      weight_unit: null,
+      pack_id: null,
+      pack_name: null,
+      pack_size: 1,
+      from_label: false,
+      refunded_by: null,
+      refunded_quantity: 0,
+      discount_type: null,
+      discount_value: null,
+      discount_amount: 0,
+      transaction_discount_amount: 0,
+      promotion_discount_amount: 0,
+      original_unit_price: null,
+      price_approved_by: null,
+      discount_approved_by: null
+    },
+    numeric: [
+      'quantity',
+      'unit_price',
+      'original_unit_price',
+      'tax_rate',
+      'line_total',
+      'refunded_quantity',
+      'discount_value',
+      'discount_amount',
+      'transaction_discount_amount',
+      'promotion_discount_amount'
+    ]
+  },
+  refund_line: {
+    numeric: ['quantity', 'amount']
+  },
+  payment: {
+    defaults: {
+      reference: null,
+      authorization_id: null,
+      card_brand: null,
+      card_last4: null,
+      refund_of: null,
+      employee_id: null,
+      shift_id: null
+    },
+    numeric: ['amount']
+  },
+  refund: {
+    unique: [['original_tx']]
+  },
+  promotion: {
+    defaults: {
+      item_ids: [],
+      get_quantity: null,
+      get_percent: null,
+      price: null,
+      starts_at: null,
+      ends_at: null,
+      is_active: true
+    },
+    numeric: ['quantity', 'get_quantity', 'get_percent', 'price']
+  },
+  quick_key_page: {
+    defaults: {
+      keys: []
+    },
+    numeric: ['position']
+  },
+  promotion_adjustment: {
+    numeric: ['applications', 'amount']
+  },
+  store_setting: {
+    defaults: {
+      store_id: null
+    },
+    unique: [
+      { columns: ['key'], where: { store_id: null }, name: 'store_setting_shared_key' },
+      ['store_id', 'key']
+    ]
+  },
+  receipt_sequence: {
+    defaults: {
+      last_number: 0
+    },
+    numeric: ['last_number'],
+    unique: [['store_code']]
+  },
+  employee: {
+    defaults: {
+      is_active: true
+    }
+  },
+  shift: {
+    defaults: {
+      status: 'open',
+      register_id: null,
+      closed_by: null,
+      closed_at: null,
+      counts: null
+    },
+    numeric: ['opening_float'],
+    // shift_one_open_per_register: one open shift per register
+    unique: [{ columns: ['register_id'], where: { status: 'open' }, name: 'shift_one_open_per_register' }]
+  },
+  cash_movement: {
+    defaults: {
+      reason: null
+    },
+    numeric: ['amount']
+  },
+  employee_session: {
+    defaults: {
+      register_id: null,
+      ended_at: null
+    },
+    unique: [['token_hash']]
+  },
+  audit_log: {
+    defaults: {
+      approved_by: null,
+      entity_type: null,
+      entity_id: null,
+      before: null,
+      after: null
+    }
+  }
+};
+
+// Postgres error code for unique_violation, surfaced by both drivers
+export const UNIQUE_VIOLATION = '23505';
+
+// Raised (as serialization_failure) when a batch `expect` guard does not hold
+export const CONFLICT = '40001';
@@ -0,0 +1,420 @@
+-- POS schema for the Supabase (Postgres) driver.
+-- The local driver mirrors these tables in memory using db/schema.js.
+-- Existing databases: re-run this file, then the files in migrations/ in order.
+
+-- Departments items are filed under (see services/items.js)
+create table if not exists category (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists item (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  price numeric(10, 2) not null,
+  tax_rate numeric(6, 4) not null default 0,
+  cost numeric(10, 2) not null default 0,
+  -- Units in the case the supplier ships; receiving stock by the case
+  -- multiplies by it (see services/packs.js)
+  pack_size integer not null default 1,
+  -- fixed: sold at `price`; open: the cashier enters the price, between
+  -- min_price and max_price when set; weighed: `price` is per
+  -- `weight_unit` and the quantity sold is a weight (see services/items.js)
+  price_type text not null default 'fixed' check (price_type in ('fixed', 'open', 'weighed')),
+  min_price numeric(10, 2),
+  max_price numeric(10, 2),
+  weight_unit text check (weight_unit in ('kg', 'lb')),
+  -- The code deli and produce labels name the item by (embedded barcodes,
+  -- see services/barcodes.js); digits without leading zeros
+  plu text unique,
+  category_id uuid references category (id) on delete set null,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+-- Packs a fixed-price item is also sold in (a 6-pack, a case of 24), each
+-- with its own price and barcodes. Selling or refunding one moves
+-- `pack_size` of the item's units out of or into stock.
+create table if not exists item_pack (
+  id uuid primary key default gen_random_uuid(),
+  item_id uuid not null references item (id) on delete cascade,
+  name text not null,
+  pack_size integer not null check (pack_size > 1),
+  price numeric(10, 2) not null,
+  created_at timestamptz not null default now(),
+  unique (item_id, name)
+);
+
+-- `pack_id` is set on a pack's barcodes
+create table if not exists item_barcode (
+  id uuid primary key default gen_random_uuid(),
+  item_id uuid not null references item (id) on delete cascade,
+  pack_id uuid references item_pack (id) on delete cascade,
+  barcode text not null unique,
+  created_at timestamptz not null default now()
+);
+
+-- Shops on this backend. `code` prefixes the store's receipt numbers
+-- (S01-000123; see services/receiptNumbers.js).
+create table if not exists store (
+  id uuid primary key default gen_random_uuid(),
+  code text not null unique,
+  name text not null,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+-- Checkout lanes of a store. Each sign-in session belongs to one.
+create table if not exists register (
+  id uuid primary key default gen_random_uuid(),
+  store_id uuid not null references store (id),
+  name text not null,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+-- Stock on hand of each item at each store; a missing row is 0
+create table if not exists store_stock (
+  id uuid primary key default gen_random_uuid(),
+  store_id uuid not null references store (id),
+  item_id uuid not null references item (id) on delete cascade,
+  quantity numeric(12, 3) not null default 0,
+  created_at timestamptz not null default now(),
+  unique (store_id, item_id)
+);
+
+-- Staff who sign in at the register with a PIN (see services/employees.js)
+create table if not exists employee (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  role text not null check (role in ('cashier', 'manager', 'admin')),
+  pin_hash text not null,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+-- Signed-in registers; the token itself is only known to the client
+create table if not exists employee_session (
+  id uuid primary key default gen_random_uuid(),
+  employee_id uuid not null references employee (id),
+  token_hash text not null unique,
+  register_id uuid references register (id),
+  expires_at timestamptz not null,
+  ended_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- A till session: opened with a float of cash, closed with a count of
+-- each tender (see services/shifts.js)
+create table if not exists shift (
+  id uuid primary key default gen_random_uuid(),
+  status text not null default 'open' check (status in ('open', 'closed')),
+  register_id uuid references register (id),
+  opened_by uuid not null references employee (id),
+  opening_float numeric(10, 2) not null,
+  closed_by uuid references employee (id),
+  closed_at timestamptz,
+  -- Amounts counted at close, by tender method: { "cash": 512.30, ... }
+  counts jsonb,
+  created_at timestamptz not null default now()
+);
+
+-- Only one shift can be open at a time on each register. (The column is
+-- added here too so that re-running this file on a database from before
+-- registers works; migrations/011_stores.sql fills it in.)
+alter table shift add column if not exists register_id uuid references register (id);
+create unique index if not exists shift_one_open_per_register on shift (register_id) where status = 'open';
+
+-- Cash put into (paid_in) or taken out of (paid_out) the drawer mid-shift
+create table if not exists cash_movement (
+  id uuid primary key default gen_random_uuid(),
+  shift_id uuid not null references shift (id),
+  type text not null check (type in ('paid_in', 'paid_out')),
+  amount numeric(10, 2) not null,
+  reason text,
+  employee_id uuid not null references employee (id),
+  created_at timestamptz not null default now()
+);
+
+create table if not exists pos_transaction (
+  id uuid primary key default gen_random_uuid(),
+  status text not null default 'open',
+  subtotal numeric(10, 2) not null default 0,
+  tax numeric(10, 2) not null default 0,
+  total numeric(10, 2) not null default 0,
+  change_given numeric(10, 2) not null default 0,
+  discount_type text check (discount_type in ('percent', 'fixed')),
+  discount_value numeric(10, 2),
+  discount_total numeric(10, 2) not null default 0,
+  receipt_number text unique,
+  employee_id uuid references employee (id),
+  -- Manager who approved a cashier's refund or cancellation, and a large
+  -- sale discount (see middleware/auth.js)
+  approved_by uuid references employee (id),
+  discount_approved_by uuid references employee (id),
+  -- Shift the sale was finalized (or the refund made) in
+  shift_id uuid references shift (id),
+  -- Where the sale was rung up, then where it was finalized (or the
+  -- refund made)
+  store_id uuid references store (id),
+  register_id uuid references register (id),
+  -- When and by whom an open sale was parked (status 'suspended'); parked
+  -- sales left longer than the suspended_sale_hours setting are 'expired'
+  suspended_at timestamptz,
+  suspended_by uuid references employee (id),
+  -- When a sale rung up while the register was offline reached the server
+  -- (created_at is when it was rung up); null for sales made online
+  synced_at timestamptz,
+  -- When a refund in progress claimed this sale; cleared once the refund
+  -- is recorded or given up
+  refund_claimed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists refund (
+  id uuid primary key default gen_random_uuid(),
+  original_tx uuid not null unique references pos_transaction (id),
+  refund_tx uuid not null references pos_transaction (id),
+  created_at timestamptz not null default now()
+);
+
+create table if not exists transaction_line (
+  id uuid primary key default gen_random_uuid(),
+  transaction_id uuid not null references pos_transaction (id) on delete cascade,
+  item_id uuid not null references item (id),
+  -- A weight in `weight_unit` for weighed items, a count otherwise (of
+  -- packs on a pack's line)
+  quantity numeric(10, 3) not null,
+  weight_unit text check (weight_unit in ('kg', 'lb')),
+  -- The pack sold, with its name and size as they were at the sale; each
+  -- one sold is `pack_size` of the item's units
+  pack_id uuid references item_pack (id) on delete set null,
+  pack_name text,
+  pack_size integer not null default 1,
+  -- Sold from an embedded price or weight label: the quantity is the
+  -- label's and cannot be changed by hand
+  from_label boolean not null default false,
+  unit_price numeric(10, 2) not null,
+  tax_rate numeric(6, 4) not null default 0,
+  line_total numeric(12, 4) not null,
+  refunded_by uuid references refund (id),
+  refunded_quantity numeric(10, 3) not null default 0,
+  discount_type text check (discount_type in ('percent', 'fixed')),
+  discount_value numeric(10, 2),
+  discount_amount numeric(10, 2) not null default 0,
+  transaction_discount_amount numeric(10, 2) not null default 0,
+  promotion_discount_amount numeric(10, 2) not null default 0,
+  -- Item price before a price override, and who approved the override or
+  -- a large line discount
+  original_unit_price numeric(10, 2),
+  price_approved_by uuid references employee (id),
+  discount_approved_by uuid references employee (id),
+  created_at timestamptz not null default now()
+);
+
+-- One row per line returned by a refund transaction (partial quantities allowed)
+create table if not exists refund_line (
+  id uuid primary key default gen_random_uuid(),
+  refund_tx uuid not null references pos_transaction (id),
+  transaction_line_id uuid not null references transaction_line (id),
+  quantity numeric(10, 3) not null,
+  amount numeric(12, 4) not null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists payment (
+  id uuid primary key default gen_random_uuid(),
+  transaction_id uuid not null references pos_transaction (id),
+  method text not null,
+  amount numeric(10, 2) not null,
+  reference text,
+  authorization_id text,
+  card_brand text,
+  card_last4 text,
+  refund_of uuid references payment (id),
+  employee_id uuid references employee (id),
+  shift_id uuid references shift (id),
+  created_at timestamptz not null default now()
+);
+
+-- Pages of quick keys on the cashier screen, buttons that add an item
+-- without scanning it (see services/quickKeys.js). `keys` is
+-- [{ item_id, label, color }] in grid order.
+create table if not exists quick_key_page (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  position integer not null,
+  keys jsonb not null default '[]',
+  created_at timestamptz not null default now()
+);
+
+-- Automatic pricing rules (see services/promotions.js)
+create table if not exists promotion (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  type text not null check (type in ('multi_buy', 'mix_and_match', 'bogo')),
+  item_ids jsonb not null default '[]',
+  quantity integer not null,
+  get_quantity integer,
+  get_percent numeric(5, 2),
+  price numeric(10, 2),
+  starts_at timestamptz,
+  ends_at timestamptz,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+-- Promotions applied to a transaction, with the rule as it was when applied
+create table if not exists promotion_adjustment (
+  id uuid primary key default gen_random_uuid(),
+  transaction_id uuid not null references pos_transaction (id) on delete cascade,
+  promotion_id uuid not null references promotion (id),
+  description text not null,
+  applications integer not null,
+  amount numeric(10, 2) not null,
+  rule jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+-- Settings (see services/settings.js): rows without a store_id apply to
+-- every store, a store's own rows win at that store
+create table if not exists store_setting (
+  id uuid primary key default gen_random_uuid(),
+  key text not null,
+  value jsonb,
+  store_id uuid references store (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  unique (store_id, key)
+);
+
+create unique index if not exists store_setting_shared_key on store_setting (key) where store_id is null;
+
+-- Last receipt number handed out per store code (see services/receiptNumbers.js)
+create table if not exists receipt_sequence (
+  id uuid primary key default gen_random_uuid(),
+  store_code text not null unique,
+  last_number integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+-- Append-only history of every change made through the API (see
+-- middleware/audit.js). `before` and `after` are the changed record's
+-- values, or the request body when a route does not describe its change.
+-- Changes the server makes on its own have no employee_id and the method
+-- 'SYSTEM'.
+create table if not exists audit_log (
+  id uuid primary key default gen_random_uuid(),
+  employee_id uuid references employee (id),
+  approved_by uuid references employee (id),
+  method text not null,
+  path text not null,
+  route text not null,
+  status_code integer not null,
+  entity_type text,
+  entity_id text,
+  before jsonb,
+  after jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_created_at on audit_log (created_at);
+create index if not exists audit_log_entity on audit_log (entity_type, entity_id);
+
+create or replace function audit_log_append_only()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'audit_log is append-only';
+end;
+$$;
+
+drop trigger if exists audit_log_append_only on audit_log;
+create trigger audit_log_append_only
+  before update or delete on audit_log
+  for each statement execute function audit_log_append_only();
+
+-- Applies a list of write operations (built by db/batch.js) in the single
+-- transaction PostgREST opens for an RPC call: either every operation
+-- commits or none does. `where` keys are compared for equality through the
+-- table's row type; an operation with `expect` raises serialization_failure
+-- (40001) unless it touched exactly that many rows.
+create or replace function pos_apply_batch(operations jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  operation jsonb;
+  op text;
+  tbl text;
+  cols text;
+  cond text;
+  affected jsonb;
+  results jsonb := '[]'::jsonb;
+begin
+  for operation in select value from jsonb_array_elements(operations) loop
+    op := operation->>'op';
+    tbl := operation->>'table';
+
+    select coalesce(
+      string_agg(
+        format('t.%1$I is not distinct from (jsonb_populate_record(null::%2$I, $1)).%1$I', key, tbl),
+        ' and '
+      ),
+      'true'
+    )
+    into cond
+    from jsonb_object_keys(coalesce(operation->'where', '{}'::jsonb)) as key;
+
+    if op in ('insert', 'update') then
+      select string_agg(quote_ident(key), ', ')
+      into cols
+      from jsonb_object_keys(operation->'values') as key;
+    end if;
+
+    if op = 'insert' then
+      execute format(
+        'insert into %1$I as t (%2$s) select %2$s from jsonb_populate_record(null::%1$I, $1) returning to_jsonb(t)',
+        tbl, cols
+      )
+      into affected
+      using operation->'values';
+      affected := jsonb_build_array(affected);
+    elsif op = 'update' then
+      execute format(
+        'with changed as (update %1$I as t set (%2$s) = (select %2$s from jsonb_populate_record(null::%1$I, $2)) where %3$s returning to_jsonb(t) as r) select coalesce(jsonb_agg(r), ''[]'') from changed',
+        tbl, cols, cond
+      )
+      into affected
+      using operation->'where', operation->'values';
+    elsif op = 'increment' then
+      execute format(
+        'with changed as (update %1$I as t set %2$I = greatest(t.%2$I + $2, coalesce($3, t.%2$I + $2)) where %3$s returning to_jsonb(t) as r) select coalesce(jsonb_agg(r), ''[]'') from changed',
+        tbl, operation->>'column', cond
+      )
+      into affected
+      using operation->'where', (operation->>'by')::numeric, (operation->>'min')::numeric;
+    elsif op = 'remove' then
+      execute format(
+        'with changed as (delete from %1$I as t where %2$s returning to_jsonb(t) as r) select coalesce(jsonb_agg(r), ''[]'') from changed',
+        tbl, cond
+      )
+      into affected
+      using operation->'where';
+    else
+      raise exception 'Unsupported batch operation %', op;
+    end if;
+
+    if operation ? 'expect' and jsonb_array_length(affected) <> (operation->>'expect')::integer then
+      raise exception 'Batch operation on % affected % rows, expected %',
+        tbl, jsonb_array_length(affected), operation->>'expect'
+        using errcode = '40001';
+    end if;
+
+    results := results || jsonb_build_array(case when op = 'insert' then affected->0 else affected end);
+  end loop;
+
+  return results;
+end;
+$$;
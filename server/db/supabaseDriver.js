@@ -0,0 +1,102 @@
+import { createClient } from '@supabase/supabase-js';
+import { DatabaseError } from './errors.js';
+
+// Translate a driver `where` object into PostgREST filters.
+//   { id: 'x' }                  -> eq
+//   { status: ['a', 'b'] }       -> in
+//   { refunded_by: null }        -> is null
+//   { created_at: { gte, lt } }  -> range operators (gt, gte, lt, lte, neq)
+//   { name: { ilike: '%tea%' } } -> case-insensitive LIKE (\ escapes % and _)
+const applyWhere = (query, where = {}) => {
+  for (const [column, condition] of Object.entries(where)) {
+    if (Array.isArray(condition)) {
+      query = query.in(column, condition);
+    } else if (condition === null) {
+      query = query.is(column, null);
+    } else if (typeof condition === 'object') {
+      for (const [operator, value] of Object.entries(condition)) {
+        if (operator === 'neq' && value === null) {
+          query = query.not(column, 'is', null);
+        } else {
+          query = query[operator](column, value);
+        }
+      }
+    } else {
+      query = query.eq(column, condition);
+    }
+  }
+  return query;
+};
+
+// An empty `in` list can never match; skip the round trip
+const matchesNothing = (where = {}) =>
+  Object.values(where).some(condition => Array.isArray(condition) && condition.length === 0);
+
+const unwrap = ({ data, error }) => {
+  if (error) {
+    throw new DatabaseError(error.message, error.code, error.details);
+  }
+  return data;
+};
+
+export function createSupabaseDriver({ url, key }) {
+  if (!url || !key) {
+    throw new Error('Missing Supabase environment variables (SUPABASE_URL, SUPABASE_ANON_KEY)');
+  }
+
+  const supabase = createClient(url, key);
+
+  return {
+    name: 'supabase',
+
+    async select(table, { where, order, range } = {}) {
+      if (matchesNothing(where)) return [];
+
+      let query = applyWhere(supabase.from(table).select('*'), where);
+      // `order` is one { column, ascending } or a list, most significant first
+      for (const { column, ascending } of [].concat(order || [])) {
+        query = query.order(column, { ascending: ascending !== false });
+      }
+      if (range) {
+        query = query.range(range[0], range[1]);
+      }
+      return unwrap(await query) || [];
+    },
+
+    async count(table, where) {
+      if (matchesNothing(where)) return 0;
+      const { count, error } = await applyWhere(supabase.from(table).select('*', { count: 'exact', head: true }), where);
+      return unwrap({ data: count, error });
+    },
+
+    async selectOne(table, where) {
+      if (matchesNothing(where)) return null;
+      return unwrap(await applyWhere(supabase.from(table).select('*'), where).maybeSingle());
+    },
+
+    async insert(table, row) {
+      return unwrap(await supabase.from(table).insert(row).select().single());
+    },
+
+    async insertMany(table, rows) {
+      if (rows.length === 0) return [];
+      return unwrap(await supabase.from(table).insert(rows).select());
+    },
+
+    async update(table, where, patch) {
+      if (matchesNothing(where)) return [];
+      return unwrap(await applyWhere(supabase.from(table).update(patch), where).select());
+    },
+
+    async remove(table, where) {
+      if (matchesNothing(where)) return [];
+      return unwrap(await applyWhere(supabase.from(table).delete(), where).select());
+    },
+
+    // A PostgREST RPC call runs in a single Postgres transaction, so the
+    // pos_apply_batch function (schema.sql) commits or rolls back as a whole
+    async applyBatch(operations) {
+      return unwrap(await supabase.rpc('pos_apply_batch', { operations }));
+    }
+  };
+}
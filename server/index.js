@@ -1,7 +1,111 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { createClient } from '@supabase/supabase-js';
+import { createDatabase, UNIQUE_VIOLATION, CONFLICT } from './db/index.js';
+import { createRepositories } from './repositories/index.js';
+import {
+  calculateLineTotal,
+  priceTransaction,
+  recalculateTransactionTotals
+} from './services/transactionTotals.js';
+import { discountPercent, validateDiscount } from './services/discounts.js';
+import {
+  formatCents,
+  formatDollars,
+  multiplyQuantity,
+  roundDollars,
+  roundQuantity,
+  sumCents,
+  toCents,
+  toDollars
+} from './services/money.js';
+import {
+  isPromotionRunning,
+  promotionFieldsFrom,
+  validatePromotion
+} from './services/promotions.js';
+import { getSettings, getStoreSettings, updateSettings, validateSettings } from './services/settings.js';
+import { summarizePayments, validateChange, validateTender } from './services/payments.js';
+import { applyTenders, tenderConflictMessage } from './services/checkout.js';
+import {
+  allocateRefundTenders,
+  captureCardTender,
+  refundCardTenders,
+  releaseCardTender
+} from './services/cardPayments.js';
+import { createTerminal, TerminalError } from './terminals/index.js';
+import {
+  buildReceipt,
+  buildShiftReport,
+  RECEIPT_FORMATS,
+  RECEIPT_WIDTHS,
+  SHIFT_REPORT_FORMATS
+} from './receipts/index.js';
+import { createPrinter } from './printers/index.js';
+import { createScale, ScaleError } from './scales/index.js';
+import {
+  involvesCash,
+  kickDrawer,
+  printShiftReport,
+  printTransactionReceipt
+} from './services/receiptPrinting.js';
+import { normalizeReceiptNumber, withReceiptNumber } from './services/receiptNumbers.js';
+import {
+  hashPin,
+  permissionsFor,
+  publicEmployee,
+  validateEmployee,
+  verifyPin
+} from './services/employees.js';
+import { createLoginThrottle, startSession } from './services/sessions.js';
+import { createAuth } from './middleware/auth.js';
+import { auditChange, createAuditTrail, skipAudit } from './middleware/audit.js';
+import {
+  calculateRefundTotals,
+  claimRefund,
+  refundableQuantityOf,
+  refundedQuantityOf,
+  resolveRefundItems
+} from './services/refunds.js';
+import {
+  NO_OPEN_SHIFT,
+  summarizeShift,
+  validateCashMovement,
+  validateCounts,
+  validateOpeningFloat
+} from './services/shifts.js';
+import { AUDIT_EXPORT_FORMATS, auditCsv, auditFiltersFrom } from './services/audit.js';
+import { EXPIRY_SWEEP_MS, expireSuspendedSales, listSuspendedSales } from './services/suspendedSales.js';
+import {
+  buildCatalog,
+  findOfflineSaleConflicts,
+  FORCEABLE_CONFLICTS,
+  offlineSaleCashier,
+  priceOfflineSale,
+  recordOfflineSale,
+  validateOfflineSale
+} from './services/offlineSales.js';
+import {
+  checkItemCategory,
+  ITEM_PRICING_FIELDS,
+  itemPricingFrom,
+  itemSearchFrom,
+  lineQuantityFrom,
+  lineSaleFor,
+  pricedItem,
+  searchItems,
+  validateCategory
+} from './services/items.js';
+import { itemBarcodesFrom, itemPluFrom, resolveBarcode } from './services/barcodes.js';
+import { checkPackItem, packFieldsFrom, receivedUnitsFor } from './services/packs.js';
+import { normalizeQuickKeys, quickKeyPagesWithItems, validateQuickKeys } from './services/quickKeys.js';
+import {
+  ensureDefaultStore,
+  findRegister,
+  publicLocation,
+  validateRegister,
+  validateStore
+} from './services/stores.js';
 
 dotenv.config();
 
@@ -11,613 +115,2358 @@ const PORT = process.env.PORT || 3001;
 app.use(cors());
 app.use(express.json());
 
-// Initialize Supabase client
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_ANON_KEY;
-
-if (!supabaseUrl || !supabaseKey) {
-  console.error('Missing Supabase environment variables');
+// Initialize the storage backend selected by DB_DRIVER, the card terminal
+// selected by PAYMENT_TERMINAL, the receipt printer selected by
+// RECEIPT_PRINTER and the scale selected by SCALE (all three null when
+// there is none)
+let db;
+let terminal;
+let printer;
+let scale;
+try {
+  db = createDatabase();
+  terminal = createTerminal();
+  printer = createPrinter();
+  scale = createScale();
+} catch (error) {
+  console.error(error.message);
   process.exit(1);
 }
 
-const supabase = createClient(supabaseUrl, supabaseKey);
+const repos = createRepositories(db);
+const { authenticate, requirePermission, authorize, sendDenied } = createAuth(repos);
+const loginThrottle = createLoginThrottle();
+
+// Log every change made through the API (see middleware/audit.js)
+app.use('/api', createAuditTrail(repos));
+
+// Completed transactions can be looked up by receipt number (S01-000123) as
+// well as by id
+const findTransaction = (idOrReceiptNumber) => {
+  const receiptNumber = normalizeReceiptNumber(idOrReceiptNumber);
+  return receiptNumber
+    ? repos.transactions.findByReceiptNumber(receiptNumber)
+    : repos.transactions.findById(idOrReceiptNumber);
+};
+
+// HTTP status for each TerminalError code
+const TERMINAL_ERROR_STATUS = {
+  declined: 402,
+  invalid: 400,
+  not_found: 404,
+  unavailable: 503,
+  timeout: 504
+};
+
+const sendTerminalError = (res, error) =>
+  res.status(TERMINAL_ERROR_STATUS[error.code] || 502).json({ error: error.message });
+
+// HTTP status for each ScaleError code. The response carries the code
+// ('scale_unstable', ...), so the register can ask the cashier to wait or
+// to place the item, and any `fields` given.
+const SCALE_ERROR_STATUS = {
+  unstable: 409,
+  invalid: 400,
+  unavailable: 503
+};
+
+const sendScaleError = (res, error, fields = {}) =>
+  res.status(SCALE_ERROR_STATUS[error.code] || 502).json({ error: error.message, code: `scale_${error.code}`, ...fields });
 
 // ========== API ROUTES ==========
 
-// Look up barcode to get item_id (only for active items)
-app.post('/api/barcode/lookup', async (req, res) => {
+// ========== SIGN-IN AND EMPLOYEES ==========
+
+// Active employees for the sign-in screen (names and roles only); like
+// login, this is open to registers nobody is signed in to
+app.get('/api/auth/employees', async (req, res) => {
   try {
-    const { barcode } = req.body;
+    const employees = await repos.employees.listActive();
+    res.json(employees.map(({ id, name, role }) => ({ id, name, role })));
+  } catch (error) {
+    console.error('List sign-in employees error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    if (!barcode) {
-      return res.status(400).json({ error: 'Barcode is required' });
+// Active registers for the sign-in screen to choose from, with their
+// store; open like the employee list
+app.get('/api/auth/registers', async (req, res) => {
+  try {
+    const [registers, stores] = await Promise.all([repos.registers.listAll(), repos.stores.listAll()]);
+    const activeStores = new Map(stores.filter(store => store.is_active).map(store => [store.id, store]));
+
+    res.json(registers
+      .filter(register => register.is_active && activeStores.has(register.store_id))
+      .map(register => publicLocation({ register, store: activeStores.get(register.store_id) })));
+  } catch (error) {
+    console.error('List sign-in registers error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sign in with { employeeId, pin, registerId } (without a register, the
+// first one; see services/stores.js). Returns a session token to send as
+// `Authorization: Bearer <token>` on every other request.
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { employeeId, pin, registerId } = req.body;
+
+    if (!employeeId || !pin) {
+      return res.status(400).json({ error: 'Employee and PIN are required' });
     }
 
-    // Get barcode with item info to check if item is active
-    const { data: barcodeData, error: barcodeError } = await supabase
-      .from('item_barcode')
-      .select(`
-        item_id,
-        item:item_id (
-          id,
-          is_active
-        )
-      `)
-      .eq('barcode', barcode)
-      .single();
-
-    if (barcodeError || !barcodeData) {
-      return res.status(404).json({ error: 'Barcode not found' });
+    const lockedFor = loginThrottle.lockedFor(employeeId);
+    if (lockedFor > 0) {
+      return res.status(429).json({
+        error: `Too many wrong PINs, try again in ${Math.ceil(lockedFor / 60000)} minute(s)`
+      });
     }
 
-    // Check if item is active
-    const item = barcodeData.item;
-    if (!item || !item.is_active) {
-      return res.status(404).json({ error: 'Item is inactive' });
+    const employee = await repos.employees.findById(employeeId);
+
+    if (!employee || !employee.is_active) {
+      return res.status(401).json({ error: 'Wrong PIN' });
+    }
+
+    if (!(await verifyPin(pin, employee.pin_hash))) {
+      loginThrottle.recordFailure(employeeId);
+      return res.status(401).json({ error: 'Wrong PIN' });
+    }
+
+    loginThrottle.reset(employeeId);
+
+    const location = await findRegister(repos, registerId);
+    if (!location) {
+      return res.status(400).json({ error: 'Choose an active register to sign in to' });
     }
 
-    res.json({ item_id: barcodeData.item_id });
+    const { token, expiresAt } = await startSession(repos, employee, location.register.id);
+    auditChange(res, { entityType: 'employee', entityId: employee.id, employeeId: employee.id });
+
+    res.json({
+      token,
+      expiresAt,
+      employee: publicEmployee(employee),
+      permissions: permissionsFor(employee.role),
+      ...publicLocation(location)
+    });
   } catch (error) {
-    console.error('Barcode lookup error:', error);
+    console.error('Login error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get all items with their barcodes (only active items)
-app.get('/api/items', async (req, res) => {
-  try {
-    const { data: items, error: itemsError } = await supabase
-      .from('item')
-      .select('*')
-      .eq('is_active', true)
-      .order('created_at', { ascending: false });
+// Every route below needs a signed-in employee (req.employee)
+app.use('/api', authenticate);
+
+// The signed-in employee, what they may do and where
+app.get('/api/auth/session', (req, res) => {
+  res.json({
+    employee: publicEmployee(req.employee),
+    permissions: permissionsFor(req.employee.role),
+    expiresAt: req.session.expires_at,
+    ...publicLocation(req)
+  });
+});
 
-    if (itemsError) {
-      console.error('Error fetching items:', itemsError);
-      return res.status(500).json({ error: 'Failed to fetch items' });
-    }
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await repos.employeeSessions.end(req.session.id);
+    auditChange(res, { entityType: 'employee_session', entityId: req.session.id });
+    res.json({ message: 'Signed out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Get all barcodes for all items
-    const itemIds = items.map(item => item.id);
-    
-    if (itemIds.length === 0) {
-      return res.json(items.map(item => ({ ...item, barcodes: [] })));
-    }
+app.get('/api/employees', requirePermission('employees.manage'), async (req, res) => {
+  try {
+    const employees = await repos.employees.listAll();
+    res.json(employees.map(publicEmployee));
+  } catch (error) {
+    console.error('Get employees error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    const { data: barcodes, error: barcodesError } = await supabase
-      .from('item_barcode')
-      .select('*')
-      .in('item_id', itemIds);
+// Create an employee: { name, role, pin }
+app.post('/api/employees', requirePermission('employees.manage'), async (req, res) => {
+  try {
+    const { name, role, pin } = req.body;
 
-    if (barcodesError) {
-      console.error('Error fetching barcodes:', barcodesError);
-      return res.status(500).json({ error: 'Failed to fetch barcodes' });
+    const validationError = validateEmployee({ name, role, pin });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    // Group barcodes by item_id
-    const barcodesByItem = {};
-    (barcodes || []).forEach(barcode => {
-      if (!barcodesByItem[barcode.item_id]) {
-        barcodesByItem[barcode.item_id] = [];
-      }
-      barcodesByItem[barcode.item_id].push(barcode.barcode);
+    const employee = await repos.employees.create({
+      name: name.trim(),
+      role,
+      pin_hash: await hashPin(pin),
+      is_active: true
     });
 
-    // Combine items with their barcodes
-    const itemsWithBarcodes = items.map(item => ({
-      ...item,
-      barcodes: barcodesByItem[item.id] || []
-    }));
-
-    res.json(itemsWithBarcodes);
+    auditChange(res, { entityType: 'employee', entityId: employee.id, after: publicEmployee(employee) });
+    res.json(publicEmployee(employee));
   } catch (error) {
-    console.error('Get items error:', error);
+    console.error('Create employee error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get item details by item_id
-app.get('/api/items/:itemId', async (req, res) => {
+// Update an employee's name, role or PIN, or reactivate them. Admins
+// cannot take away their own admin role, so a store is never left without one.
+app.put('/api/employees/:employeeId', requirePermission('employees.manage'), async (req, res) => {
   try {
-    const { itemId } = req.params;
+    const { employeeId } = req.params;
+    const { name, role, pin, is_active } = req.body;
 
-    const { data: item, error: itemError } = await supabase
-      .from('item')
-      .select('*')
-      .eq('id', itemId)
-      .single();
+    const validationError = validateEmployee({ name, role, pin }, { creating: false });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
 
-    if (itemError || !item) {
-      return res.status(404).json({ error: 'Item not found' });
+    if (employeeId === req.employee.id && ((role !== undefined && role !== 'admin') || is_active === false)) {
+      return res.status(400).json({ error: 'You cannot remove your own admin access' });
     }
 
-    // Get barcodes for this item
-    const { data: barcodes, error: barcodesError } = await supabase
-      .from('item_barcode')
-      .select('barcode')
-      .eq('item_id', itemId);
+    const updateData = {};
+    if (name !== undefined) updateData.name = name.trim();
+    if (role !== undefined) updateData.role = role;
+    if (pin !== undefined) updateData.pin_hash = await hashPin(pin);
+    if (is_active !== undefined) updateData.is_active = Boolean(is_active);
+
+    const existing = await repos.employees.findById(employeeId);
 
-    if (barcodesError) {
-      console.error('Error fetching barcodes:', barcodesError);
-      return res.status(500).json({ error: 'Failed to fetch barcodes' });
+    if (!existing) {
+      return res.status(404).json({ error: 'Employee not found' });
     }
 
-    res.json({
-      ...item,
-      barcodes: (barcodes || []).map(b => b.barcode)
+    const employee = await repos.employees.update(employeeId, updateData);
+
+    // A new PIN or a deactivation signs the employee out everywhere
+    if (pin !== undefined || employee.is_active === false) {
+      await repos.employeeSessions.endAllForEmployee(employeeId);
+    }
+
+    auditChange(res, {
+      entityType: 'employee',
+      entityId: employeeId,
+      // The PIN itself is never logged, only that it changed
+      before: { ...publicEmployee(existing), pin_changed: false },
+      after: { ...publicEmployee(employee), pin_changed: pin !== undefined }
     });
+    res.json(publicEmployee(employee));
   } catch (error) {
-    console.error('Item fetch error:', error);
+    console.error('Update employee error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Create a new item
-app.post('/api/items', async (req, res) => {
+// Deactivate an employee (kept for the transactions they recorded) and
+// end their sessions
+app.delete('/api/employees/:employeeId', requirePermission('employees.manage'), async (req, res) => {
   try {
-    const { name, price, tax_rate, quantity, cost, pack_size, barcodes } = req.body;
+    const { employeeId } = req.params;
 
-    if (!name || !price || barcodes === undefined || barcodes.length === 0) {
-      return res.status(400).json({ error: 'Name, price, and at least one barcode are required' });
+    if (employeeId === req.employee.id) {
+      return res.status(400).json({ error: 'You cannot deactivate yourself' });
     }
 
-    // Create item
-    const { data: item, error: itemError } = await supabase
-      .from('item')
-      .insert({
-        name: name.trim(),
-        price: parseFloat(price),
-        tax_rate: parseFloat(tax_rate || 0),
-        quantity: parseInt(quantity || 0),
-        cost: parseFloat(cost || 0),
-        pack_size: parseInt(pack_size || 1),
-        is_active: true
-      })
-      .select()
-      .single();
+    const existing = await repos.employees.findById(employeeId);
 
-    if (itemError) {
-      console.error('Error creating item:', itemError);
-      return res.status(500).json({ error: 'Failed to create item' });
+    if (!existing) {
+      return res.status(404).json({ error: 'Employee not found' });
     }
 
-    // Create barcodes
-    const barcodeInserts = barcodes.map(barcode => ({
-      item_id: item.id,
-      barcode: barcode.trim()
-    }));
-
-    const { data: createdBarcodes, error: barcodesError } = await supabase
-      .from('item_barcode')
-      .insert(barcodeInserts)
-      .select();
-
-    if (barcodesError) {
-      console.error('Error creating barcodes:', barcodesError);
-      // Rollback: delete the item if barcode creation fails
-      await supabase.from('item').delete().eq('id', item.id);
-      return res.status(500).json({ error: 'Failed to create barcodes' });
-    }
+    const employee = await repos.employees.deactivate(employeeId);
 
-    res.json({
-      ...item,
-      barcodes: createdBarcodes.map(b => b.barcode)
+    await repos.employeeSessions.endAllForEmployee(employeeId);
+    auditChange(res, {
+      entityType: 'employee',
+      entityId: employeeId,
+      before: publicEmployee(existing),
+      after: publicEmployee(employee)
     });
+
+    res.json({ message: 'Employee deactivated', employee: publicEmployee(employee) });
   } catch (error) {
-    console.error('Create item error:', error);
+    console.error('Delete employee error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Update an item
-app.put('/api/items/:itemId', async (req, res) => {
+// ========== STORES AND REGISTERS ==========
+
+// Body fields a store or register route may set
+const storeFieldsFrom = ({ code, name, is_active }) =>
+  Object.fromEntries(Object.entries({
+    code: typeof code === 'string' ? code.trim().toUpperCase() : code,
+    name: typeof name === 'string' ? name.trim() : name,
+    is_active
+  }).filter(([, value]) => value !== undefined));
+
+// Every store with its registers (for reports and the Stores screen)
+app.get('/api/stores', async (req, res) => {
   try {
-    const { itemId } = req.params;
-    const { name, price, tax_rate, quantity, cost, pack_size, barcodes } = req.body;
+    const [stores, registers] = await Promise.all([repos.stores.listAll(), repos.registers.listAll()]);
 
-    // Update item
-    const updateData = {};
-    if (name !== undefined) updateData.name = name.trim();
-    if (price !== undefined) updateData.price = parseFloat(price);
-    if (tax_rate !== undefined) updateData.tax_rate = parseFloat(tax_rate);
-    if (quantity !== undefined) updateData.quantity = parseInt(quantity);
-    if (cost !== undefined) updateData.cost = parseFloat(cost);
-    if (pack_size !== undefined) updateData.pack_size = parseInt(pack_size);
+    res.json(stores.map(store => ({
+      ...store,
+      registers: registers.filter(register => register.store_id === store.id)
+    })));
+  } catch (error) {
+    console.error('Get stores error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    const { data: item, error: itemError } = await supabase
-      .from('item')
-      .update(updateData)
-      .eq('id', itemId)
-      .select()
-      .single();
+// Create a store: { code, name }. It starts with no registers and no stock.
+app.post('/api/stores', requirePermission('settings.manage'), async (req, res) => {
+  try {
+    const fields = storeFieldsFrom(req.body);
 
-    if (itemError || !item) {
-      return res.status(404).json({ error: 'Item not found' });
+    const validationError = validateStore(fields);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    // Update barcodes if provided
-    if (barcodes !== undefined) {
-      if (barcodes.length === 0) {
-        return res.status(400).json({ error: 'At least one barcode is required' });
+    let store;
+    try {
+      store = await repos.stores.create({ code: fields.code, name: fields.name });
+    } catch (createError) {
+      if (createError.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({ error: 'Another store has that code' });
       }
+      throw createError;
+    }
 
-      // Delete existing barcodes
-      const { error: deleteError } = await supabase
-        .from('item_barcode')
-        .delete()
-        .eq('item_id', itemId);
-
-      if (deleteError) {
-        console.error('Error deleting old barcodes:', deleteError);
-        return res.status(500).json({ error: 'Failed to update barcodes' });
-      }
+    auditChange(res, { entityType: 'store', entityId: store.id, after: store });
+    res.status(201).json({ ...store, registers: [] });
+  } catch (error) {
+    console.error('Create store error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-      // Insert new barcodes
-      const barcodeInserts = barcodes.map(barcode => ({
-        item_id: itemId,
-        barcode: barcode.trim()
-      }));
+// Rename a store, change its code (new receipt numbers use the new code)
+// or (de)activate it. Registers of an inactive store cannot sign in.
+app.put('/api/stores/:storeId', requirePermission('settings.manage'), async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    const fields = storeFieldsFrom(req.body);
 
-      const { error: insertError } = await supabase
-        .from('item_barcode')
-        .insert(barcodeInserts);
+    const validationError = validateStore(fields, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
 
-      if (insertError) {
-        console.error('Error creating new barcodes:', insertError);
-        return res.status(500).json({ error: 'Failed to update barcodes' });
-      }
+    const existing = await repos.stores.findById(storeId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Store not found' });
     }
 
-    // Fetch updated item with barcodes
-    const { data: barcodesData, error: barcodesError } = await supabase
-      .from('item_barcode')
-      .select('barcode')
-      .eq('item_id', itemId);
+    if (fields.is_active === false && storeId === req.store.id) {
+      return res.status(400).json({ error: 'You cannot deactivate the store you are signed in at' });
+    }
 
-    if (barcodesError) {
-      console.error('Error fetching updated barcodes:', barcodesError);
+    let store;
+    try {
+      store = await repos.stores.update(storeId, fields);
+    } catch (updateError) {
+      if (updateError.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({ error: 'Another store has that code' });
+      }
+      throw updateError;
     }
 
-    res.json({
-      ...item,
-      barcodes: (barcodesData || []).map(b => b.barcode)
-    });
+    auditChange(res, { entityType: 'store', entityId: storeId, before: existing, after: store });
+    res.json({ ...store, registers: await repos.registers.listForStore(storeId) });
   } catch (error) {
-    console.error('Update item error:', error);
+    console.error('Update store error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete an item (soft delete by setting is_active to false)
-app.delete('/api/items/:itemId', async (req, res) => {
+// Add a register to a store: { name }
+app.post('/api/stores/:storeId/registers', requirePermission('settings.manage'), async (req, res) => {
   try {
-    const { itemId } = req.params;
+    const { storeId } = req.params;
+    const { name } = storeFieldsFrom(req.body);
 
-    const { data, error } = await supabase
-      .from('item')
-      .update({ is_active: false })
-      .eq('id', itemId)
-      .select()
-      .single();
+    const validationError = validateRegister({ name });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
 
-    if (error || !data) {
-      return res.status(404).json({ error: 'Item not found' });
+    const store = await repos.stores.findById(storeId);
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
     }
 
-    res.json({ message: 'Item deleted successfully', item: data });
+    const register = await repos.registers.create({ store_id: storeId, name });
+
+    auditChange(res, { entityType: 'register', entityId: register.id, after: register });
+    res.status(201).json(register);
   } catch (error) {
-    console.error('Delete item error:', error);
+    console.error('Create register error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Create a new transaction
-app.post('/api/transactions', async (req, res) => {
-  try {
-    const { data, error } = await supabase
-      .from('pos_transaction')
-      .insert({
-        status: 'open',
-        subtotal: 0,
-        tax: 0,
-        total: 0
-      })
-      .select()
-      .single();
+// Rename or (de)activate a register. Sessions on an inactive register end
+// with their next request.
+app.put('/api/registers/:registerId', requirePermission('settings.manage'), async (req, res) => {
+  try {
+    const { registerId } = req.params;
+    const { name, is_active } = req.body;
+    const fields = storeFieldsFrom({ name, is_active });
 
-    if (error) {
-      console.error('Transaction creation error:', error);
-      return res.status(500).json({ error: 'Failed to create transaction' });
+    const validationError = validateRegister(fields, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    res.json(data);
+    const existing = await repos.registers.findById(registerId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Register not found' });
+    }
+
+    if (fields.is_active === false) {
+      if (registerId === req.register.id) {
+        return res.status(400).json({ error: 'You cannot deactivate the register you are signed in at' });
+      }
+      if (await repos.shifts.findOpen(registerId)) {
+        return res.status(400).json({ error: 'Close the shift open on this register first' });
+      }
+    }
+
+    const register = await repos.registers.update(registerId, fields);
+
+    auditChange(res, { entityType: 'register', entityId: registerId, before: existing, after: register });
+    res.json(register);
   } catch (error) {
-    console.error('Transaction creation error:', error);
+    console.error('Update register error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Add item to transaction (create transaction_line) by barcode
-app.post('/api/transactions/:transactionId/lines', async (req, res) => {
+// ========== ITEMS AND BARCODES ==========
+
+// The active item a scanned barcode names, as resolveBarcode finds it
+const findBarcodeItem = async (barcode) =>
+  resolveBarcode(repos, barcode, (await getSettings(repos)).embedded_barcode_rules);
+
+// Look up barcode to get item_id (only for active items): { item_id,
+// pack_id, embedded }. pack_id is set for a pack's barcode; embedded is the
+// { plu, price } or { plu, weight, unit } an embedded barcode carried.
+app.post('/api/barcode/lookup', async (req, res) => {
   try {
-    const { transactionId } = req.params;
-    const { barcode, quantity = 1 } = req.body;
+    const { barcode } = req.body;
+    skipAudit(res);
 
     if (!barcode) {
       return res.status(400).json({ error: 'Barcode is required' });
     }
 
-    if (!quantity || quantity <= 0) {
-      return res.status(400).json({ error: 'Invalid quantity' });
-    }
-
-    // Look up barcode to get item_id and verify item is active
-    const { data: barcodeData, error: barcodeError } = await supabase
-      .from('item_barcode')
-      .select(`
-        item_id,
-        item:item_id (
-          id,
-          is_active
-        )
-      `)
-      .eq('barcode', barcode.trim())
-      .single();
+    const found = await findBarcodeItem(barcode);
 
-    if (barcodeError || !barcodeData) {
+    if (!found) {
       return res.status(404).json({ error: 'Barcode not found' });
     }
 
-    // Check if item is active
-    const itemCheck = barcodeData.item;
-    if (!itemCheck || !itemCheck.is_active) {
-      return res.status(404).json({ error: 'Item is inactive' });
+    if (found.error) {
+      return res.status(400).json({ error: found.error });
     }
 
-    const item_id = barcodeData.item_id;
+    res.json({ item_id: found.item.id, pack_id: found.pack?.id || null, embedded: found.embedded });
+  } catch (error) {
+    console.error('Barcode lookup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Get full item details
-    const { data: item, error: itemError } = await supabase
-      .from('item')
-      .select('*')
-      .eq('id', item_id)
-      .single();
+// Items carry `quantity`, their stock at the signed-in register's store
+const stockAt = async (storeId, items) => {
+  const rows = items.length > 0 ? await repos.stock.listForStore(storeId, items.map(item => item.id)) : [];
+  const quantities = new Map(rows.map(row => [row.item_id, parseFloat(row.quantity)]));
+  return items.map(item => ({ ...item, quantity: quantities.get(item.id) || 0 }));
+};
+
+// Group `rows` by `row[column]`, keeping `row.barcode`
+const barcodesBy = (rows, column) => {
+  const grouped = {};
+  rows.forEach(row => {
+    if (!grouped[row[column]]) {
+      grouped[row[column]] = [];
+    }
+    grouped[row[column]].push(row.barcode);
+  });
+  return grouped;
+};
+
+// Items carry their `barcodes`, and their `packs` (smallest first) with
+// theirs
+const withBarcodes = async (items) => {
+  const itemIds = items.map(item => item.id);
+
+  if (itemIds.length === 0) {
+    return [];
+  }
 
-    if (itemError || !item) {
-      return res.status(404).json({ error: 'Item not found' });
+  const [barcodes, packs, packBarcodes] = await Promise.all([
+    repos.itemBarcodes.listForItems(itemIds),
+    repos.itemPacks.listForItems(itemIds),
+    repos.itemBarcodes.listForPacksOf(itemIds)
+  ]);
+
+  const barcodesByItem = barcodesBy(barcodes, 'item_id');
+  const barcodesByPack = barcodesBy(packBarcodes, 'pack_id');
+  const packsByItem = {};
+  [...packs].sort((a, b) => a.pack_size - b.pack_size).forEach(pack => {
+    if (!packsByItem[pack.item_id]) {
+      packsByItem[pack.item_id] = [];
+    }
+    packsByItem[pack.item_id].push({ ...pack, barcodes: barcodesByPack[pack.id] || [] });
+  });
+
+  return items.map(item => ({
+    ...item,
+    barcodes: barcodesByItem[item.id] || [],
+    packs: packsByItem[item.id] || []
+  }));
+};
+
+// Get all items with their barcodes (only active items). Screens that
+// list items use GET /api/items/search, a page at a time.
+app.get('/api/items', async (req, res) => {
+  try {
+    const items = await stockAt(req.store.id, await repos.items.listActive());
+    res.json(await withBarcodes(items));
+  } catch (error) {
+    console.error('Get items error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// One page of active items with their barcodes and stock here:
+// { items, total, page, page_size }. Query: q, match, category_id, sort,
+// order, page, page_size (see services/items.js).
+app.get('/api/items/search', async (req, res) => {
+  try {
+    const { search, error } = itemSearchFrom(req.query);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    // Calculate line total
-    const unitPrice = parseFloat(item.price);
-    const taxRate = parseFloat(item.tax_rate);
-    const subtotal = unitPrice * quantity;
-    const tax = subtotal * taxRate;
-    const lineTotal = subtotal + tax;
+    const { items, total } = await searchItems(repos, search);
 
-    // Create transaction line
-    const { data: line, error: lineError } = await supabase
-      .from('transaction_line')
-      .insert({
-        transaction_id: transactionId,
-        item_id: item_id,
-        quantity: quantity,
-        unit_price: unitPrice,
-        tax_rate: taxRate,
-        line_total: lineTotal
-      })
-      .select()
-      .single();
-
-    if (lineError) {
-      console.error('Transaction line creation error:', lineError);
-      return res.status(500).json({ error: 'Failed to add item to transaction' });
-    }
-
-    // Update transaction totals
-    const { data: transaction, error: txError } = await supabase
-      .from('pos_transaction')
-      .select('*')
-      .eq('id', transactionId)
-      .single();
-
-    if (txError) {
-      return res.status(500).json({ error: 'Failed to fetch transaction' });
-    }
-
-    // Calculate new totals
-    const { data: allLines } = await supabase
-      .from('transaction_line')
-      .select('line_total, tax_rate, unit_price, quantity')
-      .eq('transaction_id', transactionId);
-
-    let newSubtotal = 0;
-    let newTax = 0;
-    let newTotal = 0;
-
-    allLines.forEach((line) => {
-      const lineSubtotal = parseFloat(line.unit_price) * parseInt(line.quantity);
-      let lineTax = lineSubtotal * parseFloat(line.tax_rate);
-      console.log('lineTax', lineTax);
-      lineTax = Math.round(lineTax * 100) / 100;
-      console.log('lineTax after rounding', lineTax);
-      const lineTotal = lineSubtotal + lineTax;
-      
-      newSubtotal += lineSubtotal;
-      newTax += lineTax;
-      newTotal += lineTotal;
+    res.json({
+      items: await withBarcodes(await stockAt(req.store.id, items)),
+      total,
+      page: search.page,
+      page_size: search.pageSize
     });
+  } catch (error) {
+    console.error('Search items error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Add rounding logic
-    // Update transaction
-    const { data: updatedTx, error: updateError } = await supabase
-      .from('pos_transaction')
-      .update({
-        subtotal: newSubtotal,
-        tax: newTax,
-        total: newTotal
-      })
-      .eq('id', transactionId)
-      .select()
-      .single();
+// Get item details by item_id, with its barcodes and packs and its stock
+// at every store (`stock_by_store`)
+app.get('/api/items/:itemId', async (req, res) => {
+  try {
+    const { itemId } = req.params;
 
-    if (updateError) {
-      console.error('Transaction update error:', updateError);
-      return res.status(500).json({ error: 'Failed to update transaction totals' });
+    const found = await repos.items.findById(itemId);
+
+    if (!found) {
+      return res.status(404).json({ error: 'Item not found' });
     }
 
+    const [item] = await withBarcodes(await stockAt(req.store.id, [found]));
+    const stock = await repos.stock.listForItem(itemId);
+
     res.json({
-      line,
-      transaction: updatedTx
+      ...item,
+      stock_by_store: stock.map(row => ({ store_id: row.store_id, quantity: parseFloat(row.quantity) }))
     });
   } catch (error) {
-    console.error('Add item to transaction error:', error);
+    console.error('Item fetch error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Finalize transaction with cash payment
-app.post('/api/transactions/:transactionId/finalize', async (req, res) => {
+// Create a new item; `quantity` is its stock at this register's store
+// (a weight for weighed items). price_type, min_price, max_price and
+// weight_unit set how it is priced (see services/items.js). Barcodes are
+// saved as itemBarcodesFrom gives them back; `plu` is optional (see
+// services/barcodes.js).
+app.post('/api/items', requirePermission('items.manage'), async (req, res) => {
   try {
-    const { transactionId } = req.params;
-    const { cashAmount } = req.body;
+    const { name, tax_rate, quantity, cost, pack_size, category_id, barcodes } = req.body;
 
-    if (!cashAmount || cashAmount <= 0) {
-      return res.status(400).json({ error: 'Invalid cash amount' });
+    if (!name || barcodes === undefined || barcodes.length === 0) {
+      return res.status(400).json({ error: 'Name, price, and at least one barcode are required' });
     }
 
-    // Get transaction
-    const { data: transaction, error: txError } = await supabase
-      .from('pos_transaction')
-      .select('*')
-      .eq('id', transactionId)
-      .single();
+    const { pricing, error: pricingError } = itemPricingFrom(req.body);
+    if (pricingError) {
+      return res.status(400).json({ error: pricingError });
+    }
 
-    if (txError || !transaction) {
-      return res.status(404).json({ error: 'Transaction not found' });
+    const categoryError = await checkItemCategory(repos, category_id);
+    if (categoryError) {
+      return res.status(400).json({ error: categoryError });
     }
 
-    if (transaction.status !== 'open') {
-      return res.status(400).json({ error: 'Transaction is not open' });
+    const { barcodes: itemBarcodes, error: barcodeError } = await itemBarcodesFrom(repos, barcodes);
+    if (barcodeError) {
+      return res.status(400).json({ error: barcodeError });
     }
 
-    if (cashAmount < transaction.total) {
-      return res.status(400).json({ error: 'Insufficient cash amount' });
+    const { plu, error: pluError } = await itemPluFrom(repos, req.body.plu);
+    if (pluError) {
+      return res.status(400).json({ error: pluError });
     }
 
-    // Update transaction status
-    const { data: updatedTx, error: updateError } = await supabase
-      .from('pos_transaction')
-      .update({ status: 'finalized' })
-      .eq('id', transactionId)
-      .select()
-      .single();
+    // Create item
+    const item = await repos.items.create({
+      name: name.trim(),
+      ...pricing,
+      plu,
+      tax_rate: parseFloat(tax_rate || 0),
+      cost: parseFloat(cost || 0),
+      pack_size: parseInt(pack_size || 1),
+      category_id: category_id || null,
+      is_active: true
+    });
 
-    if (updateError) {
-      return res.status(500).json({ error: 'Failed to finalize transaction' });
+    // Create barcodes
+    let createdBarcodes;
+    try {
+      createdBarcodes = await repos.itemBarcodes.createForItem(item.id, itemBarcodes);
+    } catch (barcodesError) {
+      console.error('Error creating barcodes:', barcodesError);
+      // Rollback: delete the item if barcode creation fails
+      await repos.items.remove(item.id);
+      return res.status(500).json({ error: 'Failed to create barcodes' });
     }
 
-    // Create payment record
-    const { data: payment, error: paymentError } = await supabase
-      .from('payment')
-      .insert({
-        transaction_id: transactionId,
-        method: 'cash',
-        amount: parseFloat(cashAmount)
-      })
-      .select()
-      .single();
+    const stock = await repos.stock.set(req.store.id, item.id, roundQuantity(quantity || 0));
+
+    const created = { ...item, quantity: stock.quantity, barcodes: createdBarcodes.map(b => b.barcode) };
+    auditChange(res, { entityType: 'item', entityId: item.id, after: created });
+    res.json(created);
+  } catch (error) {
+    console.error('Create item error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    if (paymentError) {
-      console.error('Payment creation error:', paymentError);
-      return res.status(500).json({ error: 'Failed to create payment record' });
+// Update an item; `quantity` sets its stock at this register's store
+app.put('/api/items/:itemId', requirePermission('items.manage'), async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const { name, tax_rate, quantity, cost, pack_size, category_id, barcodes } = req.body;
+
+    const categoryError = await checkItemCategory(repos, category_id);
+    if (categoryError) {
+      return res.status(400).json({ error: categoryError });
     }
 
-    // Decrease item quantities for all items in the transaction
-    const { data: transactionLines, error: linesError } = await supabase
-      .from('transaction_line')
-      .select('item_id, quantity')
-      .eq('transaction_id', transactionId);
+    // Update item
+    const updateData = {};
+    if (name !== undefined) updateData.name = name.trim();
+    if (tax_rate !== undefined) updateData.tax_rate = parseFloat(tax_rate);
+    if (cost !== undefined) updateData.cost = parseFloat(cost);
+    if (pack_size !== undefined) updateData.pack_size = parseInt(pack_size);
+    if (category_id !== undefined) updateData.category_id = category_id || null;
+
+    const found = await repos.items.findById(itemId);
 
-    if (linesError) {
-      console.error('Error fetching transaction lines:', linesError);
-      return res.status(500).json({ error: 'Failed to fetch transaction lines' });
+    if (!found) {
+      return res.status(404).json({ error: 'Item not found' });
     }
 
-    // Update quantities for each item
-    for (const line of transactionLines) {
-      // Get current item quantity
-      const { data: item, error: itemError } = await supabase
-        .from('item')
-        .select('quantity')
-        .eq('id', line.item_id)
-        .single();
+    if (req.body.plu !== undefined) {
+      const { plu, error: pluError } = await itemPluFrom(repos, req.body.plu, itemId);
+      if (pluError) {
+        return res.status(400).json({ error: pluError });
+      }
+      updateData.plu = plu;
+    }
 
-      if (itemError || !item) {
-        console.error(`Error fetching item ${line.item_id}:`, itemError);
-        continue; // Skip this item but continue with others
+    // Barcodes are checked before anything is saved
+    let itemBarcodes;
+    if (barcodes !== undefined) {
+      const checked = await itemBarcodesFrom(repos, barcodes, { itemId });
+      if (checked.error) {
+        return res.status(400).json({ error: checked.error });
       }
+      itemBarcodes = checked.barcodes;
+    }
 
-      const currentQuantity = parseInt(item.quantity || 0);
-      const soldQuantity = parseInt(line.quantity);
-      const newQuantity = Math.max(0, currentQuantity - soldQuantity);
+    // Pricing fields are checked together, as they will be after the update
+    if (ITEM_PRICING_FIELDS.some(field => req.body[field] !== undefined)) {
+      const fields = {};
+      for (const field of ITEM_PRICING_FIELDS) {
+        fields[field] = req.body[field] !== undefined ? req.body[field] : found[field];
+      }
+      const { pricing, error: pricingError } = itemPricingFrom(fields);
+      if (pricingError) {
+        return res.status(400).json({ error: pricingError });
+      }
+      if (pricing.price_type !== 'fixed' && (await repos.itemPacks.listForItem(itemId)).length > 0) {
+        return res.status(400).json({ error: 'Remove the item\'s packs before changing how it is priced' });
+      }
+      Object.assign(updateData, pricing);
+    }
 
-      // Update item quantity
-      const { error: updateQuantityError } = await supabase
-        .from('item')
-        .update({ quantity: newQuantity })
-        .eq('id', line.item_id);
+    const [existing] = await stockAt(req.store.id, [found]);
+    const previousBarcodes = await repos.itemBarcodes.listForItem(itemId);
+    const updatedItem = Object.keys(updateData).length > 0 ? await repos.items.update(itemId, updateData) : found;
+    if (quantity !== undefined) {
+      await repos.stock.set(req.store.id, itemId, roundQuantity(quantity));
+    }
+    const [item] = await stockAt(req.store.id, [updatedItem]);
 
-      if (updateQuantityError) {
-        console.error(`Error updating quantity for item ${line.item_id}:`, updateQuantityError);
-        // Continue with other items even if one fails
+    // Update barcodes if provided
+    if (itemBarcodes) {
+      try {
+        // Replace existing barcodes
+        await repos.itemBarcodes.removeForItem(itemId);
+        await repos.itemBarcodes.createForItem(itemId, itemBarcodes);
+      } catch (barcodesError) {
+        console.error('Error updating barcodes:', barcodesError);
+        return res.status(500).json({ error: 'Failed to update barcodes' });
       }
     }
 
-    const change = cashAmount - transaction.total;
-
-    res.json({
-      transaction: updatedTx,
-      payment,
-      change: change.toFixed(2)
+    // Fetch updated item with barcodes
+    const barcodesData = await repos.itemBarcodes.listForItem(itemId);
+    const updated = { ...item, barcodes: barcodesData.map(b => b.barcode) };
+
+    auditChange(res, {
+      entityType: 'item',
+      entityId: itemId,
+      before: { ...existing, barcodes: previousBarcodes.map(b => b.barcode) },
+      after: updated
     });
+    res.json(updated);
   } catch (error) {
-    console.error('Finalize transaction error:', error);
+    console.error('Update item error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get all finalized transactions (for reports)
-app.get('/api/transactions', async (req, res) => {
+// Delete an item (soft delete by setting is_active to false)
+app.delete('/api/items/:itemId', requirePermission('items.manage'), async (req, res) => {
   try {
-    const { limit = 1000, offset = 0 } = req.query;
+    const { itemId } = req.params;
 
-    // Get all finalized and refunded transactions (exclude open transactions)
-    const { data: transactions, error: txError } = await supabase
-      .from('pos_transaction')
-      .select('*')
-      .in('status', ['finalized', 'refunded'])
-      .order('created_at', { ascending: false })
-      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+    const existing = await repos.items.findById(itemId);
 
-    if (txError) {
-      console.error('Error fetching transactions:', txError);
-      return res.status(500).json({ error: 'Failed to fetch transactions' });
+    if (!existing) {
+      return res.status(404).json({ error: 'Item not found' });
     }
 
-    // Get all refund transactions to exclude them from reports
-    const { data: refunds, error: refundsError } = await supabase
-      .from('refund')
-      .select('refund_tx');
+    const data = await repos.items.deactivate(itemId);
+    auditChange(res, { entityType: 'item', entityId: itemId, before: existing, after: data });
 
-    if (refundsError) {
-      console.error('Error fetching refunds:', refundsError);
-      // Continue anyway, but log the error
-    }
+    res.json({ message: 'Item deleted successfully', item: data });
+  } catch (error) {
+    console.error('Delete item error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Filter out refund transactions (transactions that are refund_tx in the refund table)
-    const refundTransactionIds = new Set((refunds || []).map(r => r.refund_tx));
-    
-    // Also get original transaction IDs that have refunds (to help identify refund transactions)
+// Add a pack an item is also sold in: { name, pack_size, price, barcodes }
+// (see services/packs.js)
+app.post('/api/items/:itemId/packs', requirePermission('items.manage'), async (req, res) => {
+  try {
+    const { itemId } = req.params;
+
+    const item = await repos.items.findById(itemId);
+
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    const itemError = checkPackItem(item);
+    if (itemError) {
+      return res.status(400).json({ error: itemError });
+    }
+
+    const { pack: fields, error } = packFieldsFrom(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { barcodes, error: barcodeError } = await itemBarcodesFrom(repos, req.body.barcodes);
+    if (barcodeError) {
+      return res.status(400).json({ error: barcodeError });
+    }
+
+    let pack;
+    try {
+      pack = await repos.itemPacks.create({ ...fields, item_id: itemId });
+    } catch (createError) {
+      if (createError.code === UNIQUE_VIOLATION) {
+        return res.status(400).json({ error: `${item.name} already has a pack named ${fields.name}` });
+      }
+      throw createError;
+    }
+    const created = { ...pack, barcodes: (await repos.itemBarcodes.createForPack(pack, barcodes)).map(b => b.barcode) };
+
+    auditChange(res, { entityType: 'item_pack', entityId: pack.id, after: created });
+    res.json(created);
+  } catch (error) {
+    console.error('Create pack error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a pack; `barcodes`, when given, replace its barcodes
+app.put('/api/items/:itemId/packs/:packId', requirePermission('items.manage'), async (req, res) => {
+  try {
+    const { itemId, packId } = req.params;
+
+    const existing = await repos.itemPacks.findById(packId);
+
+    if (!existing || existing.item_id !== itemId) {
+      return res.status(404).json({ error: 'Pack not found' });
+    }
+
+    const { pack: fields, error } = packFieldsFrom(req.body, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    let barcodes;
+    if (req.body.barcodes !== undefined) {
+      const checked = await itemBarcodesFrom(repos, req.body.barcodes, { itemId, packId });
+      if (checked.error) {
+        return res.status(400).json({ error: checked.error });
+      }
+      barcodes = checked.barcodes;
+    }
+
+    const previousBarcodes = await repos.itemBarcodes.listForPack(packId);
+    let pack;
+    try {
+      pack = await repos.itemPacks.update(packId, fields);
+    } catch (updateError) {
+      if (updateError.code === UNIQUE_VIOLATION) {
+        return res.status(400).json({ error: `The item already has a pack named ${fields.name}` });
+      }
+      throw updateError;
+    }
+    if (barcodes) {
+      await repos.itemBarcodes.removeForPack(packId);
+      await repos.itemBarcodes.createForPack(pack, barcodes);
+    }
+    const updated = { ...pack, barcodes: (await repos.itemBarcodes.listForPack(packId)).map(b => b.barcode) };
+
+    auditChange(res, {
+      entityType: 'item_pack',
+      entityId: packId,
+      before: { ...existing, barcodes: previousBarcodes.map(b => b.barcode) },
+      after: updated
+    });
+    res.json(updated);
+  } catch (error) {
+    console.error('Update pack error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a pack and its barcodes. Sales of it keep its name and size.
+app.delete('/api/items/:itemId/packs/:packId', requirePermission('items.manage'), async (req, res) => {
+  try {
+    const { itemId, packId } = req.params;
+
+    const existing = await repos.itemPacks.findById(packId);
+
+    if (!existing || existing.item_id !== itemId) {
+      return res.status(404).json({ error: 'Pack not found' });
+    }
+
+    await repos.itemPacks.remove(packId);
+    auditChange(res, { entityType: 'item_pack', entityId: packId, before: existing });
+
+    res.json({ message: 'Pack removed' });
+  } catch (error) {
+    console.error('Delete pack error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Receive stock of an item at this register's store: { quantity, pack }.
+// `quantity` counts the item's own units, or with `pack` cases ('case',
+// of the item's pack_size) or one of its packs (a pack id); either is
+// converted to units (see services/packs.js). Responds with the item and
+// its new `quantity` here.
+app.post('/api/items/:itemId/receive', requirePermission('items.manage'), async (req, res) => {
+  try {
+    const { itemId } = req.params;
+
+    const found = await repos.items.findById(itemId);
+
+    if (!found) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    const packs = await repos.itemPacks.listForItem(itemId);
+    const { units, error } = receivedUnitsFor(found, packs, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const [before] = await stockAt(req.store.id, [found]);
+    const stock = await repos.stock.add(req.store.id, itemId, units);
+    const item = { ...found, quantity: parseFloat(stock.quantity) };
+
+    auditChange(res, {
+      entityType: 'item',
+      entityId: itemId,
+      before: { quantity: before.quantity },
+      after: { quantity: item.quantity, received: units }
+    });
+    res.json({ item, received: units });
+  } catch (error) {
+    console.error('Receive stock error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Snapshot of the items and promotions a register needs to keep selling
+// while it cannot reach the server (see services/offlineSales.js)
+app.get('/api/catalog', requirePermission('sales'), async (req, res) => {
+  try {
+    res.json(await buildCatalog(repos));
+  } catch (error) {
+    console.error('Get catalog error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========== CATEGORIES ==========
+
+// Every category, by name, with how many active items it has
+app.get('/api/categories', async (req, res) => {
+  try {
+    const [categories, items] = await Promise.all([repos.categories.listAll(), repos.items.listActive()]);
+
+    res.json(categories.map(category => ({
+      ...category,
+      item_count: items.filter(item => item.category_id === category.id).length
+    })));
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a category: { name }
+app.post('/api/categories', requirePermission('items.manage'), async (req, res) => {
+  try {
+    const validationError = validateCategory(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    let category;
+    try {
+      category = await repos.categories.create({ name: req.body.name.trim() });
+    } catch (createError) {
+      if (createError.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({ error: 'Another category has that name' });
+      }
+      throw createError;
+    }
+
+    auditChange(res, { entityType: 'category', entityId: category.id, after: category });
+    res.status(201).json({ ...category, item_count: 0 });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rename a category: { name }
+app.put('/api/categories/:categoryId', requirePermission('items.manage'), async (req, res) => {
+  try {
+    const { categoryId } = req.params;
+
+    const validationError = validateCategory(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const existing = await repos.categories.findById(categoryId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    let category;
+    try {
+      category = await repos.categories.update(categoryId, { name: req.body.name.trim() });
+    } catch (updateError) {
+      if (updateError.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({ error: 'Another category has that name' });
+      }
+      throw updateError;
+    }
+
+    auditChange(res, { entityType: 'category', entityId: categoryId, before: existing, after: category });
+    res.json(category);
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a category; its items are left without one
+app.delete('/api/categories/:categoryId', requirePermission('items.manage'), async (req, res) => {
+  try {
+    const { categoryId } = req.params;
+
+    const existing = await repos.categories.findById(categoryId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    await repos.items.clearCategory(categoryId);
+    await repos.categories.remove(categoryId);
+
+    auditChange(res, { entityType: 'category', entityId: categoryId, before: existing });
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========== QUICK KEYS ==========
+
+// The saved quick key pages with each key's item (see services/quickKeys.js)
+const listQuickKeys = async () => {
+  const pages = await repos.quickKeys.listPages();
+  const itemIds = [...new Set(pages.flatMap(page => page.keys.map(key => key.item_id)))];
+  const items = itemIds.length > 0 ? await repos.items.findByIds(itemIds) : [];
+  return quickKeyPagesWithItems(pages, new Map(items.map(item => [item.id, item])));
+};
+
+// Quick key pages in order: [{ id, name, keys: [{ item_id, label, color,
+// item }] }]
+app.get('/api/quick-keys', async (req, res) => {
+  try {
+    res.json(await listQuickKeys());
+  } catch (error) {
+    console.error('Get quick keys error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the whole layout: { pages: [{ name, keys: [{ item_id, label,
+// color }] }] }
+app.put('/api/quick-keys', requirePermission('items.manage'), async (req, res) => {
+  try {
+    const { pages } = req.body;
+
+    const validationError = validateQuickKeys(pages);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const layout = normalizeQuickKeys(pages);
+    const itemIds = [...new Set(layout.flatMap(page => page.keys.map(key => key.item_id)))];
+    const items = itemIds.length > 0 ? await repos.items.findByIds(itemIds) : [];
+    const activeIds = new Set(items.filter(item => item.is_active).map(item => item.id));
+    if (itemIds.some(itemId => !activeIds.has(itemId))) {
+      return res.status(400).json({ error: 'Quick keys can only add active items' });
+    }
+
+    const before = await repos.quickKeys.listPages();
+    await repos.quickKeys.replaceAll(layout);
+
+    auditChange(res, {
+      entityType: 'quick_keys',
+      entityId: 'layout',
+      before: before.map(({ name, keys }) => ({ name, keys })),
+      after: layout
+    });
+    res.json(await listQuickKeys());
+  } catch (error) {
+    console.error('Update quick keys error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========== PROMOTIONS ==========
+
+// Every item in `itemIds` exists
+const itemsExist = async (itemIds) =>
+  (await repos.items.findByIds(itemIds)).length === itemIds.length;
+
+// Get all promotions, newest first, with whether each is running right now
+app.get('/api/promotions', async (req, res) => {
+  try {
+    const promotions = await repos.promotions.listAll();
+
+    res.json(promotions.map(promotion => ({
+      ...promotion,
+      running: isPromotionRunning(promotion)
+    })));
+  } catch (error) {
+    console.error('Get promotions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get single promotion
+app.get('/api/promotions/:promotionId', async (req, res) => {
+  try {
+    const promotion = await repos.promotions.findById(req.params.promotionId);
+
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    res.json({ ...promotion, running: isPromotionRunning(promotion) });
+  } catch (error) {
+    console.error('Get promotion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a promotion. Body: { name, type, item_ids, quantity, get_quantity,
+// get_percent, price, starts_at, ends_at } (see services/promotions.js).
+// Open transactions pick it up the next time their lines change.
+app.post('/api/promotions', requirePermission('promotions.manage'), async (req, res) => {
+  try {
+    const fields = { is_active: true, ...promotionFieldsFrom(req.body) };
+
+    const validationError = validatePromotion(fields);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (!(await itemsExist(fields.item_ids))) {
+      return res.status(400).json({ error: 'Some items do not exist' });
+    }
+
+    const promotion = await repos.promotions.create(fields);
+    auditChange(res, { entityType: 'promotion', entityId: promotion.id, after: promotion });
+
+    res.json({ ...promotion, running: isPromotionRunning(promotion) });
+  } catch (error) {
+    console.error('Create promotion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a promotion (send only the fields to change). Sales already made
+// keep the rule they were priced with.
+app.put('/api/promotions/:promotionId', requirePermission('promotions.manage'), async (req, res) => {
+  try {
+    const { promotionId } = req.params;
+
+    const existing = await repos.promotions.findById(promotionId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    const updateData = promotionFieldsFrom(req.body);
+
+    const validationError = validatePromotion({ ...existing, ...updateData });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (updateData.item_ids && !(await itemsExist(updateData.item_ids))) {
+      return res.status(400).json({ error: 'Some items do not exist' });
+    }
+
+    const promotion = await repos.promotions.update(promotionId, updateData);
+    auditChange(res, { entityType: 'promotion', entityId: promotionId, before: existing, after: promotion });
+
+    res.json({ ...promotion, running: isPromotionRunning(promotion) });
+  } catch (error) {
+    console.error('Update promotion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a promotion (soft delete by setting is_active to false, since
+// past sales reference it)
+app.delete('/api/promotions/:promotionId', requirePermission('promotions.manage'), async (req, res) => {
+  try {
+    const existing = await repos.promotions.findById(req.params.promotionId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    const promotion = await repos.promotions.deactivate(existing.id);
+    auditChange(res, { entityType: 'promotion', entityId: existing.id, before: existing, after: promotion });
+
+    res.json({ message: 'Promotion deleted successfully', promotion });
+  } catch (error) {
+    console.error('Delete promotion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the settings for every store (saved values merged over defaults)
+app.get('/api/settings', async (req, res) => {
+  try {
+    res.json(await getSettings(repos));
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update one or more settings for every store
+app.put('/api/settings', requirePermission('settings.manage'), async (req, res) => {
+  try {
+    const changes = req.body || {};
+
+    const validationError = validateSettings(changes);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const before = await getSettings(repos);
+    const settings = await updateSettings(repos, changes);
+
+    auditChange(res, {
+      entityType: 'settings',
+      entityId: 'store',
+      before: Object.fromEntries(Object.keys(changes).map(key => [key, before[key]])),
+      after: changes
+    });
+    res.json(settings);
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The settings store `storeId` saved for itself (see STORE_SETTINGS), and
+// the settings in force there
+app.get('/api/stores/:storeId/settings', async (req, res) => {
+  try {
+    const { storeId } = req.params;
+
+    if (!(await repos.stores.findById(storeId))) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const [own, settings] = await Promise.all([getStoreSettings(repos, storeId), getSettings(repos, storeId)]);
+    res.json({ own, settings });
+  } catch (error) {
+    console.error('Get store settings error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change a store's own settings; null goes back to the value for every
+// store
+app.put('/api/stores/:storeId/settings', requirePermission('settings.manage'), async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    const changes = req.body || {};
+
+    if (!(await repos.stores.findById(storeId))) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const validationError = validateSettings(changes, storeId);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const before = await getStoreSettings(repos, storeId);
+    const settings = await updateSettings(repos, changes, storeId);
+    const own = await getStoreSettings(repos, storeId);
+
+    auditChange(res, {
+      entityType: 'settings',
+      entityId: storeId,
+      before: Object.fromEntries(Object.keys(changes).map(key => [key, before[key] ?? null])),
+      after: changes
+    });
+    res.json({ own, settings });
+  } catch (error) {
+    console.error('Update store settings error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a new transaction
+app.post('/api/transactions', requirePermission('sales'), async (req, res) => {
+  try {
+    const data = await repos.transactions.create({
+      employee_id: req.employee.id,
+      store_id: req.store.id,
+      register_id: req.register.id
+    });
+
+    auditChange(res, { entityType: 'transaction', entityId: data.id, after: data });
+    res.json(data);
+  } catch (error) {
+    console.error('Transaction creation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replay a sale rung up while this register was offline (see
+// services/offlineSales.js). It is recorded finalized, in the register's
+// open shift, with a receipt number from its store. Replaying a sale that
+// already got through returns it with `replayed: true`. When the sale no
+// longer matches the server's data the answer is 409 with `conflicts`.
+// `force: true` records it anyway, at the prices charged and with the
+// totals the server works out, unless a conflict cannot be accepted; that
+// needs the 'prices.override' permission or a manager's PIN.
+app.post('/api/transactions/offline', requirePermission('sales'), async (req, res) => {
+  try {
+    const { force = false, ...sale } = req.body;
+
+    const validationError = validateOfflineSale(sale);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const existing = await repos.transactions.findById(sale.id);
+    if (existing) {
+      skipAudit(res);
+      return res.json({ transaction: existing, replayed: true });
+    }
+
+    const shift = await repos.shifts.findOpen(req.register.id);
+    if (!shift) {
+      return res.status(409).json({ error: NO_OPEN_SHIFT });
+    }
+
+    const [items, promotions] = await Promise.all([
+      repos.items.findByIds([...new Set(sale.lines.map(line => line.item_id))]),
+      repos.promotions.listActive()
+    ]);
+    const pricing = priceOfflineSale(sale, promotions);
+    const conflicts = findOfflineSaleConflicts(sale, new Map(items.map(item => [item.id, item])), pricing);
+
+    let approvedBy = null;
+    if (conflicts.length > 0) {
+      if (!force || conflicts.some(conflict => !FORCEABLE_CONFLICTS.includes(conflict.type))) {
+        return res.status(409).json({ error: 'This offline sale needs a manager to review it', conflicts });
+      }
+
+      const approval = await authorize(req, 'prices.override', { override: true });
+      if (!approval.approver) {
+        return sendDenied(res, approval);
+      }
+      req.approver = approval.approver;
+      approvedBy = approval.approver.id;
+    }
+
+    const cashier = await offlineSaleCashier(repos, sale, req.register.id, req.employee);
+
+    // The online sale it was carried on from, while that is still open and
+    // unpaid here
+    const replaced = sale.replaces ? await repos.transactions.findById(sale.replaces) : null;
+    const replacesId = replaced && replaced.status === 'open' && replaced.store_id === req.store.id &&
+      (await repos.payments.listForTransaction(replaced.id)).length === 0
+      ? replaced.id
+      : null;
+
+    let result;
+    try {
+      result = await recordOfflineSale(repos, sale, pricing, {
+        employeeId: cashier.id,
+        approvedBy,
+        shiftId: shift.id,
+        store: req.store,
+        registerId: req.register.id,
+        replacesId
+      });
+    } catch (recordError) {
+      if (recordError.code === UNIQUE_VIOLATION) {
+        // Another replay of the same sale got there first
+        const replayed = await repos.transactions.findById(sale.id);
+        if (replayed) {
+          skipAudit(res);
+          return res.json({ transaction: replayed, replayed: true });
+        }
+      }
+      if (recordError.code === CONFLICT) {
+        return res.status(409).json({ error: 'The shift is no longer open' });
+      }
+      throw recordError;
+    }
+
+    auditChange(res, { entityType: 'transaction', entityId: sale.id, after: result.transaction });
+
+    res.json({
+      transaction: result.transaction,
+      payments: result.payments,
+      change: formatDollars(result.change),
+      conflicts,
+      replayed: false
+    });
+  } catch (error) {
+    console.error('Replay offline sale error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add an active `item` to an open transaction and respond with { line,
+// merged, transaction }. `quantity` (default 1) and `unitPrice` are as the
+// body gave them; see lineSaleFor in services/items.js. Open-price items
+// without a unitPrice, and weighed items without a weight, are refused
+// with a 400 whose `code` ('price_required', 'weight_required') and `item`
+// tell the register what to ask for. With a scale configured, weighed items
+// are weighed on it rather than keyed in. `label` is what an embedded
+// barcode carried (a price or a weight), which is sold as printed. `pack`
+// is one of the item's packs, sold by the pack at its price; the line
+// records it with its name and size. With the merge_repeated_scans setting
+// on at the sale's store (or `merge: true` in the body), adding a fixed-price item (or pack)
+// already on the sale at the same price increments that line instead of
+// adding another one.
+const addItemLine = async (res, {
+  transactionId,
+  item,
+  quantity,
+  unitPrice: enteredPrice,
+  merge,
+  label = null,
+  pack = null
+}) => {
+  const transaction = await repos.transactions.findById(transactionId);
+
+  if (!transaction) {
+    return res.status(404).json({ error: 'Transaction not found' });
+  }
+
+  if (transaction.status !== 'open') {
+    return res.status(400).json({ error: 'Transaction is not open' });
+  }
+
+  if (label && ((quantity !== undefined && quantity !== null) || enteredPrice !== undefined)) {
+    return res.status(400).json({ error: 'Labelled items are sold as their label reads' });
+  }
+
+  let reading = null;
+  if (item.price_type === 'weighed' && scale && !label) {
+    if (quantity !== undefined && quantity !== null) {
+      return res.status(400).json({ error: 'Weighed items are weighed on the scale, not keyed in' });
+    }
+    try {
+      reading = await scale.read();
+    } catch (scaleError) {
+      if (scaleError instanceof ScaleError) {
+        return sendScaleError(res, scaleError, { item: pricedItem(item) });
+      }
+      throw scaleError;
+    }
+  }
+
+  const { sale, error, code } = lineSaleFor(item, { quantity, unitPrice: enteredPrice, reading, label, pack });
+  if (error) {
+    return res.status(400).json(code ? { error, code, item: pricedItem(item) } : { error });
+  }
+
+  // Calculate line total
+  const unitPrice = sale.unitPrice;
+  const taxRate = parseFloat(item.tax_rate);
+  const lineTotal = calculateLineTotal(unitPrice, taxRate, sale.quantity);
+
+  const shouldMerge = item.price_type === 'fixed' && !label && (merge !== undefined
+    ? Boolean(merge)
+    : (await getSettings(repos, transaction.store_id)).merge_repeated_scans);
+
+  const existingLine = shouldMerge
+    ? (await repos.transactionLines.listForTransaction(transactionId)).find(candidate =>
+        candidate.item_id === item.id &&
+        (candidate.pack_id || null) === (pack?.id || null) &&
+        parseFloat(candidate.unit_price) === unitPrice &&
+        parseFloat(candidate.tax_rate) === taxRate &&
+        !candidate.discount_type
+      )
+    : null;
+
+  // Add to the matching line, unless it was removed or repriced since it
+  // was read; the totals below reprice its line_total
+  let line = existingLine
+    ? await repos.transactionLines.addQuantity(existingLine.id, sale.quantity, {
+        transaction_id: transactionId,
+        unit_price: existingLine.unit_price,
+        tax_rate: existingLine.tax_rate,
+        discount_type: null
+      })
+    : null;
+  const merged = Boolean(line);
+
+  if (!merged) {
+    // Create transaction line
+    line = await repos.transactionLines.create({
+      transaction_id: transactionId,
+      item_id: item.id,
+      quantity: sale.quantity,
+      weight_unit: sale.weightUnit,
+      pack_id: pack?.id || null,
+      pack_name: pack?.name || null,
+      pack_size: pack?.pack_size || 1,
+      from_label: Boolean(label),
+      unit_price: unitPrice,
+      tax_rate: taxRate,
+      line_total: lineTotal
+    });
+  }
+
+  // Update transaction totals (this reprices the line for discounts)
+  const updatedTx = await recalculateTransactionTotals(repos, transactionId);
+  line = await repos.transactionLines.findById(line.id);
+  auditChange(res, { entityType: 'transaction_line', entityId: line.id, before: merged ? existingLine : null, after: line });
+
+  res.json({
+    line,
+    merged,
+    added: sale.quantity,
+    transaction: updatedTx
+  });
+};
+
+// Add item to transaction (create transaction_line) by barcode
+// (see addItemLine)
+app.post('/api/transactions/:transactionId/lines', requirePermission('sales'), async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const { barcode, quantity, unit_price: unitPrice, merge } = req.body;
+
+    if (!barcode) {
+      return res.status(400).json({ error: 'Barcode is required' });
+    }
+
+    // Look up the active item the barcode names
+    const found = await findBarcodeItem(barcode);
+
+    if (!found) {
+      return res.status(404).json({ error: 'Barcode not found' });
+    }
+
+    if (found.error) {
+      return res.status(400).json({ error: found.error });
+    }
+
+    await addItemLine(res, {
+      transactionId,
+      item: found.item,
+      quantity,
+      unitPrice,
+      merge,
+      label: found.embedded,
+      pack: found.pack
+    });
+  } catch (error) {
+    console.error('Add item to transaction error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add an item picked without a barcode (item search, quick keys):
+// { item_id, pack_id, quantity, unit_price, merge } (see addItemLine)
+app.post('/api/transactions/:transactionId/lines/by-item', requirePermission('sales'), async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const { item_id: itemId, pack_id: packId, quantity, unit_price: unitPrice, merge } = req.body;
+
+    if (!itemId) {
+      return res.status(400).json({ error: 'item_id is required' });
+    }
+
+    const item = await repos.items.findById(itemId);
+
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    if (!item.is_active) {
+      return res.status(404).json({ error: 'Item is inactive' });
+    }
+
+    const pack = packId ? await repos.itemPacks.findById(packId) : null;
+    if (packId && pack?.item_id !== itemId) {
+      return res.status(404).json({ error: 'Pack not found' });
+    }
+
+    await addItemLine(res, { transactionId, item, quantity, unitPrice, merge, pack });
+  } catch (error) {
+    console.error('Add item to transaction by id error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change the quantity of a line on an open transaction: a whole count, or
+// a weight for a weighed line when no scale is configured
+app.patch('/api/transactions/:transactionId/lines/:lineId', requirePermission('sales'), async (req, res) => {
+  try {
+    const { transactionId, lineId } = req.params;
+
+    const transaction = await repos.transactions.findById(transactionId);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (transaction.status !== 'open') {
+      return res.status(400).json({ error: 'Transaction is not open' });
+    }
+
+    const existingLine = await repos.transactionLines.findById(lineId);
+
+    if (!existingLine || existingLine.transaction_id !== transactionId) {
+      return res.status(404).json({ error: 'Transaction line not found' });
+    }
+
+    // With a scale, weights come off it (see addItemLine), not the keyboard
+    if (existingLine.weight_unit && scale) {
+      return res.status(400).json({ error: 'Remove the line and weigh the item again to change its weight' });
+    }
+
+    const { quantity, error: quantityError } = lineQuantityFrom(existingLine, req.body.quantity);
+    if (quantityError) {
+      return res.status(400).json({ error: quantityError });
+    }
+
+    await repos.transactionLines.update(lineId, {
+      quantity,
+      line_total: calculateLineTotal(
+        parseFloat(existingLine.unit_price),
+        parseFloat(existingLine.tax_rate),
+        quantity
+      )
+    });
+
+    const updatedTx = await recalculateTransactionTotals(repos, transactionId);
+    const line = await repos.transactionLines.findById(lineId);
+    auditChange(res, { entityType: 'transaction_line', entityId: lineId, before: existingLine, after: line });
+
+    res.json({
+      line,
+      transaction: updatedTx
+    });
+  } catch (error) {
+    console.error('Update transaction line error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a line from an open transaction
+app.delete('/api/transactions/:transactionId/lines/:lineId', requirePermission('sales'), async (req, res) => {
+  try {
+    const { transactionId, lineId } = req.params;
+
+    const transaction = await repos.transactions.findById(transactionId);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (transaction.status !== 'open') {
+      return res.status(400).json({ error: 'Transaction is not open' });
+    }
+
+    const line = await repos.transactionLines.findById(lineId);
+
+    if (!line || line.transaction_id !== transactionId) {
+      return res.status(404).json({ error: 'Transaction line not found' });
+    }
+
+    await repos.transactionLines.remove(lineId);
+    auditChange(res, { entityType: 'transaction_line', entityId: lineId, before: line });
+
+    const updatedTx = await recalculateTransactionTotals(repos, transactionId);
+
+    res.json({
+      message: 'Line removed successfully',
+      transaction: updatedTx
+    });
+  } catch (error) {
+    console.error('Remove transaction line error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Override the unit price of a line on an open transaction. Body:
+// { unitPrice }. Cashiers need a manager's approval; the item's own price
+// is kept in original_unit_price and the approver in price_approved_by.
+app.put('/api/transactions/:transactionId/lines/:lineId/price', requirePermission('prices.override', { override: true }), async (req, res) => {
+  try {
+    const { transactionId, lineId } = req.params;
+    const price = parseFloat(req.body.unitPrice);
+
+    if (!Number.isFinite(price) || price < 0) {
+      return res.status(400).json({ error: 'Invalid price' });
+    }
+
+    const transaction = await repos.transactions.findById(transactionId);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (transaction.status !== 'open') {
+      return res.status(400).json({ error: 'Transaction is not open' });
+    }
+
+    const existingLine = await repos.transactionLines.findById(lineId);
+
+    if (!existingLine || existingLine.transaction_id !== transactionId) {
+      return res.status(404).json({ error: 'Transaction line not found' });
+    }
+
+    const unitPrice = roundDollars(price);
+
+    await repos.transactionLines.update(lineId, {
+      unit_price: unitPrice,
+      original_unit_price: existingLine.original_unit_price ?? existingLine.unit_price,
+      price_approved_by: req.approver.id,
+      line_total: calculateLineTotal(unitPrice, parseFloat(existingLine.tax_rate), existingLine.quantity)
+    });
+
+    const updatedTx = await recalculateTransactionTotals(repos, transactionId);
+    const line = await repos.transactionLines.findById(lineId);
+    auditChange(res, { entityType: 'transaction_line', entityId: lineId, before: existingLine, after: line });
+
+    res.json({
+      line,
+      transaction: updatedTx
+    });
+  } catch (error) {
+    console.error('Override line price error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Discounts of more than the override_discount_percent setting need the
+// 'discounts.large' permission or a manager's PIN. Returns { approvedBy }
+// (null when no approval was needed, otherwise also set as req.approver)
+// or a denial for sendDenied.
+const approveLargeDiscount = async (req, discount, amount) => {
+  const { override_discount_percent: limit } = await getSettings(repos);
+  if (discountPercent(discount, amount) <= limit) {
+    return { approvedBy: null };
+  }
+
+  const result = await authorize(req, 'discounts.large', { override: true });
+  if (!result.approver) return result;
+
+  req.approver = result.approver;
+  return { approvedBy: result.approver.id };
+};
+
+// Discount one line of an open transaction. Body: { type, value } where
+// type is 'percent' or 'fixed' (dollars off the whole line). Replaces any
+// discount already on the line.
+app.put('/api/transactions/:transactionId/lines/:lineId/discount', requirePermission('sales'), async (req, res) => {
+  try {
+    const { transactionId, lineId } = req.params;
+    const { type, value } = req.body;
+
+    const transaction = await repos.transactions.findById(transactionId);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (transaction.status !== 'open') {
+      return res.status(400).json({ error: 'Transaction is not open' });
+    }
+
+    const existingLine = await repos.transactionLines.findById(lineId);
+
+    if (!existingLine || existingLine.transaction_id !== transactionId) {
+      return res.status(404).json({ error: 'Transaction line not found' });
+    }
+
+    const lineAmount = multiplyQuantity(toCents(existingLine.unit_price), existingLine.quantity);
+    const validationError = validateDiscount({ type, value }, toDollars(lineAmount));
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const approval = await approveLargeDiscount(req, { type, value }, toDollars(lineAmount));
+    if (approval.error) {
+      return sendDenied(res, approval);
+    }
+
+    await repos.transactionLines.update(lineId, {
+      discount_type: type,
+      discount_value: parseFloat(value),
+      discount_approved_by: approval.approvedBy
+    });
+
+    const updatedTx = await recalculateTransactionTotals(repos, transactionId);
+    const line = await repos.transactionLines.findById(lineId);
+    auditChange(res, { entityType: 'transaction_line', entityId: lineId, before: existingLine, after: line });
+
+    res.json({
+      line,
+      transaction: updatedTx
+    });
+  } catch (error) {
+    console.error('Discount transaction line error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove the discount from one line of an open transaction
+app.delete('/api/transactions/:transactionId/lines/:lineId/discount', requirePermission('sales'), async (req, res) => {
+  try {
+    const { transactionId, lineId } = req.params;
+
+    const transaction = await repos.transactions.findById(transactionId);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (transaction.status !== 'open') {
+      return res.status(400).json({ error: 'Transaction is not open' });
+    }
+
+    const existingLine = await repos.transactionLines.findById(lineId);
+
+    if (!existingLine || existingLine.transaction_id !== transactionId) {
+      return res.status(404).json({ error: 'Transaction line not found' });
+    }
+
+    await repos.transactionLines.update(lineId, {
+      discount_type: null,
+      discount_value: null,
+      discount_approved_by: null
+    });
+
+    const updatedTx = await recalculateTransactionTotals(repos, transactionId);
+    const line = await repos.transactionLines.findById(lineId);
+    auditChange(res, { entityType: 'transaction_line', entityId: lineId, before: existingLine, after: line });
+
+    res.json({
+      line,
+      transaction: updatedTx
+    });
+  } catch (error) {
+    console.error('Remove line discount error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Discount a whole open transaction. Body: { type, value }. The discount is
+// taken after line discounts and shared over the lines so each is taxed on
+// its discounted amount (see services/transactionTotals.js).
+app.put('/api/transactions/:transactionId/discount', requirePermission('sales'), async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const { type, value } = req.body;
+
+    const transaction = await repos.transactions.findById(transactionId);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (transaction.status !== 'open') {
+      return res.status(400).json({ error: 'Transaction is not open' });
+    }
+
+    // What the transaction discount would come off: the subtotal after
+    // line discounts
+    const lines = await repos.transactionLines.listForTransaction(transactionId);
+    const { subtotal, discount_total: lineDiscounts } = priceTransaction({}, lines);
+
+    const discountable = toDollars(toCents(subtotal) - toCents(lineDiscounts));
+    const validationError = validateDiscount({ type, value }, discountable);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const approval = await approveLargeDiscount(req, { type, value }, discountable);
+    if (approval.error) {
+      return sendDenied(res, approval);
+    }
+
+    await repos.transactions.update(transactionId, {
+      discount_type: type,
+      discount_value: parseFloat(value),
+      discount_approved_by: approval.approvedBy
+    });
+
+    const updatedTx = await recalculateTransactionTotals(repos, transactionId);
+
+    auditChange(res, { entityType: 'transaction', entityId: transactionId, before: transaction, after: updatedTx });
+    res.json({ transaction: updatedTx });
+  } catch (error) {
+    console.error('Discount transaction error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove the whole-transaction discount
+app.delete('/api/transactions/:transactionId/discount', requirePermission('sales'), async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+
+    const transaction = await repos.transactions.findById(transactionId);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (transaction.status !== 'open') {
+      return res.status(400).json({ error: 'Transaction is not open' });
+    }
+
+    await repos.transactions.update(transactionId, {
+      discount_type: null,
+      discount_value: null,
+      discount_approved_by: null
+    });
+
+    const updatedTx = await recalculateTransactionTotals(repos, transactionId);
+
+    auditChange(res, { entityType: 'transaction', entityId: transactionId, before: transaction, after: updatedTx });
+    res.json({ transaction: updatedTx });
+  } catch (error) {
+    console.error('Remove transaction discount error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the tenders applied to a transaction and the balance still due
+app.get('/api/transactions/:transactionId/payments', async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+
+    const transaction = await repos.transactions.findById(transactionId);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const payments = await repos.payments.listForTransaction(transactionId);
+
+    res.json({
+      payments,
+      ...summarizePayments(transaction.total, payments)
+    });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Apply a tender ({ method, amount, reference }) to an open transaction.
+// The sale stays open until its tenders cover the total; the covering tender
+// finalizes it (see services/checkout.js). With a card terminal configured,
+// card tenders pass { method: 'card', authorizationId } for an approved
+// authorization, which is captured here and voided again if the sale
+// cannot take it.
+app.post('/api/transactions/:transactionId/payments', requirePermission('sales'), async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const { method, amount, reference, authorizationId } = req.body;
+
+    const transaction = await repos.transactions.findById(transactionId);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (transaction.status !== 'open') {
+      return res.status(400).json({ error: 'Transaction is not open' });
+    }
+
+    const shift = await repos.shifts.findOpen(req.register.id);
+    if (!shift) {
+      return res.status(409).json({ error: NO_OPEN_SHIFT });
+    }
+
+    let tender = {
+      method,
+      amount: roundDollars(amount),
+      reference: reference ? String(reference).trim() : null
+    };
+
+    if (method === 'card' && terminal) {
+      let card;
+      try {
+        card = await captureCardTender(terminal, { transactionId, authorizationId, amount });
+      } catch (terminalError) {
+        if (terminalError instanceof TerminalError) {
+          return sendTerminalError(res, terminalError);
+        }
+        throw terminalError;
+      }
+      if (card.error) {
+        return res.status(400).json({ error: card.error });
+      }
+      tender = card.tender;
+    }
+
+    const existing = await repos.payments.listForTransaction(transactionId);
+    const { balance } = summarizePayments(transaction.total, existing);
+
+    const validationError = validateTender(tender, balance);
+    if (validationError) {
+      if (tender.authorization_id) await releaseCardTender(terminal, tender.authorization_id);
+      return res.status(400).json({ error: validationError });
+    }
+
+    let result;
+    try {
+      result = await applyTenders(repos, transaction, [tender], {
+        employeeId: req.employee.id,
+        shiftId: shift.id,
+        store: req.store,
+        registerId: req.register.id
+      });
+    } catch (paymentError) {
+      if (tender.authorization_id) await releaseCardTender(terminal, tender.authorization_id);
+      if (paymentError.code === CONFLICT) {
+        return res.status(409).json({ error: await tenderConflictMessage(repos, transactionId, shift.id) });
+      }
+      throw paymentError;
+    }
+
+    const { created: [payment], ...summary } = result;
+    auditChange(res, { entityType: 'payment', entityId: payment.id, after: payment });
+
+    const print = summary.finalized
+      ? await printTransactionReceipt(repos, printer, transactionId, { openDrawer: involvesCash(summary.payments) })
+      : null;
+
+    res.json({
+      payment,
+      ...summary,
+      change: formatDollars(summary.change),
+      print
+    });
+  } catch (error) {
+    console.error('Add payment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a tender from an open transaction
+app.delete('/api/transactions/:transactionId/payments/:paymentId', requirePermission('sales'), async (req, res) => {
+  try {
+    const { transactionId, paymentId } = req.params;
+
+    const payment = await repos.payments.findById(paymentId);
+
+    if (!payment || payment.transaction_id !== transactionId) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    // Give a terminal card payment back to the card before dropping it
+    if (payment.authorization_id) {
+      const transaction = await repos.transactions.findById(transactionId);
+      if (transaction.status !== 'open') {
+        return res.status(400).json({ error: 'Payments can only be removed from open transactions' });
+      }
+      if (!terminal) {
+        return res.status(503).json({ error: 'No card terminal is configured to void this payment' });
+      }
+      try {
+        await terminal.void(payment.authorization_id);
+      } catch (terminalError) {
+        if (terminalError instanceof TerminalError) {
+          return sendTerminalError(res, terminalError);
+        }
+        throw terminalError;
+      }
+    }
+
+    try {
+      await repos.checkout.removePayment({ transactionId, paymentId });
+    } catch (paymentError) {
+      if (paymentError.code === CONFLICT) {
+        return res.status(400).json({ error: 'Payments can only be removed from open transactions' });
+      }
+      throw paymentError;
+    }
+
+    const transaction = await repos.transactions.findById(transactionId);
+    const payments = await repos.payments.listForTransaction(transactionId);
+
+    auditChange(res, { entityType: 'payment', entityId: paymentId, before: payment });
+    res.json({
+      payments,
+      ...summarizePayments(transaction.total, payments)
+    });
+  } catch (error) {
+    console.error('Remove payment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========== CARD TERMINAL ==========
+
+// Which terminal driver is configured; the cashier screen only runs card
+// tenders through the terminal when one is
+app.get('/api/terminal', (req, res) => {
+  res.json({
+    enabled: Boolean(terminal),
+    driver: terminal ? terminal.name : 'none'
+  });
+});
+
+// Start a card authorization for part or all of an open transaction's
+// balance. The authorization comes back 'pending'; poll it with
+// GET /api/terminal/authorizations/:authorizationId, then apply it with
+// POST /api/transactions/:transactionId/payments once it is 'approved'.
+app.post('/api/transactions/:transactionId/card-authorizations', requirePermission('sales'), async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const { amount } = req.body;
+
+    if (!terminal) {
+      return res.status(503).json({ error: 'No card terminal is configured' });
+    }
+
+    const transaction = await repos.transactions.findById(transactionId);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (transaction.status !== 'open') {
+      return res.status(400).json({ error: 'Transaction is not open' });
+    }
+
+    if (!(await repos.shifts.findOpen(req.register.id))) {
+      return res.status(409).json({ error: NO_OPEN_SHIFT });
+    }
+
+    const payments = await repos.payments.listForTransaction(transactionId);
+    const { balance } = summarizePayments(transaction.total, payments);
+
+    const validationError = validateTender({ method: 'card', amount }, balance);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const authorization = await terminal.authorize({
+      amount: roundDollars(amount),
+      reference: transactionId
+    });
+
+    res.json({ authorization });
+  } catch (error) {
+    if (error instanceof TerminalError) {
+      return sendTerminalError(res, error);
+    }
+    console.error('Card authorization error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Poll a card authorization
+app.get('/api/terminal/authorizations/:authorizationId', async (req, res) => {
+  try {
+    if (!terminal) {
+      return res.status(503).json({ error: 'No card terminal is configured' });
+    }
+
+    const authorization = await terminal.getStatus(req.params.authorizationId);
+    res.json({ authorization });
+  } catch (error) {
+    if (error instanceof TerminalError) {
+      return sendTerminalError(res, error);
+    }
+    console.error('Get card authorization error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Abandon an authorization that has not been applied as a payment
+// (captured ones are voided by removing the payment instead)
+app.post('/api/terminal/authorizations/:authorizationId/cancel', requirePermission('sales'), async (req, res) => {
+  try {
+    if (!terminal) {
+      return res.status(503).json({ error: 'No card terminal is configured' });
+    }
+
+    const { authorizationId } = req.params;
+    const current = await terminal.getStatus(authorizationId);
+
+    if (current.status === 'captured') {
+      return res.status(400).json({ error: 'Remove the card payment to void a captured authorization' });
+    }
+
+    if (current.status !== 'pending' && current.status !== 'approved') {
+      return res.json({ authorization: current });
+    }
+
+    const authorization = await terminal.void(authorizationId);
+    res.json({ authorization });
+  } catch (error) {
+    if (error instanceof TerminalError) {
+      return sendTerminalError(res, error);
+    }
+    console.error('Cancel card authorization error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Queue outcomes ('approve', 'decline', 'timeout') for the simulated
+// terminal's next requests. Body: { outcomes: [...] }
+app.post('/api/terminal/simulator/script', requirePermission('settings.manage'), (req, res) => {
+  if (!terminal || terminal.name !== 'simulated') {
+    return res.status(404).json({ error: 'The simulated terminal is not enabled' });
+  }
+
+  const { outcomes } = req.body;
+  if (!Array.isArray(outcomes) || outcomes.length === 0) {
+    return res.status(400).json({ error: 'outcomes array is required' });
+  }
+
+  try {
+    res.json({ queued: terminal.script(outcomes) });
+  } catch (error) {
+    if (error instanceof TerminalError) {
+      return sendTerminalError(res, error);
+    }
+    console.error('Script terminal error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Finalize transaction. With { cashAmount } this applies a cash tender
+// that must cover the balance; without it, the tenders already applied
+// must cover the total. Commits atomically (see repositories/checkout.js).
+app.post('/api/transactions/:transactionId/finalize', requirePermission('sales'), async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const { cashAmount } = req.body;
+
+    if (cashAmount !== undefined && (!cashAmount || cashAmount <= 0)) {
+      return res.status(400).json({ error: 'Invalid cash amount' });
+    }
+
+    // Get transaction
+    const transaction = await repos.transactions.findById(transactionId);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (transaction.status !== 'open') {
+      return res.status(400).json({ error: 'Transaction is not open' });
+    }
+
+    const shift = await repos.shifts.findOpen(req.register.id);
+    if (!shift) {
+      return res.status(409).json({ error: NO_OPEN_SHIFT });
+    }
+
+    const tenders = cashAmount !== undefined
+      ? [{ method: 'cash', amount: roundDollars(cashAmount) }]
+      : [];
+
+    const existing = await repos.payments.listForTransaction(transactionId);
+    const summary = summarizePayments(transaction.total, [...existing, ...tenders]);
+
+    if (summary.balance > 0) {
+      return res.status(400).json({
+        error: cashAmount !== undefined ? 'Insufficient cash amount' : 'Balance due'
+      });
+    }
+
+    const changeError = validateChange(summary);
+    if (changeError) {
+      return res.status(400).json({ error: changeError });
+    }
+
+    // Status, payment and stock changes commit together or not at all
+    let result;
+    try {
+      result = await applyTenders(repos, transaction, tenders, {
+        employeeId: req.employee.id,
+        shiftId: shift.id,
+        store: req.store,
+        registerId: req.register.id
+      });
+    } catch (finalizeError) {
+      if (finalizeError.code === CONFLICT) {
+        return res.status(409).json({ error: await tenderConflictMessage(repos, transactionId, shift.id) });
+      }
+      throw finalizeError;
+    }
+
+    auditChange(res, {
+      entityType: 'transaction',
+      entityId: transactionId,
+      before: transaction,
+      after: { ...result.transaction, payments: result.created }
+    });
+
+    const print = await printTransactionReceipt(repos, printer, transactionId, {
+      openDrawer: involvesCash(result.payments)
+    });
+
+    res.json({
+      transaction: result.transaction,
+      payment: result.created[0] || null,
+      payments: result.payments,
+      change: formatDollars(result.change),
+      print
+    });
+  } catch (error) {
+    console.error('Finalize transaction error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get all finalized transactions (for reports). Query: storeId and
+// registerId narrow them to where they were finalized.
+app.get('/api/transactions', requirePermission('reports.view'), async (req, res) => {
+  try {
+    const { limit = 1000, offset = 0, storeId, registerId } = req.query;
+
+    // Get all finalized and refunded transactions (exclude open transactions)
+    const transactions = await repos.transactions.listByStatus(['finalized', 'refunded'], {
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      storeId,
+      registerId
+    });
+
+    // Get all refund transactions to exclude them from reports
+    let refunds = [];
+    let refundLines = [];
+    try {
+      refunds = await repos.refunds.listAll();
+      refundLines = await repos.refundLines.listAll();
+    } catch (refundsError) {
+      console.error('Error fetching refunds:', refundsError);
+      // Continue anyway, but log the error
+    }
+
+    // Filter out refund transactions (refund_tx in the refund or refund_line tables)
+    const refundTransactionIds = new Set([
+      ...refunds.map(r => r.refund_tx),
+      ...refundLines.map(r => r.refund_tx)
+    ]);
+    
+    // Also get original transaction IDs that have refunds (to help identify refund transactions)
     const originalTransactionIds = new Set((refunds || []).map(r => r.original_tx));
     
     // Filter out:
@@ -637,35 +2486,33 @@ app.get('/api/transactions', async (req, res) => {
     const transactionIds = salesTransactions.map(tx => tx.id);
     
     if (transactionIds.length === 0) {
-      return res.json(salesTransactions.map(tx => ({ ...tx, lines: [] })));
+      return res.json(salesTransactions.map(tx => ({ ...tx, lines: [], adjustments: [] })));
     }
 
-    const { data: allLines, error: linesError } = await supabase
-      .from('transaction_line')
-      .select(`
-        *,
-        item:item_id (
-          id,
-          name,
-          is_active
-        )
-      `)
-      .in('transaction_id', transactionIds);
-
-    if (linesError) {
-      console.error('Error fetching transaction lines:', linesError);
-      return res.status(500).json({ error: 'Failed to fetch transaction lines' });
-    }
+    const allLines = await repos.transactionLines.listForTransactions(transactionIds, { withItem: true });
 
     // Group lines by transaction_id
     const linesByTransaction = {};
-    (allLines || []).forEach(line => {
+    allLines.forEach(line => {
       if (!linesByTransaction[line.transaction_id]) {
         linesByTransaction[line.transaction_id] = [];
       }
-      linesByTransaction[line.transaction_id].push(line);
+      linesByTransaction[line.transaction_id].push(line);
+    });
+
+    const allAdjustments = await repos.promotionAdjustments.listForTransactions(transactionIds);
+    const adjustmentsByTransaction = {};
+    allAdjustments.forEach(adjustment => {
+      if (!adjustmentsByTransaction[adjustment.transaction_id]) {
+        adjustmentsByTransaction[adjustment.transaction_id] = [];
+      }
+      adjustmentsByTransaction[adjustment.transaction_id].push(adjustment);
     });
 
+    // Who rang each sale up (transactions from before sign-in have nobody)
+    const employees = await repos.employees.listAll();
+    const employeeNames = new Map(employees.map(employee => [employee.id, employee.name]));
+
     // Combine transactions with their lines and calculate refund status
     // Also filter out transactions with 0 lines that are finalized (likely orphaned refund transactions)
     const transactionsWithLines = salesTransactions
@@ -675,10 +2522,11 @@ app.get('/api/transactions', async (req, res) => {
         // Calculate refund status
         let refundStatus = 'none'; // 'none', 'partial', 'full'
         if (lines.length > 0) {
-          const refundedCount = lines.filter(line => line.refunded_by !== null).length;
-          if (refundedCount === lines.length) {
+          const fullyRefunded = lines.every(line => refundableQuantityOf(line) <= 0);
+          const anyRefunded = lines.some(line => refundedQuantityOf(line) > 0);
+          if (fullyRefunded) {
             refundStatus = 'full';
-          } else if (refundedCount > 0) {
+          } else if (anyRefunded) {
             refundStatus = 'partial';
           }
         }
@@ -686,7 +2534,9 @@ app.get('/api/transactions', async (req, res) => {
         return {
           ...tx,
           lines,
-          refundStatus
+          adjustments: adjustmentsByTransaction[tx.id] || [],
+          refundStatus,
+          employee_name: employeeNames.get(tx.employee_id) || null
         };
       })
       .filter(tx => {
@@ -705,9 +2555,12 @@ app.get('/api/transactions', async (req, res) => {
   }
 });
 
-// Get daily total
-app.get('/api/transactions/daily-total', async (req, res) => {
+// Get daily total, optionally for one store or register (storeId,
+// registerId)
+app.get('/api/transactions/daily-total', requirePermission('reports.view'), async (req, res) => {
   try {
+    const { storeId, registerId } = req.query;
+
     // Get today's date range (start and end of today)
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -717,42 +2570,45 @@ app.get('/api/transactions/daily-total', async (req, res) => {
     tomorrow.setDate(tomorrow.getDate() + 1);
     const todayEnd = tomorrow.toISOString();
 
-    // Get all finalized transactions for today
-    const { data: transactions, error: txError } = await supabase
-      .from('pos_transaction')
-      .select('total')
-      .eq('status', 'finalized')
-      .gte('created_at', todayStart)
-      .lt('created_at', todayEnd);
-
-    if (txError) {
-      console.error('Error fetching daily transactions:', txError);
-      return res.status(500).json({ error: 'Failed to fetch daily transactions' });
-    }
-
-    // Calculate total in business logic
-    const dailyTotal = (transactions || []).reduce((sum, tx) => sum + parseFloat(tx.total || 0), 0);
+    // Get today's sales (refunded ones included) and refund transactions
+    const transactions = await repos.transactions.listCreatedBetween(['finalized', 'refunded'], todayStart, todayEnd, {
+      storeId,
+      registerId
+    });
+    const refundTransactionIds = new Set([
+      ...(await repos.refunds.listAll()).map(r => r.refund_tx),
+      ...(await repos.refundLines.listAll()).map(r => r.refund_tx)
+    ]);
+    const sales = transactions.filter(tx => !refundTransactionIds.has(tx.id));
+    const refunds = transactions.filter(tx => refundTransactionIds.has(tx.id));
+
+    // Calculate totals in cents: takings are sales less money given back
+    const dailySales = sumCents(sales.map(tx => toCents(tx.total)));
+    const dailyRefunds = sumCents(refunds.map(tx => toCents(tx.total)));
+    const dailyDiscounts = sumCents(sales.map(tx => toCents(tx.discount_total)));
 
-    res.json({ dailyTotal: dailyTotal.toFixed(2) });
+    res.json({
+      dailyTotal: formatCents(dailySales - dailyRefunds),
+      dailySales: formatCents(dailySales),
+      dailyRefunds: formatCents(dailyRefunds),
+      dailyDiscounts: formatCents(dailyDiscounts)
+    });
   } catch (error) {
     console.error('Get daily total error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Cancel/Delete an open transaction
-app.delete('/api/transactions/:transactionId', async (req, res) => {
+// Cancel an open transaction. It is kept, lines and all, with status
+// 'cancelled' so the cancellation and its approver stay on record.
+app.delete('/api/transactions/:transactionId', requirePermission('sales'), async (req, res) => {
   try {
     const { transactionId } = req.params;
 
     // Get transaction to check status
-    const { data: transaction, error: txError } = await supabase
-      .from('pos_transaction')
-      .select('*')
-      .eq('id', transactionId)
-      .single();
+    const transaction = await repos.transactions.findById(transactionId);
 
-    if (txError || !transaction) {
+    if (!transaction) {
       return res.status(404).json({ error: 'Transaction not found' });
     }
 
@@ -760,17 +2616,36 @@ app.delete('/api/transactions/:transactionId', async (req, res) => {
       return res.status(400).json({ error: 'Only open transactions can be cancelled' });
     }
 
-    // Delete transaction (cascade will delete transaction_lines)
-    const { error: deleteError } = await supabase
-      .from('pos_transaction')
-      .delete()
-      .eq('id', transactionId);
+    const payments = await repos.payments.listForTransaction(transactionId);
+    if (payments.length > 0) {
+      return res.status(400).json({ error: 'Remove the applied payments before cancelling' });
+    }
+
+    // Cancelling a sale of override_cancel_amount or more needs the
+    // 'sales.cancel_large' permission or a manager's PIN
+    const { override_cancel_amount: limit } = await getSettings(repos);
+    let approvedBy = null;
+    if (toCents(transaction.total) >= toCents(limit)) {
+      const approval = await authorize(req, 'sales.cancel_large', { override: true });
+      if (!approval.approver) {
+        return sendDenied(res, approval);
+      }
+      req.approver = approval.approver;
+      approvedBy = approval.approver.id;
+    }
 
-    if (deleteError) {
-      console.error('Error deleting transaction:', deleteError);
-      return res.status(500).json({ error: 'Failed to cancel transaction' });
+    let cancelled;
+    try {
+      cancelled = await repos.checkout.cancel({ transactionId, approvedBy });
+    } catch (cancelError) {
+      if (cancelError.code === CONFLICT) {
+        return res.status(409).json({ error: 'Transaction is no longer open' });
+      }
+      throw cancelError;
     }
 
+    auditChange(res, { entityType: 'transaction', entityId: transactionId, before: transaction, after: cancelled });
+
     res.json({ message: 'Transaction cancelled successfully' });
   } catch (error) {
     console.error('Cancel transaction error:', error);
@@ -778,39 +2653,196 @@ app.delete('/api/transactions/:transactionId', async (req, res) => {
   }
 });
 
-// Get transaction with lines
-app.get('/api/transactions/:transactionId', async (req, res) => {
+// Parked sales at this store (see services/suspendedSales.js), oldest
+// first, with their item counts, totals, who rang them up and when they
+// expire
+app.get('/api/transactions/suspended', requirePermission('sales'), async (req, res) => {
+  try {
+    await expireSuspendedSales(repos);
+    const [transactions, names] = await Promise.all([listSuspendedSales(repos, req.store.id), employeeNames()]);
+
+    res.json(transactions.map(tx => ({
+      ...tx,
+      employee_name: names.get(tx.employee_id) || null,
+      suspended_by_name: names.get(tx.suspended_by) || null
+    })));
+  } catch (error) {
+    console.error('Get suspended transactions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Park an open sale so the register can serve someone else. Sales with
+// payments applied cannot be parked.
+app.post('/api/transactions/:transactionId/suspend', requirePermission('sales'), async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+
+    const transaction = await repos.transactions.findById(transactionId);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (transaction.status !== 'open') {
+      return res.status(400).json({ error: 'Only open transactions can be suspended' });
+    }
+
+    const payments = await repos.payments.listForTransaction(transactionId);
+    if (payments.length > 0) {
+      return res.status(400).json({ error: 'Remove the applied payments before suspending' });
+    }
+
+    const suspended = await repos.transactions.suspend(transactionId, { suspendedBy: req.employee.id });
+    if (!suspended) {
+      return res.status(409).json({ error: 'Transaction is no longer open' });
+    }
+
+    auditChange(res, { entityType: 'transaction', entityId: transactionId, before: transaction, after: suspended });
+
+    res.json(suspended);
+  } catch (error) {
+    console.error('Suspend transaction error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reopen a parked sale on this register (any register of the store where
+// it was parked)
+app.post('/api/transactions/:transactionId/resume', requirePermission('sales'), async (req, res) => {
   try {
     const { transactionId } = req.params;
 
-    const { data: transaction, error: txError } = await supabase
-      .from('pos_transaction')
-      .select('*')
-      .eq('id', transactionId)
-      .single();
+    await expireSuspendedSales(repos);
+    const transaction = await repos.transactions.findById(transactionId);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (transaction.status === 'expired') {
+      return res.status(400).json({ error: 'This suspended sale has expired' });
+    }
+
+    if (transaction.status !== 'suspended') {
+      return res.status(400).json({ error: 'Only suspended transactions can be resumed' });
+    }
+
+    if (transaction.store_id && transaction.store_id !== req.store.id) {
+      return res.status(400).json({ error: 'This sale was suspended at another store' });
+    }
+
+    const resumed = await repos.transactions.resume(transactionId, { registerId: req.register.id });
+    if (!resumed) {
+      return res.status(409).json({ error: 'Transaction was already resumed' });
+    }
+
+    auditChange(res, { entityType: 'transaction', entityId: transactionId, before: transaction, after: resumed });
+
+    res.json(resumed);
+  } catch (error) {
+    console.error('Resume transaction error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Receipt for a finalized sale or a refund.
+// Query: format=html (default) | text | pdf, width=40|48 for text and PDF
+// (defaults to the receipt_width setting), reprint=true to mark a copy.
+app.get('/api/transactions/:transactionId/receipt', requirePermission('sales'), async (req, res) => {
+  try {
+    const { format = 'html', width, reprint } = req.query;
+
+    const renderer = RECEIPT_FORMATS[format];
+    if (!renderer) {
+      return res.status(400).json({ error: `Receipt format must be one of: ${Object.keys(RECEIPT_FORMATS).join(', ')}` });
+    }
+
+    const columns = width === undefined ? undefined : parseInt(width);
+    if (columns !== undefined && !RECEIPT_WIDTHS.includes(columns)) {
+      return res.status(400).json({ error: `Receipt width must be one of: ${RECEIPT_WIDTHS.join(', ')}` });
+    }
+
+    const transaction = await findTransaction(req.params.transactionId);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const receipt = await buildReceipt(repos, transaction.id, { reprint: reprint === 'true' });
+
+    if (receipt.error) {
+      return res.status(400).json({ error: receipt.error });
+    }
+
+    res.type(renderer.contentType);
+    if (format === 'pdf') {
+      res.set('Content-Disposition', `inline; filename="receipt-${receipt.number}.pdf"`);
+    }
+    res.send(renderer.render(receipt, columns));
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    if (txError || !transaction) {
+// Receipt printer in use; without one the client prints from the browser
+app.get('/api/printer', (req, res) => {
+  res.json({
+    enabled: Boolean(printer),
+    driver: printer ? printer.name : 'none'
+  });
+});
+
+// Print a receipt again on the receipt printer (marked as a reprint)
+app.post('/api/transactions/:transactionId/print', requirePermission('sales'), async (req, res) => {
+  try {
+    if (!printer) {
+      return res.status(503).json({ error: 'No receipt printer is configured' });
+    }
+
+    const transaction = await findTransaction(req.params.transactionId);
+
+    if (!transaction) {
       return res.status(404).json({ error: 'Transaction not found' });
     }
 
-    const { data: lines, error: linesError } = await supabase
-      .from('transaction_line')
-      .select(`
-        *,
-        item:item_id (
-          id,
-          name
-        )
-      `)
-      .eq('transaction_id', transactionId);
+    if (transaction.status === 'open') {
+      return res.status(400).json({ error: 'Transaction is not complete' });
+    }
+
+    const print = await printTransactionReceipt(repos, printer, transaction.id, { reprint: true });
+    if (!print.printed) {
+      return res.status(502).json({ error: print.error });
+    }
+
+    res.json(print);
+  } catch (error) {
+    console.error('Print receipt error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get transaction with lines, by id or receipt number
+app.get('/api/transactions/:transactionId', async (req, res) => {
+  try {
+    const transaction = await findTransaction(req.params.transactionId);
 
-    if (linesError) {
-      return res.status(500).json({ error: 'Failed to fetch transaction lines' });
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
     }
 
+    const transactionId = transaction.id;
+
+    const lines = await repos.transactionLines.listForTransaction(transactionId, { withItem: true });
+    const payments = await repos.payments.listForTransaction(transactionId);
+    const adjustments = await repos.promotionAdjustments.listForTransaction(transactionId);
+
     res.json({
       ...transaction,
-      lines: lines || []
+      lines,
+      adjustments,
+      payments
     });
   } catch (error) {
     console.error('Get transaction error:', error);
@@ -818,207 +2850,532 @@ app.get('/api/transactions/:transactionId', async (req, res) => {
   }
 });
 
-// Process refund (partial or full)
-app.post('/api/transactions/:transactionId/refund', async (req, res) => {
+// Process refund (partial or full).
+// Body: { lines: [{ lineId, quantity }] } to return part of a line, or the
+// older { lineIds: [...] } to return whatever is left on each line.
+app.post('/api/transactions/:transactionId/refund', requirePermission('refunds', { override: true }), async (req, res) => {
   try {
-    const { transactionId } = req.params;
-    const { lineIds } = req.body;
+    const { lines, lineIds } = req.body;
+
+    let requested = null;
+    if (Array.isArray(lines)) {
+      requested = lines;
+    } else if (Array.isArray(lineIds)) {
+      requested = lineIds.map(lineId => ({ lineId }));
+    }
 
-    if (!lineIds || !Array.isArray(lineIds) || lineIds.length === 0) {
-      return res.status(400).json({ error: 'lineIds array is required' });
+    if (!requested || requested.length === 0) {
+      return res.status(400).json({ error: 'lines array is required' });
     }
 
-    // Get original transaction
-    const { data: originalTransaction, error: txError } = await supabase
-      .from('pos_transaction')
-      .select('*')
-      .eq('id', transactionId)
-      .single();
+    // Get original transaction, by id or receipt number
+    const originalTransaction = await findTransaction(req.params.transactionId);
 
-    if (txError || !originalTransaction) {
+    if (!originalTransaction) {
       return res.status(404).json({ error: 'Transaction not found' });
     }
 
+    const transactionId = originalTransaction.id;
+
     if (originalTransaction.status !== 'finalized') {
       return res.status(400).json({ error: 'Only finalized transactions can be refunded' });
     }
 
+    const shift = await repos.shifts.findOpen(req.register.id);
+    if (!shift) {
+      return res.status(409).json({ error: NO_OPEN_SHIFT });
+    }
+
     // Get all transaction lines
-    const { data: allLines, error: linesError } = await supabase
-      .from('transaction_line')
-      .select('*')
-      .eq('transaction_id', transactionId);
+    const allLines = await repos.transactionLines.listForTransaction(transactionId);
+
+    // Validate that selected lines exist and still have quantity to return
+    const { error: validationError, items } = resolveRefundItems(allLines, requested);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Calculate refund amounts from selected quantities, what earlier
+    // refunds already returned and the promotions the sale got
+    const earlierRefundLines = await repos.refundLines.listForLines(allLines.map(line => line.id));
+    const refundedAmounts = new Map();
+    for (const refundLine of earlierRefundLines) {
+      refundedAmounts.set(
+        refundLine.transaction_line_id,
+        (refundedAmounts.get(refundLine.transaction_line_id) || 0) + toCents(refundLine.amount)
+      );
+    }
+    const adjustments = await repos.promotionAdjustments.listForTransaction(transactionId);
+
+    const totals = calculateRefundTotals({
+      allLines,
+      items,
+      refundedAmounts,
+      rules: adjustments.map(adjustment => adjustment.rule)
+    });
+    if (totals.error) {
+      return res.status(400).json({ error: totals.error });
+    }
+    const refundItems = totals.items;
+
+    // The original is fully refunded once every line has nothing left
+    const refundingNow = new Map(items.map(({ line, quantity }) => [line.id, quantity]));
+    const fullyRefunded = allLines.every(line =>
+      refundableQuantityOf(line) - (refundingNow.get(line.id) || 0) <= 0
+    );
+
+    // Only one refund record exists per original transaction; later partial
+    // refunds reuse it and are linked through refund_line instead
+    const existingRefund = await repos.refunds.findByOriginal(transactionId);
+
+    // Money goes back to the card(s) the sale was paid with first, then cash
+    const originalPayments = await repos.payments.listForTransaction(transactionId);
+    const priorRefunds = await repos.payments.listRefundsOf(originalPayments.map(payment => payment.id));
+    const plannedTenders = allocateRefundTenders(originalPayments, priorRefunds, totals.total);
+
+    // Hold the sale while its card refunds are out; they are voided again
+    // if the refund cannot be recorded
+    const claimed = await claimRefund(repos, originalTransaction);
+    if (!claimed) {
+      return res.status(409).json({ error: 'Another refund of this transaction is in progress, please wait and reload' });
+    }
+
+    let result;
+    try {
+      result = await refundCardTenders(terminal, plannedTenders, refundTenders =>
+        withReceiptNumber(repos, req.store.code, receiptNumber => repos.checkout.refund({
+          transactionId,
+          refundId: existingRefund?.id,
+          items: refundItems,
+          totals,
+          fullyRefunded,
+          payments: refundTenders,
+          receiptNumber,
+          employeeId: req.employee.id,
+          approvedBy: req.approver.id,
+          shiftId: shift.id,
+          storeId: req.store.id,
+          registerId: req.register.id,
+          refundClaim: claimed.refund_claimed_at
+        }))
+      );
+    } catch (refundError) {
+      await repos.transactions.releaseRefundClaim(transactionId, claimed.refund_claimed_at);
+      if (refundError instanceof TerminalError) {
+        return sendTerminalError(res, refundError);
+      }
+      if (refundError.code === CONFLICT && !(await repos.shifts.findOpen(req.register.id))) {
+        return res.status(409).json({ error: NO_OPEN_SHIFT });
+      }
+      if (refundError.code === CONFLICT || refundError.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({ error: 'These items were refunded at the same time by another request, please reload' });
+      }
+      throw refundError;
+    }
+
+    auditChange(res, {
+      entityType: 'transaction',
+      entityId: transactionId,
+      after: {
+        refundTransaction: result.refundTransaction,
+        lines: refundItems.map(({ line, quantity, amount }) => ({ lineId: line.id, quantity, amount: formatDollars(amount) })),
+        payments: result.payments
+      }
+    });
+
+    const print = await printTransactionReceipt(repos, printer, result.refundTransaction.id, {
+      openDrawer: involvesCash(result.payments)
+    });
+
+    res.json({
+      refundAmount: formatDollars(totals.total),
+      originalTransaction,
+      refundTransaction: result.refundTransaction,
+      lines: refundItems.map(({ line, quantity, amount }) => ({
+        lineId: line.id,
+        quantity,
+        amount: formatDollars(amount)
+      })),
+      payments: result.payments,
+      isPartial: !fullyRefunded,
+      print
+    });
+  } catch (error) {
+    console.error('Refund error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========== SCALE ==========
+
+// Which scale driver is configured; without one the cashier keys in the
+// weight of weighed items
+app.get('/api/scale', (req, res) => {
+  res.json({
+    enabled: Boolean(scale),
+    driver: scale ? scale.name : 'none',
+    unit: scale ? scale.unit : null
+  });
+});
 
-    if (linesError) {
-      return res.status(500).json({ error: 'Failed to fetch transaction lines' });
+// What is on the scale now: { weight, unit, stable }
+app.get('/api/scale/reading', async (req, res) => {
+  try {
+    if (!scale) {
+      return res.status(503).json({ error: 'No scale is configured' });
     }
 
-    // Validate that selected lines exist and are not already refunded
-    const selectedLines = allLines.filter(line => lineIds.includes(line.id));
-    if (selectedLines.length !== lineIds.length) {
-      return res.status(400).json({ error: 'Some selected lines do not exist' });
+    res.json(await scale.read());
+  } catch (error) {
+    if (error instanceof ScaleError) {
+      return sendScaleError(res, error);
     }
+    console.error('Read scale error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Put a weight on the simulated scale. Body: { weight, stable }; an
+// unstable weight makes reads fail until the next one.
+app.post('/api/scale/simulator', requirePermission('settings.manage'), (req, res) => {
+  if (!scale || scale.name !== 'simulated') {
+    return res.status(404).json({ error: 'The simulated scale is not enabled' });
+  }
 
-    const alreadyRefundedLines = selectedLines.filter(line => line.refunded_by !== null);
-    if (alreadyRefundedLines.length > 0) {
-      return res.status(400).json({ error: 'Some selected lines have already been refunded' });
+  const { weight, stable = true } = req.body;
+
+  try {
+    res.json(scale.place({ weight: Number(weight), stable }));
+  } catch (error) {
+    if (error instanceof ScaleError) {
+      return sendScaleError(res, error);
     }
+    console.error('Simulated scale error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========== SHIFTS ==========
+// Payments and refunds are only taken while a shift is open (see
+// services/shifts.js). Closing counts the drawer blind: the open shift is
+// sent without its totals, which only the X-report shows (reports.view, or
+// a manager's PIN) until the close's Z-report.
+
+const employeeNames = async () =>
+  new Map((await repos.employees.listAll()).map(employee => [employee.id, employee.name]));
 
-    // Calculate refund amounts from selected lines
-    let refundSubtotal = 0;
-    let refundTax = 0;
-    let refundTotal = 0;
+const shiftWithNames = (shift, names) => ({
+  ...shift,
+  opened_by_name: names.get(shift.opened_by) || null,
+  closed_by_name: shift.closed_by ? names.get(shift.closed_by) || null : null
+});
+
+// Reading an open shift's X-report reveals the expected cash
+const authorizeShiftReport = (req, shift) =>
+  shift.status === 'open'
+    ? authorize(req, 'reports.view', { override: true })
+    : { approver: req.employee };
+
+// This register's open shift, if any, with its paid in / paid out entries
+app.get('/api/shifts/current', requirePermission('sales'), async (req, res) => {
+  try {
+    const shift = await repos.shifts.findOpen(req.register.id);
 
-    for (const line of selectedLines) {
-      const lineSubtotal = parseFloat(line.unit_price) * parseInt(line.quantity);
-      const lineTax = lineSubtotal * parseFloat(line.tax_rate);
-      refundSubtotal += lineSubtotal;
-      refundTax += lineTax;
-      refundTotal += parseFloat(line.line_total);
+    if (!shift) {
+      return res.json({ shift: null, movements: [] });
     }
 
-    // Create refund transaction
-    const { data: refundTransaction, error: refundTxError } = await supabase
-      .from('pos_transaction')
-      .insert({
-        status: 'finalized',
-        subtotal: refundSubtotal.toFixed(2),
-        tax: refundTax.toFixed(2),
-        total: refundTotal.toFixed(2)
-      })
-      .select()
-      .single();
+    res.json({
+      shift: shiftWithNames(shift, await employeeNames()),
+      movements: await repos.cashMovements.listForShift(shift.id)
+    });
+  } catch (error) {
+    console.error('Get current shift error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Open a shift on this register with the cash float put in the drawer
+app.post('/api/shifts', requirePermission('sales'), async (req, res) => {
+  try {
+    // opening_float like the shift's column, or openingFloat
+    const openingFloat = req.body.opening_float ?? req.body.openingFloat;
+
+    const validationError = validateOpeningFloat(openingFloat);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
 
-    if (refundTxError) {
-      console.error('Error creating refund transaction:', refundTxError);
-      return res.status(500).json({ error: 'Failed to create refund transaction' });
+    if (await repos.shifts.findOpen(req.register.id)) {
+      return res.status(409).json({ error: 'A shift is already open on this register' });
     }
 
-    // Create refund record - handle unique constraint for partial refunds
-    let refundRecord;
+    let shift;
     try {
-      // Try to create new refund record
-      const { data: newRefundRecord, error: refundError } = await supabase
-        .from('refund')
-        .insert({
-          original_tx: transactionId,
-          refund_tx: refundTransaction.id
-        })
-        .select()
-        .single();
-
-      if (refundError) {
-        // If unique constraint violation, try to get existing refund record
-        if (refundError.code === '23505') {
-          const { data: existingRefund, error: fetchError } = await supabase
-            .from('refund')
-            .select('*')
-            .eq('original_tx', transactionId)
-            .single();
-
-          if (fetchError || !existingRefund) {
-            return res.status(500).json({ error: 'Failed to handle refund record' });
-          }
-          refundRecord = existingRefund;
-        } else {
-          throw refundError;
-        }
-      } else {
-        refundRecord = newRefundRecord;
+      shift = await repos.shifts.create({
+        register_id: req.register.id,
+        opened_by: req.employee.id,
+        opening_float: roundDollars(openingFloat)
+      });
+    } catch (createError) {
+      if (createError.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({ error: 'A shift is already open on this register' });
       }
-    } catch (error) {
-      console.error('Error creating refund record:', error);
-      return res.status(500).json({ error: 'Failed to create refund record' });
+      throw createError;
     }
 
-    const refundId = refundRecord.id;
+    auditChange(res, { entityType: 'shift', entityId: shift.id, after: shift });
+    const drawer = await kickDrawer(printer);
 
-    // Mark selected lines as refunded
-    for (const lineId of lineIds) {
-      const { error: updateLineError } = await supabase
-        .from('transaction_line')
-        .update({ refunded_by: refundId })
-        .eq('id', lineId);
+    res.status(201).json({ shift: shiftWithNames(shift, await employeeNames()), drawer });
+  } catch (error) {
+    console.error('Open shift error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-      if (updateLineError) {
-        console.error(`Error updating line ${lineId}:`, updateLineError);
-      }
+// Record cash paid into or out of the drawer during the open shift
+app.post('/api/shifts/current/movements', requirePermission('sales'), async (req, res) => {
+  try {
+    const { type, amount, reason } = req.body;
+
+    const validationError = validateCashMovement({ type, amount, reason });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    // Increase item quantities for refunded items
-    for (const line of selectedLines) {
-      const { data: item, error: itemError } = await supabase
-        .from('item')
-        .select('quantity')
-        .eq('id', line.item_id)
-        .single();
+    const shift = await repos.shifts.findOpen(req.register.id);
+    if (!shift) {
+      return res.status(409).json({ error: 'No shift is open' });
+    }
 
-      if (itemError || !item) {
-        console.error(`Error fetching item ${line.item_id}:`, itemError);
-        continue;
-      }
+    const movement = await repos.cashMovements.create({
+      shift_id: shift.id,
+      type,
+      amount: roundDollars(amount),
+      reason: reason.trim(),
+      employee_id: req.employee.id
+    });
 
-      const currentQuantity = parseInt(item.quantity || 0);
-      const refundedQuantity = parseInt(line.quantity);
-      const newQuantity = currentQuantity + refundedQuantity;
+    auditChange(res, { entityType: 'cash_movement', entityId: movement.id, after: movement });
+    const drawer = await kickDrawer(printer);
+
+    res.status(201).json({ movement, drawer });
+  } catch (error) {
+    console.error('Add cash movement error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-      const { error: updateQuantityError } = await supabase
-        .from('item')
-        .update({ quantity: newQuantity })
-        .eq('id', line.item_id);
+// Close the open shift with the blind count of each tender, and print its
+// Z-report. The response carries the expected amounts and variances.
+app.post('/api/shifts/current/close', requirePermission('sales'), async (req, res) => {
+  try {
+    const { counts } = req.body;
 
-      if (updateQuantityError) {
-        console.error(`Error updating quantity for item ${line.item_id}:`, updateQuantityError);
-      }
+    const validationError = validateCounts(counts);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    // Check if all lines are now refunded
-    const { data: remainingLines, error: remainingError } = await supabase
-      .from('transaction_line')
-      .select('refunded_by')
-      .eq('transaction_id', transactionId);
-
-    if (!remainingError && remainingLines) {
-      const allRefunded = remainingLines.every(line => line.refunded_by !== null);
-      if (allRefunded) {
-        // Mark original transaction as refunded
-        await supabase
-          .from('pos_transaction')
-          .update({ status: 'refunded' })
-          .eq('id', transactionId);
-      }
+    const open = await repos.shifts.findOpen(req.register.id);
+    if (!open) {
+      return res.status(409).json({ error: 'No shift is open' });
     }
 
-    // Create payment record with negative amount
-    const { error: paymentError } = await supabase
-      .from('payment')
-      .insert({
-        transaction_id: refundTransaction.id,
-        method: 'cash',
-        amount: -refundTotal.toFixed(2)
-      });
-
-    if (paymentError) {
-      console.error('Payment creation error:', paymentError);
-      // Don't fail the refund if payment record creation fails
+    const shift = await repos.shifts.close(open.id, {
+      closedBy: req.employee.id,
+      counts: Object.fromEntries(Object.entries(counts).map(([method, amount]) => [method, roundDollars(amount)]))
+    });
+    if (!shift) {
+      return res.status(409).json({ error: 'The shift was closed meanwhile' });
     }
 
-    // Check if this is a partial refund
-    const isPartial = remainingLines && remainingLines.some(line => line.refunded_by === null);
+    auditChange(res, { entityType: 'shift', entityId: shift.id, before: open, after: shift });
+    const summary = await summarizeShift(repos, shift);
+    const print = await printShiftReport(repos, printer, shift.id);
 
     res.json({
-      refundAmount: refundTotal.toFixed(2),
-      originalTransaction,
-      refundTransaction,
-      isPartial
+      shift: shiftWithNames(shift, await employeeNames()),
+      tenders: summary.tenders.map(tender => ({
+        method: tender.method,
+        expected: formatCents(tender.expected),
+        counted: tender.counted === null ? null : formatCents(tender.counted),
+        variance: tender.variance === null ? null : formatCents(tender.variance)
+      })),
+      print
     });
   } catch (error) {
-    console.error('Refund error:', error);
+    console.error('Close shift error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Recent shifts, newest first, with their register's name. Query:
+// storeId or registerId narrow them to one location.
+app.get('/api/shifts', requirePermission('reports.view'), async (req, res) => {
+  try {
+    const { limit = 20, storeId, registerId } = req.query;
+
+    const registers = await repos.registers.listAll();
+    const registerIds = registerId
+      ? [registerId]
+      : storeId ? registers.filter(register => register.store_id === storeId).map(register => register.id) : undefined;
+
+    const shifts = await repos.shifts.listRecent({ limit: parseInt(limit), registerIds });
+    const names = await employeeNames();
+    const registerNames = new Map(registers.map(register => [register.id, register.name]));
+
+    res.json(shifts.map(shift => ({
+      ...shiftWithNames(shift, names),
+      register_name: registerNames.get(shift.register_id) || null
+    })));
+  } catch (error) {
+    console.error('Get shifts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A shift's X-report (open) or Z-report (closed) as html or text
+app.get('/api/shifts/:shiftId/report', requirePermission('sales'), async (req, res) => {
+  try {
+    const { format = 'html', width } = req.query;
+
+    const renderer = SHIFT_REPORT_FORMATS[format];
+    if (!renderer) {
+      return res.status(400).json({ error: `Report format must be one of: ${Object.keys(SHIFT_REPORT_FORMATS).join(', ')}` });
+    }
+
+    const columns = width === undefined ? undefined : parseInt(width);
+    if (columns !== undefined && !RECEIPT_WIDTHS.includes(columns)) {
+      return res.status(400).json({ error: `Report width must be one of: ${RECEIPT_WIDTHS.join(', ')}` });
+    }
+
+    const shift = await repos.shifts.findById(req.params.shiftId);
+    if (!shift) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+
+    const allowed = await authorizeShiftReport(req, shift);
+    if (!allowed.approver) {
+      return sendDenied(res, allowed);
+    }
+
+    const report = await buildShiftReport(repos, shift.id);
+
+    res.type(renderer.contentType);
+    res.send(renderer.render(report, columns));
+  } catch (error) {
+    console.error('Get shift report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Print a shift's X- or Z-report on the receipt printer
+app.post('/api/shifts/:shiftId/print', requirePermission('sales'), async (req, res) => {
+  try {
+    if (!printer) {
+      return res.status(503).json({ error: 'No receipt printer is configured' });
+    }
+
+    const shift = await repos.shifts.findById(req.params.shiftId);
+    if (!shift) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+
+    const allowed = await authorizeShiftReport(req, shift);
+    if (!allowed.approver) {
+      return sendDenied(res, allowed);
+    }
+
+    const print = await printShiftReport(repos, printer, shift.id);
+    if (!print.printed) {
+      return res.status(502).json({ error: print.error });
+    }
+
+    res.json(print);
+  } catch (error) {
+    console.error('Print shift report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========== AUDIT LOG ==========
+
+// Audit entries matching the query filters, with employee names
+const listAudit = async (filters) => {
+  const [entries, names] = await Promise.all([repos.auditLog.list(filters), employeeNames()]);
+  return entries.map(entry => ({
+    ...entry,
+    // Entries without an employee were written by the server itself
+    employee_name: entry.employee_id ? names.get(entry.employee_id) || null : 'System',
+    approved_by_name: entry.approved_by ? names.get(entry.approved_by) || null : null
+  }));
+};
+
+// Newest first. Query: employeeId, entityType, entityId, route
+// ('PUT /api/items/:itemId'), from, to (dates or times), limit (up to 500),
+// offset.
+app.get('/api/audit', requirePermission('audit.view'), async (req, res) => {
+  try {
+    const { filters, error } = auditFiltersFrom(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(await listAudit(filters));
+  } catch (error) {
+    console.error('Get audit log error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+// Download the entries matching the same filters (up to 10000) as csv
+// (default) or json
+app.get('/api/audit/export', requirePermission('audit.view'), async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+
+    if (!AUDIT_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Export format must be one of: ${AUDIT_EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const { filters, error } = auditFiltersFrom(req.query, { exporting: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const entries = await listAudit(filters);
+    const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'json') {
+      res.json(entries);
+    } else {
+      res.type('text/csv; charset=utf-8').send(auditCsv(entries));
+    }
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
+// Expire parked sales past their time, whether or not anyone lists them
+const sweepSuspendedSales = () =>
+  expireSuspendedSales(repos).catch(error => console.error('Expire suspended sales error:', error));
+
+// A database without stores gets its first store and register before
+// anyone signs in (see services/stores.js)
+ensureDefaultStore(repos)
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`Server running on port ${PORT} (${db.name} storage)`);
+    });
+    sweepSuspendedSales();
+    setInterval(sweepSuspendedSales, EXPIRY_SWEEP_MS).unref();
+  })
+  .catch(error => {
+    console.error('Failed to set up the default store:', error);
+    process.exit(1);
+  });
+
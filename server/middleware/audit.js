@@ -0,0 +1,95 @@
+// Audit trail: every successful POST, PUT, PATCH or DELETE under /api is
+// written to audit_log before its response is sent, with the employee, the
+// manager who approved it (req.approver, if not the employee), the endpoint
+// and its route pattern. Routes that change a record describe it with
+// `auditChange(res, { entityType, entityId, before, after })`; without one
+// the entity comes from the last route parameter and `after` is the
+// request body. POST routes that change nothing call `skipAudit(res)`. The
+// log is append-only: nothing updates or deletes it.
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Never written to the log, at any depth
+const SECRET_FIELDS = new Set(['pin', 'pin_hash', 'token', 'token_hash']);
+
+const redact = (value) => {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([key]) => !SECRET_FIELDS.has(key))
+      .map(([key, entry]) => [key, redact(entry)])
+  );
+};
+
+// :itemId -> 'item', :lineId -> 'line'
+const entityFromParams = (params) => {
+  const names = Object.keys(params || {});
+  const last = names[names.length - 1];
+  if (!last) return { entityType: null, entityId: null };
+  return { entityType: last.replace(/Id$/, ''), entityId: params[last] };
+};
+
+const isEmpty = (body) => !body || (typeof body === 'object' && Object.keys(body).length === 0);
+
+// Describe the record a route changed; `employeeId` names the actor on
+// routes without a signed-in employee (sign-in)
+export function auditChange(res, { entityType, entityId, before = null, after = null, employeeId } = {}) {
+  res.locals.audit = { entityType, entityId, before, after, employeeId };
+}
+
+export function skipAudit(res) {
+  res.locals.audit = false;
+}
+
+// The audit_log row for a finished request, or null when it is not logged
+const auditEntry = (req, res) => {
+  const change = res.locals.audit;
+  if (res.statusCode >= 400 || change === false) return null;
+
+  const employeeId = req.employee?.id || change?.employeeId;
+  if (!employeeId) return null;
+
+  const entity = change?.entityType ? change : entityFromParams(req.params);
+
+  return {
+    employee_id: employeeId,
+    approved_by: req.approver && req.approver.id !== employeeId ? req.approver.id : null,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    route: req.route ? `${req.method} ${req.route.path}` : `${req.method} ${req.path}`,
+    status_code: res.statusCode,
+    entity_type: entity.entityType || null,
+    entity_id: entity.entityId ? String(entity.entityId) : null,
+    before: change ? redact(change.before) : null,
+    after: change ? redact(change.after) : isEmpty(req.body) ? null : redact(req.body)
+  };
+};
+
+// The response waits for the entry: a client told a change was made can
+// rely on it being in the log. If the entry cannot be written the response
+// becomes a 500 (the change itself is not undone).
+export function createAuditTrail(repos) {
+  return function auditTrail(req, res, next) {
+    if (!MUTATING_METHODS.includes(req.method)) return next();
+
+    // res.json and res.status(...).end() both come through res.send
+    const send = res.send.bind(res);
+    res.send = (body) => {
+      res.send = send;
+      const entry = auditEntry(req, res);
+      if (!entry) return send(body);
+
+      repos.auditLog.create(entry).then(
+        () => send(body),
+        error => {
+          console.error('Audit log error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+        }
+      );
+      return res;
+    };
+
+    next();
+  };
+}
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import express from 'express';
+import { auditChange, createAuditTrail } from './audit.js';
+
+// An app whose one route changes an item as employee 'e1', audited
+// through `auditLog`, listening on a free local port
+const startApp = async (t, auditLog) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.employee = { id: 'e1' };
+    next();
+  });
+  app.use('/api', createAuditTrail({ auditLog }));
+  app.put('/api/items/:itemId', (req, res) => {
+    auditChange(res, { entityType: 'item', entityId: req.params.itemId, before: { price: 1 }, after: req.body });
+    res.json({ ok: true });
+  });
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  }));
+
+  return (body) => fetch(`http://127.0.0.1:${server.address().port}/api/items/i1`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+};
+
+test('a change is in the audit log by the time its response arrives', async (t) => {
+  const entries = [];
+  const put = await startApp(t, {
+    create: async (entry) => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      entries.push(entry);
+      return entry;
+    }
+  });
+
+  const response = await put({ price: 2 });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { ok: true });
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].employee_id, 'e1');
+  assert.equal(entries[0].route, 'PUT /api/items/:itemId');
+  assert.deepEqual(entries[0].after, { price: 2 });
+});
+
+test('a change that cannot be audited answers 500', async (t) => {
+  const put = await startApp(t, {
+    create: async () => {
+      throw new Error('audit_log is unavailable');
+    }
+  });
+  t.mock.method(console, 'error', () => {});
+
+  const response = await put({ price: 2 });
+
+  assert.equal(response.status, 500);
+  assert.deepEqual(await response.json(), { error: 'Internal server error' });
+});
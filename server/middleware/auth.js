@@ -0,0 +1,107 @@
+import { hasPermission, verifyPin } from '../services/employees.js';
+import { createLoginThrottle, resolveSession } from '../services/sessions.js';
+
+// Error code of a 403 that a manager can lift by entering their PIN
+export const OVERRIDE_REQUIRED = 'override_required';
+
+// Express middleware for signed-in registers. `authenticate` turns the
+// `Authorization: Bearer <token>` header into req.employee, req.session
+// and the session's req.register and req.store (401 without a live
+// session); `requirePermission` then answers 403 for roles that lack the
+// permission (see services/employees.js).
+//
+// Manager override: where a route allows it, a cashier without the
+// permission gets a 403 with code OVERRIDE_REQUIRED, and the client repeats
+// the request with an `X-Override-Pin` header holding the PIN of an
+// employee who has it. That employee is the approver (req.approver).
+export function createAuth(repos) {
+  // Wrong override PINs count against the cashier asking, like sign-in
+  const overrideThrottle = createLoginThrottle();
+
+  const bearerToken = (req) => {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    return scheme?.toLowerCase() === 'bearer' ? token : null;
+  };
+
+  // { approver } when req.employee has `permission` (the approver is
+  // then req.employee), or an override PIN for it was given; otherwise
+  // { status, error, code }
+  const authorize = async (req, permission, { override = false } = {}) => {
+    if (hasPermission(req.employee, permission)) {
+      return { approver: req.employee };
+    }
+
+    if (!override) {
+      return { status: 403, error: 'Your role is not allowed to do this' };
+    }
+
+    const pin = req.get('x-override-pin');
+    if (!pin) {
+      return { status: 403, error: 'Manager approval required', code: OVERRIDE_REQUIRED };
+    }
+
+    const lockedFor = overrideThrottle.lockedFor(req.employee.id);
+    if (lockedFor > 0) {
+      return {
+        status: 429,
+        error: `Too many wrong manager PINs, try again in ${Math.ceil(lockedFor / 60000)} minute(s)`
+      };
+    }
+
+    const approvers = (await repos.employees.listActive())
+      .filter(employee => hasPermission(employee, permission));
+    for (const approver of approvers) {
+      if (await verifyPin(pin, approver.pin_hash)) {
+        overrideThrottle.reset(req.employee.id);
+        return { approver };
+      }
+    }
+
+    overrideThrottle.recordFailure(req.employee.id);
+    return { status: 403, error: 'Wrong manager PIN', code: OVERRIDE_REQUIRED };
+  };
+
+  const sendDenied = (res, { status, error, code }) =>
+    res.status(status).json(code ? { error, code } : { error });
+
+  return {
+    authorize,
+    sendDenied,
+
+    async authenticate(req, res, next) {
+      try {
+        const resolved = await resolveSession(repos, bearerToken(req));
+
+        if (!resolved) {
+          return res.status(401).json({ error: 'Sign in required' });
+        }
+
+        req.session = resolved.session;
+        req.employee = resolved.employee;
+        req.register = resolved.register;
+        req.store = resolved.store;
+        next();
+      } catch (error) {
+        console.error('Authentication error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    },
+
+    // With `override`, a manager's PIN can stand in for the permission
+    requirePermission(permission, { override = false } = {}) {
+      return async (req, res, next) => {
+        try {
+          const result = await authorize(req, permission, { override });
+          if (!result.approver) {
+            return sendDenied(res, result);
+          }
+          req.approver = result.approver;
+          next();
+        } catch (error) {
+          console.error('Authorization error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+        }
+      };
+    }
+  };
+}
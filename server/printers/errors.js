@@ -0,0 +1,10 @@
+// Error thrown by printer transports. `code` is one of:
+//   'timeout'      the printer did not accept the data in time
+//   'unavailable'  the printer or file could not be reached or written
+export class PrinterError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'PrinterError';
+    this.code = code;
+  }
+}
@@ -0,0 +1,134 @@
+import { receiptTextLines } from '../receipts/text.js';
+
+// ESC/POS byte streams for thermal receipt printers. createEscPosBuilder
+// collects commands; encodeReceipt lays out a receipt (see
+// receipts/buildReceipt.js) with it, encodeTextLines any other fixed-width
+// document (shift reports).
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const ALIGNMENTS = { left: 0, center: 1, right: 2 };
+
+// Printable ASCII only; receipt text lines are already ASCII
+const textBytes = (text) => Buffer.from(String(text).replace(/[^\x20-\x7e]/g, '?'), 'latin1');
+
+export function createEscPosBuilder() {
+  const chunks = [];
+  const push = (...bytes) => chunks.push(Buffer.from(bytes));
+
+  const builder = {
+    // ESC @: reset formatting to the printer's defaults
+    initialize() {
+      push(ESC, 0x40);
+      return builder;
+    },
+
+    text(text) {
+      chunks.push(textBytes(text));
+      return builder;
+    },
+
+    line(text = '') {
+      return builder.text(text).feed(1);
+    },
+
+    feed(lines = 1) {
+      for (let count = 0; count < lines; count += 1) push(LF);
+      return builder;
+    },
+
+    // ESC E n
+    bold(on = true) {
+      push(ESC, 0x45, on ? 1 : 0);
+      return builder;
+    },
+
+    // ESC a n
+    align(alignment = 'left') {
+      push(ESC, 0x61, ALIGNMENTS[alignment] ?? 0);
+      return builder;
+    },
+
+    // GS ! n: double width and height
+    doubleSize(on = true) {
+      push(GS, 0x21, on ? 0x11 : 0x00);
+      return builder;
+    },
+
+    // CODE128 barcode with the value printed below it. GS h sets the height
+    // in dots, GS w the module width, GS H 2 the text position and
+    // GS k 73 n {B data prints it in code set B.
+    barcode(value, { height = 80, moduleWidth = 2 } = {}) {
+      const data = textBytes(`{B${value}`);
+      push(GS, 0x68, height);
+      push(GS, 0x77, moduleWidth);
+      push(GS, 0x48, 2);
+      push(GS, 0x6b, 73, data.length);
+      chunks.push(data);
+      return builder.feed(1);
+    },
+
+    // GS V 66 n: feed n lines and cut, leaving a hinge
+    cut(feedLines = 3) {
+      push(GS, 0x56, 66, feedLines);
+      return builder;
+    },
+
+    // ESC p m t1 t2: pulse drawer pin 2 (m = 0) on for t1 * 2ms and off for
+    // t2 * 2ms
+    kickDrawer({ onMs = 50, offMs = 500 } = {}) {
+      push(ESC, 0x70, 0, Math.min(255, Math.round(onMs / 2)), Math.min(255, Math.round(offMs / 2)));
+      return builder;
+    },
+
+    toBuffer() {
+      return Buffer.concat(chunks);
+    }
+  };
+
+  return builder;
+}
+
+// Receipt -> ESC/POS bytes: the text receipt (see receipts/text.js) with the
+// header in double size, totals in bold and a barcode of the receipt
+// number (scanned back in for refunds), then a cut. With `openDrawer`, the
+// cash drawer is kicked first so it opens while the receipt prints.
+export function encodeReceipt(receipt, { width = receipt.width || 48, openDrawer = false } = {}) {
+  const builder = createEscPosBuilder().initialize();
+
+  if (openDrawer) builder.kickDrawer();
+
+  builder.align('center').doubleSize();
+  receipt.header.forEach(line => builder.line(line.trim()));
+  builder.doubleSize(false).align('left');
+
+  // The header is printed above in double size; skip its text version
+  const lines = receiptTextLines({ ...receipt, header: [] }, width);
+  for (const line of lines) {
+    const emphasised = /^(TOTAL|\*\*\*|\s*REFUND$)/.test(line.trim());
+    if (emphasised) builder.bold();
+    builder.line(line);
+    if (emphasised) builder.bold(false);
+  }
+
+  builder.feed(1);
+  if (receipt.barcode) {
+    builder.align('center').barcode(receipt.barcode).align('left');
+  }
+  builder.cut();
+
+  return builder.toBuffer();
+}
+
+// Fixed-width text lines -> ESC/POS bytes, then a cut
+export function encodeTextLines(lines, { openDrawer = false } = {}) {
+  const builder = createEscPosBuilder().initialize();
+
+  if (openDrawer) builder.kickDrawer();
+  lines.forEach(line => builder.line(line));
+  builder.feed(1).cut();
+
+  return builder.toBuffer();
+}
@@ -0,0 +1,64 @@
+import { encodeReceipt, encodeTextLines, createEscPosBuilder } from './escpos.js';
+import { createFileTransport, createTcpTransport } from './transports.js';
+
+export { PrinterError } from './errors.js';
+export { encodeReceipt, encodeTextLines, createEscPosBuilder } from './escpos.js';
+
+// A receipt printer is an ESC/POS encoder and a transport:
+//   printReceipt(receipt, { openDrawer }) prints a receipt (see receipts/),
+//                                         kicking the cash drawer first
+//   printLines(lines)                     prints fixed-width text lines
+//                                         (shift reports)
+//   openDrawer()                          kicks the drawer only
+// All throw PrinterError when the transport fails.
+//
+// RECEIPT_PRINTER picks the transport:
+//   none (default)  no printer; receipts are printed from the browser
+//   file            append to RECEIPT_PRINTER_FILE (a device such as
+//                   /dev/usb/lp0, or a capture file)
+//   tcp             raw TCP to RECEIPT_PRINTER_HOST:RECEIPT_PRINTER_PORT
+//                   (default 9100), timing out after
+//                   RECEIPT_PRINTER_TIMEOUT_MS (default 5000)
+export function createPrinter(env = process.env) {
+  const driver = (env.RECEIPT_PRINTER || 'none').toLowerCase();
+
+  let transport;
+  switch (driver) {
+    case 'none':
+      return null;
+    case 'file':
+      if (!env.RECEIPT_PRINTER_FILE) {
+        throw new Error('RECEIPT_PRINTER=file needs RECEIPT_PRINTER_FILE');
+      }
+      transport = createFileTransport({ path: env.RECEIPT_PRINTER_FILE });
+      break;
+    case 'tcp':
+      if (!env.RECEIPT_PRINTER_HOST) {
+        throw new Error('RECEIPT_PRINTER=tcp needs RECEIPT_PRINTER_HOST');
+      }
+      transport = createTcpTransport({
+        host: env.RECEIPT_PRINTER_HOST,
+        port: env.RECEIPT_PRINTER_PORT ? parseInt(env.RECEIPT_PRINTER_PORT) : undefined,
+        timeoutMs: env.RECEIPT_PRINTER_TIMEOUT_MS ? parseInt(env.RECEIPT_PRINTER_TIMEOUT_MS) : undefined
+      });
+      break;
+    default:
+      throw new Error(`Unknown RECEIPT_PRINTER '${env.RECEIPT_PRINTER}' (expected 'none', 'file' or 'tcp')`);
+  }
+
+  return {
+    name: transport.name,
+
+    printReceipt(receipt, { openDrawer = false } = {}) {
+      return transport.send(encodeReceipt(receipt, { openDrawer }));
+    },
+
+    printLines(lines) {
+      return transport.send(encodeTextLines(lines));
+    },
+
+    openDrawer() {
+      return transport.send(createEscPosBuilder().initialize().kickDrawer().toBuffer());
+    }
+  };
+}
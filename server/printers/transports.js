@@ -0,0 +1,51 @@
+import { appendFile } from 'fs/promises';
+import net from 'net';
+
+import { PrinterError } from './errors.js';
+
+// Transports deliver encoded bytes to a printer: send(buffer) resolves once
+// the bytes are written and throws PrinterError otherwise.
+
+// Append to a file: a device node (/dev/usb/lp0) or a capture file for
+// testing
+export function createFileTransport({ path }) {
+  return {
+    name: 'file',
+    async send(buffer) {
+      try {
+        await appendFile(path, buffer);
+      } catch (error) {
+        throw new PrinterError(`Could not write to ${path}: ${error.message}`, 'unavailable');
+      }
+    }
+  };
+}
+
+// Raw TCP ("JetDirect", port 9100): connect, write, close our side
+export function createTcpTransport({ host, port = 9100, timeoutMs = 5000 }) {
+  return {
+    name: 'tcp',
+    send(buffer) {
+      return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port });
+
+        const fail = (error) => {
+          socket.destroy();
+          reject(error);
+        };
+
+        socket.setTimeout(timeoutMs, () =>
+          fail(new PrinterError(`Printer at ${host}:${port} did not respond`, 'timeout'))
+        );
+        socket.on('error', error =>
+          fail(new PrinterError(`Could not reach printer at ${host}:${port}: ${error.message}`, 'unavailable'))
+        );
+        // Done once the bytes are flushed; the printer closes its side
+        socket.on('connect', () => socket.end(buffer, () => {
+          socket.setTimeout(0);
+          resolve();
+        }));
+      });
+    }
+  };
+}
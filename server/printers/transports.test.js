@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { once } from 'events';
+import { createPrinter, encodeReceipt } from './index.js';
+import { createTcpTransport } from './transports.js';
+
+// A printer listening on a free local port that collects what each
+// connection sent; `received()` resolves once the client closed its side
+const startPrinter = async (t, options = {}) => {
+  const chunks = [];
+  let closed;
+  const done = new Promise(resolve => { closed = resolve; });
+
+  const sockets = new Set();
+  const server = net.createServer(options, socket => {
+    sockets.add(socket);
+    socket.on('data', chunk => chunks.push(chunk));
+    socket.on('end', () => {
+      socket.end();
+      closed(Buffer.concat(chunks));
+    });
+    socket.on('error', () => {});
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => new Promise(resolve => {
+    sockets.forEach(socket => socket.destroy());
+    server.close(resolve);
+  }));
+
+  return { port: server.address().port, received: () => done };
+};
+
+const tcpPrinter = (port) => createPrinter({
+  RECEIPT_PRINTER: 'tcp',
+  RECEIPT_PRINTER_HOST: '127.0.0.1',
+  RECEIPT_PRINTER_PORT: String(port)
+});
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+test('text lines reach a TCP printer as initialize, text and cut', async (t) => {
+  const { port, received } = await startPrinter(t);
+
+  await tcpPrinter(port).printLines(['SHIFT 1', 'Cash 12.50']);
+
+  assert.deepEqual(await received(), Buffer.from([
+    ESC, 0x40,
+    ...Buffer.from('SHIFT 1'), LF,
+    ...Buffer.from('Cash 12.50'), LF,
+    LF,
+    GS, 0x56, 66, 3
+  ]));
+});
+
+test('a receipt reaches a TCP printer byte for byte', async (t) => {
+  const { port, received } = await startPrinter(t);
+  const receipt = {
+    width: 40,
+    kind: 'sale',
+    header: ['Corner Shop'],
+    number: 'S01-000001',
+    createdAt: '2026-01-02T10:00:00Z',
+    lines: [],
+    adjustments: [],
+    subtotal: 150,
+    discountTotal: 0,
+    taxes: [],
+    total: 150,
+    tenders: [{ label: 'Cash', amount: 200 }],
+    change: 50,
+    footer: [],
+    barcode: 'S01-000001'
+  };
+
+  await tcpPrinter(port).printReceipt(receipt, { openDrawer: true });
+  const bytes = await received();
+
+  assert.deepEqual(bytes, encodeReceipt(receipt, { openDrawer: true }));
+  const start = Buffer.from([
+    ESC, 0x40,
+    ESC, 0x70, 0, 25, 250,
+    ESC, 0x61, 1,
+    GS, 0x21, 0x11,
+    ...Buffer.from('Corner Shop'), LF
+  ]);
+  assert.deepEqual(bytes.subarray(0, start.length), start);
+  assert.ok(bytes.includes(Buffer.from([ESC, 0x45, 1, ...Buffer.from('TOTAL')])));
+  assert.deepEqual(bytes.subarray(-4), Buffer.from([GS, 0x56, 66, 3]));
+});
+
+test('a printer that refuses the connection is unavailable', async () => {
+  const server = net.createServer().listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+
+  await assert.rejects(tcpPrinter(port).printLines(['x']), {
+    name: 'PrinterError',
+    code: 'unavailable',
+    message: new RegExp(`^Could not reach printer at 127\\.0\\.0\\.1:${port}: .*ECONNREFUSED`)
+  });
+});
+
+test('a printer that stops taking data times out', async (t) => {
+  // Never reads, so the bytes back up once the socket buffers are full
+  const { port } = await startPrinter(t, { pauseOnConnect: true });
+  const transport = createTcpTransport({ host: '127.0.0.1', port, timeoutMs: 100 });
+
+  await assert.rejects(transport.send(Buffer.alloc(32 * 1024 * 1024)), {
+    name: 'PrinterError',
+    code: 'timeout',
+    message: `Printer at 127.0.0.1:${port} did not respond`
+  });
+});
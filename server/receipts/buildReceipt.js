@@ -0,0 +1,165 @@
+import { formatDollars, multiplyQuantity, sumCents, toCents } from '../services/money.js';
+import { getSettings } from '../services/settings.js';
+
+// The content of a receipt, independent of how it is rendered. Amounts are
+// integer cents. A receipt is either for a sale or for a refund transaction
+// (recognised by its refund lines).
+
+export const TENDER_LABELS = {
+  cash: 'Cash',
+  card: 'Card',
+  gift_card: 'Gift card',
+  store_credit: 'Store credit'
+};
+
+const tenderLabel = (payment) => {
+  const label = TENDER_LABELS[payment.method] || payment.method;
+  const detail = payment.card_last4
+    ? [payment.card_brand, `****${payment.card_last4}`]
+    : [payment.reference];
+  return [label, ...detail].filter(Boolean).join(' ');
+};
+
+const discountNote = (type, value) =>
+  type === 'percent' ? `${parseFloat(value)}% off` : `$${formatDollars(value)} off`;
+
+// The detail printed under a line ('3 @ 1.99', 'Qty 3', '0.350 kg @
+// 5.99/kg'), or null for a single item. `money` formats cents.
+export const lineDetail = (line, money) => {
+  if (line.weightUnit) {
+    const weight = `${line.quantity.toFixed(3)} ${line.weightUnit}`;
+    return line.unitPrice !== null ? `${weight} @ ${money(line.unitPrice)}/${line.weightUnit}` : weight;
+  }
+  if (line.quantity > 1 && line.unitPrice !== null) return `${line.quantity} @ ${money(line.unitPrice)}`;
+  if (line.quantity > 1) return `Qty ${line.quantity}`;
+  return null;
+};
+
+export const textLines = (text) => String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+// Tax on each sale line, grouped by rate: what was taxed and the tax
+const taxBreakdown = (lines) => {
+  const byRate = new Map();
+
+  for (const line of lines) {
+    const taxable = multiplyQuantity(toCents(line.unit_price), line.quantity) -
+      toCents(line.promotion_discount_amount) -
+      toCents(line.discount_amount) -
+      toCents(line.transaction_discount_amount);
+    const rate = parseFloat(line.tax_rate);
+    const entry = byRate.get(rate) || { rate, taxable: 0, tax: 0 };
+    entry.taxable += taxable;
+    entry.tax += toCents(line.line_total) - taxable;
+    byRate.set(rate, entry);
+  }
+
+  return [...byRate.values()].sort((a, b) => a.rate - b.rate);
+};
+
+// A line's name on the receipt: the item's, and the pack's if one was sold
+const lineName = (line) => {
+  const name = line?.item?.name || 'Unknown Item';
+  return line?.pack_name ? `${name} (${line.pack_name})` : name;
+};
+
+const saleBody = async (repos, transaction) => {
+  const lines = await repos.transactionLines.listForTransaction(transaction.id, { withItem: true });
+  const adjustments = await repos.promotionAdjustments.listForTransaction(transaction.id);
+
+  const transactionDiscount = sumCents(lines.map(line => toCents(line.transaction_discount_amount)));
+
+  return {
+    lines: lines.map(line => ({
+      name: lineName(line),
+      quantity: parseFloat(line.quantity),
+      weightUnit: line.weight_unit || null,
+      unitPrice: toCents(line.unit_price),
+      amount: multiplyQuantity(toCents(line.unit_price), line.quantity),
+      discount: line.discount_type
+        ? { label: discountNote(line.discount_type, line.discount_value), amount: toCents(line.discount_amount) }
+        : null
+    })),
+    adjustments: [
+      ...adjustments.map(adjustment => ({
+        label: `Promotion: ${adjustment.description}${adjustment.applications > 1 ? ` x${adjustment.applications}` : ''}`,
+        amount: toCents(adjustment.amount)
+      })),
+      ...(transaction.discount_type && transactionDiscount > 0
+        ? [{ label: `Sale ${discountNote(transaction.discount_type, transaction.discount_value)}`, amount: transactionDiscount }]
+        : [])
+    ],
+    taxes: taxBreakdown(lines)
+  };
+};
+
+const refundBody = async (repos, transaction, refundLines) => {
+  const [first] = refundLines;
+  const originalLine = await repos.transactionLines.findById(first.transaction_line_id);
+  const original = await repos.transactions.findById(originalLine.transaction_id);
+  const originalLines = await repos.transactionLines.listForTransaction(original.id, { withItem: true });
+  const linesById = new Map(originalLines.map(line => [line.id, line]));
+
+  return {
+    originalNumber: original.receipt_number || original.id,
+    lines: refundLines.map(refundLine => {
+      const line = linesById.get(refundLine.transaction_line_id);
+      const name = lineName(line);
+      return {
+        // Quantity 0 is a promotion clawback (see services/refunds.js)
+        name: refundLine.quantity > 0 ? name : `${name} (promotion no longer applies)`,
+        quantity: parseFloat(refundLine.quantity),
+        weightUnit: line?.weight_unit || null,
+        unitPrice: null,
+        amount: toCents(refundLine.amount),
+        discount: null
+      };
+    }),
+    adjustments: [],
+    // Refund amounts include tax, which is only kept as a total
+    taxes: [{ rate: null, taxable: toCents(transaction.subtotal), tax: toCents(transaction.tax) }]
+  };
+};
+
+// Returns null when the transaction does not exist, { error } when it
+// cannot have a receipt yet, or the receipt. `reprint` marks copies printed
+// after the original.
+export async function buildReceipt(repos, transactionId, { reprint = false } = {}) {
+  const transaction = await repos.transactions.findById(transactionId);
+  if (!transaction) return null;
+
+  if (transaction.status === 'open') {
+    return { error: 'Transaction is not complete' };
+  }
+
+  const settings = await getSettings(repos);
+  const refundLines = await repos.refundLines.listForRefundTransaction(transactionId);
+  const isRefund = refundLines.length > 0;
+  const body = isRefund
+    ? await refundBody(repos, transaction, refundLines)
+    : await saleBody(repos, transaction);
+  const payments = await repos.payments.listForTransaction(transactionId);
+
+  return {
+    kind: isRefund ? 'refund' : 'sale',
+    // Transactions finalized before receipt numbers existed only have an id
+    number: transaction.receipt_number || transaction.id,
+    barcode: transaction.receipt_number || null,
+    transactionId: transaction.id,
+    createdAt: transaction.created_at,
+    reprint,
+    header: textLines(settings.receipt_header),
+    footer: textLines(settings.receipt_footer),
+    width: settings.receipt_width,
+    ...body,
+    subtotal: toCents(transaction.subtotal),
+    discountTotal: toCents(transaction.discount_total),
+    tax: toCents(transaction.tax),
+    total: toCents(transaction.total),
+    // Refund tenders are stored negative; the receipt shows what went back
+    tenders: payments.map(payment => ({
+      label: tenderLabel(payment),
+      amount: Math.abs(toCents(payment.amount))
+    })),
+    change: toCents(transaction.change_given)
+  };
+}
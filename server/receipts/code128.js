@@ -0,0 +1,65 @@
+// Code 128 (code set B) barcodes for receipts rendered by the server. The
+// ESC/POS printers draw their own (see printers/escpos.js).
+
+// Bar and space widths of each symbol value, starting with a bar
+const PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const START_B = 104;
+const STOP = 106;
+// Blank space required on each side, in modules
+const QUIET_ZONE = 10;
+
+// Bar/space widths (in modules) for `value`, start to stop. Characters
+// outside printable ASCII are not encodable in code set B.
+export function code128Widths(value) {
+  const codes = [...String(value)].map(character => {
+    const code = character.charCodeAt(0);
+    if (code < 32 || code > 126) {
+      throw new Error(`Cannot encode '${character}' in a Code 128 barcode`);
+    }
+    return code - 32;
+  });
+
+  const checksum = codes.reduce((sum, code, index) => sum + code * (index + 1), START_B) % 103;
+
+  return [START_B, ...codes, checksum, STOP]
+    .flatMap(symbol => [...PATTERNS[symbol]].map(Number));
+}
+
+// Bars as { x, width } in modules from the left edge (quiet zone included),
+// and the total width in modules
+export function code128Bars(value) {
+  const bars = [];
+  let x = QUIET_ZONE;
+
+  code128Widths(value).forEach((width, index) => {
+    if (index % 2 === 0) bars.push({ x, width });
+    x += width;
+  });
+
+  return { bars, width: x + QUIET_ZONE };
+}
+
+// Inline SVG of the barcode, `height` units tall with `moduleWidth` units
+// per module
+export function code128Svg(value, { height = 50, moduleWidth = 1.5 } = {}) {
+  const { bars, width } = code128Bars(value);
+  const rects = bars
+    .map(bar => `<rect x="${bar.x * moduleWidth}" y="0" width="${bar.width * moduleWidth}" height="${height}"/>`)
+    .join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width * moduleWidth}" height="${height}" ` +
+    `viewBox="0 0 ${width * moduleWidth} ${height}" role="img" aria-label="${String(value).replace(/[&<>"]/g, '')}">${rects}</svg>`;
+}
@@ -0,0 +1,104 @@
+import { formatCents } from '../services/money.js';
+import { lineDetail } from './buildReceipt.js';
+import { code128Svg } from './code128.js';
+
+// Standalone HTML receipt for screens, email and browser printing. Sized
+// for 80mm receipt paper when printed.
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const money = (cents) => `$${formatCents(cents)}`;
+
+const row = (label, value, className = '') =>
+  `<tr${className ? ` class="${className}"` : ''}><td>${escapeHtml(label)}</td><td class="amount">${escapeHtml(value)}</td></tr>`;
+
+const formatRate = (rate) => `${parseFloat((rate * 100).toFixed(4))}%`;
+
+const STYLES = `
+  body { font-family: 'Courier New', monospace; font-size: 13px; color: #000; margin: 0; }
+  .receipt { max-width: 320px; margin: 16px auto; padding: 12px; }
+  .center { text-align: center; }
+  .banner { font-weight: bold; margin: 4px 0; }
+  table { width: 100%; border-collapse: collapse; }
+  td { padding: 1px 0; vertical-align: top; }
+  td.amount { text-align: right; white-space: nowrap; padding-left: 8px; }
+  .detail td { padding-left: 12px; font-size: 12px; }
+  .total td { font-weight: bold; font-size: 15px; }
+  hr { border: none; border-top: 1px dashed #000; margin: 6px 0; }
+  .meta { font-size: 12px; word-break: break-all; }
+  .barcode { text-align: center; margin-top: 10px; }
+  .barcode svg { max-width: 100%; height: auto; }
+  @media print {
+    @page { size: 80mm auto; margin: 0; }
+    .receipt { margin: 0; max-width: none; }
+  }
+`;
+
+// Receipt (see buildReceipt.js) -> HTML document
+export function renderHtml(receipt) {
+  const header = receipt.header.map(line => `<div class="center">${escapeHtml(line)}</div>`).join('');
+  const banners = [
+    receipt.reprint && '*** REPRINT ***',
+    receipt.kind === 'refund' && 'REFUND'
+  ].filter(Boolean).map(text => `<div class="center banner">${text}</div>`).join('');
+
+  const itemRows = receipt.lines.flatMap(line => {
+    const detail = lineDetail(line, money);
+    return [
+      row(line.name, money(line.amount)),
+      detail ? row(detail, '', 'detail') : '',
+      line.discount ? row(line.discount.label, money(-line.discount.amount), 'detail') : ''
+    ];
+  });
+  const adjustmentRows = receipt.adjustments.map(adjustment => row(adjustment.label, money(-adjustment.amount)));
+
+  const totalRows = [
+    row('Subtotal', money(receipt.subtotal)),
+    receipt.discountTotal > 0 ? row('Discounts', money(-receipt.discountTotal)) : '',
+    ...receipt.taxes.map(tax => row(
+      tax.rate === null ? 'Tax' : `Tax ${formatRate(tax.rate)} on ${money(tax.taxable)}`,
+      money(tax.tax)
+    )),
+    row(receipt.kind === 'refund' ? 'Total refunded' : 'Total', money(receipt.total), 'total')
+  ];
+
+  const tenderRows = [
+    ...receipt.tenders.map(tender => row(tender.label, money(tender.amount))),
+    receipt.change > 0 ? row('Change', money(receipt.change)) : ''
+  ];
+
+  const footer = receipt.footer.map(line => `<div class="center">${escapeHtml(line)}</div>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Receipt ${escapeHtml(receipt.number)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<div class="receipt">
+${header}
+${banners}
+<div class="meta">Receipt: ${escapeHtml(receipt.number)}</div>
+${receipt.originalNumber ? `<div class="meta">Original sale: ${escapeHtml(receipt.originalNumber)}</div>` : ''}
+<div class="meta">${escapeHtml(new Date(receipt.createdAt).toLocaleString('en-US'))}</div>
+<hr>
+<table>${[...itemRows, ...adjustmentRows].join('')}</table>
+<hr>
+<table>${totalRows.join('')}</table>
+<hr>
+<table>${tenderRows.join('')}</table>
+${footer ? `<hr>${footer}` : ''}
+${receipt.barcode ? `<div class="barcode">${code128Svg(receipt.barcode)}<div>${escapeHtml(receipt.barcode)}</div></div>` : ''}
+</div>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,25 @@
+import { renderHtml } from './html.js';
+import { renderPdf } from './pdf.js';
+import { renderText } from './text.js';
+
+export { buildReceipt } from './buildReceipt.js';
+export { RECEIPT_WIDTHS } from './text.js';
+export { buildShiftReport, shiftReportTextLines, SHIFT_REPORT_FORMATS } from './shiftReport.js';
+
+// Receipts are built once (buildReceipt) and rendered in any of these
+// formats. Text and PDF are fixed-width; `width` is 40 or 48 characters and
+// defaults to the receipt_width setting.
+export const RECEIPT_FORMATS = {
+  html: {
+    contentType: 'text/html; charset=utf-8',
+    render: (receipt) => renderHtml(receipt)
+  },
+  text: {
+    contentType: 'text/plain; charset=utf-8',
+    render: (receipt, width) => renderText(receipt, width)
+  },
+  pdf: {
+    contentType: 'application/pdf',
+    render: (receipt, width) => renderPdf(receipt, width)
+  }
+};
@@ -0,0 +1,68 @@
+import { code128Bars } from './code128.js';
+import { receiptTextLines } from './text.js';
+
+// PDF receipt: the text receipt set in Courier on a single page as wide as
+// the receipt paper and as long as the receipt, with the receipt number's
+// barcode at the bottom. Written by hand (a PDF with one page, one font and
+// one content stream needs no library).
+
+const FONT_SIZE = 8;
+const LINE_HEIGHT = 10;
+const MARGIN = 12;
+const BARCODE_HEIGHT = 36;
+// Courier glyphs are 600/1000 em wide
+const CHAR_WIDTH = FONT_SIZE * 0.6;
+
+const escapePdfText = (text) => text.replace(/[\\()]/g, match => `\\${match}`);
+
+// Receipt (see buildReceipt.js) -> PDF file as a Buffer
+export function renderPdf(receipt, width = receipt.width || 48) {
+  const lines = receiptTextLines(receipt, width);
+  const pageWidth = Math.ceil(width * CHAR_WIDTH + MARGIN * 2);
+  const barcodeSpace = receipt.barcode ? BARCODE_HEIGHT + LINE_HEIGHT : 0;
+  const pageHeight = Math.ceil(lines.length * LINE_HEIGHT + barcodeSpace + MARGIN * 2);
+
+  const content = [
+    'BT',
+    `/F1 ${FONT_SIZE} Tf`,
+    `${LINE_HEIGHT} TL`,
+    `${MARGIN} ${pageHeight - MARGIN - FONT_SIZE} Td`,
+    ...lines.map(line => `(${escapePdfText(line)}) Tj T*`),
+    'ET'
+  ];
+
+  if (receipt.barcode) {
+    // Bars as filled rectangles, centred and scaled to fit the page
+    const { bars, width: modules } = code128Bars(receipt.barcode);
+    const moduleWidth = Math.min(1, (pageWidth - MARGIN * 2) / modules);
+    const left = (pageWidth - modules * moduleWidth) / 2;
+    content.push(...bars.map(bar =>
+      `${(left + bar.x * moduleWidth).toFixed(2)} ${MARGIN} ${(bar.width * moduleWidth).toFixed(2)} ${BARCODE_HEIGHT} re`
+    ), 'f');
+  }
+
+  const stream = content.join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+      '/Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
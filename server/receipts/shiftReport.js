@@ -0,0 +1,153 @@
+import { formatCents, toCents } from '../services/money.js';
+import { getSettings } from '../services/settings.js';
+import { summarizeShift } from '../services/shifts.js';
+import { TENDER_LABELS, textLines } from './buildReceipt.js';
+import { center, columns, formatDate } from './text.js';
+
+// X- and Z-reports: a shift's sales, refunds, tenders and drawer cash. An
+// open shift gives an X-report (a mid-shift reading that changes nothing);
+// a closed one gives its Z-report, with the counted amounts and variances.
+// Amounts are integer cents, as in receipts.
+
+const MOVEMENT_LABELS = { paid_in: 'Paid in', paid_out: 'Paid out' };
+
+// The content of a shift's report, or null if there is no such shift
+export async function buildShiftReport(repos, shiftId) {
+  const shift = await repos.shifts.findById(shiftId);
+  if (!shift) return null;
+
+  const [settings, summary, employees, register] = await Promise.all([
+    getSettings(repos),
+    summarizeShift(repos, shift),
+    repos.employees.listAll(),
+    shift.register_id ? repos.registers.findById(shift.register_id) : null
+  ]);
+  const employeeName = (id) => employees.find(employee => employee.id === id)?.name || null;
+  const store = register ? await repos.stores.findById(register.store_id) : null;
+
+  return {
+    kind: shift.status === 'closed' ? 'Z' : 'X',
+    shiftId: shift.id,
+    store: store ? `${store.name} (${store.code})` : null,
+    register: register?.name || null,
+    header: textLines(settings.receipt_header),
+    width: settings.receipt_width,
+    openedAt: shift.created_at,
+    openedBy: employeeName(shift.opened_by),
+    closedAt: shift.closed_at,
+    closedBy: employeeName(shift.closed_by),
+    printedAt: new Date().toISOString(),
+    ...summary,
+    tenders: summary.tenders.map(tender => ({ ...tender, label: TENDER_LABELS[tender.method] || tender.method })),
+    movements: summary.movements.map(movement => ({
+      label: MOVEMENT_LABELS[movement.type],
+      type: movement.type,
+      amount: movement.type === 'paid_out' ? -toCents(movement.amount) : toCents(movement.amount),
+      reason: movement.reason,
+      employee: employeeName(movement.employee_id),
+      createdAt: movement.created_at
+    }))
+  };
+}
+
+const signed = (cents) => (cents > 0 ? `+${formatCents(cents)}` : formatCents(cents));
+
+// Report -> array of lines of `width` characters or fewer
+export function shiftReportTextLines(report, width = report.width || 48) {
+  const rule = '-'.repeat(width);
+  const out = [];
+
+  report.header.forEach(line => out.push(center(line, width)));
+  out.push(center(report.kind === 'Z' ? 'Z-REPORT (SHIFT CLOSE)' : 'X-REPORT (MID-SHIFT)', width));
+  out.push('');
+  out.push(columns('Shift', report.shiftId, width));
+  if (report.store) out.push(columns('Store', report.store, width));
+  if (report.register) out.push(columns('Register', report.register, width));
+  out.push(columns('Opened', formatDate(report.openedAt), width));
+  if (report.openedBy) out.push(columns('Opened by', report.openedBy, width));
+  if (report.closedAt) out.push(columns('Closed', formatDate(report.closedAt), width));
+  if (report.closedBy) out.push(columns('Closed by', report.closedBy, width));
+  out.push(columns('Printed', formatDate(report.printedAt), width));
+  out.push(rule);
+
+  out.push(columns(`Sales (${report.sales.count})`, formatCents(report.sales.subtotal), width));
+  if (report.sales.discounts > 0) {
+    out.push(columns('Discounts', formatCents(-report.sales.discounts), width));
+  }
+  out.push(columns('Tax', formatCents(report.sales.tax), width));
+  out.push(columns('Sales total', formatCents(report.sales.total), width));
+  out.push(columns(`Refunds (${report.refunds.count})`, formatCents(-report.refunds.total), width));
+  out.push(columns('NET', formatCents(report.sales.total - report.refunds.total), width));
+  out.push(rule);
+
+  out.push('CASH DRAWER');
+  out.push(columns('Opening float', formatCents(report.cash.openingFloat), width));
+  out.push(columns('Cash sales', formatCents(report.cash.sales), width));
+  out.push(columns('Change given', formatCents(-report.cash.change), width));
+  out.push(columns('Cash refunds', formatCents(-report.cash.refunds), width));
+  out.push(columns('Paid in', formatCents(report.cash.paidIn), width));
+  out.push(columns('Paid out', formatCents(-report.cash.paidOut), width));
+  out.push(columns('Expected cash', formatCents(report.cash.expected), width));
+  out.push(rule);
+
+  out.push('TENDERS');
+  for (const tender of report.tenders) {
+    out.push(columns(`${tender.label} expected`, formatCents(tender.expected), width));
+    if (tender.counted !== null) {
+      out.push(columns('  Counted', formatCents(tender.counted), width));
+      out.push(columns('  Variance', signed(tender.variance), width));
+    }
+  }
+
+  if (report.movements.length > 0) {
+    out.push(rule);
+    out.push('PAID IN / OUT');
+    for (const movement of report.movements) {
+      out.push(columns(movement.label, signed(movement.amount), width));
+      out.push(`  ${movement.reason}`);
+    }
+  }
+
+  return out
+    .flatMap(line => line.split('\n'))
+    .map(line => line.slice(0, width).trimEnd());
+}
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+// Report -> HTML document: the text report, sized for 80mm receipt paper
+// when printed
+export const renderShiftReportHtml = (report, width) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${report.kind}-report</title>
+<style>
+  body { margin: 0; }
+  pre { font-family: 'Courier New', monospace; font-size: 12px; margin: 16px auto; width: max-content; }
+  @media print {
+    @page { size: 80mm auto; margin: 0; }
+    pre { margin: 0; }
+  }
+</style>
+</head>
+<body>
+<pre>${escapeHtml(shiftReportTextLines(report, width).join('\n'))}</pre>
+</body>
+</html>
+`;
+
+export const SHIFT_REPORT_FORMATS = {
+  html: {
+    contentType: 'text/html; charset=utf-8',
+    render: (report, width) => renderShiftReportHtml(report, width)
+  },
+  text: {
+    contentType: 'text/plain; charset=utf-8',
+    render: (report, width) => `${shiftReportTextLines(report, width).join('\n')}\n`
+  }
+};
@@ -0,0 +1,104 @@
+import { formatCents } from '../services/money.js';
+import { lineDetail } from './buildReceipt.js';
+
+// Plain-text receipt for receipt printers and the PDF renderer: fixed-width
+// lines (40 or 48 characters) of printable ASCII only.
+
+export const RECEIPT_WIDTHS = [40, 48];
+
+const ascii = (text) =>
+  String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u2212\u2013\u2014]/g, '-')
+    .replace(/\u00d7/g, 'x')
+    .replace(/[^\x20-\x7e]/g, '?');
+
+export const center = (text, width) => {
+  const clipped = ascii(text).slice(0, width);
+  return ' '.repeat(Math.floor((width - clipped.length) / 2)) + clipped;
+};
+
+// `left` and `right` on one line, `left` cut short to make room. A value
+// too long to leave room for a label (an id) goes on a line of its own.
+export const columns = (left, right, width) => {
+  const value = ascii(right).slice(0, width);
+  if (left.length + value.length >= width && value.length > width / 2) {
+    return `${ascii(left)}\n${' '.repeat(width - value.length)}${value}`;
+  }
+  const label = ascii(left).slice(0, Math.max(0, width - value.length - 1));
+  return label + ' '.repeat(width - label.length - value.length) + value;
+};
+
+const formatRate = (rate) => `${parseFloat((rate * 100).toFixed(4))}%`;
+
+export const formatDate = (date) =>
+  new Date(date).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+// Receipt (see buildReceipt.js) -> array of lines of exactly `width`
+// characters or fewer
+export function receiptTextLines(receipt, width = receipt.width || 48) {
+  const rule = '-'.repeat(width);
+  const out = [];
+
+  receipt.header.forEach(line => out.push(center(line, width)));
+  if (receipt.reprint) out.push(center('*** REPRINT ***', width));
+  if (receipt.kind === 'refund') out.push(center('REFUND', width));
+  out.push('');
+  out.push(columns('Receipt', receipt.number, width));
+  if (receipt.originalNumber) {
+    out.push(columns('Original sale', receipt.originalNumber, width));
+  }
+  out.push(columns('Date', formatDate(receipt.createdAt), width));
+  out.push(rule);
+
+  for (const line of receipt.lines) {
+    out.push(columns(line.name, formatCents(line.amount), width));
+    const detail = lineDetail(line, formatCents);
+    if (detail) out.push(`  ${detail}`);
+    if (line.discount) {
+      out.push(columns(`  ${line.discount.label}`, formatCents(-line.discount.amount), width));
+    }
+  }
+  for (const adjustment of receipt.adjustments) {
+    out.push(columns(adjustment.label, formatCents(-adjustment.amount), width));
+  }
+  out.push(rule);
+
+  out.push(columns('Subtotal', formatCents(receipt.subtotal), width));
+  if (receipt.discountTotal > 0) {
+    out.push(columns('Discounts', formatCents(-receipt.discountTotal), width));
+  }
+  for (const tax of receipt.taxes) {
+    const label = tax.rate === null
+      ? 'Tax'
+      : `Tax ${formatRate(tax.rate)} on ${formatCents(tax.taxable)}`;
+    out.push(columns(label, formatCents(tax.tax), width));
+  }
+  out.push(columns(receipt.kind === 'refund' ? 'TOTAL REFUNDED' : 'TOTAL', formatCents(receipt.total), width));
+  out.push(rule);
+
+  for (const tender of receipt.tenders) {
+    out.push(columns(tender.label, formatCents(tender.amount), width));
+  }
+  if (receipt.change > 0) {
+    out.push(columns('Change', formatCents(receipt.change), width));
+  }
+
+  if (receipt.footer.length > 0) {
+    out.push(rule);
+    receipt.footer.forEach(line => out.push(center(line, width)));
+  }
+
+  return out
+    .flatMap(line => line.split('\n'))
+    .map(line => line.slice(0, width).trimEnd());
+}
+
+export const renderText = (receipt, width) => `${receiptTextLines(receipt, width).join('\n')}\n`;
@@ -0,0 +1,46 @@
+// The audit_log row for a change the server makes on its own, with no
+// employee or request behind it: `action` names it ('expire-suspended-sales')
+export const systemAuditEntry = (action, { entityType, entityId, before = null, after = null }) => ({
+  employee_id: null,
+  approved_by: null,
+  method: 'SYSTEM',
+  path: action,
+  route: `SYSTEM ${action}`,
+  status_code: 200,
+  entity_type: entityType,
+  entity_id: String(entityId),
+  before,
+  after
+});
+
+// Data access for the `audit_log` table. Entries are only ever added
+// (see middleware/audit.js); there is no update or delete.
+export function createAuditLogRepository(db) {
+  return {
+    create(fields) {
+      return db.insert('audit_log', fields);
+    },
+
+    // Newest first. Filters are optional: employeeId, entityType, entityId,
+    // route ('PUT /api/items/:itemId'), from and to (ISO times, `to`
+    // exclusive).
+    list({ employeeId, entityType, entityId, route, from, to, limit = 100, offset = 0 } = {}) {
+      const where = {};
+      if (employeeId) where.employee_id = employeeId;
+      if (entityType) where.entity_type = entityType;
+      if (entityId) where.entity_id = entityId;
+      if (route) where.route = route;
+      if (from || to) {
+        where.created_at = {};
+        if (from) where.created_at.gte = from;
+        if (to) where.created_at.lt = to;
+      }
+
+      return db.select('audit_log', {
+        where,
+        order: { column: 'created_at', ascending: false },
+        range: limit ? [offset, offset + limit - 1] : undefined
+      });
+    }
+  };
+}
@@ -0,0 +1,15 @@
+// Data access for the `cash_movement` table (paid in / paid out)
+export function createCashMovementRepository(db) {
+  return {
+    create(fields) {
+      return db.insert('cash_movement', fields);
+    },
+
+    listForShift(shiftId) {
+      return db.select('cash_movement', {
+        where: { shift_id: shiftId },
+        order: { column: 'created_at', ascending: true }
+      });
+    }
+  };
+}
@@ -0,0 +1,28 @@
+// Data access for the `category` table
+export function createCategoryRepository(db) {
+  return {
+    listAll() {
+      return db.select('category', {
+        order: { column: 'name', ascending: true }
+      });
+    },
+
+    findById(id) {
+      return db.selectOne('category', { id });
+    },
+
+    create(fields) {
+      return db.insert('category', fields);
+    },
+
+    async update(id, patch) {
+      const [category] = await db.update('category', { id }, patch);
+      return category || null;
+    },
+
+    async remove(id) {
+      const [category] = await db.remove('category', { id });
+      return category || null;
+    }
+  };
+}
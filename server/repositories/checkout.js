@@ -0,0 +1,373 @@
+import { createBatch } from '../db/index.js';
+import { createStockRepository } from './stock.js';
+
+// Claim `receiptNumber` ({ sequenceId, lastNumber, value }, see
+// services/receiptNumbers.js) in `batch`: the sequence only moves on if no
+// other sale took the number since it was read
+const claimReceiptNumber = (batch, { sequenceId, lastNumber }) =>
+  batch.update(
+    'receipt_sequence',
+    { id: sequenceId, last_number: lastNumber },
+    { last_number: lastNumber + 1 },
+    { expect: 1 }
+  );
+
+// Keep `shiftId` open until `batch` commits: a shift closed meanwhile is a
+// CONFLICT, so no payment lands in a shift after its count
+const guardOpenShift = (batch, shiftId) => {
+  if (shiftId) {
+    batch.update('shift', { id: shiftId, status: 'open' }, { status: 'open' }, { expect: 1 });
+  }
+};
+
+// Keep `lines` of a sale as they were read until `batch` commits: a line
+// whose quantity, price or total changed, or that was removed, is a
+// CONFLICT, so the stock taken out matches the lines the sale was paid for
+const guardLines = (batch, lines) => {
+  for (const line of lines) {
+    batch.update(
+      'transaction_line',
+      {
+        id: line.id,
+        transaction_id: line.transaction_id,
+        quantity: line.quantity,
+        unit_price: line.unit_price,
+        line_total: line.line_total
+      },
+      { quantity: line.quantity },
+      { expect: 1 }
+    );
+  }
+};
+
+// The item's units in `quantity` of what `line` sold (packs hold pack_size)
+const unitsOf = (line, quantity) => parseFloat(quantity) * (parseInt(line.pack_size) || 1);
+
+// Multi-table writes that must commit together
+export function createCheckoutRepository(db) {
+  const stock = createStockRepository(db);
+
+  // Take the quantities sold on `lines` out of stock at `storeId` in
+  // `batch`, never below zero. A pack's line takes pack_size units per
+  // pack sold.
+  const takeStock = async (batch, storeId, lines) => {
+    const soldByItem = new Map();
+    for (const line of lines) {
+      const units = unitsOf(line, line.quantity);
+      soldByItem.set(line.item_id, (soldByItem.get(line.item_id) || 0) + units);
+    }
+    await stock.ensure(storeId, [...soldByItem.keys()]);
+    for (const [itemId, soldQuantity] of soldByItem) {
+      batch.increment('store_stock', { store_id: storeId, item_id: itemId }, 'quantity', -soldQuantity, { min: 0 });
+    }
+  };
+
+  return {
+    // Record tenders on a sale that stays open, taken by `employeeId` in
+    // shift `shiftId`. Fails with a CONFLICT DatabaseError if the
+    // transaction was finalized or cancelled, or the shift closed,
+    // meanwhile.
+    async addPayments({ transactionId, payments, employeeId = null, shiftId = null }) {
+      const batch = createBatch(db);
+
+      batch.update('pos_transaction', { id: transactionId, status: 'open' }, { status: 'open' }, { expect: 1 });
+      guardOpenShift(batch, shiftId);
+      const paymentIds = payments.map(payment => batch.insert('payment', {
+        ...payment,
+        transaction_id: transactionId,
+        employee_id: employeeId,
+        shift_id: shiftId
+      }));
+
+      const results = await batch.commit();
+      const created = new Set(paymentIds);
+      return results.filter(row => row && !Array.isArray(row) && created.has(row.id));
+    },
+
+    // Remove a tender from a sale that is still open
+    async removePayment({ transactionId, paymentId }) {
+      const batch = createBatch(db);
+
+      batch.update('pos_transaction', { id: transactionId, status: 'open' }, { status: 'open' }, { expect: 1 });
+      batch.remove('payment', { id: paymentId, transaction_id: transactionId }, { expect: 1 });
+
+      await batch.commit();
+    },
+
+    // Mark an open sale 'cancelled', recording the manager who approved it
+    // (if it needed approval). Fails with a CONFLICT DatabaseError if the
+    // sale was finalized or cancelled meanwhile.
+    async cancel({ transactionId, approvedBy = null }) {
+      const batch = createBatch(db);
+
+      batch.update(
+        'pos_transaction',
+        { id: transactionId, status: 'open' },
+        { status: 'cancelled', approved_by: approvedBy },
+        { expect: 1 }
+      );
+
+      const [[transaction]] = await batch.commit();
+      return transaction;
+    },
+
+    // Finalize a sale in one database transaction: flip the status from
+    // 'open' to 'finalized', record the payments and take the sold
+    // quantities out of stock at `storeId`. The status change only matches
+    // an open transaction still at `total` (what the payments were checked
+    // against), so a concurrent finalize of the same sale, or a line edit
+    // or price change since `total` and `lines` were read, fails with a
+    // CONFLICT DatabaseError and nothing is written. `receiptNumber`
+    // is claimed in the same batch, so a number taken meanwhile is a
+    // CONFLICT too. The payments record `employeeId` as taken by; the sale
+    // and its payments record `shiftId`, which must still be open; the
+    // sale records `storeId` and `registerId` as where it was finalized.
+    async finalize({
+      transactionId,
+      total,
+      payments,
+      lines,
+      change = 0,
+      receiptNumber,
+      employeeId = null,
+      shiftId = null,
+      storeId,
+      registerId = null
+    }) {
+      const batch = createBatch(db);
+
+      batch.update(
+        'pos_transaction',
+        { id: transactionId, status: 'open', total },
+        {
+          status: 'finalized',
+          change_given: change,
+          receipt_number: receiptNumber?.value,
+          shift_id: shiftId,
+          store_id: storeId,
+          register_id: registerId
+        },
+        { expect: 1 }
+      );
+      guardOpenShift(batch, shiftId);
+      guardLines(batch, lines);
+
+      const paymentIds = payments.map(payment => batch.insert('payment', {
+        ...payment,
+        transaction_id: transactionId,
+        employee_id: employeeId,
+        shift_id: shiftId
+      }));
+
+      await takeStock(batch, storeId, lines);
+
+      if (receiptNumber) claimReceiptNumber(batch, receiptNumber);
+
+      const results = await batch.commit();
+      const created = new Set(paymentIds);
+
+      return {
+        transaction: results[0][0],
+        payments: results.filter(row => row && !Array.isArray(row) && created.has(row.id))
+      };
+    },
+
+    // Record a sale rung up while the register was offline (see
+    // services/offlineSales.js) in one database transaction, finalized as
+    // it goes in: the transaction under the id the register gave it and
+    // dated `createdAt`, with the lines, promotion adjustments and totals
+    // from `pricing` (priceOfflineSale), the payments, stock taken out at
+    // `storeId` and `receiptNumber` claimed as in finalize. `approvedBy`
+    // is the manager who accepted its conflicts, if any; `shiftId` must
+    // still be open. `replacesId`, the open sale it was carried on from,
+    // is cancelled if it is still open.
+    async recordOfflineSale({
+      transactionId,
+      createdAt,
+      pricing,
+      payments,
+      change,
+      receiptNumber,
+      employeeId,
+      approvedBy = null,
+      shiftId,
+      storeId,
+      registerId,
+      replacesId = null
+    }) {
+      const batch = createBatch(db);
+
+      batch.insert('pos_transaction', {
+        id: transactionId,
+        status: 'finalized',
+        subtotal: pricing.subtotal,
+        discount_total: pricing.discount_total,
+        tax: pricing.tax,
+        total: pricing.total,
+        change_given: change,
+        receipt_number: receiptNumber?.value,
+        employee_id: employeeId,
+        approved_by: approvedBy,
+        shift_id: shiftId,
+        store_id: storeId,
+        register_id: registerId,
+        synced_at: new Date().toISOString(),
+        created_at: createdAt
+      });
+      guardOpenShift(batch, shiftId);
+      if (replacesId) {
+        batch.update('pos_transaction', { id: replacesId, status: 'open' }, { status: 'cancelled' });
+      }
+
+      const lines = pricing.lines.map(({ line, ...figures }) => ({
+        item_id: line.item_id,
+        quantity: line.quantity,
+        unit_price: line.unit_price,
+        tax_rate: line.tax_rate,
+        ...figures
+      }));
+      for (const line of lines) {
+        batch.insert('transaction_line', { ...line, transaction_id: transactionId, created_at: createdAt });
+      }
+      for (const adjustment of pricing.adjustments) {
+        batch.insert('promotion_adjustment', {
+          transaction_id: transactionId,
+          promotion_id: adjustment.rule.id,
+          description: adjustment.rule.name,
+          applications: adjustment.applications,
+          amount: adjustment.amount,
+          rule: adjustment.rule
+        });
+      }
+
+      const paymentIds = payments.map(payment => batch.insert('payment', {
+        ...payment,
+        transaction_id: transactionId,
+        employee_id: employeeId,
+        shift_id: shiftId
+      }));
+
+      await takeStock(batch, storeId, lines);
+
+      if (receiptNumber) claimReceiptNumber(batch, receiptNumber);
+
+      const results = await batch.commit();
+      const created = new Set(paymentIds);
+
+      return {
+        transaction: results[0],
+        payments: results.filter(row => row && !Array.isArray(row) && created.has(row.id))
+      };
+    },
+
+    // Record a refund in one database transaction: the refund transaction
+    // and its payments, a refund_line per returned line, the new refunded
+    // quantities, items restocked at `storeId` and, when nothing is left
+    // to return, the original's 'refunded' status. Each line update only matches the
+    // refunded_quantity that was read, so a concurrent refund of the same
+    // line fails with a CONFLICT DatabaseError instead of over-refunding.
+    //
+    // `items` is [{ line, quantity, amount }] (see calculateRefundTotals);
+    // `refundId` is the existing refund record for the original, if any
+    // (one per original transaction).
+    // `payments` are the refund tenders, with negative amounts.
+    // `receiptNumber` is claimed for the refund transaction as in finalize.
+    // `employeeId` is recorded on the refund transaction and its payments,
+    // `approvedBy` (the manager who allowed it) on the refund transaction,
+    // `shiftId` (which must still be open) on both. The refund transaction
+    // records `storeId` and `registerId` too. `refundClaim` is the
+    // refund_claimed_at of the claim taken on the original, null for none.
+    async refund({
+      transactionId,
+      refundId,
+      items,
+      totals,
+      fullyRefunded,
+      payments,
+      receiptNumber,
+      employeeId = null,
+      approvedBy = null,
+      shiftId = null,
+      storeId,
+      registerId = null,
+      refundClaim = null
+    }) {
+      const batch = createBatch(db);
+      await stock.ensure(storeId, items.filter(({ quantity }) => quantity > 0).map(({ line }) => line.item_id));
+
+      const refundTxId = batch.insert('pos_transaction', {
+        status: 'finalized',
+        subtotal: totals.subtotal,
+        tax: totals.tax,
+        total: totals.total,
+        receipt_number: receiptNumber?.value,
+        employee_id: employeeId,
+        approved_by: approvedBy,
+        shift_id: shiftId,
+        store_id: storeId,
+        register_id: registerId
+      });
+
+      const refundRecordId = refundId || batch.insert('refund', {
+        original_tx: transactionId,
+        refund_tx: refundTxId
+      });
+
+      for (const { line, quantity, amount } of items) {
+        batch.insert('refund_line', {
+          refund_tx: refundTxId,
+          transaction_line_id: line.id,
+          quantity,
+          amount
+        });
+
+        // Quantity 0 is a promotion clawback on a line that stays with the
+        // customer; its guard still catches a concurrent refund of it
+        const refundedQuantity = parseFloat(line.refunded_quantity || 0) + quantity;
+        batch.update(
+          'transaction_line',
+          { id: line.id, refunded_quantity: line.refunded_quantity },
+          {
+            refunded_quantity: refundedQuantity,
+            refunded_by: refundedQuantity >= parseFloat(line.quantity) ? refundRecordId : line.refunded_by
+          },
+          { expect: 1 }
+        );
+
+        if (quantity > 0) {
+          batch.increment('store_stock', { store_id: storeId, item_id: line.item_id }, 'quantity', unitsOf(line, quantity));
+        }
+      }
+
+      // The refund has to still hold its claim on the sale (see
+      // services/refunds.js), which it gives up here
+      batch.update(
+        'pos_transaction',
+        { id: transactionId, refund_claimed_at: refundClaim },
+        { refund_claimed_at: null, ...(fullyRefunded ? { status: 'refunded' } : {}) },
+        { expect: 1 }
+      );
+
+      const paymentIds = payments.map(payment =>
+        batch.insert('payment', {
+          ...payment,
+          transaction_id: refundTxId,
+          employee_id: employeeId,
+          shift_id: shiftId
+        })
+      );
+      guardOpenShift(batch, shiftId);
+
+      if (receiptNumber) claimReceiptNumber(batch, receiptNumber);
+
+      const results = await batch.commit();
+      const created = new Set(paymentIds);
+
+      return {
+        refundTransaction: results[0],
+        refundId: refundRecordId,
+        payments: results.filter(row => row && !Array.isArray(row) && created.has(row.id))
+      };
+    }
+  };
+}
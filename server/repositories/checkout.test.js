@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFLICT, createDatabase } from '../db/index.js';
+import { createRepositories } from './index.js';
+
+// A sale of two 6-packs of an item with 48 units in stock
+const setUp = async () => {
+  const repos = createRepositories(createDatabase({ DB_DRIVER: 'local', LOCAL_DB_FILE: ':memory:' }));
+  const store = await repos.stores.create({ code: 'S01', name: 'Main store' });
+  const item = await repos.items.create({ name: 'Coca Cola', price: 1.5, tax_rate: 0, pack_size: 24 });
+  await repos.stock.set(store.id, item.id, 48);
+
+  const transaction = await repos.transactions.create({ store_id: store.id, subtotal: 15.98, total: 15.98 });
+  await repos.transactionLines.create({
+    transaction_id: transaction.id,
+    item_id: item.id,
+    quantity: 2,
+    pack_id: null,
+    pack_name: '6-pack',
+    pack_size: 6,
+    unit_price: 7.99,
+    tax_rate: 0,
+    line_total: 15.98
+  });
+  const lines = await repos.transactionLines.listForTransaction(transaction.id);
+
+  const stockLeft = async () => (await repos.stock.listForStore(store.id, [item.id]))[0].quantity;
+  return { repos, store, transaction, lines, stockLeft };
+};
+
+test('selling packs takes pack_size units each out of stock', async () => {
+  const { repos, store, transaction, lines, stockLeft } = await setUp();
+
+  await repos.checkout.finalize({
+    transactionId: transaction.id,
+    total: transaction.total,
+    payments: [{ method: 'cash', amount: 20 }],
+    lines,
+    change: 4.02,
+    storeId: store.id
+  });
+
+  assert.equal(await stockLeft(), 36);
+});
+
+test('refunding a pack puts its units back', async () => {
+  const { repos, store, transaction, lines, stockLeft } = await setUp();
+  await repos.checkout.finalize({
+    transactionId: transaction.id,
+    total: transaction.total,
+    payments: [{ method: 'cash', amount: 15.98 }],
+    lines,
+    storeId: store.id
+  });
+
+  await repos.checkout.refund({
+    transactionId: transaction.id,
+    items: [{ line: lines[0], quantity: 1, amount: 7.99 }],
+    totals: { subtotal: -7.99, tax: 0, total: -7.99 },
+    fullyRefunded: false,
+    payments: [{ method: 'cash', amount: -7.99 }],
+    storeId: store.id
+  });
+
+  assert.equal(await stockLeft(), 42);
+});
+
+test('a finalize that fails at its last write leaves the sale as it was', async () => {
+  const { repos, store, transaction, lines, stockLeft } = await setUp();
+
+  // A receipt sequence that does not exist fails the batch's last operation,
+  // after the sale, its payment and the stock were written
+  await assert.rejects(repos.checkout.finalize({
+    transactionId: transaction.id,
+    total: transaction.total,
+    payments: [{ method: 'cash', amount: 15.98 }],
+    lines,
+    receiptNumber: { sequenceId: 'gone', lastNumber: 0, value: 'S01-000001' },
+    storeId: store.id
+  }), { code: CONFLICT });
+
+  assert.equal(await stockLeft(), 48);
+  assert.deepEqual(await repos.transactions.findById(transaction.id), transaction);
+  assert.deepEqual(await repos.transactionLines.listForTransaction(transaction.id), lines);
+  assert.deepEqual(await repos.payments.listForTransaction(transaction.id), []);
+});
+
+test('only one of two concurrent finalizes of a sale goes through', async () => {
+  const { repos, store, transaction, lines, stockLeft } = await setUp();
+  const finalize = () => repos.checkout.finalize({
+    transactionId: transaction.id,
+    total: transaction.total,
+    payments: [{ method: 'cash', amount: 15.98 }],
+    lines,
+    storeId: store.id
+  });
+
+  const results = await Promise.allSettled([finalize(), finalize()]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(result => result.status === 'rejected').reason.code, CONFLICT);
+  assert.equal(await stockLeft(), 36);
+  assert.equal((await repos.payments.listForTransaction(transaction.id)).length, 1);
+});
@@ -0,0 +1,43 @@
+// Data access for the `employee_session` table. Sessions are looked up by
+// the hash of their token (see services/sessions.js).
+export function createEmployeeSessionRepository(db) {
+  return {
+    create(fields) {
+      return db.insert('employee_session', fields);
+    },
+
+    // A session that has not been signed out or expired
+    findActiveByTokenHash(tokenHash, now = new Date()) {
+      return db.selectOne('employee_session', {
+        token_hash: tokenHash,
+        ended_at: null,
+        expires_at: { gt: now.toISOString() }
+      });
+    },
+
+    // The sessions `employeeId` had signed in at register `registerId` at
+    // the time `at`, whether or not they have ended since
+    async listActiveAt(employeeId, registerId, at) {
+      const time = at.toISOString();
+      const sessions = await db.select('employee_session', {
+        where: {
+          employee_id: employeeId,
+          register_id: registerId,
+          created_at: { lte: time },
+          expires_at: { gt: time }
+        }
+      });
+      return sessions.filter(session => !session.ended_at || new Date(session.ended_at) > at);
+    },
+
+    async end(id, now = new Date()) {
+      const [session] = await db.update('employee_session', { id }, { ended_at: now.toISOString() });
+      return session || null;
+    },
+
+    // Sign a deactivated employee out everywhere
+    endAllForEmployee(employeeId, now = new Date()) {
+      return db.update('employee_session', { employee_id: employeeId, ended_at: null }, { ended_at: now.toISOString() });
+    }
+  };
+}
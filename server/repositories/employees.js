@@ -0,0 +1,35 @@
+// Data access for the `employee` table. Rows carry the PIN hash; routes
+// send employees out through publicEmployee (services/employees.js).
+export function createEmployeeRepository(db) {
+  return {
+    listAll() {
+      return db.select('employee', {
+        order: { column: 'name', ascending: true }
+      });
+    },
+
+    listActive() {
+      return db.select('employee', {
+        where: { is_active: true },
+        order: { column: 'name', ascending: true }
+      });
+    },
+
+    findById(id) {
+      return db.selectOne('employee', { id });
+    },
+
+    create(fields) {
+      return db.insert('employee', fields);
+    },
+
+    async update(id, patch) {
+      const [employee] = await db.update('employee', { id }, patch);
+      return employee || null;
+    },
+
+    deactivate(id) {
+      return this.update(id, { is_active: false });
+    }
+  };
+}
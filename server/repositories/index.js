@@ -0,0 +1,53 @@
+import { createItemRepository } from './items.js';
+import { createItemBarcodeRepository } from './itemBarcodes.js';
+import { createItemPackRepository } from './itemPacks.js';
+import { createCategoryRepository } from './categories.js';
+import { createTransactionRepository } from './transactions.js';
+import { createTransactionLineRepository } from './transactionLines.js';
+import { createPaymentRepository } from './payments.js';
+import { createRefundRepository } from './refunds.js';
+import { createRefundLineRepository } from './refundLines.js';
+import { createCheckoutRepository } from './checkout.js';
+import { createSettingRepository } from './settings.js';
+import { createPromotionRepository } from './promotions.js';
+import { createPromotionAdjustmentRepository } from './promotionAdjustments.js';
+import { createQuickKeyRepository } from './quickKeys.js';
+import { createReceiptSequenceRepository } from './receiptSequences.js';
+import { createEmployeeRepository } from './employees.js';
+import { createEmployeeSessionRepository } from './employeeSessions.js';
+import { createShiftRepository } from './shifts.js';
+import { createCashMovementRepository } from './cashMovements.js';
+import { createAuditLogRepository } from './auditLog.js';
+import { createStoreRepository } from './stores.js';
+import { createRegisterRepository } from './registers.js';
+import { createStockRepository } from './stock.js';
+
+// Build every repository on top of a database driver (see db/index.js).
+// Routes and scripts only talk to these, never to a driver or client directly.
+export function createRepositories(db) {
+  return {
+    items: createItemRepository(db),
+    itemBarcodes: createItemBarcodeRepository(db),
+    itemPacks: createItemPackRepository(db),
+    categories: createCategoryRepository(db),
+    transactions: createTransactionRepository(db),
+    transactionLines: createTransactionLineRepository(db),
+    payments: createPaymentRepository(db),
+    refunds: createRefundRepository(db),
+    refundLines: createRefundLineRepository(db),
+    checkout: createCheckoutRepository(db),
+    settings: createSettingRepository(db),
+    promotions: createPromotionRepository(db),
+    promotionAdjustments: createPromotionAdjustmentRepository(db),
+    quickKeys: createQuickKeyRepository(db),
+    receiptSequences: createReceiptSequenceRepository(db),
+    employees: createEmployeeRepository(db),
+    employeeSessions: createEmployeeSessionRepository(db),
+    shifts: createShiftRepository(db),
+    cashMovements: createCashMovementRepository(db),
+    auditLog: createAuditLogRepository(db),
+    stores: createStoreRepository(db),
+    registers: createRegisterRepository(db),
+    stock: createStockRepository(db)
+  };
+}
@@ -0,0 +1,54 @@
+// Data access for the `item_barcode` table. An item's own barcodes have no
+// pack_id; its packs' barcodes (see itemPacks.js) carry theirs.
+export function createItemBarcodeRepository(db) {
+  return {
+    findByBarcode(barcode) {
+      return db.selectOne('item_barcode', { barcode });
+    },
+
+    // Rows for any of `barcodes`
+    findByBarcodes(barcodes) {
+      return db.select('item_barcode', { where: { barcode: barcodes } });
+    },
+
+    listForItem(itemId) {
+      return db.select('item_barcode', { where: { item_id: itemId, pack_id: null } });
+    },
+
+    listForItems(itemIds) {
+      return db.select('item_barcode', { where: { item_id: itemIds, pack_id: null } });
+    },
+
+    listForPack(packId) {
+      return db.select('item_barcode', { where: { pack_id: packId } });
+    },
+
+    // Barcodes of the packs of `itemIds`
+    listForPacksOf(itemIds) {
+      return db.select('item_barcode', { where: { item_id: itemIds, pack_id: { neq: null } } });
+    },
+
+    createForItem(itemId, barcodes) {
+      return db.insertMany('item_barcode', barcodes.map(barcode => ({
+        item_id: itemId,
+        barcode: barcode.trim()
+      })));
+    },
+
+    createForPack(pack, barcodes) {
+      return db.insertMany('item_barcode', barcodes.map(barcode => ({
+        item_id: pack.item_id,
+        pack_id: pack.id,
+        barcode: barcode.trim()
+      })));
+    },
+
+    removeForItem(itemId) {
+      return db.remove('item_barcode', { item_id: itemId, pack_id: null });
+    },
+
+    removeForPack(packId) {
+      return db.remove('item_barcode', { pack_id: packId });
+    }
+  };
+}
@@ -0,0 +1,34 @@
+// Data access for the `item_pack` table
+export function createItemPackRepository(db) {
+  return {
+    listForItem(itemId) {
+      return db.select('item_pack', {
+        where: { item_id: itemId },
+        order: { column: 'pack_size', ascending: true }
+      });
+    },
+
+    listForItems(itemIds) {
+      return db.select('item_pack', { where: { item_id: itemIds } });
+    },
+
+    findById(id) {
+      return db.selectOne('item_pack', { id });
+    },
+
+    create(fields) {
+      return db.insert('item_pack', fields);
+    },
+
+    async update(id, patch) {
+      const [pack] = await db.update('item_pack', { id }, patch);
+      return pack || null;
+    },
+
+    // Its barcodes go with it
+    async remove(id) {
+      const [pack] = await db.remove('item_pack', { id });
+      return pack || null;
+    }
+  };
+}
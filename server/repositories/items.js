@@ -0,0 +1,75 @@
+// Data access for the `item` table
+export function createItemRepository(db) {
+  return {
+    listAll() {
+      return db.select('item');
+    },
+
+    listActive() {
+      return db.select('item', {
+        where: { is_active: true },
+        order: { column: 'created_at', ascending: false }
+      });
+    },
+
+    // One page of active items and how many match in all. Filters are
+    // optional: name (an ILIKE pattern), itemIds, categoryId (null for
+    // items without a category). See services/items.js. Items that sort
+    // alike are ordered by id, so pages neither repeat nor skip any.
+    async search({ name, itemIds, categoryId, sort = 'name', ascending = true, limit = 50, offset = 0 } = {}) {
+      const where = { is_active: true };
+      if (name) where.name = { ilike: name };
+      if (itemIds) where.id = itemIds;
+      if (categoryId !== undefined) where.category_id = categoryId;
+
+      const [items, total] = await Promise.all([
+        db.select('item', {
+          where,
+          order: [{ column: sort, ascending }, { column: 'id', ascending }],
+          range: [offset, offset + limit - 1]
+        }),
+        db.count('item', where)
+      ]);
+      return { items, total };
+    },
+
+    findById(id) {
+      return db.selectOne('item', { id });
+    },
+
+    // The item with PLU `plu` (digits without leading zeros), if any
+    findByPlu(plu) {
+      return db.selectOne('item', { plu });
+    },
+
+    findByIds(ids) {
+      return db.select('item', { where: { id: ids } });
+    },
+
+    create(fields) {
+      return db.insert('item', fields);
+    },
+
+    createMany(rows) {
+      return db.insertMany('item', rows);
+    },
+
+    async update(id, patch) {
+      const [item] = await db.update('item', { id }, patch);
+      return item || null;
+    },
+
+    // Take every item out of a category that is being removed
+    clearCategory(categoryId) {
+      return db.update('item', { category_id: categoryId }, { category_id: null });
+    },
+
+    deactivate(id) {
+      return this.update(id, { is_active: false });
+    },
+
+    remove(id) {
+      return db.remove('item', { id });
+    }
+  };
+}
@@ -0,0 +1,28 @@
+// Data access for the `payment` table
+export function createPaymentRepository(db) {
+  return {
+    create(fields) {
+      return db.insert('payment', fields);
+    },
+
+    findById(id) {
+      return db.selectOne('payment', { id });
+    },
+
+    listForTransaction(transactionId) {
+      return db.select('payment', {
+        where: { transaction_id: transactionId },
+        order: { column: 'created_at', ascending: true }
+      });
+    },
+
+    listForShift(shiftId) {
+      return db.select('payment', { where: { shift_id: shiftId } });
+    },
+
+    // Refund tenders that sent money back to any of the given payments
+    listRefundsOf(paymentIds) {
+      return db.select('payment', { where: { refund_of: paymentIds } });
+    }
+  };
+}
@@ -0,0 +1,34 @@
+import { createBatch } from '../db/index.js';
+
+// Data access for the `promotion_adjustment` table: the promotions applied
+// to a transaction, rewritten every time its lines are repriced
+export function createPromotionAdjustmentRepository(db) {
+  return {
+    listForTransaction(transactionId) {
+      return db.select('promotion_adjustment', {
+        where: { transaction_id: transactionId },
+        order: { column: 'created_at', ascending: true }
+      });
+    },
+
+    listForTransactions(transactionIds) {
+      return db.select('promotion_adjustment', {
+        where: { transaction_id: transactionIds },
+        order: { column: 'created_at', ascending: true }
+      });
+    },
+
+    // Swap the transaction's adjustments for `adjustments` in one go
+    async replaceForTransaction(transactionId, adjustments) {
+      const batch = createBatch(db);
+
+      batch.remove('promotion_adjustment', { transaction_id: transactionId });
+      for (const adjustment of adjustments) {
+        batch.insert('promotion_adjustment', { ...adjustment, transaction_id: transactionId });
+      }
+
+      const [, ...created] = await batch.commit();
+      return created;
+    }
+  };
+}
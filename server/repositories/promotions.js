@@ -0,0 +1,35 @@
+// Data access for the `promotion` table
+export function createPromotionRepository(db) {
+  return {
+    listAll() {
+      return db.select('promotion', {
+        order: { column: 'created_at', ascending: false }
+      });
+    },
+
+    // Oldest first: the order promotions are evaluated in
+    listActive() {
+      return db.select('promotion', {
+        where: { is_active: true },
+        order: { column: 'created_at', ascending: true }
+      });
+    },
+
+    findById(id) {
+      return db.selectOne('promotion', { id });
+    },
+
+    create(fields) {
+      return db.insert('promotion', fields);
+    },
+
+    async update(id, patch) {
+      const [promotion] = await db.update('promotion', { id }, patch);
+      return promotion || null;
+    },
+
+    deactivate(id) {
+      return this.update(id, { is_active: false });
+    }
+  };
+}
@@ -0,0 +1,25 @@
+import { createBatch } from '../db/index.js';
+
+// Data access for the `quick_key_page` table
+export function createQuickKeyRepository(db) {
+  return {
+    listPages() {
+      return db.select('quick_key_page', {
+        order: { column: 'position', ascending: true }
+      });
+    },
+
+    // Replace every page with `pages` ([{ name, keys }], in order) in one
+    // go. Resolves with the new pages.
+    async replaceAll(pages) {
+      const batch = createBatch(db);
+      batch.remove('quick_key_page', {});
+      pages.forEach((page, position) => {
+        batch.insert('quick_key_page', { name: page.name, position, keys: page.keys });
+      });
+
+      const [, ...inserted] = await batch.commit();
+      return inserted;
+    }
+  };
+}
@@ -0,0 +1,21 @@
+import { UNIQUE_VIOLATION } from '../db/index.js';
+
+// Data access for the `receipt_sequence` table. Numbers are claimed inside
+// the checkout batches (see checkout.js); this only reads and creates rows.
+export function createReceiptSequenceRepository(db) {
+  return {
+    // The store's sequence, starting at 0 the first time it is used
+    async findOrCreate(storeCode) {
+      const existing = await db.selectOne('receipt_sequence', { store_code: storeCode });
+      if (existing) return existing;
+
+      try {
+        return await db.insert('receipt_sequence', { store_code: storeCode, last_number: 0 });
+      } catch (error) {
+        // Created by a concurrent sale
+        if (error.code !== UNIQUE_VIOLATION) throw error;
+        return db.selectOne('receipt_sequence', { store_code: storeCode });
+      }
+    }
+  };
+}
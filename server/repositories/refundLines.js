@@ -0,0 +1,26 @@
+// Data access for the `refund_line` table (written by checkout.refund)
+export function createRefundLineRepository(db) {
+  return {
+    listAll() {
+      return db.select('refund_line');
+    },
+
+    listForRefundTransaction(refundTransactionId) {
+      return db.select('refund_line', {
+        where: { refund_tx: refundTransactionId },
+        order: { column: 'created_at', ascending: true }
+      });
+    },
+
+    listForRefundTransactions(refundTransactionIds) {
+      return db.select('refund_line', { where: { refund_tx: refundTransactionIds } });
+    },
+
+    listForLines(lineIds) {
+      return db.select('refund_line', {
+        where: { transaction_line_id: lineIds },
+        order: { column: 'created_at', ascending: true }
+      });
+    }
+  };
+}
@@ -0,0 +1,16 @@
+// Data access for the `refund` table
+export function createRefundRepository(db) {
+  return {
+    create(fields) {
+      return db.insert('refund', fields);
+    },
+
+    findByOriginal(originalTransactionId) {
+      return db.selectOne('refund', { original_tx: originalTransactionId });
+    },
+
+    listAll() {
+      return db.select('refund');
+    }
+  };
+}
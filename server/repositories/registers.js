@@ -0,0 +1,30 @@
+// Data access for the `register` table
+export function createRegisterRepository(db) {
+  return {
+    listAll() {
+      return db.select('register', {
+        order: { column: 'created_at', ascending: true }
+      });
+    },
+
+    listForStore(storeId) {
+      return db.select('register', {
+        where: { store_id: storeId },
+        order: { column: 'created_at', ascending: true }
+      });
+    },
+
+    findById(id) {
+      return db.selectOne('register', { id });
+    },
+
+    create(fields) {
+      return db.insert('register', fields);
+    },
+
+    async update(id, patch) {
+      const [register] = await db.update('register', { id }, patch);
+      return register || null;
+    }
+  };
+}
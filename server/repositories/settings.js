@@ -0,0 +1,22 @@
+// Data access for the `store_setting` key/value table. Rows with a null
+// store_id hold the values for every store.
+export function createSettingRepository(db) {
+  return {
+    listAll() {
+      return db.select('store_setting');
+    },
+
+    listForStore(storeId) {
+      return db.select('store_setting', { where: { store_id: storeId } });
+    },
+
+    async set(key, value, storeId = null) {
+      const [updated] = await db.update('store_setting', { key, store_id: storeId }, { value });
+      return updated || db.insert('store_setting', { key, value, store_id: storeId });
+    },
+
+    clear(key, storeId) {
+      return db.remove('store_setting', { key, store_id: storeId });
+    }
+  };
+}
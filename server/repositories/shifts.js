@@ -0,0 +1,43 @@
+// Data access for the `shift` table. At most one shift is open at a time
+// on each register (a partial unique index in schema.sql; routes check
+// first).
+export function createShiftRepository(db) {
+  return {
+    findById(id) {
+      return db.selectOne('shift', { id });
+    },
+
+    findOpen(registerId) {
+      return db.selectOne('shift', { status: 'open', register_id: registerId });
+    },
+
+    // `registerIds` narrows the list to those registers
+    listRecent({ limit = 20, registerIds } = {}) {
+      return db.select('shift', {
+        where: registerIds ? { register_id: registerIds } : {},
+        order: { column: 'created_at', ascending: false },
+        range: [0, limit - 1]
+      });
+    },
+
+    create(fields) {
+      return db.insert('shift', { ...fields, status: 'open' });
+    },
+
+    // Shifts from before registers belong to `registerId`
+    assignUnplaced(registerId) {
+      return db.update('shift', { register_id: null }, { register_id: registerId });
+    },
+
+    // Close an open shift with the counted amounts. Returns null if the
+    // shift was already closed (by another register, meanwhile).
+    async close(id, { closedBy, counts }) {
+      const [shift] = await db.update(
+        'shift',
+        { id, status: 'open' },
+        { status: 'closed', closed_by: closedBy, closed_at: new Date().toISOString(), counts }
+      );
+      return shift || null;
+    }
+  };
+}
@@ -0,0 +1,50 @@
+import { createBatch, UNIQUE_VIOLATION } from '../db/index.js';
+
+// Data access for the `store_stock` table: one row per item a store has
+// stocked. Items without a row have none at that store.
+export function createStockRepository(db) {
+  return {
+    listForStore(storeId, itemIds) {
+      return db.select('store_stock', {
+        where: itemIds ? { store_id: storeId, item_id: itemIds } : { store_id: storeId }
+      });
+    },
+
+    listForItem(itemId) {
+      return db.select('store_stock', { where: { item_id: itemId } });
+    },
+
+    // Create the missing rows (at 0) for `itemIds` at `storeId`, so a
+    // checkout batch can increment them
+    async ensure(storeId, itemIds) {
+      const existing = new Set((await this.listForStore(storeId, itemIds)).map(row => row.item_id));
+      const missing = [...new Set(itemIds)].filter(itemId => !existing.has(itemId));
+
+      for (const itemId of missing) {
+        try {
+          await db.insert('store_stock', { store_id: storeId, item_id: itemId, quantity: 0 });
+        } catch (error) {
+          // Created meanwhile by another checkout
+          if (error.code !== UNIQUE_VIOLATION) throw error;
+        }
+      }
+    },
+
+    // Add `quantity` (negative to take away) to what `storeId` has of
+    // `itemId`, in one step so concurrent sales are not lost
+    async add(storeId, itemId, quantity) {
+      await this.ensure(storeId, [itemId]);
+      const batch = createBatch(db);
+      batch.increment('store_stock', { store_id: storeId, item_id: itemId }, 'quantity', quantity);
+      const [[row]] = await batch.commit();
+      return row;
+    },
+
+    // Set the quantity of `itemId` on hand at `storeId`
+    async set(storeId, itemId, quantity) {
+      await this.ensure(storeId, [itemId]);
+      const [row] = await db.update('store_stock', { store_id: storeId, item_id: itemId }, { quantity });
+      return row;
+    }
+  };
+}
@@ -0,0 +1,23 @@
+// Data access for the `store` table
+export function createStoreRepository(db) {
+  return {
+    listAll() {
+      return db.select('store', {
+        order: { column: 'created_at', ascending: true }
+      });
+    },
+
+    findById(id) {
+      return db.selectOne('store', { id });
+    },
+
+    create(fields) {
+      return db.insert('store', fields);
+    },
+
+    async update(id, patch) {
+      const [store] = await db.update('store', { id }, patch);
+      return store || null;
+    }
+  };
+}
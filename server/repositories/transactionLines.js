@@ -0,0 +1,67 @@
+import { createBatch } from '../db/index.js';
+
+// Data access for the `transaction_line` table
+export function createTransactionLineRepository(db) {
+  // Embed `item` ({ id, name, is_active, price_type }) on each line, like the
+  // `item:item_id (...)` join the routes used to request from PostgREST
+  const withItems = async (lines) => {
+    const itemIds = [...new Set(lines.map(line => line.item_id))];
+    const items = await db.select('item', { where: { id: itemIds } });
+    const itemsById = new Map(items.map(item => [item.id, item]));
+
+    return lines.map(line => {
+      const item = itemsById.get(line.item_id);
+      return {
+        ...line,
+        item: item ? { id: item.id, name: item.name, is_active: item.is_active, price_type: item.price_type } : null
+      };
+    });
+  };
+
+  return {
+    create(fields) {
+      return db.insert('transaction_line', { refunded_by: null, ...fields });
+    },
+
+    findById(id) {
+      return db.selectOne('transaction_line', { id });
+    },
+
+    async listForTransaction(transactionId, { withItem = false } = {}) {
+      const lines = await db.select('transaction_line', {
+        where: { transaction_id: transactionId },
+        order: { column: 'created_at', ascending: true }
+      });
+      return withItem ? withItems(lines) : lines;
+    },
+
+    async listForTransactions(transactionIds, { withItem = false } = {}) {
+      const lines = await db.select('transaction_line', {
+        where: { transaction_id: transactionIds },
+        order: { column: 'created_at', ascending: true }
+      });
+      return withItem ? withItems(lines) : lines;
+    },
+
+    // `unchanged` are columns the line must still hold; returns null if it
+    // does not (or is gone)
+    async update(id, patch, unchanged = {}) {
+      const [line] = await db.update('transaction_line', { ...unchanged, id }, patch);
+      return line || null;
+    },
+
+    // Add `quantity` to a line in one write, so scans merged into it at the
+    // same time all count. `unchanged` are columns the line must still
+    // hold. Returns the line, or null if it was removed or changed.
+    async addQuantity(id, quantity, unchanged = {}) {
+      const batch = createBatch(db);
+      batch.increment('transaction_line', { ...unchanged, id }, 'quantity', quantity);
+      const [[line]] = await batch.commit();
+      return line || null;
+    },
+
+    remove(id) {
+      return db.remove('transaction_line', { id });
+    }
+  };
+}
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDatabase } from '../db/index.js';
+import { createRepositories } from './index.js';
+
+const setUp = async () => {
+  const repos = createRepositories(createDatabase({ DB_DRIVER: 'local', LOCAL_DB_FILE: ':memory:' }));
+  const item = await repos.items.create({ name: 'Coca Cola', price: 1.5, tax_rate: 0 });
+  const transaction = await repos.transactions.create({});
+  const line = await repos.transactionLines.create({
+    transaction_id: transaction.id,
+    item_id: item.id,
+    quantity: 1,
+    unit_price: 1.5,
+    tax_rate: 0,
+    line_total: 1.5
+  });
+  return { repos, line };
+};
+
+test('scans merged into a line at the same time all count', async () => {
+  const { repos, line } = await setUp();
+
+  await Promise.all([1, 2, 3].map(() => repos.transactionLines.addQuantity(line.id, 1, { unit_price: 1.5 })));
+
+  assert.equal((await repos.transactionLines.findById(line.id)).quantity, 4);
+});
+
+test('a scan is not merged into a line repriced since it was read', async () => {
+  const { repos, line } = await setUp();
+  await repos.transactionLines.update(line.id, { unit_price: 1.25 });
+
+  assert.equal(await repos.transactionLines.addQuantity(line.id, 1, { unit_price: 1.5 }), null);
+  assert.equal((await repos.transactionLines.findById(line.id)).quantity, 1);
+});
@@ -0,0 +1,142 @@
+import { createBatch, CONFLICT } from '../db/index.js';
+import { systemAuditEntry } from './auditLog.js';
+
+// Only the location filters that are set: { storeId, registerId } ->
+// where clause entries
+const locationWhere = ({ storeId, registerId } = {}) => ({
+  ...(storeId ? { store_id: storeId } : {}),
+  ...(registerId ? { register_id: registerId } : {})
+});
+
+// Data access for the `pos_transaction` table
+export function createTransactionRepository(db) {
+  return {
+    create(fields = {}) {
+      return db.insert('pos_transaction', {
+        status: 'open',
+        subtotal: 0,
+        tax: 0,
+        total: 0,
+        ...fields
+      });
+    },
+
+    findById(id) {
+      return db.selectOne('pos_transaction', { id });
+    },
+
+    findByReceiptNumber(receiptNumber) {
+      return db.selectOne('pos_transaction', { receipt_number: receiptNumber });
+    },
+
+    // `storeId` / `registerId` narrow the list to one location
+    listByStatus(statuses, { limit, offset = 0, storeId, registerId } = {}) {
+      return db.select('pos_transaction', {
+        where: { status: statuses, ...locationWhere({ storeId, registerId }) },
+        order: { column: 'created_at', ascending: false },
+        range: limit ? [offset, offset + limit - 1] : undefined
+      });
+    },
+
+    listCreatedBetween(status, start, end, location) {
+      return db.select('pos_transaction', {
+        where: { status, created_at: { gte: start, lt: end }, ...locationWhere(location) }
+      });
+    },
+
+    // Sales finalized and refunds made in a shift
+    listForShift(shiftId) {
+      return db.select('pos_transaction', { where: { shift_id: shiftId } });
+    },
+
+    // Parked sales at a store, oldest first
+    listSuspended(storeId) {
+      return db.select('pos_transaction', {
+        where: { status: 'suspended', store_id: storeId },
+        order: { column: 'suspended_at', ascending: true }
+      });
+    },
+
+    // Park an open sale. Returns null if it is not open (any more).
+    async suspend(id, { suspendedBy }) {
+      const [transaction] = await db.update(
+        'pos_transaction',
+        { id, status: 'open' },
+        { status: 'suspended', suspended_at: new Date().toISOString(), suspended_by: suspendedBy }
+      );
+      return transaction || null;
+    },
+
+    // Reopen a parked sale on `registerId`. Returns null if it is not
+    // parked (any more: resumed on another register, or expired).
+    async resume(id, { registerId }) {
+      const [transaction] = await db.update(
+        'pos_transaction',
+        { id, status: 'suspended' },
+        { status: 'open', register_id: registerId, suspended_at: null, suspended_by: null }
+      );
+      return transaction || null;
+    },
+
+    // Mark sales parked before `cutoff` 'expired', each in a batch with its
+    // audit_log entry by the server; returns them. A sale resumed meanwhile
+    // is left alone.
+    async expireSuspended(cutoff) {
+      const parked = await db.select('pos_transaction', {
+        where: { status: 'suspended', suspended_at: { lt: cutoff } }
+      });
+
+      const expired = [];
+      for (const sale of parked) {
+        const batch = createBatch(db);
+        batch.update('pos_transaction', { id: sale.id, status: 'suspended' }, { status: 'expired' }, { expect: 1 });
+        batch.insert('audit_log', systemAuditEntry('expire-suspended-sales', {
+          entityType: 'transaction',
+          entityId: sale.id,
+          before: sale,
+          after: { ...sale, status: 'expired' }
+        }));
+
+        try {
+          const [[transaction]] = await batch.commit();
+          expired.push(transaction);
+        } catch (error) {
+          if (error.code !== CONFLICT) throw error;
+        }
+      }
+      return expired;
+    },
+
+    // Claim a finalized sale for a refund in progress. `claimedAt` is the
+    // claim read with the sale: null, or a stale one being taken over.
+    // Returns null if another refund claimed it first.
+    async claimForRefund(id, claimedAt) {
+      const [transaction] = await db.update(
+        'pos_transaction',
+        { id, status: 'finalized', refund_claimed_at: claimedAt },
+        { refund_claimed_at: new Date().toISOString() }
+      );
+      return transaction || null;
+    },
+
+    // Give up a refund claim whose refund was not recorded
+    releaseRefundClaim(id, claimedAt) {
+      return db.update('pos_transaction', { id, refund_claimed_at: claimedAt }, { refund_claimed_at: null });
+    },
+
+    // Transactions from before stores belong to `storeId` and `registerId`
+    assignUnplaced({ storeId, registerId }) {
+      return db.update('pos_transaction', { register_id: null }, { store_id: storeId, register_id: registerId });
+    },
+
+    async update(id, patch) {
+      const [transaction] = await db.update('pos_transaction', { id }, patch);
+      return transaction || null;
+    },
+
+    // Deleting a transaction cascades to its lines
+    remove(id) {
+      return db.remove('pos_transaction', { id });
+    }
+  };
+}
@@ -0,0 +1,12 @@
+// Error thrown by scale drivers. `code` is one of:
+//   'unstable'     the weight is still settling; read again
+//   'invalid'      nothing (or less than nothing) is on the scale, or the
+//                  request does not make sense to the scale
+//   'unavailable'  no scale configured or reachable
+export class ScaleError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ScaleError';
+    this.code = code;
+  }
+}
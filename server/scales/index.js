@@ -0,0 +1,31 @@
+import { createSimulatedScale } from './simulatedScale.js';
+
+export { ScaleError } from './errors.js';
+
+// Scale drivers share one interface:
+//   name, unit        the driver and the unit it weighs in ('kg' or 'lb')
+//   read()            -> { weight, unit, stable: true } once the weight has
+//                        settled
+// and throw ScaleError when a read fails.
+//
+// SCALE picks the driver:
+//   none (default)  weighed items are weighed on a standalone scale and the
+//                   cashier keys the weight in
+//   simulated       in-process scale weighing SIM_SCALE_WEIGHT (default 0)
+//                   in SIM_SCALE_UNIT (default kg); change the weight with
+//                   the /api/scale/simulator endpoint
+export function createScale(env = process.env) {
+  const driver = (env.SCALE || 'none').toLowerCase();
+
+  switch (driver) {
+    case 'none':
+      return null;
+    case 'simulated':
+      return createSimulatedScale({
+        weight: env.SIM_SCALE_WEIGHT ? parseFloat(env.SIM_SCALE_WEIGHT) : undefined,
+        unit: env.SIM_SCALE_UNIT ? env.SIM_SCALE_UNIT.toLowerCase() : undefined
+      });
+    default:
+      throw new Error(`Unknown SCALE '${env.SCALE}' (expected 'none' or 'simulated')`);
+  }
+}
@@ -0,0 +1,37 @@
+import { ScaleError } from './errors.js';
+
+// A scale that lives in the server process, for development and tests.
+// It reports whatever was last put on it with place() (or the starting
+// `weight`), in `unit`; `stable: false` makes reads fail as 'unstable'
+// until the next place().
+
+export const SCALE_UNITS = ['kg', 'lb'];
+
+export function createSimulatedScale({ weight = 0, unit = 'kg', stable = true } = {}) {
+  if (!SCALE_UNITS.includes(unit)) {
+    throw new ScaleError(`Unknown scale unit '${unit}'`, 'invalid');
+  }
+
+  let current = { weight, stable };
+
+  return {
+    name: 'simulated',
+    unit,
+
+    // Put `weight` (in the scale's unit) on the scale
+    place({ weight: next, stable: nextStable = true }) {
+      if (!Number.isFinite(next) || next < 0) {
+        throw new ScaleError('Weight must be 0 or more', 'invalid');
+      }
+      current = { weight: next, stable: Boolean(nextStable) };
+      return { ...current, unit };
+    },
+
+    async read() {
+      if (!current.stable) {
+        throw new ScaleError('The scale has not settled', 'unstable');
+      }
+      return { weight: current.weight, unit, stable: true };
+    }
+  };
+}
@@ -1,32 +1,44 @@
-import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { createDatabase, DatabaseError } from './db/index.js';
+import { createRepositories } from './repositories/index.js';
+import { hashPin } from './services/employees.js';
+import { ensureDefaultStore, findDefaultRegister } from './services/stores.js';
 
 dotenv.config();
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_ANON_KEY;
-
-if (!supabaseUrl || !supabaseKey) {
-  console.error('Missing Supabase environment variables');
-  console.error('Make sure SUPABASE_URL and SUPABASE_ANON_KEY are set in server/.env');
+let db;
+try {
+  db = createDatabase();
+} catch (error) {
+  console.error(error.message);
+  // A local database file held by the running server needs no setup hint
+  if (!(error instanceof DatabaseError)) {
+    console.error('Set DB_DRIVER=local, or SUPABASE_URL and SUPABASE_ANON_KEY, in server/.env');
+  }
   process.exit(1);
 }
 
-const supabase = createClient(supabaseUrl, supabaseKey);
+const repos = createRepositories(db);
+
+// Sample categories; each item names the one it is filed under
+const categories = ['Drinks', 'Snacks', 'Food'];
 
-// Sample items to insert
+// Sample items to insert; `quantity` is their stock at the first store
 const items = [
   {
     name: 'Coca Cola',
+    category: 'Drinks',
     price: 2.99,
     tax_rate: 0.0875, // 8.75%
     quantity: 24,
     cost: 1.50,
-    pack_size: 1,
+    // Delivered in cases of 24, and also sold as a 6-pack (see packs below)
+    pack_size: 24,
     is_active: true
   },
   {
     name: 'Chips',
+    category: 'Snacks',
     price: 3.49,
     tax_rate: 0.0875,
     quantity: 12,
@@ -36,6 +48,7 @@ const items = [
   },
   {
     name: 'Chocolate Bar',
+    category: 'Snacks',
     price: 1.99,
     tax_rate: 0.0875,
     quantity: 36,
@@ -45,6 +58,7 @@ const items = [
   },
   {
     name: 'Bottled Water',
+    category: 'Drinks',
     price: 1.49,
     tax_rate: 0.0875,
     quantity: 48,
@@ -54,30 +68,85 @@ const items = [
   },
   {
     name: 'Sandwich',
+    category: 'Food',
     price: 5.99,
     tax_rate: 0.0875,
     quantity: 10,
     cost: 2.50,
     pack_size: 1,
     is_active: true
+  },
+  {
+    // Sold by weight: the price is per kg and the stock is in kg. Scale
+    // labels name it by PLU 4011 (see services/barcodes.js)
+    name: 'Bananas',
+    category: 'Food',
+    plu: '4011',
+    price: 1.29,
+    price_type: 'weighed',
+    weight_unit: 'kg',
+    tax_rate: 0,
+    quantity: 20,
+    cost: 0.60,
+    pack_size: 1,
+    is_active: true
+  },
+  {
+    // The cashier enters the price, from $1.00 to $20.00, or a price label
+    // with PLU 101 carries it
+    name: 'Bakery Special',
+    category: 'Food',
+    plu: '101',
+    price: 4.99,
+    price_type: 'open',
+    min_price: 1,
+    max_price: 20,
+    tax_rate: 0.0875,
+    quantity: 15,
+    cost: 1.00,
+    pack_size: 1,
+    is_active: true
   }
 ];
 
 // Simple barcodes for easy testing
-const barcodes = ['123', '456', '789', '111', '222'];
+const barcodes = ['123', '456', '789', '111', '222', '333', '444'];
+
+// One employee per role, with easy PINs for testing
+const employees = [
+  { name: 'Casey Cashier', role: 'cashier', pin: '1111' },
+  { name: 'Morgan Manager', role: 'manager', pin: '2222' },
+  { name: 'Alex Admin', role: 'admin', pin: '3333' }
+];
 
 async function seedDatabase() {
-  console.log('Starting database seed...\n');
+  console.log(`Starting database seed (${db.name} storage)...\n`);
 
   try {
+    // Insert categories
+    console.log('Inserting categories...');
+    const categoryIds = new Map();
+    try {
+      for (const name of categories) {
+        const category = await repos.categories.create({ name });
+        categoryIds.set(name, category.id);
+      }
+    } catch (categoriesError) {
+      console.error('Error inserting categories:', categoriesError);
+      process.exit(1);
+    }
+
+    console.log(`✓ Successfully inserted ${categories.length} categories\n`);
+
     // Insert items
     console.log('Inserting items...');
-    const { data: insertedItems, error: itemsError } = await supabase
-      .from('item')
-      .insert(items)
-      .select();
-
-    if (itemsError) {
+    let insertedItems;
+    try {
+      insertedItems = await repos.items.createMany(items.map(({ quantity, category, ...item }) => ({
+        ...item,
+        category_id: categoryIds.get(category)
+      })));
+    } catch (itemsError) {
       console.error('Error inserting items:', itemsError);
       process.exit(1);
     }
@@ -86,17 +155,12 @@ async function seedDatabase() {
 
     // Insert barcodes for each item
     console.log('Inserting barcodes...');
-    const barcodeInserts = insertedItems.map((item, index) => ({
-      item_id: item.id,
-      barcode: barcodes[index]
-    }));
-
-    const { data: insertedBarcodes, error: barcodesError } = await supabase
-      .from('item_barcode')
-      .insert(barcodeInserts)
-      .select();
-
-    if (barcodesError) {
+    const insertedBarcodes = [];
+    try {
+      for (const [index, item] of insertedItems.entries()) {
+        insertedBarcodes.push(...await repos.itemBarcodes.createForItem(item.id, [barcodes[index]]));
+      }
+    } catch (barcodesError) {
       console.error('Error inserting barcodes:', barcodesError);
       process.exit(1);
     }
@@ -105,27 +169,66 @@ async function seedDatabase() {
 
     // Add a second barcode to the first item (Coca Cola) to test multiple barcodes
     console.log('Adding additional barcode to Coca Cola...');
-    const { data: additionalBarcode, error: additionalBarcodeError } = await supabase
-      .from('item_barcode')
-      .insert({
-        item_id: insertedItems[0].id,
-        barcode: '999'
-      })
-      .select()
-      .single();
-
-    if (additionalBarcodeError) {
+    try {
+      await repos.itemBarcodes.createForItem(insertedItems[0].id, ['999']);
+    } catch (additionalBarcodeError) {
       console.error('Error inserting additional barcode:', additionalBarcodeError);
       process.exit(1);
     }
 
     console.log(`✓ Successfully added additional barcode '999' to Coca Cola\n`);
 
+    // Sell Coca Cola by the 6-pack too, with its own barcode and price
+    console.log('Adding a 6-pack of Coca Cola...');
+    try {
+      const pack = await repos.itemPacks.create({ item_id: insertedItems[0].id, name: '6-pack', pack_size: 6, price: 15.99 });
+      await repos.itemBarcodes.createForPack(pack, ['666']);
+    } catch (packError) {
+      console.error('Error inserting pack:', packError);
+      process.exit(1);
+    }
+
+    console.log(`✓ Successfully added a 6-pack (barcode '666') to Coca Cola\n`);
+
+    // Stock the items at the first store (created with its first register
+    // if the database has none)
+    console.log('Stocking the first store...');
+    let location;
+    try {
+      await ensureDefaultStore(repos);
+      location = await findDefaultRegister(repos);
+      for (const [index, item] of insertedItems.entries()) {
+        await repos.stock.set(location.store.id, item.id, items[index].quantity);
+      }
+    } catch (stockError) {
+      console.error('Error stocking items:', stockError);
+      process.exit(1);
+    }
+
+    console.log(`✓ Stocked ${insertedItems.length} items at ${location.store.name} (${location.store.code}), ${location.register.name}\n`);
+
+    // Insert employees
+    console.log('Inserting employees...');
+    try {
+      for (const { name, role, pin } of employees) {
+        await repos.employees.create({ name, role, pin_hash: await hashPin(pin), is_active: true });
+      }
+    } catch (employeesError) {
+      console.error('Error inserting employees:', employeesError);
+      process.exit(1);
+    }
+
+    console.log(`✓ Successfully inserted ${employees.length} employees\n`);
+
     // Display summary
     console.log('=== SEED SUMMARY ===\n');
     insertedItems.forEach((item, index) => {
       console.log(`${item.name}`);
-      console.log(`  Price: $${item.price.toFixed(2)}`);
+      const priceNote = { weighed: ` per ${item.weight_unit}`, open: ' (suggested; entered at the register)' }[item.price_type] || '';
+      console.log(`  Price: $${item.price.toFixed(2)}${priceNote}`);
+      if (item.plu) {
+        console.log(`  PLU: ${item.plu}`);
+      }
       if (index === 0) {
         console.log(`  Barcodes: ${barcodes[index]}, 999 (multiple barcodes)`);
       } else {
@@ -139,6 +242,10 @@ async function seedDatabase() {
     console.log('\nYou can now test with these barcodes:');
     console.log(barcodes.join(', ') + ', 999');
     console.log('\nNote: Coca Cola has two barcodes (123 and 999) - both will work!');
+    console.log('666 is a 6-pack of Coca Cola at $15.99');
+    console.log('Labels: 2000101004998 is Bakery Special at $4.99, 2104011003505 is 0.350 kg of Bananas');
+    console.log('\nSign in as:');
+    employees.forEach(({ name, role, pin }) => console.log(`  ${name} (${role}): PIN ${pin}`));
 
   } catch (error) {
     console.error('Unexpected error:', error);
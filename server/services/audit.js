@@ -0,0 +1,65 @@
+// Reading the audit log (written by middleware/audit.js): query filters
+// and the CSV export.
+
+export const AUDIT_EXPORT_FORMATS = ['csv', 'json'];
+
+const MAX_PAGE = 500;
+const MAX_EXPORT = 10000;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// A date is midnight at the start of that day, server time
+const parseTime = (value) => new Date(DATE_ONLY.test(value) ? `${value}T00:00:00` : value);
+
+// Query string -> { filters } for repos.auditLog.list, or { error }.
+// `from` and `to` are dates or times; a plain date for `to` includes that
+// whole day.
+export function auditFiltersFrom(query, { exporting = false } = {}) {
+  const { employeeId, entityType, entityId, route, from, to, limit, offset } = query;
+  const filters = { employeeId, entityType, entityId, route };
+
+  if (from) {
+    const start = parseTime(from);
+    if (Number.isNaN(start.getTime())) return { error: 'Invalid from date' };
+    filters.from = start.toISOString();
+  }
+  if (to) {
+    const end = parseTime(to);
+    if (Number.isNaN(end.getTime())) return { error: 'Invalid to date' };
+    if (DATE_ONLY.test(to)) end.setDate(end.getDate() + 1);
+    filters.to = end.toISOString();
+  }
+
+  const maximum = exporting ? MAX_EXPORT : MAX_PAGE;
+  filters.limit = Math.min(parseInt(limit) || maximum, maximum);
+  filters.offset = Math.max(parseInt(offset) || 0, 0);
+
+  return { filters };
+}
+
+const CSV_COLUMNS = [
+  'created_at',
+  'employee_name',
+  'approved_by_name',
+  'method',
+  'path',
+  'route',
+  'status_code',
+  'entity_type',
+  'entity_id',
+  'before',
+  'after'
+];
+
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Entries (with employee_name and approved_by_name) -> CSV text, one row
+// per entry; before/after are JSON
+export const auditCsv = (entries) =>
+  [CSV_COLUMNS, ...entries.map(entry => CSV_COLUMNS.map(column => entry[column]))]
+    .map(row => row.map(csvField).join(','))
+    .join('\r\n') + '\r\n';
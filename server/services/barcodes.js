@@ -0,0 +1,188 @@
+import { WEIGHT_UNITS } from './items.js';
+
+// Barcodes as scanned. Item barcodes are matched as entered first (short
+// in-store codes like '123'). Numeric codes of a GTIN length (EAN-8,
+// UPC-A, EAN-13, GTIN-14) must carry a valid check digit, and the same
+// GTIN written with more or fewer leading zeros (UPC-A 012345678905 is
+// EAN-13 0012345678905) is the same code: items store it in its shortest
+// form (canonicalBarcode). Codes in the restricted range starting with 2
+// can carry an item's PLU and a price or weight printed on the label
+// (deli and produce scales); the embedded_barcode_rules setting says how.
+
+export const GTIN_LENGTHS = [8, 12, 13, 14];
+export const EMBEDDED_TYPES = ['price', 'weight'];
+
+const isGtinShaped = (code) => /^\d+$/.test(code) && GTIN_LENGTHS.includes(code.length);
+
+// Mod-10 check digit of a GTIN's digits (without the check digit): from
+// the right, digits are weighted 3, 1, 3, ...
+const checkDigitOf = (digits) => {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index += 1) {
+    const digit = Number(digits[digits.length - 1 - index]);
+    sum += index % 2 === 0 ? digit * 3 : digit;
+  }
+  return (10 - (sum % 10)) % 10;
+};
+
+export const isValidGtin = (code) =>
+  isGtinShaped(code) && checkDigitOf(code.slice(0, -1)) === Number(code.slice(-1));
+
+// The shortest GTIN length that holds `code` without its leading zeros
+const canonicalGtin = (code) => {
+  const core = code.replace(/^0+/, '');
+  const length = GTIN_LENGTHS.find(candidate => candidate >= core.length);
+  return core.padStart(length, '0');
+};
+
+// Every way of writing the GTIN `code` with leading zeros
+const gtinForms = (code) => {
+  const core = code.replace(/^0+/, '');
+  return GTIN_LENGTHS.filter(length => length >= core.length).map(length => core.padStart(length, '0'));
+};
+
+// `code` trimmed, and in its shortest form when it is a GTIN
+export const canonicalBarcode = (code) => {
+  const trimmed = String(code).trim();
+  return isValidGtin(trimmed) ? canonicalGtin(trimmed) : trimmed;
+};
+
+// Returns an error message, or null when `code` can be an item barcode
+export function validateBarcode(code) {
+  const trimmed = typeof code === 'string' ? code.trim() : '';
+  if (!trimmed || trimmed.length > 64) {
+    return 'Barcodes must be 1 to 64 characters';
+  }
+  if (isGtinShaped(trimmed) && !isValidGtin(trimmed)) {
+    return `Barcode ${trimmed} has the wrong check digit`;
+  }
+  return null;
+}
+
+// An item's or pack's barcodes as they are saved: { barcodes } (canonical,
+// without repeats) or { error }. A barcode another item or pack already
+// has, in any of its forms, is an error; `itemId` and `packId` say whose
+// barcodes are being saved, when they exist.
+export async function itemBarcodesFrom(repos, barcodes, { itemId = null, packId = null } = {}) {
+  if (!Array.isArray(barcodes) || barcodes.length === 0) {
+    return { error: 'At least one barcode is required' };
+  }
+
+  for (const barcode of barcodes) {
+    const error = validateBarcode(barcode);
+    if (error) return { error };
+  }
+
+  const canonical = [...new Set(barcodes.map(canonicalBarcode))];
+  const forms = canonical.flatMap(code => (isValidGtin(code) ? gtinForms(code) : [code]));
+  const taken = (await repos.itemBarcodes.findByBarcodes(forms))
+    .find(row => row.item_id !== itemId || (row.pack_id || null) !== packId);
+  if (taken) {
+    return { error: `Barcode ${taken.barcode} belongs to another item or pack` };
+  }
+
+  return { barcodes: canonical };
+}
+
+// An item's PLU as it is saved: { plu } (digits without leading zeros, or
+// null for none) or { error }. PLUs are what embedded barcodes name, so
+// two items can't share one; `itemId` is the item being saved, if it exists.
+export async function itemPluFrom(repos, plu, itemId = null) {
+  if (plu === undefined || plu === null || plu === '') {
+    return { plu: null };
+  }
+  if (!/^\d{1,6}$/.test(String(plu).trim())) {
+    return { error: 'PLUs are 1 to 6 digits' };
+  }
+
+  const digits = String(plu).trim().replace(/^0+(?=\d)/, '');
+  const taken = await repos.items.findByPlu(digits);
+  if (taken && taken.id !== itemId) {
+    return { error: `PLU ${digits} belongs to ${taken.name}` };
+  }
+
+  return { plu: digits };
+}
+
+// Returns an error message, or null when `rules` is a list of embedded
+// barcode rules, each { prefix, type, item_digits, value_digits, decimals,
+// unit }: after `prefix` (digits starting with 2) come `item_digits` of
+// PLU, then `value_digits` of price (type 'price', in dollars with
+// `decimals` places) or weight (type 'weight', in `unit`), then the check
+// digit, for 12 (UPC-A) or 13 (EAN-13) digits in all.
+export function validateEmbeddedRules(rules) {
+  if (!Array.isArray(rules) || rules.length > 20) {
+    return 'Embedded barcode rules must be a list of up to 20 rules';
+  }
+
+  for (const rule of rules) {
+    if (typeof rule?.prefix !== 'string' || !/^2\d{0,2}$/.test(rule.prefix)) {
+      return 'Each rule needs a prefix of 1 to 3 digits starting with 2';
+    }
+    if (!EMBEDDED_TYPES.includes(rule.type)) {
+      return `Rule types are: ${EMBEDDED_TYPES.join(', ')}`;
+    }
+    const sizes = [rule.item_digits, rule.value_digits];
+    if (!sizes.every(size => Number.isInteger(size) && size >= 1 && size <= 6)) {
+      return 'item_digits and value_digits must be 1 to 6';
+    }
+    const length = rule.prefix.length + rule.item_digits + rule.value_digits + 1;
+    if (length !== 12 && length !== 13) {
+      return `Rule ${rule.prefix} describes ${length} digits; labels have 12 (UPC-A) or 13 (EAN-13)`;
+    }
+    if (!Number.isInteger(rule.decimals) || rule.decimals < 0 || rule.decimals > 3) {
+      return 'decimals must be 0 to 3';
+    }
+    if (rule.type === 'weight' && !WEIGHT_UNITS.includes(rule.unit)) {
+      return `Weight rules need a unit: ${WEIGHT_UNITS.join(' or ')}`;
+    }
+  }
+
+  return null;
+}
+
+// What the first of `rules` matching the canonical GTIN `code` reads off
+// it: { plu, price } or { plu, weight, unit }, or null
+export function parseEmbeddedBarcode(code, rules) {
+  for (const rule of rules) {
+    const length = rule.prefix.length + rule.item_digits + rule.value_digits + 1;
+    if (code.length !== length || !code.startsWith(rule.prefix)) continue;
+
+    const itemStart = rule.prefix.length;
+    const valueStart = itemStart + rule.item_digits;
+    const plu = code.slice(itemStart, valueStart).replace(/^0+(?=\d)/, '');
+    const value = Number(code.slice(valueStart, valueStart + rule.value_digits)) / 10 ** rule.decimals;
+
+    return rule.type === 'price' ? { plu, price: value } : { plu, weight: value, unit: rule.unit };
+  }
+  return null;
+}
+
+// The active item `code` names: { item, pack, embedded } (pack is the
+// item's pack the barcode belongs to, embedded what an embedded barcode
+// carried, or null), { error } for a GTIN with a bad check digit, or null
+// when nothing matches. Codes are looked up as scanned, then in any of
+// their GTIN forms, then read with `rules`.
+export async function resolveBarcode(repos, code, rules) {
+  const scanned = String(code).trim();
+
+  let row = await repos.itemBarcodes.findByBarcode(scanned);
+  if (!row && isGtinShaped(scanned)) {
+    if (!isValidGtin(scanned)) {
+      return { error: 'Barcode has the wrong check digit, scan it again' };
+    }
+    [row] = await repos.itemBarcodes.findByBarcodes(gtinForms(scanned));
+  }
+
+  if (row) {
+    const item = await repos.items.findById(row.item_id);
+    const pack = row.pack_id ? await repos.itemPacks.findById(row.pack_id) : null;
+    return item?.is_active ? { item, pack, embedded: null } : null;
+  }
+
+  const embedded = isValidGtin(scanned) ? parseEmbeddedBarcode(canonicalGtin(scanned), rules) : null;
+  if (!embedded) return null;
+
+  const item = await repos.items.findByPlu(embedded.plu);
+  return item?.is_active ? { item, pack: null, embedded } : null;
+}
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDatabase } from '../db/index.js';
+import { createRepositories } from '../repositories/index.js';
+import { canonicalBarcode, isValidGtin, parseEmbeddedBarcode, validateBarcode } from './barcodes.js';
+import { searchItems } from './items.js';
+import { DEFAULT_SETTINGS } from './settings.js';
+
+const rules = DEFAULT_SETTINGS.embedded_barcode_rules;
+
+test('GTIN check digits are checked for every GTIN length', () => {
+  assert.equal(isValidGtin('96385074'), true);
+  assert.equal(isValidGtin('012345678905'), true);
+  assert.equal(isValidGtin('4006381333931'), true);
+  assert.equal(isValidGtin('00012345678905'), true);
+
+  assert.equal(isValidGtin('96385075'), false);
+  assert.equal(isValidGtin('012345678906'), false);
+  assert.equal(isValidGtin('4006381333932'), false);
+  // Not a GTIN length
+  assert.equal(isValidGtin('12345678905'), false);
+});
+
+test('a GTIN-shaped barcode with the wrong check digit is refused', () => {
+  assert.match(validateBarcode('4006381333932'), /wrong check digit/);
+  assert.match(validateBarcode(' 012345678906 '), /wrong check digit/);
+  // In-store codes of other lengths carry no check digit
+  assert.equal(validateBarcode('123'), null);
+  assert.equal(validateBarcode('ABC-1'), null);
+  assert.match(validateBarcode(''), /1 to 64 characters/);
+});
+
+test('UPC-A and its EAN-13 and GTIN-14 forms are the same code', () => {
+  assert.equal(canonicalBarcode('012345678905'), '012345678905');
+  assert.equal(canonicalBarcode('0012345678905'), '012345678905');
+  assert.equal(canonicalBarcode('00012345678905'), '012345678905');
+  assert.equal(canonicalBarcode(' 0012345678905 '), '012345678905');
+  // EAN-8 held in an EAN-13
+  assert.equal(canonicalBarcode('0000096385074'), '96385074');
+});
+
+test('codes that are not valid GTINs are only trimmed', () => {
+  assert.equal(canonicalBarcode('0012345678906'), '0012345678906');
+  assert.equal(canonicalBarcode(' 00123 '), '00123');
+});
+
+test('embedded labels carry a PLU and a price or weight', () => {
+  assert.deepEqual(parseEmbeddedBarcode('2000101004998', rules), { plu: '101', price: 4.99 });
+  assert.deepEqual(parseEmbeddedBarcode('2104011003505', rules), { plu: '4011', weight: 0.35, unit: 'kg' });
+  assert.equal(parseEmbeddedBarcode('4006381333931', rules), null);
+});
+
+test('searching by barcode finds the item in any GTIN form', async () => {
+  const repos = createRepositories(createDatabase({ DB_DRIVER: 'local', LOCAL_DB_FILE: ':memory:' }));
+  const cereal = await repos.items.create({ name: 'Cereal', price: 4 });
+  const tea = await repos.items.create({ name: 'Tea', price: 3 });
+  await repos.itemBarcodes.createForItem(cereal.id, [canonicalBarcode('0012345678905')]);
+  // Saved before barcodes were kept in canonical form
+  await repos.itemBarcodes.createForItem(tea.id, ['04006381333931']);
+
+  const names = async (q) => (await searchItems(repos, { q })).items.map(item => item.name);
+  assert.deepEqual(await names('012345678905'), ['Cereal']);
+  assert.deepEqual(await names('00012345678905'), ['Cereal']);
+  assert.deepEqual(await names('4006381333931'), ['Tea']);
+  // Not a barcode: matched against names
+  assert.deepEqual(await names('ere'), ['Cereal']);
+  assert.deepEqual(await names('012345678906'), []);
+});
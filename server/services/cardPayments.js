@@ -0,0 +1,156 @@
+import { TerminalError } from '../terminals/index.js';
+import { toCents, toDollars } from './money.js';
+
+// Card tenders and card refunds. With a terminal configured (see
+// terminals/index.js) a card tender must come from an approved terminal
+// authorization, which is captured when the tender is recorded. Without
+// one, card tenders are keyed in from a standalone terminal as before.
+
+// Check an authorization started for `transactionId` and capture it.
+// Returns { error } or { tender } ready for applyTenders. Terminal failures
+// are thrown as TerminalError.
+export async function captureCardTender(terminal, { transactionId, authorizationId, amount }) {
+  if (!authorizationId) {
+    return { error: 'Card payments must be authorized on the terminal first' };
+  }
+
+  const authorization = await terminal.getStatus(authorizationId);
+
+  if (authorization.reference !== transactionId) {
+    return { error: 'Card authorization belongs to another transaction' };
+  }
+
+  if (authorization.status !== 'approved') {
+    return { error: `Card authorization is ${authorization.status.replace('_', ' ')}` };
+  }
+
+  if (amount !== undefined && toCents(amount) !== toCents(authorization.amount)) {
+    return { error: 'Amount does not match the card authorization' };
+  }
+
+  const captured = await terminal.capture(authorizationId);
+
+  return {
+    tender: {
+      method: 'card',
+      amount: captured.amount,
+      reference: null,
+      authorization_id: captured.id,
+      card_brand: captured.card?.brand || null,
+      card_last4: captured.card?.last4 || null
+    }
+  };
+}
+
+// Give back a captured card tender that never made it into a committed
+// sale. Failures are only logged: the caller is already handling an error.
+export async function releaseCardTender(terminal, authorizationId) {
+  try {
+    await terminal.void(authorizationId);
+  } catch (error) {
+    console.error(`Could not void card authorization ${authorizationId}:`, error);
+  }
+}
+
+// Split a refund of `total` over the tenders of the original sale: card
+// tenders first, each up to what earlier refunds left on it, then cash for
+// the rest. `priorRefunds` are refund payments whose refund_of points at
+// one of `payments`. Returns payment rows with negative amounts.
+export function allocateRefundTenders(payments, priorRefunds, total) {
+  let remaining = toCents(total);
+  const tenders = [];
+
+  for (const payment of payments.filter(p => p.method === 'card' && toCents(p.amount) > 0)) {
+    if (remaining <= 0) break;
+
+    const refunded = priorRefunds
+      .filter(refund => refund.refund_of === payment.id)
+      .reduce((sum, refund) => sum - toCents(refund.amount), 0);
+    const amount = Math.min(remaining, toCents(payment.amount) - refunded);
+    if (amount <= 0) continue;
+
+    tenders.push({
+      method: 'card',
+      amount: toDollars(-amount),
+      authorization_id: payment.authorization_id,
+      card_brand: payment.card_brand,
+      card_last4: payment.card_last4,
+      refund_of: payment.id
+    });
+    remaining -= amount;
+  }
+
+  if (remaining > 0) {
+    tenders.push({ method: 'cash', amount: toDollars(-remaining) });
+  }
+
+  return tenders;
+}
+
+// Send card refund tenders back through the terminal, recording the
+// terminal's refund id as each one's reference. Card tenders taken without
+// a terminal are refunded by hand on the standalone terminal and pass
+// through unchanged.
+// Stops at the first failure and throws it with `issued` set to the refunds
+// that already went through.
+export async function issueCardRefunds(terminal, tenders) {
+  const issued = [];
+
+  try {
+    for (const tender of tenders) {
+      if (tender.method !== 'card' || !tender.authorization_id) {
+        issued.push(tender);
+        continue;
+      }
+      if (!terminal) {
+        throw new TerminalError('No card terminal is configured to refund this card', 'unavailable');
+      }
+
+      const refund = await terminal.refund({
+        authorizationId: tender.authorization_id,
+        amount: -tender.amount
+      });
+      issued.push({ ...tender, reference: refund.id });
+    }
+  } catch (error) {
+    error.issued = issued.filter(tender => tender.method === 'card' && tender.authorization_id);
+    throw error;
+  }
+
+  return issued;
+}
+
+// Take back card refunds issued for a refund that was not recorded, so the
+// customer is not paid twice when it is retried. Failures are only logged:
+// the caller is already handling an error.
+export async function voidCardRefunds(terminal, tenders) {
+  for (const tender of tenders) {
+    if (tender.method !== 'card' || !tender.authorization_id || !tender.reference) continue;
+    try {
+      await terminal.voidRefund(tender.reference);
+    } catch (error) {
+      console.error(`Could not void card refund ${tender.reference}:`, error);
+    }
+  }
+}
+
+// Refund `tenders` through the terminal, then record the refund with
+// `save(issuedTenders)` and return what it returns. When a card refund
+// fails or `save` throws, the card refunds already issued are voided and
+// the error rethrown, so a refund is either recorded whole or not at all.
+export async function refundCardTenders(terminal, tenders, save) {
+  let issued;
+  try {
+    issued = await issueCardRefunds(terminal, tenders);
+  } catch (error) {
+    if (error.issued) await voidCardRefunds(terminal, error.issued);
+    throw error;
+  }
+
+  try {
+    return await save(issued);
+  } catch (error) {
+    await voidCardRefunds(terminal, issued);
+    throw error;
+  }
+}
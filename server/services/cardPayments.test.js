@@ -0,0 +1,173 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { createDatabase } from '../db/index.js';
+import { createRepositories } from '../repositories/index.js';
+import { createSimulatedTerminal } from '../terminals/simulatedTerminal.js';
+import { allocateRefundTenders, captureCardTender, refundCardTenders } from './cardPayments.js';
+import { applyTenders } from './checkout.js';
+import { claimRefund } from './refunds.js';
+
+// Approve and capture a card payment of `amount` for `transactionId`
+const cardTender = async (terminal, transactionId, amount) => {
+  const authorization = await terminal.authorize({ amount, reference: transactionId });
+  await sleep(5);
+  const { tender } = await captureCardTender(terminal, { transactionId, authorizationId: authorization.id });
+  return tender;
+};
+
+// An open 20.00 sale of one lamp, and a terminal that answers at once
+const openSale = async (terminalOptions = {}) => {
+  const repos = createRepositories(createDatabase({ DB_DRIVER: 'local', LOCAL_DB_FILE: ':memory:' }));
+  const terminal = createSimulatedTerminal({ delayMs: 0, ...terminalOptions });
+  const store = await repos.stores.create({ code: 'S01', name: 'Main store' });
+  const item = await repos.items.create({ name: 'Lamp', price: 20, tax_rate: 0 });
+  await repos.stock.set(store.id, item.id, 5);
+
+  const transaction = await repos.transactions.create({ store_id: store.id, subtotal: 20, total: 20 });
+  await repos.transactionLines.create({
+    transaction_id: transaction.id,
+    item_id: item.id,
+    quantity: 1,
+    unit_price: 20,
+    tax_rate: 0,
+    line_total: 20
+  });
+  const lines = await repos.transactionLines.listForTransaction(transaction.id);
+
+  return { repos, terminal, store, transaction, lines };
+};
+
+// The sale paid 12.00 and 8.00 on two cards, and a claim on it for a
+// refund of the whole sale
+const setUp = async () => {
+  const { repos, terminal, store, transaction, lines } = await openSale();
+  const { payments } = await repos.checkout.finalize({
+    transactionId: transaction.id,
+    total: 20,
+    payments: [
+      await cardTender(terminal, transaction.id, 12),
+      await cardTender(terminal, transaction.id, 8)
+    ],
+    lines,
+    storeId: store.id
+  });
+
+  const claimed = await claimRefund(repos, await repos.transactions.findById(transaction.id));
+  const save = (tenders) => repos.checkout.refund({
+    transactionId: transaction.id,
+    items: [{ line: lines[0], quantity: 1, amount: 20 }],
+    totals: { subtotal: -20, tax: 0, total: -20 },
+    fullyRefunded: true,
+    payments: tenders,
+    storeId: store.id,
+    refundClaim: claimed.refund_claimed_at
+  });
+
+  const refundedOnCards = async () =>
+    Promise.all(payments.map(async payment => (await terminal.getStatus(payment.authorization_id)).refunded));
+
+  return {
+    repos,
+    terminal,
+    transaction,
+    claimed,
+    tenders: allocateRefundTenders(payments, [], 20),
+    save,
+    refundedOnCards
+  };
+};
+
+test('a declined second card refund voids the first and records nothing', async () => {
+  const { repos, terminal, transaction, tenders, save, refundedOnCards } = await setUp();
+  terminal.script(['approve', 'decline']);
+
+  await assert.rejects(refundCardTenders(terminal, tenders, save), { code: 'declined' });
+
+  assert.deepEqual(await refundedOnCards(), [0, 0]);
+  assert.equal(await repos.refunds.findByOriginal(transaction.id), null);
+  assert.equal((await repos.transactions.findById(transaction.id)).status, 'finalized');
+});
+
+test('card refunds are voided when the refund cannot be recorded', async () => {
+  const { repos, terminal, transaction, claimed, tenders, save, refundedOnCards } = await setUp();
+  // The claim was taken over and given up meanwhile, so the refund no
+  // longer holds the sale
+  await repos.transactions.releaseRefundClaim(transaction.id, claimed.refund_claimed_at);
+
+  await assert.rejects(refundCardTenders(terminal, tenders, save), { code: '40001' });
+
+  assert.deepEqual(await refundedOnCards(), [0, 0]);
+  assert.equal(await repos.refunds.findByOriginal(transaction.id), null);
+});
+
+test('a recorded refund keeps its card refunds and releases the sale', async () => {
+  const { repos, terminal, transaction, tenders, save, refundedOnCards } = await setUp();
+
+  const result = await refundCardTenders(terminal, tenders, save);
+
+  assert.deepEqual(await refundedOnCards(), [12, 8]);
+  assert.deepEqual(result.payments.map(payment => payment.amount), [-12, -8]);
+  const original = await repos.transactions.findById(transaction.id);
+  assert.equal(original.status, 'refunded');
+  assert.equal(original.refund_claimed_at, null);
+});
+
+test('a sale held by a refund in progress cannot be claimed again', async () => {
+  const { repos, transaction } = await setUp();
+
+  const held = await repos.transactions.findById(transaction.id);
+  assert.equal(await claimRefund(repos, held), null);
+  assert.ok(await claimRefund(repos, held, Date.now() + 10 * 60 * 1000));
+});
+
+test('a declined card leaves the sale open', async () => {
+  const { repos, terminal, transaction } = await openSale({ script: ['decline'] });
+
+  const authorization = await terminal.authorize({ amount: 20, reference: transaction.id });
+  await sleep(5);
+  const card = await captureCardTender(terminal, { transactionId: transaction.id, authorizationId: authorization.id });
+
+  assert.deepEqual(card, { error: 'Card authorization is declined' });
+  assert.equal((await repos.transactions.findById(transaction.id)).status, 'open');
+  assert.deepEqual(await repos.payments.listForTransaction(transaction.id), []);
+});
+
+test('an authorization nobody answers times out', async () => {
+  const { terminal, transaction } = await openSale({ timeoutMs: 0, script: ['timeout'] });
+
+  const authorization = await terminal.authorize({ amount: 20, reference: transaction.id });
+  assert.equal(authorization.status, 'pending');
+  await sleep(5);
+  const card = await captureCardTender(terminal, { transactionId: transaction.id, authorizationId: authorization.id });
+
+  assert.equal((await terminal.getStatus(authorization.id)).status, 'timed_out');
+  assert.deepEqual(card, { error: 'Card authorization is timed out' });
+});
+
+test('a card refund the terminal does not answer fails the refund', async () => {
+  const { repos, terminal, transaction, tenders, save, refundedOnCards } = await setUp();
+  terminal.script(['timeout']);
+
+  await assert.rejects(refundCardTenders(terminal, tenders, save), { code: 'timeout' });
+
+  assert.deepEqual(await refundedOnCards(), [0, 0]);
+  assert.equal(await repos.refunds.findByOriginal(transaction.id), null);
+});
+
+test('a sale paid partly on one card stays open until a second card pays the rest', async () => {
+  const { repos, terminal, store, transaction } = await openSale();
+
+  const first = await applyTenders(repos, transaction, [await cardTender(terminal, transaction.id, 12)], { store });
+  assert.equal(first.finalized, false);
+  assert.equal(first.balance, 8);
+  assert.equal((await repos.transactions.findById(transaction.id)).status, 'open');
+
+  const second = await applyTenders(repos, transaction, [await cardTender(terminal, transaction.id, 8)], { store });
+  assert.equal(second.finalized, true);
+  assert.equal(second.transaction.status, 'finalized');
+  assert.deepEqual(
+    await Promise.all(second.payments.map(async payment => (await terminal.getStatus(payment.authorization_id)).status)),
+    ['captured', 'captured']
+  );
+});
@@ -0,0 +1,87 @@
+import { CONFLICT, DatabaseError } from '../db/index.js';
+import { sumCents, toCents } from './money.js';
+import { summarizePayments } from './payments.js';
+import { withReceiptNumber } from './receiptNumbers.js';
+import { NO_OPEN_SHIFT } from './shifts.js';
+
+// Apply tenders to an open transaction. Tenders that leave a balance are
+// recorded and the sale stays open; the tender that covers the balance
+// finalizes the sale (status, payments, stock, receipt number) in one
+// database transaction. Pass no tenders to finalize a sale whose existing
+// tenders already cover it. New payments record `employeeId` as taken by
+// and `shiftId`, as does the sale when it finalizes; the sale then also
+// records the register it finalized on, and its stock and receipt number
+// come from that register's `store`. Errors from the repositories (e.g.
+// CONFLICT, also when the shift closed or the sale's lines or total
+// changed after `transaction` was read) are left to the caller; see
+// tenderConflictMessage.
+export async function applyTenders(
+  repos,
+  transaction,
+  tenders,
+  { employeeId = null, shiftId = null, store, registerId = null } = {}
+) {
+  const existing = await repos.payments.listForTransaction(transaction.id);
+  const summary = summarizePayments(transaction.total, [...existing, ...tenders]);
+
+  if (summary.balance > 0) {
+    const created = await repos.checkout.addPayments({
+      transactionId: transaction.id,
+      payments: tenders,
+      employeeId,
+      shiftId
+    });
+
+    return {
+      finalized: false,
+      transaction,
+      created,
+      payments: [...existing, ...created],
+      ...summary
+    };
+  }
+
+  // Lines caught while a line edit is being repriced don't add up to the
+  // total yet; finalize then guards the total and these lines as read
+  const lines = await repos.transactionLines.listForTransaction(transaction.id);
+  if (sumCents(lines.map(line => toCents(line.line_total))) !== toCents(transaction.total)) {
+    throw new DatabaseError('Transaction lines do not add up to its total', CONFLICT);
+  }
+
+  const result = await withReceiptNumber(repos, store.code, receiptNumber => repos.checkout.finalize({
+    transactionId: transaction.id,
+    total: transaction.total,
+    payments: tenders,
+    lines,
+    change: summary.change,
+    receiptNumber,
+    employeeId,
+    shiftId,
+    storeId: store.id,
+    registerId
+  }));
+
+  return {
+    finalized: true,
+    transaction: result.transaction,
+    created: result.payments,
+    payments: [...existing, ...result.payments],
+    ...summary
+  };
+}
+
+// Why applyTenders failed with a CONFLICT for `transactionId` on
+// `shiftId`, read back once it has: the sale was finalized or voided
+// elsewhere, the shift closed, or the sale's lines or total changed while
+// it was being paid (nothing was taken; the cashier checks the new total)
+export async function tenderConflictMessage(repos, transactionId, shiftId) {
+  const transaction = await repos.transactions.findById(transactionId);
+  if (transaction?.status !== 'open') {
+    return 'Transaction is no longer open';
+  }
+  const shift = await repos.shifts.findById(shiftId);
+  if (shift?.status !== 'open') {
+    return NO_OPEN_SHIFT;
+  }
+  return 'The sale changed while it was being paid; check the total and try again';
+}
@@ -0,0 +1,49 @@
+import { percentOf, toCents } from './money.js';
+
+// Discounts on a single line or on the whole transaction. A discount is
+// { type, value }: 'percent' takes value% off, 'fixed' takes value dollars
+// off the line (not each unit) or the sale. Tax is charged on what is left
+// (see transactionTotals.js).
+
+export const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+// Returns an error message, or null when the discount can be applied to
+// `amount` (the line or transaction subtotal it comes off)
+export function validateDiscount({ type, value } = {}, amount) {
+  if (!DISCOUNT_TYPES.includes(type)) {
+    return `Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`;
+  }
+
+  const number = parseFloat(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    return 'Discount value must be greater than zero';
+  }
+
+  if (type === 'percent' && number > 100) {
+    return 'Percent discount cannot be more than 100';
+  }
+
+  if (type === 'fixed' && toCents(number) > toCents(amount)) {
+    return 'Discount cannot be more than the amount it applies to';
+  }
+
+  return null;
+}
+
+// The discount as a percent of `amount` (dollars), for comparing with the
+// override_discount_percent setting
+export function discountPercent({ type, value }, amount) {
+  if (type === 'percent') return parseFloat(value);
+  const cents = toCents(amount);
+  return cents > 0 ? (toCents(value) * 100) / cents : 100;
+}
+
+// Cents taken off `cents`, never more than `cents` (a fixed discount can
+// outgrow its line when the quantity drops)
+export function calculateDiscount(type, value, cents) {
+  if (!type || cents <= 0) return 0;
+
+  const discount = type === 'percent' ? percentOf(cents, value) : toCents(value);
+
+  return Math.min(cents, Math.max(0, discount));
+}
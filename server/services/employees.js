@@ -0,0 +1,82 @@
+import { randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+
+// Employees, their roles and what each role may do. Every role has the
+// permissions of the roles before it; routes check permissions, never
+// roles (see middleware/auth.js).
+
+export const ROLES = ['cashier', 'manager', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  // Ring up, discount, take payment for and cancel sales; print receipts
+  cashier: ['sales'],
+  // Return goods, give large discounts, override line prices, cancel
+  // large sales, edit the catalogue (prices, stock, deactivation) and
+  // promotions, see the reports. Cashiers can do the first four with a
+  // manager's approval (see middleware/auth.js).
+  manager: [
+    'refunds',
+    'discounts.large',
+    'prices.override',
+    'sales.cancel_large',
+    'items.manage',
+    'promotions.manage',
+    'reports.view'
+  ],
+  // Store settings, staff accounts and the audit log
+  admin: ['settings.manage', 'employees.manage', 'audit.view']
+};
+
+// Permissions of `role`, including those of the roles below it
+export function permissionsFor(role) {
+  const rank = ROLES.indexOf(role);
+  if (rank === -1) return [];
+  return ROLES.slice(0, rank + 1).flatMap(lower => ROLE_PERMISSIONS[lower]);
+}
+
+export const hasPermission = (employee, permission) =>
+  Boolean(employee) && permissionsFor(employee.role).includes(permission);
+
+// PINs are 4 to 8 digits, stored as `scrypt$<salt>$<hash>` (hex)
+const PIN_PATTERN = /^\d{4,8}$/;
+const KEY_LENGTH = 32;
+const scryptAsync = promisify(scrypt);
+
+export async function hashPin(pin) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(String(pin), salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+export async function verifyPin(pin, pinHash) {
+  const [scheme, salt, expected] = String(pinHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+  const hash = await scryptAsync(String(pin), Buffer.from(salt, 'hex'), KEY_LENGTH);
+  const expectedHash = Buffer.from(expected, 'hex');
+  return expectedHash.length === hash.length && timingSafeEqual(hash, expectedHash);
+}
+
+// Returns an error message, or null when `fields` ({ name, role, pin })
+// can be saved. On update (`creating` false) each field is optional.
+export function validateEmployee({ name, role, pin } = {}, { creating = true } = {}) {
+  if (creating || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      return 'Name is required (up to 100 characters)';
+    }
+  }
+
+  if ((creating || role !== undefined) && !ROLES.includes(role)) {
+    return `Role must be one of: ${ROLES.join(', ')}`;
+  }
+
+  if ((creating || pin !== undefined) && !PIN_PATTERN.test(String(pin ?? ''))) {
+    return 'PIN must be 4 to 8 digits';
+  }
+
+  return null;
+}
+
+// What routes send out for an employee: never the PIN hash
+export const publicEmployee = ({ id, name, role, is_active, created_at }) =>
+  ({ id, name, role, is_active, created_at });
@@ -0,0 +1,287 @@
+import { formatDollars, roundQuantity, toCents, toDollars } from './money.js';
+import { resolveBarcode } from './barcodes.js';
+
+// The item catalog: categories (departments) items are filed under,
+// searching items page by page (GET /api/items/search) instead of loading
+// every item at once, and how items are priced when sold.
+
+export const ITEM_SORTS = ['name', 'price', 'created_at'];
+export const ITEM_MATCHES = ['contains', 'prefix'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Returns an error message, or null
+export function validateCategory({ name }) {
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    return 'Category name is required';
+  }
+  return null;
+}
+
+// Returns an error message, or null. An item's category_id is a category
+// or null.
+export async function checkItemCategory(repos, categoryId) {
+  if (categoryId === undefined || categoryId === null) return null;
+  if (typeof categoryId !== 'string' || !UUID_PATTERN.test(categoryId) || !await repos.categories.findById(categoryId)) {
+    return 'Category not found';
+  }
+  return null;
+}
+
+const positiveInteger = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 1 ? number : null;
+};
+
+// Query string -> { search } for searchItems, or { error }:
+//   q            text in the item name, or a barcode (finds just that item)
+//   match        contains (default) or prefix: where in the name q is
+//   category_id  a category id, or 'none' for items without a category
+//   sort         name (default), price or created_at
+//   order        asc (default) or desc
+//   page         from 1; page_size up to 200 (default 50)
+export function itemSearchFrom(query) {
+  const { q, match = 'contains', category_id: categoryId, sort = 'name', order = 'asc', page, page_size: pageSize } = query;
+
+  if (!ITEM_MATCHES.includes(match)) {
+    return { error: `match must be one of: ${ITEM_MATCHES.join(', ')}` };
+  }
+  if (!ITEM_SORTS.includes(sort)) {
+    return { error: `sort must be one of: ${ITEM_SORTS.join(', ')}` };
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+  if (categoryId !== undefined && categoryId !== 'none' && !UUID_PATTERN.test(categoryId)) {
+    return { error: 'Invalid category_id' };
+  }
+
+  const pageNumber = positiveInteger(page, 1);
+  const size = positiveInteger(pageSize, DEFAULT_PAGE_SIZE);
+  if (!pageNumber || !size || size > MAX_PAGE_SIZE) {
+    return { error: `page must be 1 or more and page_size 1 to ${MAX_PAGE_SIZE}` };
+  }
+
+  const search = {
+    q: typeof q === 'string' ? q.trim() : '',
+    match,
+    sort,
+    ascending: order === 'asc',
+    page: pageNumber,
+    pageSize: size,
+    limit: size,
+    offset: (pageNumber - 1) * size
+  };
+  if (categoryId !== undefined) {
+    search.categoryId = categoryId === 'none' ? null : categoryId;
+  }
+  return { search };
+}
+
+// Wildcards typed into the search box are matched literally
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+// One page of active items for `search` (from itemSearchFrom) and how many
+// match in all: { items, total }. A q that is one of an item's or pack's
+// barcodes, in any of its GTIN forms, finds that item alone.
+export async function searchItems(repos, { q, match, ...filters }) {
+  if (!q) {
+    return repos.items.search(filters);
+  }
+
+  // Scanned the way the register scans it, so any form of a GTIN matches
+  const scanned = await resolveBarcode(repos, q, []);
+  if (scanned?.item) {
+    return repos.items.search({ ...filters, itemIds: [scanned.item.id] });
+  }
+
+  const pattern = escapeLike(q);
+  return repos.items.search({ ...filters, name: match === 'prefix' ? `${pattern}%` : `%${pattern}%` });
+}
+
+// How an item is priced:
+//   fixed    at its `price`, in whole units
+//   open     at a price the cashier enters, between min_price and
+//            max_price when they are set (`price` is only a suggestion)
+//   weighed  `price` per `weight_unit`; the quantity sold is a weight, read
+//            from the register's scale or keyed in (see scales/)
+export const PRICE_TYPES = ['fixed', 'open', 'weighed'];
+export const WEIGHT_UNITS = ['kg', 'lb'];
+
+// The item columns that make up its pricing
+export const ITEM_PRICING_FIELDS = ['price_type', 'price', 'min_price', 'max_price', 'weight_unit'];
+
+const KG_PER_LB = 0.45359237;
+
+// `weight` in `from` units as `to` units, to the gram (or thousandth lb)
+export const convertWeight = (weight, from, to) => {
+  if (from === to) return roundQuantity(weight);
+  return roundQuantity(from === 'lb' ? weight * KG_PER_LB : weight / KG_PER_LB);
+};
+
+const priceOrNull = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+// What the register needs to know to sell `item`
+export const pricedItem = (item) => ({
+  id: item.id,
+  name: item.name,
+  price: parseFloat(item.price),
+  price_type: item.price_type || 'fixed',
+  min_price: priceOrNull(item.min_price),
+  max_price: priceOrNull(item.max_price),
+  weight_unit: item.weight_unit || null
+});
+
+const optionalPrice = (value) =>
+  value === undefined || value === null || value === '' ? null : Number(value);
+
+// The pricing columns of an item (price_type, price, min_price, max_price,
+// weight_unit) from `fields`, with the ones its price type does not use
+// cleared. Returns { pricing } or { error }.
+export function itemPricingFrom(fields) {
+  const priceType = fields.price_type || 'fixed';
+  if (!PRICE_TYPES.includes(priceType)) {
+    return { error: `price_type must be one of: ${PRICE_TYPES.join(', ')}` };
+  }
+
+  const price = optionalPrice(fields.price);
+  if (priceType === 'open') {
+    if (price !== null && (!Number.isFinite(price) || price < 0)) {
+      return { error: 'Invalid price' };
+    }
+  } else if (!Number.isFinite(price) || price <= 0) {
+    return { error: 'Price is required' };
+  }
+
+  const pricing = {
+    price_type: priceType,
+    price: price ?? 0,
+    min_price: null,
+    max_price: null,
+    weight_unit: null
+  };
+
+  if (priceType === 'open') {
+    const minPrice = optionalPrice(fields.min_price);
+    const maxPrice = optionalPrice(fields.max_price);
+    if ([minPrice, maxPrice].some(limit => limit !== null && (!Number.isFinite(limit) || limit < 0))) {
+      return { error: 'Invalid price limits' };
+    }
+    if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+      return { error: 'min_price cannot be more than max_price' };
+    }
+    pricing.min_price = minPrice;
+    pricing.max_price = maxPrice;
+  }
+
+  if (priceType === 'weighed') {
+    if (!WEIGHT_UNITS.includes(fields.weight_unit)) {
+      return { error: `Weighed items need a weight_unit: ${WEIGHT_UNITS.join(' or ')}` };
+    }
+    pricing.weight_unit = fields.weight_unit;
+  }
+
+  return { pricing };
+}
+
+// What selling `item` puts on a line: { sale: { quantity, unitPrice,
+// weightUnit } } or { error, code }. `quantity` is a count (default 1) for
+// fixed and open items and a weight in the item's unit for weighed ones;
+// `unitPrice` is the price entered for open items; `reading` is the scale's
+// ({ weight, unit }) when the register has one. `label` is what an embedded
+// barcode carried (services/barcodes.js): a { price } label sells one of a
+// fixed or open item at that price, a { weight, unit } label is read like
+// the scale. `pack` is one of the item's packs (services/packs.js), sold
+// whole at its own price. `code` tells the register what to ask the
+// cashier for: 'price_required' or 'weight_required'.
+export function lineSaleFor(item, { quantity, unitPrice, reading = null, label = null, pack = null }) {
+  const priceType = item.price_type || 'fixed';
+
+  if (pack) {
+    const packs = quantity === undefined || quantity === null ? 1 : Number(quantity);
+    return Number.isInteger(packs) && packs > 0
+      ? { sale: { quantity: packs, unitPrice: parseFloat(pack.price), weightUnit: null } }
+      : { error: 'Invalid quantity' };
+  }
+
+  if (label) {
+    if ((label.weight !== undefined) !== (priceType === 'weighed')) {
+      return {
+        error: priceType === 'weighed'
+          ? `${item.name} is sold by weight; its labels must carry a weight`
+          : `${item.name} is not sold by weight; its labels must carry a price`
+      };
+    }
+    if (label.weight !== undefined) {
+      reading = label;
+    } else {
+      const cents = toCents(label.price);
+      return cents > 0
+        ? { sale: { quantity: 1, unitPrice: toDollars(cents), weightUnit: null } }
+        : { error: 'Invalid price' };
+    }
+  }
+
+  if (priceType === 'weighed') {
+    const weight = reading
+      ? convertWeight(reading.weight, reading.unit, item.weight_unit)
+      : quantity === undefined || quantity === null ? null : roundQuantity(quantity);
+
+    if (weight === null) {
+      return { error: `Enter the weight of ${item.name}`, code: 'weight_required' };
+    }
+    if (!Number.isFinite(weight) || weight <= 0) {
+      return reading && !label
+        ? { error: `Place ${item.name} on the scale`, code: 'weight_required' }
+        : { error: 'Invalid weight' };
+    }
+    return { sale: { quantity: weight, unitPrice: parseFloat(item.price), weightUnit: item.weight_unit } };
+  }
+
+  const count = quantity === undefined || quantity === null ? 1 : Number(quantity);
+  if (!Number.isInteger(count) || count <= 0) {
+    return { error: 'Invalid quantity' };
+  }
+
+  if (priceType === 'open') {
+    if (unitPrice === undefined || unitPrice === null || unitPrice === '') {
+      return { error: `Enter the price of ${item.name}`, code: 'price_required' };
+    }
+    const cents = toCents(unitPrice);
+    if (!Number.isFinite(Number(unitPrice)) || cents <= 0) {
+      return { error: 'Invalid price' };
+    }
+    if (item.min_price !== null && item.min_price !== undefined && cents < toCents(item.min_price)) {
+      return { error: `The price of ${item.name} must be at least $${formatDollars(item.min_price)}` };
+    }
+    if (item.max_price !== null && item.max_price !== undefined && cents > toCents(item.max_price)) {
+      return { error: `The price of ${item.name} must be at most $${formatDollars(item.max_price)}` };
+    }
+    return { sale: { quantity: count, unitPrice: toDollars(cents), weightUnit: null } };
+  }
+
+  return { sale: { quantity: count, unitPrice: parseFloat(item.price), weightUnit: null } };
+}
+
+// A line's quantity as changed on the register: { quantity } or { error }.
+// Weighed lines (weight_unit set) take a weight in that unit, every other
+// line a whole count of what it sold. A labelled line keeps its label's
+// weight or single price.
+export function lineQuantityFrom(line, quantity) {
+  if (line.from_label) {
+    return { error: 'This line was sold as its label reads; remove it and scan the label again' };
+  }
+
+  const value = Number(quantity);
+
+  if (line.weight_unit) {
+    const weight = Number.isFinite(value) ? roundQuantity(value) : NaN;
+    return weight > 0 ? { quantity: weight } : { error: 'Invalid weight' };
+  }
+
+  return Number.isInteger(value) && value > 0 ? { quantity: value } : { error: 'Invalid quantity' };
+}
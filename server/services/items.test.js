@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lineQuantityFrom } from './items.js';
+
+test('a line quantity is a whole count, or a weight on weighed lines', () => {
+  assert.deepEqual(lineQuantityFrom({ weight_unit: null }, '3'), { quantity: 3 });
+  assert.deepEqual(lineQuantityFrom({ weight_unit: null }, 1.5), { error: 'Invalid quantity' });
+  assert.deepEqual(lineQuantityFrom({ weight_unit: 'kg' }, 0.4567), { quantity: 0.457 });
+  assert.deepEqual(lineQuantityFrom({ weight_unit: 'kg' }, 0), { error: 'Invalid weight' });
+});
+
+test('a labelled line keeps the quantity its label gave it', () => {
+  assert.match(lineQuantityFrom({ weight_unit: 'kg', from_label: true }, 0.5).error, /sold as its label reads/);
+  assert.match(lineQuantityFrom({ weight_unit: null, from_label: true }, 2).error, /sold as its label reads/);
+});
@@ -0,0 +1,106 @@
+// Money arithmetic in integer cents. Every service does its sums here
+// instead of on floats; amounts are converted to cents when read from the
+// database or a request and back to dollars only when written or sent.
+//
+// Rounding policy
+//   - One rounding rule everywhere: half up, away from zero (2.5 -> 3,
+//     -2.5 -> -3), applied by divideRounded.
+//   - Rates, percentages and quantities are turned into exact integers
+//     first (tax rate in millionths, percent in hundredths, quantity in
+//     thousandths), so products are computed exactly before the single
+//     rounding step.
+//   - Tax is rounded per line: each line's tax is its discounted net times
+//     its rate, rounded to the cent; the transaction tax is the sum of the
+//     line taxes. Refunds re-derive amounts the same way, and the last units
+//     returned on a line give back exactly what is left of its line_total.
+//   - Splitting an amount (a sale discount over lines, a deal over units)
+//     uses allocate, whose shares always add back up to the amount.
+
+const RATE_SCALE = 1000000;
+const PERCENT_SCALE = 10000;
+const QUANTITY_SCALE = 1000;
+
+// Integer division rounded half up, away from zero
+export function divideRounded(numerator, denominator) {
+  const sign = Math.sign(numerator) * Math.sign(denominator);
+  const n = Math.abs(numerator);
+  const d = Math.abs(denominator);
+  return sign * Math.floor((2 * n + d) / (2 * d));
+}
+
+// Dollars (number, numeric string, null) -> integer cents
+export const toCents = (amount) => {
+  if (amount === null || amount === undefined || amount === '') return 0;
+  return Math.round(Number(amount) * 100);
+};
+
+// Integer cents -> dollars as a number, for the database and JSON
+export const toDollars = (cents) => cents / 100;
+
+// Integer cents -> '12.34' (the API's string amounts)
+export const formatCents = (cents) => {
+  const sign = cents < 0 ? '-' : '';
+  const absolute = Math.abs(cents);
+  return `${sign}${Math.floor(absolute / 100)}.${String(absolute % 100).padStart(2, '0')}`;
+};
+
+// Dollars -> '12.34'
+export const formatDollars = (amount) => formatCents(toCents(amount));
+
+// Round a dollar amount to the cent
+export const roundDollars = (amount) => toDollars(toCents(amount));
+
+export const sumCents = (values) => values.reduce((sum, value) => sum + value, 0);
+
+// Round a quantity (a weight for weighed items) to the 3 decimals
+// quantities are kept in
+export const roundQuantity = (quantity) =>
+  Math.round(Number(quantity) * QUANTITY_SCALE) / QUANTITY_SCALE;
+
+// Unit price (cents) times a quantity (whole or fractional), rounded
+export const multiplyQuantity = (unitCents, quantity) =>
+  divideRounded(unitCents * Math.round(Number(quantity) * QUANTITY_SCALE), QUANTITY_SCALE);
+
+// Tax at `rate` (0.0875 = 8.75%) on `cents`, rounded
+export const taxOn = (cents, rate) =>
+  divideRounded(cents * Math.round(Number(rate || 0) * RATE_SCALE), RATE_SCALE);
+
+// Tax contained in a tax-inclusive `cents` at `rate`, rounded
+export const taxIncluded = (cents, rate) => {
+  const rateUnits = Math.round(Number(rate || 0) * RATE_SCALE);
+  return divideRounded(cents * rateUnits, RATE_SCALE + rateUnits);
+};
+
+// `percent` (10 = 10%) of `cents`, rounded
+export const percentOf = (cents, percent) =>
+  divideRounded(cents * Math.round(Number(percent || 0) * 100), PERCENT_SCALE);
+
+// `cents` * part / whole, rounded (e.g. a line's share for some of its units)
+export const prorate = (cents, part, whole) => {
+  if (!whole) return 0;
+  return divideRounded(
+    cents * Math.round(Number(part) * QUANTITY_SCALE),
+    Math.round(Number(whole) * QUANTITY_SCALE)
+  );
+};
+
+// Split `cents` over `weights` in proportion. Shares are rounded down and
+// the cents left over go one each to the largest remainders (ties to the
+// earlier weight), so the shares always add up to `cents`.
+export function allocate(cents, weights) {
+  const total = sumCents(weights);
+  if (cents === 0 || total <= 0) return weights.map(() => 0);
+
+  const shares = weights.map(weight => Math.floor(cents * weight / total));
+  const remainders = weights
+    .map((weight, index) => ({ index, remainder: (cents * weight) % total }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+
+  let leftover = cents - sumCents(shares);
+  for (let position = 0; leftover > 0; position = (position + 1) % remainders.length) {
+    shares[remainders[position].index] += 1;
+    leftover -= 1;
+  }
+
+  return shares;
+}
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import {
+  allocate,
+  divideRounded,
+  formatCents,
+  multiplyQuantity,
+  percentOf,
+  prorate,
+  roundQuantity,
+  sumCents,
+  taxIncluded,
+  taxOn,
+  toCents
+} from './money.js';
+
+const prorateCases = JSON.parse(fs.readFileSync(new URL('./prorateCases.json', import.meta.url), 'utf8'));
+
+test('divideRounded rounds halves up, away from zero', () => {
+  assert.equal(divideRounded(5, 2), 3);
+  assert.equal(divideRounded(-5, 2), -3);
+  assert.equal(divideRounded(5, -2), -3);
+  assert.equal(divideRounded(7, 2), 4);
+  assert.equal(divideRounded(4, 3), 1);
+  assert.equal(divideRounded(-4, 3), -1);
+  assert.equal(divideRounded(0, 7), 0);
+});
+
+test('tax is worked out exactly, then rounded once', () => {
+  // 8.75% of $1.00 is 8.75 cents
+  assert.equal(taxOn(100, 0.0875), 9);
+  assert.equal(taxOn(-100, 0.0875), -9);
+  // 7.5% of 20 cents is exactly half a cent
+  assert.equal(taxOn(20, 0.075), 2);
+  assert.equal(taxOn(20, '0.075'), 2);
+  assert.equal(taxOn(100, null), 0);
+  // $10.00 tax-inclusive at 10% holds 90.9 cents of tax
+  assert.equal(taxIncluded(1000, 0.1), 91);
+});
+
+test('quantities are kept to 3 decimals before multiplying', () => {
+  assert.equal(roundQuantity('0.3335'), 0.334);
+  assert.equal(multiplyQuantity(199, 0.5), 100);
+  assert.equal(multiplyQuantity(199, '2'), 398);
+  // 0.1 + 0.2 as floats is 0.30000000000000004
+  assert.equal(multiplyQuantity(1000, 0.1 + 0.2), 300);
+});
+
+test('percentages round half up', () => {
+  assert.equal(percentOf(999, 12.5), 125);
+  assert.equal(percentOf(1000, 0), 0);
+});
+
+// The client's prorate (client/src/utils/money.js) is tested with the same
+// cases
+test('prorating a fractional quantity rounds the exact share', () => {
+  for (const { cents, part, whole, prorated } of prorateCases) {
+    assert.equal(prorate(cents, part, whole), prorated, `${cents} * ${part} / ${whole}`);
+  }
+});
+
+test('dollar amounts read as whole cents', () => {
+  assert.equal(toCents('12.34'), 1234);
+  assert.equal(toCents(0.1 + 0.2), 30);
+  assert.equal(toCents(null), 0);
+  assert.equal(toCents(''), 0);
+  assert.equal(formatCents(-5), '-0.05');
+  assert.equal(formatCents(123456), '1234.56');
+});
+
+test('allocate shares always add back up to the amount', () => {
+  assert.deepEqual(allocate(100, [1, 1, 1]), [34, 33, 33]);
+  // Equal remainders: the leftover cent goes to the earlier weight
+  assert.deepEqual(allocate(10, [3, 1]), [8, 2]);
+  assert.deepEqual(allocate(1, [1, 2]), [0, 1]);
+  assert.deepEqual(allocate(-100, [1, 1, 1]), [-33, -33, -34]);
+
+  for (const [cents, weights] of [[997, [299, 299, 150]], [1, [5, 5, 5, 5]], [250, [300, 50]]]) {
+    assert.equal(sumCents(allocate(cents, weights)), cents);
+  }
+});
+
+test('allocate gives nothing when there is nothing to share over', () => {
+  assert.deepEqual(allocate(0, [1, 2]), [0, 0]);
+  assert.deepEqual(allocate(5, [0, 0]), [0, 0]);
+  assert.deepEqual(allocate(5, []), []);
+});
@@ -0,0 +1,247 @@
+import { formatDollars, toCents } from './money.js';
+import { summarizePayments, validateChange } from './payments.js';
+import { evaluatePromotions, isPromotionRunning, promotionRule } from './promotions.js';
+import { withReceiptNumber } from './receiptNumbers.js';
+import { priceTransaction } from './transactionTotals.js';
+
+// Sales rung up while a register could not reach the server. The client
+// keeps a snapshot of the catalog (buildCatalog, GET /api/catalog), prices
+// the sale with the same rules (client/src/utils/pricing.js) and queues
+// it; once the server is back it replays the sale, which is priced again
+// here and recorded already finalized. The register picks the transaction
+// id, so replaying a sale that already got through records nothing. A
+// sale started online and carried on offline when the connection dropped
+// names the open sale it `replaces`, which is cancelled as it is recorded.
+//
+// Offline sales take cash and card (keyed in on a standalone terminal)
+// only, and have no discounts, price overrides, open-price or weighed
+// items: those need the server.
+
+export const OFFLINE_TENDER_METHODS = ['cash', 'card'];
+
+// Conflicts a manager can accept with `force` (see the replay route);
+// the others mean the sale cannot be recorded as it was rung up
+export const FORCEABLE_CONFLICTS = ['item_inactive', 'price_changed', 'total_changed'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// How far ahead of the server's clock a register's clock may run
+const CLOCK_SLACK_MS = 5 * 60 * 1000;
+
+const isAmount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Returns an error message, or null when `sale` ({ id, created_at,
+// employee_id, replaces, lines: [{ item_id, quantity, unit_price,
+// tax_rate }], payments: [{ method, amount, reference }], total }) can be
+// replayed
+export function validateOfflineSale(sale, now = new Date()) {
+  if (typeof sale.id !== 'string' || !UUID_PATTERN.test(sale.id)) {
+    return 'Sale id must be a UUID';
+  }
+
+  if (sale.replaces !== undefined && sale.replaces !== null &&
+    (typeof sale.replaces !== 'string' || !UUID_PATTERN.test(sale.replaces))) {
+    return 'replaces must be the id of the open sale this one replaces';
+  }
+
+  const createdAt = new Date(sale.created_at);
+  if (Number.isNaN(createdAt.getTime()) || createdAt.getTime() > now.getTime() + CLOCK_SLACK_MS) {
+    return 'created_at must be when the sale was rung up';
+  }
+
+  if (!Array.isArray(sale.lines) || sale.lines.length === 0) {
+    return 'A sale needs at least one line';
+  }
+  for (const line of sale.lines) {
+    if (typeof line.item_id !== 'string' || !line.item_id) {
+      return 'Every line needs an item_id';
+    }
+    if (!Number.isInteger(line.quantity) || line.quantity < 1) {
+      return 'Line quantities must be whole numbers of at least 1';
+    }
+    if (!isAmount(line.unit_price) || !isAmount(line.tax_rate)) {
+      return 'Every line needs its unit_price and tax_rate';
+    }
+  }
+
+  if (!Array.isArray(sale.payments) || sale.payments.length === 0) {
+    return 'A sale needs at least one payment';
+  }
+  for (const payment of sale.payments) {
+    if (!OFFLINE_TENDER_METHODS.includes(payment.method)) {
+      return `Offline payments must be one of: ${OFFLINE_TENDER_METHODS.join(', ')}`;
+    }
+    if (!isAmount(payment.amount) || payment.amount === 0) {
+      return 'Invalid payment amount';
+    }
+  }
+
+  if (!isAmount(sale.total)) {
+    return 'total is required';
+  }
+
+  return null;
+}
+
+// Price the sale as the server prices an open transaction, with the
+// promotions that were running when it was rung up. Lines get their index
+// as a stand-in id until they are recorded. Returns priceTransaction's
+// figures plus the promotion `adjustments`.
+export function priceOfflineSale(sale, promotions) {
+  const ringUpTime = new Date(sale.created_at);
+  const lines = sale.lines.map((line, index) => ({
+    id: String(index),
+    item_id: line.item_id,
+    quantity: line.quantity,
+    unit_price: line.unit_price,
+    tax_rate: line.tax_rate
+  }));
+
+  const running = promotions.filter(promotion => isPromotionRunning(promotion, ringUpTime));
+  const { adjustments, lineDiscounts } = evaluatePromotions(lines, running.map(promotionRule));
+
+  return { ...priceTransaction({}, lines, lineDiscounts), adjustments };
+}
+
+// What differs between the sale as rung up and the server's data now, as
+// [{ type, message, item_id? }]:
+//   item_missing     the item no longer exists
+//   item_inactive    the item was deactivated
+//   price_changed    the item's price or tax rate is not what was charged
+//   total_changed    the server prices the sale differently (promotions)
+//   payments         the tenders do not settle the server's total
+// `items` maps item id -> item; `pricing` is from priceOfflineSale.
+export function findOfflineSaleConflicts(sale, items, pricing) {
+  const conflicts = [];
+
+  for (const itemId of new Set(sale.lines.map(line => line.item_id))) {
+    const item = items.get(itemId);
+    if (!item) {
+      conflicts.push({ type: 'item_missing', item_id: itemId, message: 'An item on this sale no longer exists' });
+    } else if (!item.is_active) {
+      conflicts.push({ type: 'item_inactive', item_id: itemId, message: `${item.name} has been deactivated` });
+    }
+  }
+
+  for (const line of sale.lines) {
+    const item = items.get(line.item_id);
+    if (!item) continue;
+    if (toCents(item.price) !== toCents(line.unit_price)) {
+      conflicts.push({
+        type: 'price_changed',
+        item_id: item.id,
+        message: `${item.name} now costs $${formatDollars(item.price)}, the sale charged $${formatDollars(line.unit_price)}`
+      });
+    } else if (parseFloat(item.tax_rate) !== line.tax_rate) {
+      conflicts.push({
+        type: 'price_changed',
+        item_id: item.id,
+        message: `${item.name} is now taxed at ${parseFloat(item.tax_rate)}, the sale used ${line.tax_rate}`
+      });
+    }
+  }
+
+  if (toCents(pricing.total) !== toCents(sale.total)) {
+    conflicts.push({
+      type: 'total_changed',
+      message: `The server works the total out as $${formatDollars(pricing.total)}, the register charged $${formatDollars(sale.total)}`
+    });
+  }
+
+  const summary = summarizePayments(pricing.total, sale.payments);
+  if (summary.balance > 0) {
+    conflicts.push({
+      type: 'payments',
+      message: `Payments of $${formatDollars(summary.paid)} do not cover the total of $${formatDollars(pricing.total)}`
+    });
+  } else {
+    const changeError = validateChange(summary);
+    if (changeError) conflicts.push({ type: 'payments', message: changeError });
+  }
+
+  return conflicts;
+}
+
+// Who `sale` is recorded as rung up by. Its employee_id is taken only for
+// an active employee who was signed in at register `registerId` when the
+// sale was rung up (who may have signed out since); otherwise the sale
+// belongs to `employee`, who is replaying it.
+export async function offlineSaleCashier(repos, sale, registerId, employee) {
+  if (!sale.employee_id || sale.employee_id === employee.id) {
+    return employee;
+  }
+
+  const cashier = await repos.employees.findById(sale.employee_id);
+  if (!cashier?.is_active) {
+    return employee;
+  }
+
+  const sessions = await repos.employeeSessions.listActiveAt(cashier.id, registerId, new Date(sale.created_at));
+  return sessions.length > 0 ? cashier : employee;
+}
+
+// Record a replayed sale (see checkout.recordOfflineSale) with the server's
+// `pricing`, taking a receipt number from `store` and cancelling
+// `replacesId` (an open sale without payments, or null). Returns
+// { transaction, payments, change }.
+export async function recordOfflineSale(
+  repos,
+  sale,
+  pricing,
+  { employeeId, approvedBy = null, shiftId, store, registerId, replacesId = null }
+) {
+  const { change } = summarizePayments(pricing.total, sale.payments);
+  const payments = sale.payments.map(payment => ({
+    method: payment.method,
+    amount: payment.amount,
+    reference: payment.reference ? String(payment.reference).trim() : null
+  }));
+
+  const result = await withReceiptNumber(repos, store.code, receiptNumber => repos.checkout.recordOfflineSale({
+    transactionId: sale.id,
+    createdAt: new Date(sale.created_at).toISOString(),
+    pricing,
+    payments,
+    change,
+    receiptNumber,
+    employeeId,
+    approvedBy,
+    shiftId,
+    storeId: store.id,
+    registerId,
+    replacesId
+  }));
+
+  return { ...result, change };
+}
+
+// What a register needs to sell offline: the active fixed-price items with
+// their barcodes (open-price and weighed items need the server to check the
+// price entered or read the scale), and the active promotions with their start and end (the client
+// checks them against the time of each sale), in the order they apply
+export async function buildCatalog(repos) {
+  const [items, promotions] = await Promise.all([repos.items.listActive(), repos.promotions.listActive()]);
+  const barcodes = items.length > 0 ? await repos.itemBarcodes.listForItems(items.map(item => item.id)) : [];
+
+  const barcodesByItem = new Map();
+  for (const { item_id: itemId, barcode } of barcodes) {
+    barcodesByItem.set(itemId, [...(barcodesByItem.get(itemId) || []), barcode]);
+  }
+
+  return {
+    items: items.filter(item => item.price_type === 'fixed').map(item => ({
+      id: item.id,
+      name: item.name,
+      price: parseFloat(item.price),
+      tax_rate: parseFloat(item.tax_rate),
+      barcodes: barcodesByItem.get(item.id) || []
+    })),
+    promotions: promotions.map(promotion => ({
+      ...promotionRule(promotion),
+      is_active: promotion.is_active,
+      starts_at: promotion.starts_at,
+      ends_at: promotion.ends_at
+    })),
+    generated_at: new Date().toISOString()
+  };
+}
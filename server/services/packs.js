@@ -0,0 +1,64 @@
+import { roundQuantity, toCents, toDollars } from './money.js';
+
+// Packs: a fixed-price item also sold as a 6-pack or a case of 24, each
+// pack with its own price and barcodes. Stock is always kept in the
+// item's own units, so a pack line moves pack_size units per pack sold or
+// refunded (see repositories/checkout.js), and stock received by the case
+// is converted to units here.
+
+const MAX_PACK_SIZE = 10000;
+
+// Returns an error message, or null when `item` can have packs
+export function checkPackItem(item) {
+  if ((item.price_type || 'fixed') !== 'fixed') {
+    return 'Only fixed-price items are sold in packs';
+  }
+  return null;
+}
+
+// A pack's fields as they are saved: { pack: { name, pack_size, price } }
+// or { error }. Fields left out of `body` keep the values of `existing`,
+// the pack being edited.
+export function packFieldsFrom(body, existing = {}) {
+  const name = body.name !== undefined ? body.name : existing.name;
+  const packSize = Number(body.pack_size !== undefined ? body.pack_size : existing.pack_size);
+  const price = body.price !== undefined ? body.price : existing.price;
+
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > 40) {
+    return { error: 'Pack name is required (up to 40 characters)' };
+  }
+  if (!Number.isInteger(packSize) || packSize < 2 || packSize > MAX_PACK_SIZE) {
+    return { error: `pack_size must be a whole number from 2 to ${MAX_PACK_SIZE}` };
+  }
+  const cents = toCents(price);
+  if (!Number.isFinite(Number(price)) || cents <= 0) {
+    return { error: 'Invalid pack price' };
+  }
+
+  return { pack: { name: name.trim(), pack_size: packSize, price: toDollars(cents) } };
+}
+
+// Stock received for `item`: { units, size } or { error }. `quantity` is
+// counted in `pack`: 'case' for cases of the item's pack_size, the id of
+// one of its `packs`, or nothing for the item's own units (a weight for
+// weighed items). `size` is the units in each one counted.
+export function receivedUnitsFor(item, packs, { quantity, pack }) {
+  let size = 1;
+  if (pack === 'case') {
+    size = parseInt(item.pack_size) || 1;
+  } else if (pack !== undefined && pack !== null) {
+    const found = packs.find(candidate => candidate.id === pack);
+    if (!found) {
+      return { error: 'Pack not found' };
+    }
+    size = found.pack_size;
+  }
+
+  const count = Number(quantity);
+  const whole = size > 1 || item.price_type !== 'weighed';
+  if (!Number.isFinite(count) || count <= 0 || (whole && !Number.isInteger(count))) {
+    return { error: whole ? 'quantity must be a whole number of 1 or more' : 'Invalid quantity' };
+  }
+
+  return { units: roundQuantity(count * size), size };
+}
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { packFieldsFrom, receivedUnitsFor } from './packs.js';
+import { lineSaleFor } from './items.js';
+
+const cola = { id: 'cola', name: 'Coca Cola', price_type: 'fixed', price: '1.50', pack_size: 24 };
+const bananas = { id: 'bananas', name: 'Bananas', price_type: 'weighed', price: '0.69', weight_unit: 'kg', pack_size: 1 };
+const sixPack = { id: 'six', item_id: 'cola', name: '6-pack', pack_size: 6, price: '7.99' };
+
+test('stock received by the case counts pack_size units a case', () => {
+  assert.deepEqual(receivedUnitsFor(cola, [], { quantity: 2, pack: 'case' }), { units: 48, size: 24 });
+  assert.deepEqual(receivedUnitsFor({ ...cola, pack_size: null }, [], { quantity: 2, pack: 'case' }), { units: 2, size: 1 });
+});
+
+test('stock received in packs counts the pack\'s units', () => {
+  assert.deepEqual(receivedUnitsFor(cola, [sixPack], { quantity: 3, pack: 'six' }), { units: 18, size: 6 });
+  assert.deepEqual(receivedUnitsFor(cola, [sixPack], { quantity: 1, pack: 'twelve' }), { error: 'Pack not found' });
+});
+
+test('stock received in units is whole, except for weighed items', () => {
+  assert.deepEqual(receivedUnitsFor(cola, [], { quantity: '5' }), { units: 5, size: 1 });
+  assert.match(receivedUnitsFor(cola, [], { quantity: 1.5 }).error, /whole number/);
+  assert.match(receivedUnitsFor(cola, [], { quantity: 1.5, pack: 'case' }).error, /whole number/);
+  assert.deepEqual(receivedUnitsFor(bananas, [], { quantity: 2.3456 }), { units: 2.346, size: 1 });
+  assert.equal(receivedUnitsFor(bananas, [], { quantity: 0 }).error, 'Invalid quantity');
+});
+
+test('a pack is sold whole, at its own price', () => {
+  assert.deepEqual(lineSaleFor(cola, { pack: sixPack }), {
+    sale: { quantity: 1, unitPrice: 7.99, weightUnit: null }
+  });
+  assert.equal(lineSaleFor(cola, { quantity: 2, pack: sixPack }).sale.quantity, 2);
+  assert.equal(lineSaleFor(cola, { quantity: 1.5, pack: sixPack }).error, 'Invalid quantity');
+});
+
+test('pack fields keep what an edit leaves out', () => {
+  assert.deepEqual(packFieldsFrom({ price: '6.5' }, sixPack), { pack: { name: '6-pack', pack_size: 6, price: 6.5 } });
+  assert.match(packFieldsFrom({ name: 'Single', pack_size: 1, price: 1 }).error, /from 2 to/);
+  assert.equal(packFieldsFrom({ name: '12-pack', pack_size: 12, price: 0 }).error, 'Invalid pack price');
+});
@@ -0,0 +1,60 @@
+import { sumCents, toCents, toDollars } from './money.js';
+
+// Tender rules for open transactions. A sale can be paid with any mix of
+// tenders; it stays open until they cover the total. Only cash may be
+// over-tendered, so change never exceeds the cash taken.
+
+export const TENDER_METHODS = ['cash', 'card', 'gift_card', 'store_credit'];
+
+// Paid amount, balance still due and change owed for a transaction total
+// and the tenders applied to it
+export function summarizePayments(total, payments) {
+  const due = toCents(total);
+  const paid = sumCents(payments.map(payment => toCents(payment.amount)));
+  const cashPaid = sumCents(
+    payments
+      .filter(payment => payment.method === 'cash')
+      .map(payment => toCents(payment.amount))
+  );
+
+  return {
+    total: toDollars(due),
+    paid: toDollars(paid),
+    cashPaid: toDollars(cashPaid),
+    balance: toDollars(Math.max(0, due - paid)),
+    change: toDollars(Math.max(0, paid - due))
+  };
+}
+
+// Returns an error message, or null when the tender can be applied to a
+// transaction with `balance` still due
+export function validateTender({ method, amount }, balance) {
+  if (!TENDER_METHODS.includes(method)) {
+    return `Payment method must be one of: ${TENDER_METHODS.join(', ')}`;
+  }
+
+  const value = parseFloat(amount);
+  if (!value || value <= 0) {
+    return 'Invalid payment amount';
+  }
+
+  if (balance <= 0) {
+    return 'Transaction is already paid in full';
+  }
+
+  if (method !== 'cash' && toCents(value) > toCents(balance)) {
+    return 'Only cash can be more than the balance due';
+  }
+
+  return null;
+}
+
+// Change can only come out of cash. Lines removed after a card or gift card
+// was applied can leave non-cash tenders above the total; those have to be
+// removed before the sale can close.
+export function validateChange(summary) {
+  if (summary.change > summary.cashPaid) {
+    return 'Non-cash payments exceed the total, remove a payment first';
+  }
+  return null;
+}
@@ -0,0 +1,189 @@
+import { allocate, percentOf, sumCents, toCents, toDollars } from './money.js';
+
+// Automatic promotions, evaluated whenever the lines of an open transaction
+// change (see transactionTotals.js). Three rule types:
+//
+//   multi_buy      `quantity` of the same item for `price` ("2 for $5").
+//                  Each listed item forms its own groups.
+//   mix_and_match  any `quantity` of the listed items for `price`
+//                  ("any 3 snacks for $6")
+//   bogo           buy `quantity`, get `get_quantity` at `get_percent` off
+//                  (100 = free). The cheapest units in each group are the
+//                  discounted ones.
+//
+// A unit counts towards one promotion at most; promotions are tried in the
+// order given (oldest first) and each groups the most expensive eligible
+// units first. client/src/utils/pricing.js repeats these rules for sales
+// rung up offline; change both together.
+
+export const PROMOTION_TYPES = ['multi_buy', 'mix_and_match', 'bogo'];
+
+// Fields a promotion rule is evaluated from; adjustments keep a copy so a
+// refund can re-run the rule as it was at the time of sale
+export const promotionRule = (promotion) => ({
+  id: promotion.id,
+  name: promotion.name,
+  type: promotion.type,
+  item_ids: promotion.item_ids || [],
+  quantity: parseInt(promotion.quantity),
+  get_quantity: promotion.get_quantity === null ? null : parseInt(promotion.get_quantity),
+  get_percent: promotion.get_percent === null ? null : parseFloat(promotion.get_percent),
+  price: promotion.price === null ? null : parseFloat(promotion.price)
+});
+
+// Promotion columns set by a create or update request, parsed; keys missing
+// from `body` are left out so updates only touch what was sent
+export function promotionFieldsFrom(body) {
+  const fields = {};
+  const optionalNumber = (value, parse) => (value === null || value === '' ? null : parse(value));
+
+  if (body.name !== undefined) fields.name = String(body.name).trim();
+  if (body.type !== undefined) fields.type = body.type;
+  if (body.item_ids !== undefined) {
+    fields.item_ids = Array.isArray(body.item_ids) ? [...new Set(body.item_ids)] : body.item_ids;
+  }
+  if (body.quantity !== undefined) fields.quantity = Number(body.quantity);
+  if (body.get_quantity !== undefined) fields.get_quantity = optionalNumber(body.get_quantity, Number);
+  if (body.get_percent !== undefined) fields.get_percent = optionalNumber(body.get_percent, parseFloat);
+  if (body.price !== undefined) fields.price = optionalNumber(body.price, parseFloat);
+  if (body.starts_at !== undefined) fields.starts_at = body.starts_at || null;
+  if (body.ends_at !== undefined) fields.ends_at = body.ends_at || null;
+  if (body.is_active !== undefined) fields.is_active = Boolean(body.is_active);
+
+  return fields;
+}
+
+// Returns an error message, or null when `fields` describe a valid
+// promotion. `fields` is a complete promotion (merge updates first).
+export function validatePromotion(fields) {
+  if (!fields.name || !String(fields.name).trim()) {
+    return 'Name is required';
+  }
+
+  if (!PROMOTION_TYPES.includes(fields.type)) {
+    return `Promotion type must be one of: ${PROMOTION_TYPES.join(', ')}`;
+  }
+
+  if (!Array.isArray(fields.item_ids) || fields.item_ids.length === 0) {
+    return 'At least one item is required';
+  }
+
+  const quantity = Number(fields.quantity);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return 'Quantity must be a whole number of at least 1';
+  }
+
+  if (fields.type === 'bogo') {
+    const getQuantity = Number(fields.get_quantity);
+    if (!Number.isInteger(getQuantity) || getQuantity < 1) {
+      return 'Get quantity must be a whole number of at least 1';
+    }
+    const getPercent = Number(fields.get_percent);
+    if (!Number.isFinite(getPercent) || getPercent <= 0 || getPercent > 100) {
+      return 'Get percent must be between 0 and 100';
+    }
+  } else {
+    if (quantity < 2) {
+      return 'Quantity must be at least 2';
+    }
+    const price = Number(fields.price);
+    if (!Number.isFinite(price) || price < 0) {
+      return 'Price must be zero or more';
+    }
+  }
+
+  if (fields.starts_at && fields.ends_at && new Date(fields.starts_at) >= new Date(fields.ends_at)) {
+    return 'End date must be after start date';
+  }
+
+  return null;
+}
+
+// Active and inside its start/end window at `now`
+export const isPromotionRunning = (promotion, now = new Date()) =>
+  promotion.is_active &&
+  (!promotion.starts_at || new Date(promotion.starts_at) <= now) &&
+  (!promotion.ends_at || new Date(promotion.ends_at) > now);
+
+// Discount (cents) and the units it comes off for one group of units
+const applyToGroup = (rule, group) => {
+  if (rule.type === 'bogo') {
+    const discounted = group.slice(rule.quantity);
+    const discount = sumCents(discounted.map(unit => percentOf(unit.price, rule.get_percent)));
+    return { discount, units: discounted };
+  }
+
+  const full = sumCents(group.map(unit => unit.price));
+  return { discount: Math.max(0, full - toCents(rule.price)), units: group };
+};
+
+// Split eligible units (most expensive first) into the groups a rule prices
+const groupsFor = (rule, units) => {
+  const eligible = new Set(rule.item_ids);
+  const size = rule.type === 'bogo' ? rule.quantity + rule.get_quantity : rule.quantity;
+
+  const pools = rule.type === 'multi_buy'
+    ? rule.item_ids.map(itemId => units.filter(unit => unit.itemId === itemId))
+    : [units.filter(unit => eligible.has(unit.itemId))];
+
+  const groups = [];
+  for (const pool of pools) {
+    const sorted = [...pool].sort((a, b) => b.price - a.price);
+    for (let start = 0; start + size <= sorted.length; start += size) {
+      groups.push(sorted.slice(start, start + size));
+    }
+  }
+  return groups;
+};
+
+// Evaluate promotion rules against transaction lines ({ id, item_id,
+// unit_price, quantity, weight_unit, pack_size }). Weighed lines have no
+// units to count and packs have their own price, so deals leave both out.
+// Returns the adjustments that applied, one per promotion ({ rule,
+// applications, amount }), and the promotion discount on each line (line
+// id -> dollars).
+export function evaluatePromotions(lines, rules) {
+  let units = [];
+  for (const line of lines) {
+    if (line.weight_unit || parseInt(line.pack_size) > 1) continue;
+    const quantity = parseInt(line.quantity);
+    for (let count = 0; count < quantity; count += 1) {
+      units.push({ lineId: line.id, itemId: line.item_id, price: toCents(line.unit_price) });
+    }
+  }
+
+  const lineCents = new Map();
+  const adjustments = [];
+
+  for (const rule of rules) {
+    let applications = 0;
+    let amount = 0;
+    const used = new Set();
+
+    for (const group of groupsFor(rule, units)) {
+      const { discount, units: discountedUnits } = applyToGroup(rule, group);
+      if (discount <= 0) continue;
+
+      // Shared in proportion to price; units are most expensive first, so
+      // rounding cents land on the dearer units
+      allocate(discount, discountedUnits.map(unit => unit.price)).forEach((share, index) => {
+        const { lineId } = discountedUnits[index];
+        lineCents.set(lineId, (lineCents.get(lineId) || 0) + share);
+      });
+      group.forEach(unit => used.add(unit));
+      applications += 1;
+      amount += discount;
+    }
+
+    if (applications > 0) {
+      adjustments.push({ rule, applications, amount: toDollars(amount) });
+      units = units.filter(unit => !used.has(unit));
+    }
+  }
+
+  const lineDiscounts = new Map(
+    [...lineCents].map(([lineId, cents]) => [lineId, toDollars(cents)])
+  );
+
+  return { adjustments, lineDiscounts };
+}
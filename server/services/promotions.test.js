@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promotionRule as rule, saleLine } from '../testing/fixtures.js';
+import { evaluatePromotions } from './promotions.js';
+
+const line = (id, itemId, unitPrice, quantity, fields = {}) =>
+  saleLine({ id, item_id: itemId, unit_price: unitPrice, quantity, ...fields });
+
+test('multi_buy groups each listed item on its own', () => {
+  const twoForFive = rule({ type: 'multi_buy', item_ids: ['a', 'b'], quantity: 2, price: 5 });
+  const { adjustments, lineDiscounts } = evaluatePromotions(
+    [line('l1', 'a', '3.00', 3), line('l2', 'b', '3.00', 1)],
+    [twoForFive]
+  );
+
+  assert.deepEqual(adjustments.map(({ applications, amount }) => [applications, amount]), [[1, 1]]);
+  assert.deepEqual([...lineDiscounts], [['l1', 1]]);
+});
+
+test('a deal split over lines adds up to the deal', () => {
+  const threeForTen = rule({ type: 'mix_and_match', item_ids: ['a', 'b'], quantity: 3, price: 10 });
+  const { lineDiscounts } = evaluatePromotions(
+    [line('l1', 'a', '3.99', 2), line('l2', 'b', '4.49', 1)],
+    [threeForTen]
+  );
+
+  // 12.47 for 3 comes to 10: 2.47 off, shared by price
+  assert.equal(Math.round((lineDiscounts.get('l1') + lineDiscounts.get('l2')) * 100), 247);
+});
+
+test('bogo discounts the cheapest units of each group', () => {
+  const bogo = rule({ type: 'bogo', item_ids: ['a', 'b'], quantity: 1, get_quantity: 1, get_percent: 50 });
+  const { lineDiscounts } = evaluatePromotions(
+    [line('l1', 'a', '4.00', 1), line('l2', 'b', '2.00', 1)],
+    [bogo]
+  );
+
+  assert.deepEqual([...lineDiscounts], [['l2', 1]]);
+});
+
+test('weighed and pack lines are left out of deals', () => {
+  const twoForFive = rule({ type: 'multi_buy', item_ids: ['a'], quantity: 2, price: 5 });
+  const { adjustments } = evaluatePromotions(
+    [line('l1', 'a', '3.00', 1), line('l2', 'a', '3.00', 2, { pack_size: 6 }), line('l3', 'a', '3.00', 1.5, { weight_unit: 'kg' })],
+    [twoForFive]
+  );
+
+  assert.deepEqual(adjustments, []);
+});
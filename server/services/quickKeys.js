@@ -0,0 +1,72 @@
+import { pricedItem } from './items.js';
+
+// Quick keys: pages of buttons on the cashier screen that add an item
+// without scanning it (a loose pastry, a fountain drink). Managers lay
+// them out on the cashier screen; the whole layout is saved at once.
+
+export const MAX_QUICK_KEY_PAGES = 10;
+// A page is a 6 x 4 grid
+export const QUICK_KEYS_PER_PAGE = 24;
+export const QUICK_KEY_COLORS = ['blue', 'green', 'orange', 'red', 'purple', 'grey'];
+
+const MAX_PAGE_NAME = 30;
+const MAX_LABEL = 20;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isText = (value, maxLength) =>
+  typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+
+// Returns an error message, or null when `pages` ([{ name, keys: [{
+// item_id, label, color }] }]) is a layout that can be saved. `label`
+// (the item's name otherwise) and `color` are optional.
+export function validateQuickKeys(pages) {
+  if (!Array.isArray(pages) || pages.length > MAX_QUICK_KEY_PAGES) {
+    return `pages must be a list of up to ${MAX_QUICK_KEY_PAGES} pages`;
+  }
+
+  for (const page of pages) {
+    if (!isText(page?.name, MAX_PAGE_NAME)) {
+      return `Every page needs a name of up to ${MAX_PAGE_NAME} characters`;
+    }
+    if (!Array.isArray(page.keys) || page.keys.length > QUICK_KEYS_PER_PAGE) {
+      return `A page holds up to ${QUICK_KEYS_PER_PAGE} keys`;
+    }
+    for (const key of page.keys) {
+      if (typeof key?.item_id !== 'string' || !UUID_PATTERN.test(key.item_id)) {
+        return 'Every key needs an item_id';
+      }
+      if (key.label !== undefined && key.label !== null && key.label !== '' && !isText(key.label, MAX_LABEL)) {
+        return `Key labels are up to ${MAX_LABEL} characters`;
+      }
+      if (key.color !== undefined && key.color !== null && !QUICK_KEY_COLORS.includes(key.color)) {
+        return `Key colors must be one of: ${QUICK_KEY_COLORS.join(', ')}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// The layout as saved: names and labels trimmed, blank labels dropped
+export const normalizeQuickKeys = (pages) =>
+  pages.map(page => ({
+    name: page.name.trim(),
+    keys: page.keys.map(key => ({
+      item_id: key.item_id,
+      label: key.label ? key.label.trim() : null,
+      color: key.color || null
+    }))
+  }));
+
+// Saved pages with each key's `item` (its pricedItem: id, name, price and
+// how it is priced). Keys for items that were deleted or deactivated are
+// left out. `items` maps item id -> item.
+export const quickKeyPagesWithItems = (pages, items) =>
+  pages.map(page => ({
+    id: page.id,
+    name: page.name,
+    keys: page.keys
+      .filter(key => items.get(key.item_id)?.is_active)
+      .map(key => ({ ...key, item: pricedItem(items.get(key.item_id)) }))
+  }));
@@ -0,0 +1,45 @@
+import { CONFLICT } from '../db/index.js';
+
+// Receipt numbers are the store code and a per-store sequence, e.g.
+// S01-000123. Sales get one when they are finalized and refunds when they
+// are recorded; the number is claimed in the same batch (see
+// repositories/checkout.js), so numbers are never skipped or reused.
+
+const RECEIPT_NUMBER_PATTERN = /^[A-Z0-9]{1,8}-\d{6,}$/;
+
+export const formatReceiptNumber = (storeCode, number) =>
+  `${storeCode}-${String(number).padStart(6, '0')}`;
+
+// Receipt number as stored (upper case, trimmed), or null when `value` is
+// not a receipt number (e.g. a transaction id)
+export function normalizeReceiptNumber(value) {
+  const candidate = String(value || '').trim().toUpperCase();
+  return RECEIPT_NUMBER_PATTERN.test(candidate) ? candidate : null;
+}
+
+// Next number for `storeCode`, as { sequenceId, lastNumber, value } for a
+// checkout batch to claim
+export async function nextReceiptNumber(repos, storeCode) {
+  const sequence = await repos.receiptSequences.findOrCreate(storeCode);
+  const lastNumber = parseInt(sequence.last_number);
+  return {
+    sequenceId: sequence.id,
+    lastNumber,
+    value: formatReceiptNumber(storeCode, lastNumber + 1)
+  };
+}
+
+// Run `commit(receiptNumber)`, a checkout batch that claims the number, for
+// the store with code `storeCode`. When another sale claimed the number
+// first the batch fails with CONFLICT and is retried with the next one; a
+// CONFLICT that persists (e.g. the sale is no longer open) is rethrown.
+export async function withReceiptNumber(repos, storeCode, commit, attempts = 3) {
+  for (let attempt = 1; ; attempt += 1) {
+    const receiptNumber = await nextReceiptNumber(repos, storeCode);
+    try {
+      return await commit(receiptNumber);
+    } catch (error) {
+      if (error.code !== CONFLICT || attempt >= attempts) throw error;
+    }
+  }
+}
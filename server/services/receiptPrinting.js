@@ -0,0 +1,56 @@
+import { buildReceipt, buildShiftReport, shiftReportTextLines } from '../receipts/index.js';
+import { PrinterError } from '../printers/index.js';
+
+// Print a completed sale's or refund's receipt on the receipt printer,
+// opening the cash drawer when `openDrawer` is set (cash was taken or given
+// back). The sale is already committed, so a printer failure is reported
+// rather than thrown: returns null without a printer, otherwise
+// { printed: true } or { printed: false, error }.
+export async function printTransactionReceipt(repos, printer, transactionId, { openDrawer = false, reprint = false } = {}) {
+  if (!printer) return null;
+
+  try {
+    const receipt = await buildReceipt(repos, transactionId, { reprint });
+    await printer.printReceipt(receipt, { openDrawer });
+    return { printed: true };
+  } catch (error) {
+    if (!(error instanceof PrinterError)) throw error;
+    console.error(`Could not print receipt for ${transactionId}:`, error);
+    return { printed: false, error: error.message };
+  }
+}
+
+// Print a shift's X- or Z-report (see receipts/shiftReport.js); returns
+// like printTransactionReceipt
+export async function printShiftReport(repos, printer, shiftId) {
+  if (!printer) return null;
+
+  try {
+    const report = await buildShiftReport(repos, shiftId);
+    await printer.printLines(shiftReportTextLines(report));
+    return { printed: true };
+  } catch (error) {
+    if (!(error instanceof PrinterError)) throw error;
+    console.error(`Could not print report for shift ${shiftId}:`, error);
+    return { printed: false, error: error.message };
+  }
+}
+
+// Open the cash drawer for cash going in or out outside a sale; returns
+// null without a printer, otherwise { opened: true } or
+// { opened: false, error }
+export async function kickDrawer(printer) {
+  if (!printer) return null;
+
+  try {
+    await printer.openDrawer();
+    return { opened: true };
+  } catch (error) {
+    if (!(error instanceof PrinterError)) throw error;
+    console.error('Could not open the cash drawer:', error);
+    return { opened: false, error: error.message };
+  }
+}
+
+// Cash changes hands when any tender, or refund tender, is cash
+export const involvesCash = (payments) => payments.some(payment => payment.method === 'cash');
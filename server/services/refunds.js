@@ -0,0 +1,142 @@
+import { multiplyQuantity, prorate, roundQuantity, taxIncluded, taxOn, toCents, toDollars } from './money.js';
+import { evaluatePromotions } from './promotions.js';
+
+// Quantity of a line already returned. Lines fully refunded before
+// refunded_quantity existed only carry refunded_by.
+export const refundedQuantityOf = (line) =>
+  line.refunded_by ? parseFloat(line.quantity) : parseFloat(line.refunded_quantity || 0);
+
+export const refundableQuantityOf = (line) =>
+  roundQuantity(parseFloat(line.quantity) - refundedQuantityOf(line));
+
+// Turn a refund request into validated { line, quantity } pairs (whole
+// packs on a pack's line).
+// `requested` is [{ lineId, quantity }]; a missing quantity means whatever is
+// left on the line. Weighed lines are returned whole. Returns { error } or
+// { items }.
+export function resolveRefundItems(allLines, requested) {
+  const linesById = new Map(allLines.map(line => [line.id, line]));
+  const seen = new Set();
+  const items = [];
+
+  for (const { lineId, quantity } of requested) {
+    const line = linesById.get(lineId);
+    if (!line) {
+      return { error: 'Some selected lines do not exist' };
+    }
+    if (seen.has(lineId)) {
+      return { error: 'Each line can only be listed once' };
+    }
+    seen.add(lineId);
+
+    const refundable = refundableQuantityOf(line);
+    if (refundable <= 0) {
+      return { error: 'Some selected lines have already been refunded' };
+    }
+
+    const refundQuantity = quantity === undefined || quantity === null ? refundable : Number(quantity);
+    if (line.weight_unit) {
+      if (refundQuantity !== refundable) {
+        return { error: 'Weighed items can only be refunded whole' };
+      }
+    } else if (!Number.isInteger(refundQuantity) || refundQuantity <= 0) {
+      return { error: 'Invalid refund quantity' };
+    }
+    if (refundQuantity > refundable) {
+      return { error: 'Refund quantity exceeds the quantity left on the line' };
+    }
+
+    items.push({ line, quantity: refundQuantity });
+  }
+
+  return { items };
+}
+
+// What the units of `line` left after returning `quantity` more would have
+// cost, in cents: their share of the line's own and transaction discounts,
+// minus `promotionDiscount` (cents) from re-running the promotions on them,
+// plus tax
+const keptValueCents = (line, quantity, promotionDiscount) => {
+  if (quantity <= 0) return 0;
+
+  const manualDiscounts = prorate(
+    toCents(line.discount_amount) + toCents(line.transaction_discount_amount),
+    quantity,
+    line.quantity
+  );
+  const value = multiplyQuantity(toCents(line.unit_price), quantity) - manualDiscounts - promotionDiscount;
+  return value + taxOn(value, line.tax_rate);
+};
+
+// Amounts returned when `items` ({ line, quantity }) come back. Each line
+// gives back what it charged less what its remaining units now cost, with
+// the sale's promotion rules (`rules`, snapshots from its adjustments)
+// re-run on what the customer keeps. A kept line that loses its deal gives
+// back a negative amount: the clawback comes off the refund and is
+// returned as an extra item with quantity 0. `refundedAmounts` maps line
+// id to what earlier refunds already returned, in cents.
+// Returns { error } or { subtotal, tax, total, items: [{ line, quantity, amount }] }.
+export function calculateRefundTotals({ allLines, items, refundedAmounts = new Map(), rules = [] }) {
+  const returning = new Map(items.map(({ line, quantity }) => [line.id, quantity]));
+
+  const keptAfter = allLines.map(line => ({
+    ...line,
+    quantity: refundableQuantityOf(line) - (returning.get(line.id) || 0)
+  }));
+  const { lineDiscounts } = evaluatePromotions(keptAfter.filter(line => line.quantity > 0), rules);
+
+  let subtotal = 0;
+  let tax = 0;
+  let total = 0;
+  const refundItems = [];
+
+  allLines.forEach((line, index) => {
+    const quantity = returning.get(line.id) || 0;
+    const charged = toCents(line.line_total) - (refundedAmounts.get(line.id) || 0);
+    const kept = keptValueCents(
+      line,
+      keptAfter[index].quantity,
+      toCents(lineDiscounts.get(line.id))
+    );
+    const amount = refundableQuantityOf(line) > 0 ? charged - kept : 0;
+
+    if (quantity === 0 && amount === 0) return;
+
+    const lineTax = taxIncluded(amount, line.tax_rate);
+
+    subtotal += amount - lineTax;
+    tax += lineTax;
+    total += amount;
+    refundItems.push({ line, quantity, amount: toDollars(amount) });
+  });
+
+  if (total < 0) {
+    return { error: 'Returning only these items would cost the customer a promotion worth more than the items, return the whole deal instead' };
+  }
+
+  // Returned lines first, clawbacks after
+  refundItems.sort((a, b) => (b.quantity > 0) - (a.quantity > 0));
+
+  return {
+    subtotal: toDollars(subtotal),
+    tax: toDollars(tax),
+    total: toDollars(total),
+    items: refundItems
+  };
+}
+
+// A refund claims the sale it returns while its card refunds are out, so a
+// second refund of the sale cannot send money back to the cards as well.
+// A claim older than this is taken over: its server stopped mid-refund.
+export const REFUND_CLAIM_MS = 5 * 60 * 1000;
+
+// Claim `transaction` for a refund. Returns the claimed transaction, whose
+// refund_claimed_at the refund commits against, or null while another
+// refund holds it.
+export async function claimRefund(repos, transaction, now = Date.now()) {
+  const claimedAt = transaction.refund_claimed_at || null;
+  if (claimedAt && now - Date.parse(claimedAt) < REFUND_CLAIM_MS) {
+    return null;
+  }
+  return repos.transactions.claimForRefund(transaction.id, claimedAt);
+}
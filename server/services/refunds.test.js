@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promotionRule, saleLine } from '../testing/fixtures.js';
+import { calculateRefundTotals, resolveRefundItems } from './refunds.js';
+
+// "2 for $5" on a $3.00 item, as the sale's adjustment snapshot keeps it
+const twoForFive = promotionRule({
+  id: 'promo-1',
+  name: '2 for $5',
+  type: 'multi_buy',
+  item_ids: ['soda'],
+  quantity: 2,
+  price: 5
+});
+
+const line = (fields) => saleLine({ item_id: 'soda', unit_price: '3.00', ...fields });
+
+test('returning one unit of a 2-for line gives back what the kept unit no longer saves', () => {
+  const sold = line({ id: 'a', quantity: 2, line_total: '5.00' });
+  const { items } = resolveRefundItems([sold], [{ lineId: 'a', quantity: 1 }]);
+
+  const result = calculateRefundTotals({ allLines: [sold], items, rules: [twoForFive] });
+
+  assert.equal(result.total, 2);
+  assert.deepEqual(result.items.map(item => [item.line.id, item.quantity, item.amount]), [['a', 1, 2]]);
+});
+
+test('returning one line of a deal claws the lost discount back from the kept line', () => {
+  const first = line({ id: 'a', quantity: 1, line_total: '2.50' });
+  const second = line({ id: 'b', quantity: 1, line_total: '2.50' });
+
+  const result = calculateRefundTotals({
+    allLines: [first, second],
+    items: [{ line: first, quantity: 1 }],
+    rules: [twoForFive]
+  });
+
+  assert.equal(result.total, 2);
+  assert.deepEqual(result.items.map(item => [item.line.id, item.quantity, item.amount]), [
+    ['a', 1, 2.5],
+    ['b', 0, -0.5]
+  ]);
+});
+
+test('clawbacks carry their share of tax', () => {
+  const first = line({ id: 'a', quantity: 1, tax_rate: '0.1', line_total: '2.75' });
+  const second = line({ id: 'b', quantity: 1, tax_rate: '0.1', line_total: '2.75' });
+
+  const result = calculateRefundTotals({
+    allLines: [first, second],
+    items: [{ line: first, quantity: 1 }],
+    rules: [twoForFive]
+  });
+
+  // The kept unit now costs 3.30 with tax, against 2.75 charged
+  assert.equal(result.total, 2.2);
+  assert.equal(result.tax, 0.2);
+  assert.equal(result.subtotal, 2);
+});
+
+test('a return that costs the customer more in lost discount than it gives back is refused', () => {
+  const mixAndMatch = { ...twoForFive, type: 'mix_and_match', item_ids: ['soda', 'gum'], price: 1 };
+  const soda = line({ id: 'a', quantity: 1, line_total: '0.86' });
+  const gum = line({ id: 'b', item_id: 'gum', unit_price: '0.50', quantity: 1, line_total: '0.14' });
+
+  const result = calculateRefundTotals({
+    allLines: [soda, gum],
+    items: [{ line: gum, quantity: 1 }],
+    rules: [mixAndMatch]
+  });
+
+  assert.match(result.error, /return the whole deal instead/);
+});
+
+test('returning the whole deal gives back everything charged', () => {
+  const sold = line({ id: 'a', quantity: 2, line_total: '5.00' });
+
+  const result = calculateRefundTotals({ allLines: [sold], items: [{ line: sold, quantity: 2 }], rules: [twoForFive] });
+
+  assert.equal(result.total, 5);
+});
@@ -0,0 +1,73 @@
+import { createHash, randomBytes } from 'crypto';
+import { findRegister } from './stores.js';
+
+// Register sign-in sessions. The client holds a random token; only its
+// SHA-256 hash is stored, so a copy of the database cannot sign anyone in.
+
+export const SESSION_TTL_HOURS = 12;
+
+const hashToken = (token) => createHash('sha256').update(String(token)).digest('hex');
+
+// New session for `employee` at register `registerId`: { token, expiresAt }
+export async function startSession(repos, employee, registerId, now = new Date()) {
+  const token = randomBytes(32).toString('hex');
+  const expiresAt = new Date(now.getTime() + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+  await repos.employeeSessions.create({
+    employee_id: employee.id,
+    token_hash: hashToken(token),
+    register_id: registerId,
+    expires_at: expiresAt
+  });
+
+  return { token, expiresAt };
+}
+
+// { session, employee, register, store } for a live token of an active
+// employee at an active register, or null
+export async function resolveSession(repos, token) {
+  if (!token) return null;
+
+  const session = await repos.employeeSessions.findActiveByTokenHash(hashToken(token));
+  if (!session) return null;
+
+  const employee = await repos.employees.findById(session.employee_id);
+  if (!employee || !employee.is_active) return null;
+
+  const location = await findRegister(repos, session.register_id);
+  if (!location) return null;
+
+  return { session, employee, ...location };
+}
+
+// Failed PIN attempts per employee, kept in memory: after `maxFailures`
+// in a row the employee is locked out for `lockMs`, so a 4-digit PIN
+// cannot be guessed by trying them all
+export function createLoginThrottle({ maxFailures = 5, lockMs = 5 * 60 * 1000 } = {}) {
+  const failures = new Map();
+
+  return {
+    // Milliseconds until `employeeId` may try again, 0 when not locked
+    lockedFor(employeeId, now = Date.now()) {
+      const entry = failures.get(employeeId);
+      if (!entry?.lockedUntil) return 0;
+      if (entry.lockedUntil <= now) {
+        failures.delete(employeeId);
+        return 0;
+      }
+      return entry.lockedUntil - now;
+    },
+
+    recordFailure(employeeId, now = Date.now()) {
+      const count = (failures.get(employeeId)?.count || 0) + 1;
+      failures.set(employeeId, {
+        count,
+        lockedUntil: count >= maxFailures ? now + lockMs : null
+      });
+    },
+
+    reset(employeeId) {
+      failures.delete(employeeId);
+    }
+  };
+}
@@ -0,0 +1,97 @@
+import { validateEmbeddedRules } from './barcodes.js';
+
+// Settings, stored one row per key in store_setting. Rows without a
+// store_id apply to every store; a store can save its own value for the
+// STORE_SETTINGS keys, which wins at that store. Anything not saved falls
+// back to the default here; unknown keys are rejected.
+export const DEFAULT_SETTINGS = {
+  // Scanning an item that is already on the sale (same item, same price)
+  // bumps that line's quantity instead of adding a new line
+  merge_repeated_scans: false,
+  // Printed at the top and bottom of every receipt; newlines start a new
+  // line (see receipts/)
+  receipt_header: 'POS Real',
+  receipt_footer: 'Thank you for shopping with us!',
+  // Characters per line of text and PDF receipts: 48 for 80mm paper, 40
+  // for 58mm
+  receipt_width: 48,
+  // Cashiers need a manager's approval for discounts of more than this
+  // percent of what they come off, and to cancel sales of this total or more
+  override_discount_percent: 20,
+  override_cancel_amount: 50,
+  // Parked (suspended) sales not resumed within this many hours expire
+  suspended_sale_hours: 24,
+  // How barcodes starting with 2 carry a PLU and a price or weight (see
+  // services/barcodes.js): by default, EAN-13 20 PPPPP $$$cc C for prices
+  // and 21 PPPPP kkggg C for weights in kg
+  embedded_barcode_rules: [
+    { prefix: '20', type: 'price', item_digits: 5, value_digits: 5, decimals: 2 },
+    { prefix: '21', type: 'weight', item_digits: 5, value_digits: 5, decimals: 3, unit: 'kg' }
+  ]
+};
+
+// Settings a store can set for itself
+export const STORE_SETTINGS = ['merge_repeated_scans'];
+
+const isReceiptText = value => typeof value === 'string' && value.length <= 500;
+
+const validators = {
+  merge_repeated_scans: value => typeof value === 'boolean',
+  receipt_header: isReceiptText,
+  receipt_footer: isReceiptText,
+  receipt_width: value => value === 40 || value === 48,
+  override_discount_percent: value => typeof value === 'number' && value >= 0 && value <= 100,
+  override_cancel_amount: value => typeof value === 'number' && value >= 0,
+  suspended_sale_hours: value => typeof value === 'number' && value > 0,
+  embedded_barcode_rules: value => validateEmbeddedRules(value) === null
+};
+
+const savedValues = rows => Object.fromEntries(
+  rows
+    .filter(row => row.key in DEFAULT_SETTINGS)
+    .map(row => [row.key, row.value])
+);
+
+// The settings in force at store `storeId`, or for every store when it
+// is null
+export async function getSettings(repos, storeId = null) {
+  const [shared, own] = await Promise.all([
+    repos.settings.listForStore(null),
+    storeId ? repos.settings.listForStore(storeId) : []
+  ]);
+  return { ...DEFAULT_SETTINGS, ...savedValues(shared), ...savedValues(own) };
+}
+
+// The values store `storeId` saved for itself
+export async function getStoreSettings(repos, storeId) {
+  return savedValues(await repos.settings.listForStore(storeId));
+}
+
+// Returns an error message for the first invalid entry, or null. Changes
+// for one store (`storeId`) are limited to STORE_SETTINGS, and null
+// clears the store's own value.
+export function validateSettings(changes, storeId = null) {
+  for (const [key, value] of Object.entries(changes)) {
+    if (!(key in DEFAULT_SETTINGS)) {
+      return `Unknown setting '${key}'`;
+    }
+    if (storeId && !STORE_SETTINGS.includes(key)) {
+      return `Setting '${key}' applies to every store`;
+    }
+    if (!(storeId && value === null) && !validators[key](value)) {
+      return `Invalid value for setting '${key}'`;
+    }
+  }
+  return null;
+}
+
+export async function updateSettings(repos, changes, storeId = null) {
+  for (const [key, value] of Object.entries(changes)) {
+    if (storeId && value === null) {
+      await repos.settings.clear(key, storeId);
+    } else {
+      await repos.settings.set(key, value, storeId);
+    }
+  }
+  return getSettings(repos, storeId);
+}
@@ -0,0 +1,131 @@
+import { sumCents, toCents } from './money.js';
+import { TENDER_METHODS } from './payments.js';
+
+// Shift rules. A shift opens with a float of cash in the drawer; every
+// payment and refund taken while it is open records its shift_id, and the
+// sales it finalizes and refunds it makes record it on the transaction.
+// At close the cashier counts each tender without being shown what is
+// expected (a blind count); the Z-report then compares the two.
+//
+// Expected cash = opening float + cash taken - change given - cash refunded
+//                 + paid in - paid out
+// Expected of any other tender = what was taken in it less what went back.
+
+export const CASH_MOVEMENT_TYPES = ['paid_in', 'paid_out'];
+
+export const NO_OPEN_SHIFT = 'Open a shift before taking payments';
+
+const isAmount = (value, { positive = false } = {}) =>
+  typeof value === 'number' && Number.isFinite(value) && (positive ? value > 0 : value >= 0);
+
+// Returns an error message, or null
+export function validateOpeningFloat(openingFloat) {
+  return isAmount(openingFloat) ? null : 'Opening float must be an amount of 0 or more';
+}
+
+// Returns an error message, or null
+export function validateCashMovement({ type, amount, reason }) {
+  if (!CASH_MOVEMENT_TYPES.includes(type)) {
+    return `Type must be one of: ${CASH_MOVEMENT_TYPES.join(', ')}`;
+  }
+  if (!isAmount(amount, { positive: true })) {
+    return 'Amount must be more than 0';
+  }
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return 'A reason is required';
+  }
+  return null;
+}
+
+// Counts are { method: amount } for any tender methods; cash is required.
+// Returns an error message, or null.
+export function validateCounts(counts) {
+  if (!counts || typeof counts !== 'object' || Array.isArray(counts)) {
+    return 'Counts must be an object of tender method to amount';
+  }
+  for (const [method, amount] of Object.entries(counts)) {
+    if (!TENDER_METHODS.includes(method)) {
+      return `Unknown tender method '${method}'`;
+    }
+    if (!isAmount(amount)) {
+      return `Invalid count for ${method}`;
+    }
+  }
+  if (!('cash' in counts)) {
+    return 'Count the cash in the drawer';
+  }
+  return null;
+}
+
+// Totals of a shift in integer cents, from its payments, transactions and
+// cash movements. `tenders` has cash first, then every other method that
+// was taken or counted, each with its expected amount and (once closed)
+// the counted amount and variance (counted - expected).
+export async function summarizeShift(repos, shift) {
+  const [payments, transactions, movements] = await Promise.all([
+    repos.payments.listForShift(shift.id),
+    repos.transactions.listForShift(shift.id),
+    repos.cashMovements.listForShift(shift.id)
+  ]);
+
+  const refundLines = transactions.length > 0
+    ? await repos.refundLines.listForRefundTransactions(transactions.map(transaction => transaction.id))
+    : [];
+  const refundIds = new Set(refundLines.map(line => line.refund_tx));
+  const sales = transactions.filter(transaction => !refundIds.has(transaction.id));
+  const refunds = transactions.filter(transaction => refundIds.has(transaction.id));
+
+  const total = (rows, column) => sumCents(rows.map(row => toCents(row[column])));
+  const tendered = (method, { refunds: refunded }) => sumCents(
+    payments
+      .filter(payment => payment.method === method && (toCents(payment.amount) < 0) === refunded)
+      .map(payment => toCents(payment.amount))
+  );
+  const moved = (type) => total(movements.filter(movement => movement.type === type), 'amount');
+
+  const cash = {
+    openingFloat: toCents(shift.opening_float),
+    sales: tendered('cash', { refunds: false }),
+    change: total(sales, 'change_given'),
+    refunds: -tendered('cash', { refunds: true }),
+    paidIn: moved('paid_in'),
+    paidOut: moved('paid_out')
+  };
+  cash.expected = cash.openingFloat + cash.sales - cash.change - cash.refunds + cash.paidIn - cash.paidOut;
+
+  const counts = shift.counts || {};
+  const methods = TENDER_METHODS.filter(method =>
+    method === 'cash' ||
+    method in counts ||
+    payments.some(payment => payment.method === method)
+  );
+  const tenders = methods.map(method => {
+    const expected = method === 'cash'
+      ? cash.expected
+      : tendered(method, { refunds: false }) + tendered(method, { refunds: true });
+    const counted = method in counts ? toCents(counts[method]) : null;
+    return {
+      method,
+      expected,
+      counted,
+      variance: counted === null ? null : counted - expected
+    };
+  });
+
+  return {
+    sales: {
+      count: sales.length,
+      subtotal: total(sales, 'subtotal'),
+      discounts: total(sales, 'discount_total'),
+      tax: total(sales, 'tax'),
+      total: total(sales, 'total')
+    },
+    refunds: {
+      count: refunds.length,
+      total: total(refunds, 'total')
+    },
+    cash,
+    tenders,
+    movements
+  };
+}
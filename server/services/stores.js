@@ -0,0 +1,87 @@
+// Stores and their registers. Every sign-in session belongs to a register
+// (chosen on the sign-in screen), so every sale, refund and shift is tagged
+// with where it happened, and stock is counted per store (store_stock).
+
+const STORE_CODE_PATTERN = /^[A-Z0-9]{1,8}$/;
+
+const isName = value => typeof value === 'string' && value.trim().length > 0 && value.length <= 100;
+
+// Returns an error message, or null. With `partial`, missing fields are
+// left as they are (updates).
+export function validateStore({ code, name, is_active }, { partial = false } = {}) {
+  if (code !== undefined || !partial) {
+    if (typeof code !== 'string' || !STORE_CODE_PATTERN.test(code)) {
+      return 'Store code must be 1 to 8 capital letters or digits';
+    }
+  }
+  if (name !== undefined || !partial) {
+    if (!isName(name)) return 'Store name is required';
+  }
+  if (is_active !== undefined && typeof is_active !== 'boolean') {
+    return 'is_active must be true or false';
+  }
+  return null;
+}
+
+// Returns an error message, or null
+export function validateRegister({ name, is_active }, { partial = false } = {}) {
+  if (name !== undefined || !partial) {
+    if (!isName(name)) return 'Register name is required';
+  }
+  if (is_active !== undefined && typeof is_active !== 'boolean') {
+    return 'is_active must be true or false';
+  }
+  return null;
+}
+
+// The register sessions without one (from before registers, or signed in
+// without choosing) belong to: the first active register of the first
+// active store. Null if there is none.
+export async function findDefaultRegister(repos) {
+  const [stores, registers] = await Promise.all([repos.stores.listAll(), repos.registers.listAll()]);
+  for (const store of stores.filter(store => store.is_active)) {
+    const register = registers.find(register => register.store_id === store.id && register.is_active);
+    if (register) return { register, store };
+  }
+  return null;
+}
+
+// { register, store } for an active register of an active store, or null
+export async function findRegister(repos, registerId) {
+  if (!registerId) return findDefaultRegister(repos);
+
+  const register = await repos.registers.findById(registerId);
+  if (!register || !register.is_active) return null;
+
+  const store = await repos.stores.findById(register.store_id);
+  if (!store || !store.is_active) return null;
+
+  return { register, store };
+}
+
+// Create the first store and register when there are none, so a new or
+// upgraded database works as a single register. The Supabase migration
+// (migrations/011_stores.sql) does the same for existing data; here local
+// databases carry their items' old `quantity` over as the store's stock,
+// and their shifts and sales over to the register.
+export async function ensureDefaultStore(repos) {
+  if ((await repos.stores.listAll()).length > 0) return;
+
+  const settings = await repos.settings.listAll();
+  const code = settings.find(row => row.key === 'store_code')?.value || 'S01';
+
+  const store = await repos.stores.create({ code, name: 'Main store' });
+  const register = await repos.registers.create({ store_id: store.id, name: 'Register 1' });
+
+  for (const item of await repos.items.listAll()) {
+    if (item.quantity) await repos.stock.set(store.id, item.id, parseInt(item.quantity));
+  }
+  await repos.shifts.assignUnplaced(register.id);
+  await repos.transactions.assignUnplaced({ storeId: store.id, registerId: register.id });
+}
+
+// What the client is told about where it is signed in
+export const publicLocation = ({ register, store }) => ({
+  register: { id: register.id, name: register.name },
+  store: { id: store.id, code: store.code, name: store.name }
+});
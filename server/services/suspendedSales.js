@@ -0,0 +1,49 @@
+import { getSettings } from './settings.js';
+
+// Parked sales. A cashier suspends an open sale (a customer who forgot
+// their wallet) to serve the next one, and resumes it later on any
+// register of the same store. A parked sale takes no changes; sales parked
+// for longer than the suspended_sale_hours setting expire. Stock only
+// leaves at finalize, so expiring a sale gives nothing back: it just can
+// no longer be resumed.
+
+const HOUR = 60 * 60 * 1000;
+
+// How often the server expires parked sales on its own (see index.js)
+export const EXPIRY_SWEEP_MS = 5 * 60 * 1000;
+
+// When a sale parked at `suspendedAt` expires
+export const expiresAt = (suspendedAt, hours) =>
+  new Date(new Date(suspendedAt).getTime() + hours * HOUR).toISOString();
+
+// Expire every sale parked longer than the setting allows. Run before
+// parked sales are listed or resumed, so a stale one is never offered,
+// and every EXPIRY_SWEEP_MS, so sales and shift reports read meanwhile
+// don't keep showing them as parked. Returns the expired sales.
+export async function expireSuspendedSales(repos) {
+  const { suspended_sale_hours: hours } = await getSettings(repos);
+  const cutoff = new Date(Date.now() - hours * HOUR).toISOString();
+  return repos.transactions.expireSuspended(cutoff);
+}
+
+// Sales parked at `storeId` with the number of items on each (quantities
+// added up), oldest first
+export async function listSuspendedSales(repos, storeId) {
+  const { suspended_sale_hours: hours } = await getSettings(repos);
+  const transactions = await repos.transactions.listSuspended(storeId);
+  if (transactions.length === 0) return [];
+
+  const lines = await repos.transactionLines.listForTransactions(transactions.map(tx => tx.id));
+  const itemCounts = new Map();
+  for (const line of lines) {
+    // A weighed line is one item, whatever it weighs
+    const count = line.weight_unit ? 1 : parseInt(line.quantity);
+    itemCounts.set(line.transaction_id, (itemCounts.get(line.transaction_id) || 0) + count);
+  }
+
+  return transactions.map(tx => ({
+    ...tx,
+    item_count: itemCounts.get(tx.id) || 0,
+    expires_at: expiresAt(tx.suspended_at, hours)
+  }));
+}
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDatabase } from '../db/index.js';
+import { createRepositories } from '../repositories/index.js';
+import { expireSuspendedSales } from './suspendedSales.js';
+
+const HOUR = 60 * 60 * 1000;
+
+test('expired parked sales are audited as changes by the server', async () => {
+  const repos = createRepositories(createDatabase({ DB_DRIVER: 'local', LOCAL_DB_FILE: ':memory:' }));
+  const store = await repos.stores.create({ code: 'S01', name: 'Main store' });
+  const parkedAt = (hoursAgo) => new Date(Date.now() - hoursAgo * HOUR).toISOString();
+  const stale = await repos.transactions.create({ store_id: store.id, status: 'suspended', suspended_at: parkedAt(30) });
+  const recent = await repos.transactions.create({ store_id: store.id, status: 'suspended', suspended_at: parkedAt(1) });
+
+  const expired = await expireSuspendedSales(repos);
+
+  assert.deepEqual(expired.map(tx => [tx.id, tx.status]), [[stale.id, 'expired']]);
+  assert.equal((await repos.transactions.findById(recent.id)).status, 'suspended');
+
+  const entries = await repos.auditLog.list();
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].employee_id, null);
+  assert.equal(entries[0].route, 'SYSTEM expire-suspended-sales');
+  assert.equal(entries[0].entity_id, stale.id);
+  assert.equal(entries[0].before.status, 'suspended');
+  assert.equal(entries[0].after.status, 'expired');
+
+  assert.deepEqual(await expireSuspendedSales(repos), []);
+  assert.equal((await repos.auditLog.list()).length, 1);
+});
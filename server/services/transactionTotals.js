@@ -0,0 +1,111 @@
+import { calculateDiscount } from './discounts.js';
+import { allocate, multiplyQuantity, sumCents, taxOn, toCents, toDollars } from './money.js';
+import { evaluatePromotions, isPromotionRunning, promotionRule } from './promotions.js';
+
+// Totals shared by every route that changes the lines of an open transaction.
+// Amounts are worked out in cents with the rounding policy in money.js.
+// client/src/utils/pricing.js prices offline sales the same way.
+
+// Line total stored on transaction_line before discounts: price * quantity
+// plus tax. recalculateTransactionTotals replaces it with the discounted
+// total.
+export const calculateLineTotal = (unitPrice, taxRate, quantity) => {
+  const subtotal = multiplyQuantity(toCents(unitPrice), quantity);
+  return toDollars(subtotal + taxOn(subtotal, taxRate));
+};
+
+// Price every line of a transaction. Promotion discounts (line id ->
+// dollars, see promotions.js) come off first, then each line's own
+// discount; the transaction discount is worked out on what is left and
+// shared over the lines in proportion, so tax (rounded to the cent per
+// line) is charged on the discounted amount at each line's own rate.
+// Returns the per-line figures and the transaction totals in dollars;
+// subtotal is before discounts.
+export function priceTransaction(transaction, lines, promotionDiscounts = new Map()) {
+  const priced = lines.map(line => {
+    const gross = multiplyQuantity(toCents(line.unit_price), line.quantity);
+    const promotionAmount = Math.min(gross, toCents(promotionDiscounts.get(line.id)));
+    const discountAmount = calculateDiscount(line.discount_type, line.discount_value, gross - promotionAmount);
+    return {
+      line,
+      gross,
+      promotionAmount,
+      discountAmount,
+      net: gross - promotionAmount - discountAmount
+    };
+  });
+
+  const transactionDiscount = calculateDiscount(
+    transaction.discount_type,
+    transaction.discount_value,
+    sumCents(priced.map(entry => entry.net))
+  );
+  const shares = allocate(transactionDiscount, priced.map(entry => entry.net));
+
+  let subtotal = 0;
+  let discountTotal = 0;
+  let tax = 0;
+
+  const pricedLines = priced.map((entry, index) => {
+    const taxable = entry.net - shares[index];
+    const lineTax = taxOn(taxable, entry.line.tax_rate);
+
+    subtotal += entry.gross;
+    discountTotal += entry.promotionAmount + entry.discountAmount + shares[index];
+    tax += lineTax;
+
+    return {
+      line: entry.line,
+      promotion_discount_amount: toDollars(entry.promotionAmount),
+      discount_amount: toDollars(entry.discountAmount),
+      transaction_discount_amount: toDollars(shares[index]),
+      line_total: toDollars(taxable + lineTax)
+    };
+  });
+
+  return {
+    lines: pricedLines,
+    subtotal: toDollars(subtotal),
+    discount_total: toDollars(discountTotal),
+    tax: toDollars(tax),
+    total: toDollars(subtotal - discountTotal + tax)
+  };
+}
+
+// Reprice the transaction's lines with the promotions running now (see
+// priceTransaction), replace its promotion adjustments and save the lines
+// whose figures changed and the totals on pos_transaction
+export async function recalculateTransactionTotals(repos, transactionId) {
+  const transaction = await repos.transactions.findById(transactionId);
+  const allLines = await repos.transactionLines.listForTransaction(transactionId);
+
+  const running = (await repos.promotions.listActive()).filter(promotion => isPromotionRunning(promotion));
+  const { adjustments, lineDiscounts } = evaluatePromotions(allLines, running.map(promotionRule));
+  await repos.promotionAdjustments.replaceForTransaction(transactionId, adjustments.map(adjustment => ({
+    promotion_id: adjustment.rule.id,
+    description: adjustment.rule.name,
+    applications: adjustment.applications,
+    amount: adjustment.amount,
+    rule: adjustment.rule
+  })));
+
+  const pricing = priceTransaction(transaction, allLines, lineDiscounts);
+
+  for (const { line, ...figures } of pricing.lines) {
+    const changed = Object.entries(figures).some(([column, value]) =>
+      parseFloat(line[column] || 0) !== value
+    );
+    // Priced from the quantity read; a scan merged into the line since
+    // then reprices it itself
+    if (changed) {
+      await repos.transactionLines.update(line.id, figures, { quantity: line.quantity });
+    }
+  }
+
+  return repos.transactions.update(transactionId, {
+    subtotal: pricing.subtotal,
+    discount_total: pricing.discount_total,
+    tax: pricing.tax,
+    total: pricing.total
+  });
+}
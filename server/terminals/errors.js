@@ -0,0 +1,13 @@
+// Error thrown by terminal drivers. `code` is one of:
+//   'declined'     the card or issuer refused the request
+//   'timeout'      the terminal did not answer in time
+//   'invalid'      the request does not fit the authorization's state
+//   'not_found'    unknown authorization id
+//   'unavailable'  no terminal configured or reachable
+export class TerminalError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'TerminalError';
+    this.code = code;
+  }
+}
@@ -0,0 +1,37 @@
+import { createSimulatedTerminal } from './simulatedTerminal.js';
+
+export { TerminalError } from './errors.js';
+
+// Card terminal drivers share one interface:
+//   authorize({ amount, reference }) -> authorization, usually 'pending'
+//   getStatus(id)                    -> authorization; poll until it leaves
+//                                       'pending' ('approved', 'declined',
+//                                       'timed_out')
+//   capture(id), void(id)            -> authorization
+//   refund({ authorizationId, amount }) -> { id, status: 'approved' }
+//   voidRefund(refundId)             -> refund, now 'voided'
+// and throw TerminalError when a request fails.
+//
+// PAYMENT_TERMINAL picks the driver:
+//   none (default)  card tenders are keyed in from a standalone terminal
+//   simulated       in-process terminal, scripted with SIM_TERMINAL_SCRIPT
+//                   (comma separated approve/decline/timeout) or the
+//                   /api/terminal/simulator/script endpoint
+export function createTerminal(env = process.env) {
+  const driver = (env.PAYMENT_TERMINAL || 'none').toLowerCase();
+
+  switch (driver) {
+    case 'none':
+      return null;
+    case 'simulated':
+      return createSimulatedTerminal({
+        delayMs: env.SIM_TERMINAL_DELAY_MS ? parseInt(env.SIM_TERMINAL_DELAY_MS) : undefined,
+        timeoutMs: env.SIM_TERMINAL_TIMEOUT_MS ? parseInt(env.SIM_TERMINAL_TIMEOUT_MS) : undefined,
+        script: env.SIM_TERMINAL_SCRIPT
+          ? env.SIM_TERMINAL_SCRIPT.split(',').map(outcome => outcome.trim()).filter(Boolean)
+          : []
+      });
+    default:
+      throw new Error(`Unknown PAYMENT_TERMINAL '${env.PAYMENT_TERMINAL}' (expected 'none' or 'simulated')`);
+  }
+}
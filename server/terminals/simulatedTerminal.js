@@ -0,0 +1,149 @@
+import { randomUUID } from 'crypto';
+import { TerminalError } from './errors.js';
+
+// A card terminal that lives in the server process, for development and
+// tests. Every authorize or refund consumes the next scripted outcome
+// ('approve', 'decline' or 'timeout'); with nothing scripted it approves.
+// Authorizations start 'pending' and settle after `delayMs`, like a
+// customer tapping a card; 'timeout' ones become 'timed_out' after
+// `timeoutMs`.
+
+export const SIMULATED_OUTCOMES = ['approve', 'decline', 'timeout'];
+
+const CARDS = [
+  { brand: 'VISA', last4: '4242' },
+  { brand: 'MASTERCARD', last4: '4444' },
+  { brand: 'AMEX', last4: '0005' }
+];
+
+export function createSimulatedTerminal({ delayMs = 1500, timeoutMs = 30000, script = [] } = {}) {
+  const outcomes = [...script];
+  const authorizations = new Map();
+  const refunds = new Map();
+
+  const nextOutcome = () => outcomes.shift() || 'approve';
+
+  const settleLater = (ms, update) => {
+    // unref so a pending simulated payment never keeps the process alive
+    setTimeout(update, ms).unref();
+  };
+
+  const find = (authorizationId) => {
+    const authorization = authorizations.get(authorizationId);
+    if (!authorization) {
+      throw new TerminalError('Authorization not found', 'not_found');
+    }
+    return authorization;
+  };
+
+  return {
+    name: 'simulated',
+
+    // Queue outcomes for the next terminal requests
+    script(list) {
+      const unknown = list.find(outcome => !SIMULATED_OUTCOMES.includes(outcome));
+      if (unknown) {
+        throw new TerminalError(`Unknown simulated outcome '${unknown}'`, 'invalid');
+      }
+      outcomes.push(...list);
+      return [...outcomes];
+    },
+
+    async authorize({ amount, reference = null }) {
+      const authorization = {
+        id: `sim_auth_${randomUUID()}`,
+        status: 'pending',
+        amount,
+        reference,
+        card: null,
+        decline_reason: null,
+        refunded: 0,
+        created_at: new Date().toISOString()
+      };
+      authorizations.set(authorization.id, authorization);
+
+      const outcome = nextOutcome();
+      if (outcome === 'timeout') {
+        settleLater(timeoutMs, () => {
+          if (authorization.status === 'pending') authorization.status = 'timed_out';
+        });
+      } else {
+        settleLater(delayMs, () => {
+          if (authorization.status !== 'pending') return;
+          if (outcome === 'approve') {
+            authorization.status = 'approved';
+            authorization.card = CARDS[authorizations.size % CARDS.length];
+          } else {
+            authorization.status = 'declined';
+            authorization.decline_reason = 'Insufficient funds';
+          }
+        });
+      }
+
+      return { ...authorization };
+    },
+
+    async getStatus(authorizationId) {
+      return { ...find(authorizationId) };
+    },
+
+    async capture(authorizationId) {
+      const authorization = find(authorizationId);
+      if (authorization.status !== 'approved') {
+        throw new TerminalError(`Cannot capture a ${authorization.status} authorization`, 'invalid');
+      }
+      authorization.status = 'captured';
+      return { ...authorization };
+    },
+
+    async void(authorizationId) {
+      const authorization = find(authorizationId);
+      if (!['pending', 'approved', 'captured'].includes(authorization.status)) {
+        throw new TerminalError(`Cannot void a ${authorization.status} authorization`, 'invalid');
+      }
+      authorization.status = 'voided';
+      return { ...authorization };
+    },
+
+    async refund({ authorizationId, amount }) {
+      const authorization = find(authorizationId);
+      if (authorization.status !== 'captured') {
+        throw new TerminalError(`Cannot refund a ${authorization.status} authorization`, 'invalid');
+      }
+      if (authorization.refunded + amount > authorization.amount + 0.005) {
+        throw new TerminalError('Refund exceeds the captured amount', 'invalid');
+      }
+
+      const outcome = nextOutcome();
+      if (outcome === 'decline') {
+        throw new TerminalError('Refund declined by issuer', 'declined');
+      }
+      if (outcome === 'timeout') {
+        throw new TerminalError('Terminal did not respond', 'timeout');
+      }
+
+      authorization.refunded += amount;
+      const refund = {
+        id: `sim_refund_${randomUUID()}`,
+        authorization_id: authorizationId,
+        status: 'approved',
+        amount
+      };
+      refunds.set(refund.id, refund);
+      return { ...refund };
+    },
+
+    async voidRefund(refundId) {
+      const refund = refunds.get(refundId);
+      if (!refund) {
+        throw new TerminalError('Refund not found', 'not_found');
+      }
+      if (refund.status !== 'approved') {
+        throw new TerminalError(`Cannot void a ${refund.status} refund`, 'invalid');
+      }
+      refund.status = 'voided';
+      authorizations.get(refund.authorization_id).refunded -= refund.amount;
+      return { ...refund };
+    }
+  };
+}
@@ -0,0 +1,28 @@
+// Shared by the unit tests: rows as the repositories return them, with
+// the fields a test does not care about filled in. Not under test/ or
+// named *.test.js, so `node --test` does not run it as a test file.
+
+// A sale line that has not been discounted or refunded
+export const saleLine = (fields) => ({
+  quantity: 1,
+  tax_rate: '0',
+  discount_amount: 0,
+  transaction_discount_amount: 0,
+  refunded_quantity: 0,
+  refunded_by: null,
+  weight_unit: null,
+  pack_size: 1,
+  ...fields
+});
+
+// A promotion rule; `type`, `item_ids`, `quantity` and the deal's terms
+// come from the test
+export const promotionRule = (fields) => ({
+  id: 'promo',
+  name: 'Deal',
+  item_ids: [],
+  get_quantity: null,
+  get_percent: null,
+  price: null,
+  ...fields
+});